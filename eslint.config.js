@@ -27,7 +27,7 @@ export default defineConfig([
     },
   },
   {
-    files: ['tests/**/*.{js,jsx}', '**/*.test.{js,jsx}', '**/*.spec.{js,jsx}'],
+    files: ['tests/**/*.{js,jsx}', 'jest.setup.js', '**/*.test.{js,jsx}', '**/*.spec.{js,jsx}'],
     languageOptions: {
       ecmaVersion: 2020,
       globals: {
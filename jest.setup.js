@@ -1 +1,7 @@
 import '@testing-library/jest-dom';
+import { queryCache } from './src/api/queryCache';
+
+// Cached responses must not leak from one test into the next
+afterEach(() => {
+    queryCache.clear();
+});
@@ -96,15 +96,79 @@ self.addEventListener('fetch', (event) => {
     );
 });
 
+// Offline mutation queue - same IndexedDB store as src/api/offlineQueue.js, keep the two in sync
+const QUEUE_DB_NAME = 'project-tracker-offline';
+const QUEUE_STORE = 'mutations';
+
+const openQueueDatabase = () => new Promise((resolve, reject) => {
+    const request = indexedDB.open(QUEUE_DB_NAME, 1);
+    request.onupgradeneeded = () => {
+        request.result.createObjectStore(QUEUE_STORE, { keyPath: 'id', autoIncrement: true });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const queueTransaction = (mode, operation) => openQueueDatabase().then((db) => new Promise((resolve, reject) => {
+    const transaction = db.transaction(QUEUE_STORE, mode);
+    const request = operation(transaction.objectStore(QUEUE_STORE));
+    transaction.oncomplete = () => {
+        db.close();
+        resolve(request.result);
+    };
+    transaction.onerror = () => {
+        db.close();
+        reject(transaction.error);
+    };
+}));
+
+// Replays queued mutations oldest first. Network and server errors stop the run and reject,
+// so the browser schedules another sync; a 401 waits for the page (which can refresh the
+// session), as does a "view as" session; any other rejection marks that mutation failed and moves on.
+const replayQueuedMutations = async () => {
+    const mutations = (await queueTransaction('readonly', (store) => store.getAll()))
+        .filter((mutation) => mutation.status === 'pending')
+        .sort((a, b) => a.id - b.id);
+    const replayed = [];
+
+    try {
+        for (const mutation of mutations) {
+            const response = await fetch(mutation.url, {
+                method: mutation.method,
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include',
+                body: JSON.stringify(mutation.body),
+            });
+
+            if (response.ok) {
+                await queueTransaction('readwrite', (store) => store.delete(mutation.id));
+                replayed.push(mutation);
+            } else if (response.status === 401) {
+                break;
+            } else if (response.status === 408 || response.status === 429 || response.status >= 500) {
+                throw new Error(`Server responded with ${response.status}`);
+            } else {
+                const data = await response.json().catch(() => null);
+                if (data?.code === 'VIEW_AS_READ_ONLY') break;
+                await queueTransaction('readwrite', (store) => store.put({
+                    ...mutation,
+                    status: 'failed',
+                    error: data?.message || `HTTP ${response.status}: ${response.statusText}`,
+                }));
+            }
+        }
+    } finally {
+        const windows = await self.clients.matchAll({ type: 'window' });
+        windows.forEach((client) => client.postMessage({ type: 'offline-queue-synced', replayed }));
+    }
+};
+
 // Background sync for offline actions (if supported)
 self.addEventListener('sync', (event) => {
     console.log('[SW] Background sync event:', event.tag);
 
     if (event.tag === 'background-sync') {
-        event.waitUntil(
-            // Handle offline actions that need to be synced
-            console.log('[SW] Performing background sync')
-        );
+        event.waitUntil(replayQueuedMutations());
     }
 });
 
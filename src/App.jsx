@@ -4,21 +4,28 @@ import { AuthProvider, useAuth } from './context/AuthContext';
 import ProtectedRoute from './components/ProtectedRoute';
 import Layout from './components/Layout';
 import ErrorBoundary from './components/ErrorBoundary';
+import { routeAccess } from './navigation';
+import { hasRole, MANAGER_ROLES } from './utils/permissions';
 
 // Lazy load pages for premium performance & holographic loading feel
 const Login = lazy(() => import('./pages/Login'));
 const SignUp = lazy(() => import('./pages/SignUp'));
 const Verify2FA = lazy(() => import('./pages/Verify2FA'));
+const ForgotPassword = lazy(() => import('./pages/ForgotPassword'));
+const ResetPassword = lazy(() => import('./pages/ResetPassword'));
+const SsoCallback = lazy(() => import('./pages/SsoCallback'));
+const MockIdentityProvider = lazy(() => import('./pages/MockIdentityProvider'));
 const InvitationResponse = lazy(() => import('./pages/InvitationResponse'));
 const AdminDashboard = lazy(() => import('./pages/AdminDashboard'));
 const StudentDashboard = lazy(() => import('./pages/StudentDashboard'));
 const ProjectDetails = lazy(() => import('./pages/ProjectDetails'));
 const EditProject = lazy(() => import('./pages/EditProject'));
+const Settings = lazy(() => import('./pages/Settings'));
 
 // Dashboard Router to determine which dashboard to show
 const DashboardRouter = () => {
   const { user } = useAuth();
-  if (user?.role === 'Manager' || user?.role === 'Admin') {
+  if (hasRole(user, MANAGER_ROLES)) {
     return <AdminDashboard />;
   }
   return <StudentDashboard />;
@@ -48,7 +55,14 @@ function App() {
               <Route path="/login" element={<Login />} />
               <Route path="/signup" element={<SignUp />} />
               <Route path="/verify-2fa" element={<Verify2FA />} />
+              <Route path="/forgot-password" element={<ForgotPassword />} />
+              <Route path="/reset-password/:token" element={<ResetPassword />} />
+              <Route path="/auth/callback" element={<SsoCallback />} />
               <Route path="/invitations/:projectId/:action" element={<InvitationResponse />} />
+              {/* Stand-in identity provider for trying single sign-on against the mock backend */}
+              {import.meta.env.VITE_USE_MOCK_API === 'true' && (
+                <Route path="/mock-idp/authorize" element={<MockIdentityProvider />} />
+              )}
 
               {/* Protected Routes Wrapped in Layout */}
               <Route
@@ -57,10 +71,32 @@ function App() {
                   <ProtectedRoute>
                     <Layout>
                       <Routes>
-                        <Route path="/dashboard" element={<DashboardRouter />} />
-                        <Route path="/projects/:id" element={<ProjectDetails />} />
-                        <Route path="/projects/:id/edit" element={<EditProject />} />
-                        <Route path="/manager" element={<ManagerDashboard />} />
+                        <Route path={routeAccess.dashboard.path} element={<DashboardRouter />} />
+                        <Route
+                          path={`${routeAccess.project.path}/*`}
+                          element={
+                            <ProtectedRoute permission={routeAccess.project.permission}>
+                              <ProjectDetails />
+                            </ProtectedRoute>
+                          }
+                        />
+                        <Route
+                          path={`${routeAccess.project.path}/edit`}
+                          element={
+                            <ProtectedRoute permission={routeAccess.project.permission}>
+                              <EditProject />
+                            </ProtectedRoute>
+                          }
+                        />
+                        <Route
+                          path="/manager"
+                          element={
+                            <ProtectedRoute roles={routeAccess.manager.roles} permission={routeAccess.manager.permission}>
+                              <ManagerDashboard />
+                            </ProtectedRoute>
+                          }
+                        />
+                        <Route path={routeAccess.settings.path} element={<Settings />} />
                         {/* Catch all for protected routes */}
                         <Route path="*" element={<Navigate to="/dashboard" replace />} />
                       </Routes>
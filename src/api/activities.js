@@ -0,0 +1,16 @@
+import { apiClient } from './client';
+import { models, toPage } from './models';
+
+export const activitiesApi = {
+    // The backend serves the activity feed from /activities/activities
+    getActivities: (options) => {
+        return apiClient.get('/activities/activities', options)
+            .then(toPage(models.activity, 'GET /activities/activities'));
+    },
+
+    // A task's history: its creation, moves, edits and comments
+    getTaskActivities: (taskId, options) => {
+        return apiClient.get(`/activities/activities?task_id=${taskId}`, options)
+            .then(toPage(models.activity, 'GET /activities/activities'));
+    },
+};
@@ -1,47 +1,27 @@
 import { apiClient } from './client';
+import { models, toPage } from './models';
 
 export const attachmentApi = {
     // Project Attachments
-    getProjectAttachments: (projectId) => {
-        return apiClient.get(`/projects/${projectId}/attachments`);
+    getProjectAttachments: (projectId, options) => {
+        return apiClient.get(`/projects/${projectId}/attachments`, options)
+            .then(toPage(models.attachment, 'GET /projects/:id/attachments'));
     },
-    addProjectAttachment: (projectId, file) => {
-        const formData = new FormData();
-        formData.append('file', file);
-
-        // Use standard fetch here because apiClient stringifies the body to JSON by default
-        return fetch(`${apiClient.baseURL}/projects/${projectId}/attachments`, {
-            method: 'POST',
-            headers: apiClient.getAuthHeaders(), // Does not include Content-Type, browser will set multipart/form-data
-            credentials: 'include',
-            body: formData,
-        }).then(res => {
-            if (!res.ok) throw new Error('File upload failed');
-            return res.json();
-        });
+    addProjectAttachment: (projectId, file, options) => {
+        return apiClient.upload(`/projects/${projectId}/attachments`, file, options);
     },
 
     // Task Attachments
-    getTaskAttachments: (taskId) => {
-        return apiClient.get(`/tasks/${taskId}/attachments`);
+    getTaskAttachments: (taskId, options) => {
+        return apiClient.get(`/tasks/${taskId}/attachments`, options)
+            .then(toPage(models.attachment, 'GET /tasks/:id/attachments'));
     },
-    addTaskAttachment: (taskId, file) => {
-        const formData = new FormData();
-        formData.append('file', file);
-
-        return fetch(`${apiClient.baseURL}/tasks/${taskId}/attachments`, {
-            method: 'POST',
-            headers: apiClient.getAuthHeaders(),
-            credentials: 'include',
-            body: formData,
-        }).then(res => {
-            if (!res.ok) throw new Error('File upload failed');
-            return res.json();
-        });
+    addTaskAttachment: (taskId, file, options) => {
+        return apiClient.upload(`/tasks/${taskId}/attachments`, file, options);
     },
 
     // Delete Attachment
-    deleteAttachment: (attachmentId) => {
-        return apiClient.delete(`/attachments/${attachmentId}`);
+    deleteAttachment: (attachmentId, options) => {
+        return apiClient.delete(`/attachments/${attachmentId}`, options);
     }
 };
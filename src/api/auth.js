@@ -1,9 +1,48 @@
 import { apiClient } from './client';
+import { models, toPage } from './models';
 
 export const authAPI = {
-    register: (userData) => apiClient.post('/auth/register', userData),
-    login: (credentials) => apiClient.post('/auth/login', credentials),
-    verify2FA: (userId, code) => apiClient.post('/auth/verify-2fa', { user_id: userId, code }),
-    enable2FA: (userId) => apiClient.post('/auth/enable-2fa', { user_id: userId }),
-    disable2FA: (userId) => apiClient.post('/auth/disable-2fa', { user_id: userId }),
-};
\ No newline at end of file
+    register: (userData, options) => apiClient.post('/auth/register', userData, options),
+    login: (credentials, options) => apiClient.post('/auth/login', credentials, options),
+    // `code` is the emailed or authenticator-app code, or one of the user's backup codes
+    verify2FA: (userId, code, options) => apiClient.post('/auth/verify-2fa', { user_id: userId, code }, options),
+    // Emails a fresh code for a sign-in that is waiting on 2FA (email method only)
+    resend2FA: (userId, options) => apiClient.post('/auth/resend-2fa', { user_id: userId }, options),
+    enable2FA: (userId, options) => apiClient.post('/auth/enable-2fa', { user_id: userId }, options),
+    disable2FA: (userId, options) => apiClient.post('/auth/disable-2fa', { user_id: userId }, options),
+    // Emails a single-use reset link; the response is the same whether or not the account exists
+    requestPasswordReset: (email, options) => apiClient.post('/auth/forgot-password', { email }, options),
+    // Resolves to `{ email, expires_at }` for a usable link; expired links reject with code TOKEN_EXPIRED
+    checkResetToken: (token, options) => apiClient.get(`/auth/reset-password/${encodeURIComponent(token)}`, options),
+    resetPassword: (token, password, { signOutOtherSessions = true, ...options } = {}) =>
+        apiClient.post(
+            `/auth/reset-password/${encodeURIComponent(token)}`,
+            { password, sign_out_other_sessions: signOutOtherSessions },
+            options
+        ),
+    // Devices the user is signed in on; the one making the request has `current: true`
+    getSessions: (options) => apiClient.get('/auth/sessions', options).then(toPage(models.session, 'GET /auth/sessions')),
+    revokeSession: (sessionId, options) => apiClient.delete(`/auth/sessions/${sessionId}`, options),
+    // Ends every session, this one included
+    logoutEverywhere: (options) => apiClient.post('/auth/logout-all', {}, options),
+    changePassword: (currentPassword, newPassword, options) =>
+        apiClient.post('/auth/change-password', { current_password: currentPassword, new_password: newPassword }, options),
+    // Authenticator-app enrollment: setup returns `{ secret, otpauth_url }`; confirming a first code
+    // from the app turns 2FA on and returns the one-time `backup_codes`
+    setupTotp: (options) => apiClient.post('/auth/2fa/totp/setup', {}, options),
+    confirmTotp: (code, options) => apiClient.post('/auth/2fa/totp/confirm', { code }, options),
+    // Single sign-on: `{ enabled, provider_name, authorization_endpoint, client_id, scope }`
+    getSsoConfig: (options) => apiClient.get('/auth/oidc/config', options),
+    // The backend redeems the provider's code with the PKCE verifier and starts a session. A new identity whose
+    // email already has an account rejects with code ACCOUNT_LINK_REQUIRED and a `link_token` for linkSsoAccount
+    completeSsoLogin: ({ code, codeVerifier, redirectUri, nonce }, options) =>
+        apiClient.post('/auth/oidc/callback', { code, code_verifier: codeVerifier, redirect_uri: redirectUri, nonce }, options),
+    // Proves the existing account is theirs; from then on the provider signs them straight in
+    linkSsoAccount: (linkToken, password, options) =>
+        apiClient.post('/auth/oidc/link', { link_token: linkToken, password }, options),
+    // Managers only: read-only "view as" another user. Resolves to `{ user, impersonator }`; the backend
+    // answers as `user` from then on and records the start and end in the activity log
+    startImpersonation: (userId, options) => apiClient.post('/auth/impersonate', { user_id: userId }, options),
+    // Resolves to `{ user }`, the manager again
+    stopImpersonation: (options) => apiClient.post('/auth/impersonate/stop', {}, options),
+};
@@ -1,18 +1,22 @@
 import { apiClient } from './client';
+import { models, toPage, toEntity } from './models';
 
 export const classesAPI = {
-    getAll: (params = {}) => {
+    getAll: (params = {}, options) => {
         const queryString = new URLSearchParams(params).toString();
-        return apiClient.get(`/classes/${queryString ? `?${queryString}` : ''}`);
+        return apiClient.get(`/classes/${queryString ? `?${queryString}` : ''}`, options)
+            .then(toPage(models.class, 'GET /classes'));
     },
 
-    getById: (id) => apiClient.get(`/classes/${id}`),
+    getById: (id, options) =>
+        apiClient.get(`/classes/${id}`, options).then(toEntity(models.class, 'GET /classes/:id', 'class')),
 
-    create: (classData) => apiClient.post('/classes/', classData),
+    create: (classData, options) => apiClient.post('/classes/', classData, options),
 
-    update: (id, classData) => apiClient.put(`/classes/${id}`, classData),
+    update: (id, classData, options) => apiClient.put(`/classes/${id}`, classData, options),
 
-    delete: (id) => apiClient.delete(`/classes/${id}`),
+    delete: (id, options) => apiClient.delete(`/classes/${id}`, options),
 
-    getStudents: (id) => apiClient.get(`/classes/${id}/students`),
+    getStudents: (id, options) =>
+        apiClient.get(`/classes/${id}/students`, options).then(toPage(models.user, 'GET /classes/:id/students')),
 };
\ No newline at end of file
@@ -1,3 +1,6 @@
+import { ApiError, isApiError } from './errors';
+import { buildLoginPath } from '../utils/returnPath';
+
 // Environment configuration with fallbacks
 const API_BASE_URL = import.meta.env.VITE_API_URL ||
                     (import.meta.env.DEV ? 'http://localhost:5000' : '');
@@ -7,9 +10,136 @@ if (!API_BASE_URL && import.meta.env.PROD) {
     console.error('VITE_API_URL is required in production environment');
 }
 
+// Per-attempt timeout applied when the caller does not pass one
+const DEFAULT_TIMEOUT = 30000;
+
+// Attachments can be up to 10MB, so uploads get a much longer default
+const UPLOAD_TIMEOUT = 300000;
+
+// A 401 from these means bad credentials, not an expired session, so no refresh is attempted
+const AUTH_ENDPOINTS = [
+    '/auth/login',
+    '/auth/register',
+    '/auth/verify-2fa',
+    '/auth/resend-2fa',
+    '/auth/forgot-password',
+    // A wrong current password must not sign the user out of the Settings page
+    '/auth/change-password',
+    '/auth/refresh',
+    '/auth/oidc/callback',
+    '/auth/oidc/link',
+];
+
+// The only writes allowed while a manager is viewing the app as someone else
+const VIEW_AS_ENDPOINTS = [
+    '/auth/logout',
+    '/auth/refresh',
+    '/auth/impersonate/stop',
+];
+
+const createAbortError = () => new DOMException('The request was aborted.', 'AbortError');
+
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+// Waits for the backoff delay, bailing out early if the caller aborts
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+        reject(createAbortError());
+        return;
+    }
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(createAbortError());
+    };
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Makes an update conditional on the resource's `version` (sent as an If-Match ETag), so a
+// stale write fails with 412 instead of overwriting someone else's change
+export const withVersion = (version, options = {}) => (
+    version == null
+        ? options
+        : { ...options, headers: { ...options.headers, 'If-Match': `"${version}"` } }
+);
+
 class APIClient {
     constructor(baseURL) {
         this.baseURL = baseURL;
+        this.refreshPromise = null;
+        this.sessionExpiredHandler = null;
+        this.mockServer = null;
+        this.readOnly = false;
+    }
+
+    // Set by AuthProvider during "view as": writes are refused here, before they reach the backend
+    setReadOnly(readOnly) {
+        this.readOnly = readOnly;
+    }
+
+    // Throws for a write made during "view as", unless it only manages the session itself
+    assertWritable(method, endpoint) {
+        if (this.readOnly && method !== 'GET' && !VIEW_AS_ENDPOINTS.includes(endpoint)) {
+            throw new ApiError('Changes are disabled while viewing as another user.', {
+                status: 403,
+                code: 'VIEW_AS_READ_ONLY',
+            });
+        }
+    }
+
+    // Routes every request to the in-browser mock backend instead of the network (see src/api/mock)
+    useMockServer(server) {
+        this.mockServer = server;
+    }
+
+    // AuthProvider registers a router-aware handler; without one we fall back to a full page load
+    setSessionExpiredHandler(handler) {
+        this.sessionExpiredHandler = handler;
+    }
+
+    // Asks the backend to rotate the session cookie. Concurrent 401s share one in-flight refresh
+    // and all replay once it settles; if it fails, the session-expired handler runs once for all of them.
+    refreshSession() {
+        if (!this.refreshPromise) {
+            const refresh = this.mockServer
+                ? this.mockServer.handle('POST', '/auth/refresh')
+                : fetch(`${this.baseURL}/auth/refresh`, {
+                    method: 'POST',
+                    headers: this.getAuthHeaders(),
+                    credentials: 'include',
+                });
+
+            this.refreshPromise = refresh
+                .then((response) => response.ok)
+                .catch(() => false)
+                .then((refreshed) => {
+                    if (!refreshed) this.handleSessionExpired();
+                    return refreshed;
+                })
+                .finally(() => {
+                    this.refreshPromise = null;
+                });
+        }
+
+        return this.refreshPromise;
+    }
+
+    handleSessionExpired() {
+        // Backend should clear the httpOnly cookie
+        localStorage.removeItem('user');
+
+        if (this.sessionExpiredHandler) {
+            this.sessionExpiredHandler();
+            return;
+        }
+
+        const { pathname, search } = window.location;
+        if (!pathname.startsWith('/login')) {
+            window.location.href = buildLoginPath(pathname + search);
+        }
     }
 
     getAuthHeaders() {
@@ -22,124 +152,206 @@ class APIClient {
         return headers;
     }
 
+    // Runs a single fetch attempt, aborting it when the caller's signal fires or the timeout elapses
+    async fetchWithTimeout(url, config, { signal, timeout = DEFAULT_TIMEOUT } = {}) {
+        const controller = new AbortController();
+        const onAbort = () => controller.abort();
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        let timedOut = false;
+        const timer = timeout > 0
+            ? setTimeout(() => {
+                timedOut = true;
+                controller.abort();
+            }, timeout)
+            : null;
+
+        try {
+            return await fetch(url, { ...config, signal: controller.signal });
+        } catch (error) {
+            if (timedOut) {
+                throw ApiError.timeout(timeout);
+            }
+            if (signal?.aborted) {
+                throw createAbortError();
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+        }
+    }
+
+    // Sends a multipart body through XHR, which (unlike fetch) reports upload progress.
+    // Resolves with a minimal Response-like object so request() can treat both transports alike.
+    sendMultipart(url, config, { signal, timeout = UPLOAD_TIMEOUT, onUploadProgress } = {}) {
+        return new Promise((resolve, reject) => {
+            const xhr = new XMLHttpRequest();
+            const onAbort = () => xhr.abort();
+
+            xhr.open(config.method || 'POST', url);
+            xhr.withCredentials = true;
+            xhr.timeout = timeout;
+
+            xhr.upload.onprogress = (event) => {
+                if (event.lengthComputable) {
+                    onUploadProgress?.({ loaded: event.loaded, total: event.total });
+                }
+            };
+
+            xhr.onload = () => resolve({
+                status: xhr.status,
+                statusText: xhr.statusText,
+                ok: xhr.status >= 200 && xhr.status < 300,
+                headers: { get: (name) => xhr.getResponseHeader(name) },
+                json: async () => JSON.parse(xhr.responseText),
+            });
+            xhr.onerror = () => reject(ApiError.network());
+            xhr.ontimeout = () => reject(ApiError.timeout(timeout));
+            xhr.onabort = () => reject(createAbortError());
+            xhr.onloadend = () => signal?.removeEventListener('abort', onAbort);
+
+            signal?.addEventListener('abort', onAbort, { once: true });
+            xhr.send(config.body);
+        });
+    }
+
     async request(endpoint, options = {}, retries = 3) {
+        const { signal, timeout, onUploadProgress, skipRefresh = false, ...fetchOptions } = options;
         const url = `${this.baseURL}${endpoint}`;
+        const isMultipart = fetchOptions.body instanceof FormData;
+
+        this.assertWritable(fetchOptions.method || 'GET', endpoint);
         const config = {
-            ...options,
-            headers: {
-                ...this.getAuthHeaders(),
-                ...options.headers,
-            },
+            ...fetchOptions,
+            // Multipart bodies must let the browser set Content-Type with its boundary
+            headers: isMultipart
+                ? { ...fetchOptions.headers }
+                : {
+                    ...this.getAuthHeaders(),
+                    ...fetchOptions.headers,
+                },
             credentials: 'include', // Send cookies with all requests
         };
 
         for (let attempt = 1; attempt <= retries; attempt++) {
+            if (signal?.aborted) {
+                throw createAbortError();
+            }
+
             try {
-                const response = await fetch(url, config);
-
-                // Handle 401 Unauthorized
-                if (response.status === 401) {
-                    // Clear user data and redirect to login
-                    // Backend should clear the httpOnly cookie
-                    localStorage.removeItem('user');
-                    window.location.href = '/login';
-                    throw new Error('Unauthorized');
+                let response;
+                if (this.mockServer) {
+                    response = await this.mockServer.handle(config.method || 'GET', endpoint, config.body, {
+                        headers: config.headers,
+                        signal,
+                        onUploadProgress,
+                    });
+                } else if (isMultipart) {
+                    response = await this.sendMultipart(url, config, { signal, timeout, onUploadProgress });
+                } else {
+                    response = await this.fetchWithTimeout(url, config, { signal, timeout });
                 }
 
-                // Handle 429 Too Many Requests (rate limiting)
-                if (response.status === 429) {
-                    const retryAfter = response.headers.get('Retry-After');
-                    const delay = retryAfter ? parseInt(retryAfter) * 1000 : Math.pow(2, attempt) * 1000;
-                    if (attempt < retries) {
-                        await new Promise(resolve => setTimeout(resolve, delay));
-                        continue;
+                // Expired session: refresh once, then replay the original request
+                if (response.status === 401 && !AUTH_ENDPOINTS.includes(endpoint)) {
+                    if (!skipRefresh && await this.refreshSession()) {
+                        return this.request(endpoint, { ...options, skipRefresh: true }, retries);
                     }
-                }
 
-                // Handle 5xx server errors with retry
-                if (response.status >= 500 && attempt < retries) {
-                    const delay = Math.pow(2, attempt) * 1000; // Exponential backoff
-                    await new Promise(resolve => setTimeout(resolve, delay));
-                    continue;
+                    // A failed refresh has already handled the expiry
+                    if (skipRefresh) this.handleSessionExpired();
+                    throw new ApiError('Your session has expired. Please sign in again.', {
+                        status: 401,
+                        code: 'SESSION_EXPIRED',
+                    });
                 }
 
-                let data;
+                let data = null;
                 try {
                     data = await response.json();
                 } catch {
-                    // Handle non-JSON responses (like network errors)
-                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                    // Non-JSON body (empty 204, HTML error page from a proxy, ...)
                 }
 
                 if (!response.ok) {
-                    // Handle specific error cases
-                    if (response.status === 401) {
-                        throw new Error(data.message || 'Authentication failed');
-                    }
-                    if (response.status === 429) {
-                        throw new Error('Too many requests. Please try again later.');
-                    }
-                    if (response.status >= 500) {
-                        throw new Error('Server error. Please try again later.');
-                    }
-                    throw new Error(data.message || `HTTP ${response.status}: ${response.statusText}`);
+                    throw ApiError.fromResponse(response, data);
                 }
 
                 return data;
             } catch (error) {
-                // Handle network errors (connection refused, timeout, etc.)
-                if (error.name === 'TypeError' && error.message.includes('fetch')) {
-                    const networkError = new Error('Unable to connect to the server. Please check your connection and try again.');
-                    networkError.code = 'NETWORK_ERROR';
-                    throw networkError;
+                // Cancelled by the caller - never retry or log
+                if (isAbortError(error)) {
+                    throw error;
                 }
 
-                // Don't retry on client errors (4xx) except 401 and 429
-                if (attempt === retries || (error.message.includes('HTTP 4') && !error.message.includes('401') && !error.message.includes('429'))) {
-                    console.error('API Error:', error);
-                    throw error;
+                let apiError = error;
+                if (!isApiError(error)) {
+                    // fetch rejects with a TypeError when the server cannot be reached
+                    apiError = error.name === 'TypeError' ? ApiError.network() : new ApiError(error.message);
                 }
 
-                // Retry on server errors (5xx) or network issues
-                if (attempt < retries) {
-                    const delay = Math.pow(2, attempt) * 1000;
-                    await new Promise(resolve => setTimeout(resolve, delay));
-                    continue;
+                // Connection failures are reported straight away so the UI can say the server is down
+                // (uploads excepted - a long body is the request most likely to hit a dropped connection);
+                // 429, 5xx and timeouts are retried with exponential backoff (or the server's Retry-After)
+                const giveUp = attempt === retries || !apiError.retryable ||
+                    (apiError.code === 'NETWORK_ERROR' && !isMultipart);
+                if (giveUp) {
+                    console.error('API Error:', apiError);
+                    throw apiError;
                 }
 
-                console.error('API Error:', error);
-                throw error;
+                const delay = apiError.retryAfter ?? Math.pow(2, attempt) * 1000;
+                await sleep(delay, signal);
             }
         }
     }
 
-    get(endpoint) {
-        return this.request(endpoint, { method: 'GET' });
+    // Every verb accepts `options` with an optional abort `signal` and per-attempt `timeout` (ms)
+    get(endpoint, options = {}) {
+        return this.request(endpoint, { ...options, method: 'GET' });
     }
 
-    post(endpoint, body) {
+    post(endpoint, body, options = {}) {
         return this.request(endpoint, {
+            ...options,
             method: 'POST',
             body: JSON.stringify(body),
         });
     }
 
-    put(endpoint, body) {
+    put(endpoint, body, options = {}) {
         return this.request(endpoint, {
+            ...options,
             method: 'PUT',
             body: JSON.stringify(body),
         });
     }
 
-    patch(endpoint, body) {
+    patch(endpoint, body, options = {}) {
         return this.request(endpoint, {
+            ...options,
             method: 'PATCH',
             body: JSON.stringify(body),
         });
     }
 
-    delete(endpoint) {
-        return this.request(endpoint, { method: 'DELETE' });
+    delete(endpoint, options = {}) {
+        return this.request(endpoint, { ...options, method: 'DELETE' });
+    }
+
+    // Posts `file` as multipart/form-data. Besides `signal` and `timeout`, options take
+    // `fieldName` (default 'file') and `onProgress({ loaded, total })` for progress bars.
+    upload(endpoint, file, { fieldName = 'file', onProgress, ...options } = {}) {
+        const formData = new FormData();
+        formData.append(fieldName, file);
+
+        return this.request(endpoint, {
+            ...options,
+            method: 'POST',
+            body: formData,
+            onUploadProgress: onProgress,
+        });
     }
 }
 
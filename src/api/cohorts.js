@@ -1,16 +1,18 @@
 import { apiClient } from './client';
+import { models, toPage } from './models';
 
 export const cohortsAPI = {
-    getAll: (params = {}) => {
+    getAll: (params = {}, options) => {
         const queryString = new URLSearchParams(params).toString();
-        return apiClient.get(`/cohorts/${queryString ? `?${queryString}` : ''}`);
+        return apiClient.get(`/cohorts/${queryString ? `?${queryString}` : ''}`, options)
+            .then(toPage(models.cohort, 'GET /cohorts'));
     },
 
-    create: (cohortData) => apiClient.post('/cohorts/', cohortData),
+    create: (cohortData, options) => apiClient.post('/cohorts/', cohortData, options),
 
-    update: (id, cohortData) => apiClient.put(`/cohorts/${id}`, cohortData),
+    update: (id, cohortData, options) => apiClient.put(`/cohorts/${id}`, cohortData, options),
 
-    delete: (id) => apiClient.delete(`/cohorts/${id}`),
+    delete: (id, options) => apiClient.delete(`/cohorts/${id}`, options),
 
-    join: (id) => apiClient.post(`/cohorts/${id}/join`),
+    join: (id, options) => apiClient.post(`/cohorts/${id}/join`, undefined, options),
 };
\ No newline at end of file
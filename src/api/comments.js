@@ -1,24 +1,37 @@
 import { apiClient } from './client';
+import { models, toPage } from './models';
+import { sendOrQueue } from './offlineQueue';
 
+// Comments posted offline are queued and resolve with `{ queued: true, mutation }`
 export const commentApi = {
     // Project Comments
-    getProjectComments: (projectId) => {
-        return apiClient.get(`/projects/${projectId}/comments`);
+    getProjectComments: (projectId, options) => {
+        return apiClient.get(`/projects/${projectId}/comments`, options)
+            .then(toPage(models.comment, 'GET /projects/:id/comments'));
     },
-    addProjectComment: (projectId, content) => {
-        return apiClient.post(`/projects/${projectId}/comments`, { content });
+    addProjectComment: (projectId, content, options) => {
+        const endpoint = `/projects/${projectId}/comments`;
+        return sendOrQueue(
+            { kind: 'comment', method: 'POST', endpoint, body: { content }, meta: { projectId } },
+            () => apiClient.post(endpoint, { content }, options)
+        );
     },
 
     // Task Comments
-    getTaskComments: (taskId) => {
-        return apiClient.get(`/tasks/${taskId}/comments`);
+    getTaskComments: (taskId, options) => {
+        return apiClient.get(`/tasks/${taskId}/comments`, options)
+            .then(toPage(models.comment, 'GET /tasks/:id/comments'));
     },
-    addTaskComment: (taskId, content) => {
-        return apiClient.post(`/tasks/${taskId}/comments`, { content });
+    addTaskComment: (taskId, content, options) => {
+        const endpoint = `/tasks/${taskId}/comments`;
+        return sendOrQueue(
+            { kind: 'comment', method: 'POST', endpoint, body: { content }, meta: { taskId } },
+            () => apiClient.post(endpoint, { content }, options)
+        );
     },
 
     // Delete Comment
-    deleteComment: (commentId) => {
-        return apiClient.delete(`/comments/${commentId}`);
+    deleteComment: (commentId, options) => {
+        return apiClient.delete(`/comments/${commentId}`, options);
     }
 };
@@ -1,19 +1,24 @@
 import { apiClient } from './client';
+import { models, toPage, toEntity } from './models';
 
 export const dashboardApi = {
-    getManagerSummary: () => {
-        return apiClient.get('/dashboard/manager-summary');
+    getManagerSummary: (options) => {
+        return apiClient.get('/dashboard/manager-summary', options)
+            .then(toEntity(models.dashboardSummary, 'GET /dashboard/manager-summary', 'summary'));
     },
 
-    getProjectsByStatus: () => {
-        return apiClient.get('/dashboard/projects-by-status');
+    getProjectsByStatus: (options) => {
+        return apiClient.get('/dashboard/projects-by-status', options)
+            .then(toPage(models.chartPoint, 'GET /dashboard/projects-by-status'));
     },
 
-    getProjectsByTeam: () => {
-        return apiClient.get('/dashboard/projects-by-team');
+    getProjectsByTeam: (options) => {
+        return apiClient.get('/dashboard/projects-by-team', options)
+            .then(toPage(models.chartPoint, 'GET /dashboard/projects-by-team'));
     },
 
-    getTaskProductivity: () => {
-        return apiClient.get('/dashboard/task-productivity');
+    getTaskProductivity: (options) => {
+        return apiClient.get('/dashboard/task-productivity', options)
+            .then(toPage(models.chartPoint, 'GET /dashboard/task-productivity'));
     }
 };
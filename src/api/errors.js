@@ -0,0 +1,82 @@
+// Statuses worth retrying: request timeout, rate limiting and server-side failures
+const isRetryableStatus = (status) => status === 408 || status === 429 || status >= 500;
+
+// The backend reports validation problems as `errors: { field: 'msg' | ['msg', ...] }`
+// (marshmallow style) or `fields: { ... }`; flatten both into `{ field: 'first message' }`
+const normalizeFieldErrors = (data) => {
+    const source = data?.errors || data?.fields;
+    if (!source || typeof source !== 'object' || Array.isArray(source)) return {};
+
+    return Object.fromEntries(
+        Object.entries(source).map(([field, messages]) => [
+            field,
+            Array.isArray(messages) ? String(messages[0]) : String(messages),
+        ])
+    );
+};
+
+const defaultMessage = (status, statusText, data) => {
+    if (status === 429) return 'Too many requests. Please try again later.';
+    if (status >= 500) return 'Server error. Please try again later.';
+    if (status === 401) return data?.message || 'Authentication failed';
+    return data?.message || data?.error || `HTTP ${status}: ${statusText}`;
+};
+
+/**
+ * Error thrown by APIClient for every failed request.
+ *
+ * `status` is the HTTP status (0 when the server was never reached), `code` the backend's
+ * error code or one of NETWORK_ERROR / TIMEOUT, `fieldErrors` maps form field names to the
+ * server's validation message, and `retryable` says whether repeating the request may help.
+ */
+export class ApiError extends Error {
+    constructor(message, { status = 0, code = null, fieldErrors = {}, retryable = false, retryAfter = null, data = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.fieldErrors = fieldErrors;
+        this.retryable = retryable;
+        this.retryAfter = retryAfter;
+        this.data = data;
+    }
+
+    static fromResponse(response, data) {
+        const retryAfterHeader = response.headers?.get('Retry-After');
+
+        return new ApiError(defaultMessage(response.status, response.statusText, data), {
+            status: response.status,
+            code: data?.code || data?.error_code || null,
+            fieldErrors: normalizeFieldErrors(data),
+            retryable: isRetryableStatus(response.status),
+            retryAfter: retryAfterHeader ? parseInt(retryAfterHeader) * 1000 : null,
+            data,
+        });
+    }
+
+    static network() {
+        return new ApiError('Unable to connect to the server. Please check your connection and try again.', {
+            code: 'NETWORK_ERROR',
+            retryable: true,
+        });
+    }
+
+    static timeout(ms) {
+        return new ApiError(`Request timed out after ${ms}ms`, {
+            code: 'TIMEOUT',
+            retryable: true,
+        });
+    }
+
+    hasFieldErrors() {
+        return Object.keys(this.fieldErrors).length > 0;
+    }
+
+    // A conditional update lost the race: someone saved a newer version first.
+    // The server sends its current copy as `data.current` so the caller can merge.
+    isConflict() {
+        return this.status === 412 || this.code === 'VERSION_CONFLICT';
+    }
+}
+
+export const isApiError = (error) => error instanceof ApiError;
@@ -1,15 +1,24 @@
 import { apiClient } from './client';
+import { models, toPage } from './models';
+import { queryCache, queryKeys } from './queryCache';
+
+// Membership changes show up in every cached project list and detail
+const invalidateProjects = (data) => {
+    queryCache.invalidate(queryKeys.projects.all);
+    return data;
+};
 
 export const membersAPI = {
-    invite: (projectId, email, role = 'collaborator') =>
-        apiClient.post(`/members/projects/${projectId}/invite`, { email, role }),
+    invite: (projectId, email, role = 'collaborator', options) =>
+        apiClient.post(`/members/projects/${projectId}/invite`, { email, role }, options).then(invalidateProjects),
 
-    remove: (projectId, userId) =>
-        apiClient.post(`/members/projects/${projectId}/remove`, { user_id: userId }),
+    remove: (projectId, userId, options) =>
+        apiClient.post(`/members/projects/${projectId}/remove`, { user_id: userId }, options).then(invalidateProjects),
 
-    respond: (projectId, action) =>
-        apiClient.post(`/members/projects/${projectId}/respond`, { action }),
+    respond: (projectId, action, options) =>
+        apiClient.post(`/members/projects/${projectId}/respond`, { action }, options).then(invalidateProjects),
 
-    getPending: () =>
-        apiClient.get('/members/invitations/pending'),
+    getPending: (options) =>
+        apiClient.get('/members/invitations/pending', options)
+            .then(toPage(models.invitation, 'GET /members/invitations/pending')),
 };
\ No newline at end of file
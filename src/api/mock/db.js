@@ -0,0 +1,134 @@
+import { createSeedData } from './seed';
+
+export const STORAGE_KEY = 'mock_api_db';
+
+// "Chrome on macOS"-style label for the sessions list, from this browser's user agent
+const describeDevice = () => {
+    const agent = typeof navigator === 'undefined' ? '' : navigator.userAgent;
+    const browser = [['Edg/', 'Edge'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']]
+        .find(([token]) => agent.includes(token))?.[1] || 'Browser';
+    const os = [['Windows', 'Windows'], ['Mac OS X', 'macOS'], ['Android', 'Android'], ['iPhone', 'iOS'], ['Linux', 'Linux']]
+        .find(([token]) => agent.includes(token))?.[1];
+    return os ? `${browser} on ${os}` : browser;
+};
+
+/**
+ * Table store behind the mock backend. Rows are plain objects with numeric ids, and every
+ * write is persisted to `storage` so data survives reloads (pass `null` to keep it in memory).
+ */
+export class MockDatabase {
+    constructor(storage) {
+        this.storage = storage;
+        this.data = this.load();
+    }
+
+    load() {
+        const stored = this.storage?.getItem(STORAGE_KEY);
+
+        if (stored) {
+            try {
+                // Data saved before a table existed gets that table from the seed
+                return { ...createSeedData(), ...JSON.parse(stored) };
+            } catch (error) {
+                console.error('[Mock API] Discarding unreadable stored data:', error);
+            }
+        }
+
+        return createSeedData();
+    }
+
+    // Another tab wrote to storage; pick up its changes
+    reload() {
+        this.data = this.load();
+    }
+
+    save() {
+        this.storage?.setItem(STORAGE_KEY, JSON.stringify(this.data));
+    }
+
+    // Back to the seeded demo data
+    reset() {
+        this.data = createSeedData();
+        this.save();
+    }
+
+    all(table) {
+        return this.data[table];
+    }
+
+    find(table, id) {
+        return this.data[table].find((row) => row.id === Number(id)) || null;
+    }
+
+    where(table, predicate) {
+        return this.data[table].filter(predicate);
+    }
+
+    insert(table, values) {
+        const rows = this.data[table];
+        const row = { ...values, id: rows.reduce((max, r) => Math.max(max, r.id), 0) + 1 };
+        rows.push(row);
+        this.save();
+        return row;
+    }
+
+    update(table, id, changes) {
+        const row = this.find(table, id);
+        if (!row) return null;
+        Object.assign(row, changes);
+        this.save();
+        return row;
+    }
+
+    remove(table, predicate) {
+        this.data[table] = this.data[table].filter((row) => !predicate(row));
+        this.save();
+    }
+
+    // Signed-in user id, or null once this browser's session row has been revoked
+    getSession() {
+        const session = this.find('sessions', this.data.session_id);
+        return session ? session.user_id : null;
+    }
+
+    // Starts a session row for `userId` on this browser (null ends the current one)
+    setSession(userId) {
+        if (this.data.session_id) this.revokeSessions((s) => s.id === this.data.session_id);
+
+        if (userId) {
+            const stamp = new Date().toISOString();
+            const session = this.insert('sessions', {
+                user_id: userId,
+                device: describeDevice(),
+                ip_address: '127.0.0.1',
+                created_at: stamp,
+                last_active_at: stamp,
+            });
+            this.data.session_id = session.id;
+        } else {
+            this.data.session_id = null;
+        }
+        this.save();
+    }
+
+    // User a manager is viewing the app as on this browser's session (see /auth/impersonate), or null
+    getViewingAs() {
+        return this.find('sessions', this.data.session_id)?.viewing_as ?? null;
+    }
+
+    setViewingAs(userId) {
+        this.update('sessions', this.data.session_id, { viewing_as: userId });
+    }
+
+    // Marks the current session as used just now
+    touchSession() {
+        const session = this.find('sessions', this.data.session_id);
+        if (session) session.last_active_at = new Date().toISOString();
+    }
+
+    revokeSessions(predicate) {
+        const revoked = this.where('sessions', predicate).length;
+        this.remove('sessions', predicate);
+        return revoked;
+    }
+}
@@ -0,0 +1,162 @@
+import { MockDatabase, STORAGE_KEY } from './db';
+import { MockHttpError, routes } from './routes';
+
+export { MOCK_2FA_CODE } from './routes';
+
+const STATUS_TEXT = {
+    200: 'OK',
+    201: 'Created',
+    400: 'Bad Request',
+    401: 'Unauthorized',
+    403: 'Forbidden',
+    404: 'Not Found',
+    409: 'Conflict',
+    410: 'Gone',
+    412: 'Precondition Failed',
+    422: 'Unprocessable Entity',
+    500: 'Internal Server Error',
+};
+
+// Same minimal Response shape APIClient gets from fetch and from its XHR upload transport
+const jsonResponse = (status, data) => ({
+    status,
+    statusText: STATUS_TEXT[status] || '',
+    ok: status >= 200 && status < 300,
+    headers: { get: () => null },
+    json: async () => data,
+});
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(new DOMException('The operation was aborted.', 'AbortError'));
+    };
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+
+    if (signal?.aborted) return onAbort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+const parseBody = (body) => {
+    if (typeof body !== 'string') return body ?? {};
+    try {
+        return JSON.parse(body);
+    } catch {
+        return {};
+    }
+};
+
+/**
+ * In-browser stand-in for the Flask backend, enabled with `VITE_USE_MOCK_API=true`.
+ *
+ * `handle()` answers the same paths as the real API from seeded data that persists in
+ * `storage` (localStorage by default; pass `null` for a throwaway in-memory copy in tests).
+ * `delay` (ms) simulates network latency so loading states stay visible.
+ *
+ * `subscribeEvents()` stands in for the realtime event stream. With persistent storage, events
+ * and data changes are shared between tabs, so two tabs behave like two people on one board.
+ */
+export const createMockServer = ({ storage = window.localStorage, delay = 250 } = {}) => {
+    const db = new MockDatabase(storage);
+    const eventListeners = new Set();
+    const tabChannel = storage && typeof BroadcastChannel !== 'undefined'
+        ? new BroadcastChannel('mock-api-events')
+        : null;
+
+    // Notifications only reach the user they are addressed to (or a manager viewing the app as them)
+    const deliver = (event) => {
+        if (event.userId && event.userId !== (db.getViewingAs() ?? db.getSession())) return;
+        eventListeners.forEach((listener) => listener(event));
+    };
+
+    const publish = (event) => {
+        // Delivered after the response, as a real server push would be
+        setTimeout(() => deliver(event), delay);
+        tabChannel?.postMessage(event);
+    };
+
+    if (tabChannel) {
+        tabChannel.onmessage = ({ data }) => {
+            db.reload();
+            deliver(data);
+        };
+        window.addEventListener('storage', (event) => {
+            if (event.key === STORAGE_KEY) db.reload();
+        });
+    }
+
+    const subscribeEvents = (listener) => {
+        eventListeners.add(listener);
+        return () => eventListeners.delete(listener);
+    };
+
+    const handle = async (method, endpoint, body, { headers, signal, onUploadProgress } = {}) => {
+        await wait(delay, signal);
+
+        const [rawPath, queryString = ''] = endpoint.split('?');
+        const path = rawPath.length > 1 ? rawPath.replace(/\/+$/, '') : rawPath;
+
+        let matchedPath = false;
+        for (const route of routes) {
+            const match = route.pattern.exec(path);
+            if (!match) continue;
+            matchedPath = true;
+            if (route.method !== method) continue;
+
+            const sessionUser = db.find('users', db.getSession());
+            if (!route.isPublic && !sessionUser) {
+                return jsonResponse(401, { message: 'Authentication required' });
+            }
+            if (sessionUser) db.touchSession();
+
+            // A manager viewing the app as someone else gets that person's answers but may not change anything
+            const viewedUser = sessionUser && db.find('users', db.getViewingAs());
+            const user = viewedUser || sessionUser;
+            if (viewedUser && method !== 'GET' && !route.allowWhileViewing) {
+                return jsonResponse(403, { message: 'Changes are disabled while viewing as another user', code: 'VIEW_AS_READ_ONLY' });
+            }
+
+            const params = Object.fromEntries(route.names.map((name, i) => [name, decodeURIComponent(match[i + 1])]));
+            const parsedBody = parseBody(body);
+
+            if (parsedBody instanceof FormData) {
+                const file = parsedBody.get('file');
+                onUploadProgress?.({ loaded: file?.size || 0, total: file?.size || 0 });
+            }
+
+            try {
+                const data = await route.handler({
+                    db,
+                    user,
+                    impersonator: viewedUser ? sessionUser : null,
+                    params,
+                    query: new URLSearchParams(queryString),
+                    headers,
+                    body: parsedBody,
+                    publish,
+                });
+                return jsonResponse(route.status, data);
+            } catch (error) {
+                if (error instanceof MockHttpError) {
+                    return jsonResponse(error.status, { message: error.message, errors: error.errors, ...error.data });
+                }
+                console.error(`[Mock API] ${method} ${path} failed:`, error);
+                return jsonResponse(500, { message: error.message });
+            }
+        }
+
+        return matchedPath
+            ? jsonResponse(405, { message: `Method ${method} not allowed` })
+            : jsonResponse(404, { message: `No mock handler for ${method} ${path}` });
+    };
+
+    return {
+        db,
+        handle,
+        subscribeEvents,
+        reset: () => db.reset(),
+    };
+};
@@ -0,0 +1,1318 @@
+// Endpoint handlers for the mock backend, mirroring the Flask API's paths and response shapes.
+// Each handler receives `{ db, user, impersonator, params, query, headers, body, publish }`; `user` is null only on
+// public routes, and `publish({ type, channel, payload })` pushes a realtime event (see src/api/realtime.js).
+// While a manager views the app as someone else, `user` is that person and `impersonator` the manager.
+// Handlers return the response body, or a promise of it when they need async browser APIs such as crypto.subtle.
+
+import { createCodeChallenge } from '../../utils/pkce';
+import { can, hasRole, MANAGER_ROLES } from '../../utils/permissions';
+import {
+    getWorkflow,
+    getWipPolicy,
+    initialStatus,
+    isColumnFull,
+    isDoneStatus,
+    validateWorkflow,
+    WIP_POLICIES,
+} from '../../utils/workflow';
+import { compareByRank, isValidRank, rankBetween } from '../../utils/rank';
+
+export class MockHttpError extends Error {
+    constructor(status, message, errors, data = {}) {
+        super(message);
+        this.status = status;
+        this.errors = errors;
+        this.data = data;
+    }
+}
+
+// 2FA "emails" go to the console in mock mode, and the code never changes. Authenticator-app codes
+// are not computed either: the same code stands in for whatever the app shows.
+export const MOCK_2FA_CODE = '123456';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const randomString = (alphabet, length) =>
+    Array.from({ length }, () => alphabet[Math.floor(Math.random() * alphabet.length)]).join('');
+
+// 160-bit secret, base32 encoded as authenticator apps expect
+const createTotpSecret = () => randomString(BASE32_ALPHABET, 32);
+
+const createBackupCodes = () =>
+    Array.from({ length: 8 }, () => `${randomString('abcdefghjkmnpqrstuvwxyz23456789', 4)}-${randomString('abcdefghjkmnpqrstuvwxyz23456789', 4)}`);
+
+const normalizeBackupCode = (code) => String(code).trim().toLowerCase().replace(/\s+/g, '');
+
+const otpauthUrl = (user, secret) => {
+    const issuer = 'Project Tracker';
+    const label = encodeURIComponent(`${issuer}:${user.email}`);
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=6&period=30`;
+};
+
+// Reset links stay valid for an hour, like the Flask backend's
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+
+const findResetLink = (db, token) => {
+    const reset = db.where('password_resets', (r) => r.token === token)[0];
+    if (!reset || reset.used) {
+        throw new MockHttpError(400, 'This reset link is invalid or has already been used', undefined, { code: 'TOKEN_INVALID' });
+    }
+    if (new Date(reset.expires_at).getTime() <= Date.now()) {
+        throw new MockHttpError(410, 'This reset link has expired', undefined, { code: 'TOKEN_EXPIRED' });
+    }
+    return reset;
+};
+
+// Single sign-on against the stand-in identity provider. Codes are short-lived like a real provider's;
+// a pending account link gets as long as a reset link.
+const SSO_CLIENT_ID = 'project-tracker';
+const SSO_CODE_TTL_MS = 60 * 1000;
+const SSO_LINK_TTL_MS = 15 * 60 * 1000;
+
+const invalidSsoCode = (message) => new MockHttpError(400, message, undefined, { code: 'SSO_INVALID_CODE' });
+
+const sendEmailCode = (user) => {
+    console.info(`[Mock API] 2FA code for ${user.email}: ${MOCK_2FA_CODE}`);
+};
+
+const now = () => new Date().toISOString();
+
+const notFound = (what) => new MockHttpError(404, `${what} not found`);
+const forbidden = () => new MockHttpError(403, 'You do not have permission to perform this action');
+
+const requireRow = (db, table, id, what) => {
+    const row = db.find(table, id);
+    if (!row) throw notFound(what);
+    return row;
+};
+
+// Tasks and projects carry a `version` that every write bumps (rows stored before versions existed count as 1)
+const versionOf = (row) => row.version ?? 1;
+
+// Conditional writes send the version they were based on as `If-Match: "<version>"`;
+// a stale one is refused with the current copy so the client can merge
+const assertVersion = (headers, row, what, current) => {
+    const ifMatch = headers?.['If-Match'];
+    if (ifMatch === undefined || ifMatch.replace(/"/g, '') === String(versionOf(row))) return;
+
+    throw new MockHttpError(412, `This ${what.toLowerCase()} was changed by someone else`, undefined, {
+        code: 'VERSION_CONFLICT',
+        current: current(),
+    });
+};
+
+const requireFields = (body, fields) => {
+    const errors = {};
+    fields.forEach((field) => {
+        if (body?.[field] === undefined || body[field] === null || String(body[field]).trim() === '') {
+            errors[field] = ['This field is required.'];
+        }
+    });
+    if (Object.keys(errors).length > 0) {
+        throw new MockHttpError(422, 'Validation failed', errors);
+    }
+};
+
+const isManager = (user) => hasRole(user, MANAGER_ROLES);
+
+// Passwords and 2FA secrets never leave the mock database
+const publicUser = (user) => {
+    const safeUser = { ...user };
+    delete safeUser.password;
+    delete safeUser.totp_secret;
+    delete safeUser.pending_totp_secret;
+    delete safeUser.backup_codes;
+    return safeUser;
+};
+
+const userSummary = (db, id) => {
+    const user = db.find('users', id);
+    return user ? { id: user.id, name: user.name, email: user.email } : null;
+};
+
+const userName = (db, id) => db.find('users', id)?.name || 'Unknown user';
+
+// `taskId` files the entry under a task too, for that task's history
+const logActivity = (db, user, action, { taskId = null } = {}) => {
+    db.insert('activities', { user_id: user.id, action, task_id: taskId, created_at: now() });
+};
+
+// Where a task opens in the app (its drawer on the project page)
+const taskLink = (task) => `/projects/${task.project_id}/tasks/${task.id}`;
+
+// Field values as the history compares them; the edit form sends due dates without a time
+const comparable = (key, value) => JSON.stringify((key === 'due_date' ? value?.slice(0, 10) : value) ?? null);
+
+// How task fields read in the history
+const TASK_FIELD_NAMES = {
+    title: 'title',
+    description: 'note',
+    priority: 'priority',
+    due_date: 'due date',
+    assignee_id: 'assignee',
+    sprint_id: 'sprint',
+    labels: 'labels',
+};
+
+// `type` is one of the switchable kinds in the user's notification preferences (src/utils/preferences.js)
+const notify = (db, publish, userId, message, link, type) => {
+    const preferences = db.find('users', userId)?.preferences?.notifications || {};
+    if (preferences[type] === false) return;
+    if (preferences.email) console.info(`[Mock API] Emailed notification to user ${userId}: ${message}`);
+
+    const notification = db.insert('notifications', { user_id: userId, message, link, is_read: false, created_at: now() });
+    publish({ type: 'notification.created', channel: 'notifications', userId, payload: { notification } });
+};
+
+// Task comments are published to the task's channel, project comments to the project's
+const commentChannel = (comment) =>
+    (comment.task_id ? `task:${comment.task_id}` : `project:${comment.project_id}`);
+
+// Projects
+
+const serializeProject = (db, project) => {
+    const cls = db.find('classes', project.class_id);
+    const cohort = db.find('cohorts', project.cohort_id);
+    const owner = userSummary(db, project.owner_id);
+
+    return {
+        ...project,
+        version: versionOf(project),
+        class: cls ? { id: cls.id, name: cls.name } : null,
+        cohort: cohort ? { id: cohort.id, name: cohort.name } : null,
+        owner,
+        owner_name: owner?.name || null,
+        members: db
+            .where('memberships', (m) => m.project_id === project.id)
+            .map((m) => ({ ...userSummary(db, m.user_id), role: m.role, status: m.status })),
+    };
+};
+
+// The same check the UI makes (src/utils/permissions.js), so hidden buttons and refused requests agree
+const assertCan = (db, user, action, project, options = {}) => {
+    const access = project && {
+        owner_id: project.owner_id,
+        members: db
+            .where('memberships', (m) => m.project_id === project.id)
+            .map((m) => ({ id: m.user_id, role: m.role, status: m.status })),
+    };
+    if (!can(user, action, { ...options, project: access })) throw forbidden();
+};
+
+const projectFields = (body) => {
+    const fields = {};
+    ['name', 'description', 'github_link', 'cover_image', 'status'].forEach((key) => {
+        if (body[key] !== undefined) fields[key] = body[key];
+    });
+    ['class_id', 'cohort_id'].forEach((key) => {
+        if (body[key] !== undefined) fields[key] = body[key] ? Number(body[key]) : null;
+    });
+    return fields;
+};
+
+// Tasks
+
+const serializeTask = (db, task) => ({
+    ...task,
+    version: versionOf(task),
+    assignee: task.assignee_id ? userSummary(db, task.assignee_id) : null,
+});
+
+const taskFields = (body) => {
+    const fields = {};
+    ['title', 'description', 'status', 'priority', 'due_date', 'rank'].forEach((key) => {
+        if (body[key] !== undefined) fields[key] = body[key];
+    });
+    ['assignee_id', 'sprint_id'].forEach((key) => {
+        if (body[key] !== undefined) fields[key] = body[key] ? Number(body[key]) : null;
+    });
+    if (body.labels !== undefined) {
+        if (!Array.isArray(body.labels)) {
+            throw new MockHttpError(422, 'Validation failed', { labels: ['Labels must be a list.'] });
+        }
+        fields.labels = [...new Set(body.labels.map((label) => String(label).trim()).filter(Boolean))];
+    }
+    return fields;
+};
+
+const taskProject = (db, task) => requireRow(db, 'projects', task.project_id, 'Project');
+
+// A task's status must name one of its project's columns
+const assertColumn = (project, status) => {
+    if (status !== undefined && !getWorkflow(project).some((column) => column.name === status)) {
+        throw new MockHttpError(422, 'Validation failed', { status: ['This board has no such column.'] });
+    }
+};
+
+const assertRank = (rank) => {
+    if (rank !== undefined && !isValidRank(rank)) {
+        throw new MockHttpError(422, 'Validation failed', { rank: ['Rank must be lowercase letters and digits, not ending in 0.'] });
+    }
+};
+
+// Just below the last card in a column
+const lastRank = (db, projectId, status) => {
+    const column = db.where('tasks', (t) => t.project_id === projectId && t.status === status).sort(compareByRank);
+    return rankBetween(column[column.length - 1]?.rank, null);
+};
+
+// On boards that block it, a full column takes no more tasks unless a manager overrides
+const assertRoomInColumn = (db, user, project, task, status, override) => {
+    if (status === undefined || status === task.status || getWipPolicy(project) !== WIP_POLICIES.BLOCK) return;
+    if (override && can(user, 'wip.override')) return;
+
+    const column = getWorkflow(project).find((c) => c.name === status);
+    const count = db.where('tasks', (t) => t.project_id === project.id && t.status === status).length;
+    if (isColumnFull(column, count)) {
+        throw new MockHttpError(422, 'Validation failed', {
+            status: [`"${status}" is at its WIP limit of ${column.wip_limit}.`],
+        }, { code: 'WIP_LIMIT_REACHED' });
+    }
+};
+
+// Comments, attachments and time logs belong to a project directly or through one of its tasks
+const parentProject = (db, row) => {
+    const projectId = row.project_id ?? db.find('tasks', row.task_id)?.project_id;
+    return projectId ? db.find('projects', projectId) : null;
+};
+
+// Applies `body`'s changes to a task, as PUT /tasks/:id and each task of a batch do
+const updateTask = (db, user, task, body, publish) => {
+    const project = taskProject(db, task);
+    const changes = taskFields(body);
+    // Dragging a card only changes its status and its place in the column
+    const onlyMoving = Object.keys(changes).every((key) => key === 'status' || key === 'rank');
+    assertCan(db, user, onlyMoving ? 'tasks.move' : 'tasks.edit', project);
+    assertColumn(project, changes.status);
+    assertRank(changes.rank);
+    assertRoomInColumn(db, user, project, task, changes.status, body.override_wip_limit);
+
+    if (changes.assignee_id && changes.assignee_id !== task.assignee_id && changes.assignee_id !== user.id) {
+        notify(db, publish, changes.assignee_id, `You were assigned to "${changes.title || task.title}"`, taskLink(task), 'assignments');
+    }
+    if (changes.status && changes.status !== task.status) {
+        logActivity(db, user, `moved "${task.title}" to ${changes.status}`, { taskId: task.id });
+    }
+    const edited = Object.keys(TASK_FIELD_NAMES).filter(
+        (key) => changes[key] !== undefined && comparable(key, changes[key]) !== comparable(key, task[key])
+    );
+    if (edited.length > 0) {
+        logActivity(db, user, `changed the ${edited.map((key) => TASK_FIELD_NAMES[key]).join(', ')} of "${task.title}"`, { taskId: task.id });
+    }
+
+    db.update('tasks', task.id, { ...changes, version: versionOf(task) + 1 });
+
+    const serialized = serializeTask(db, task);
+    publish({ type: 'task.updated', channel: `project:${project.id}`, payload: { task: serialized } });
+    return serialized;
+};
+
+const deleteTask = (db, user, task, publish) => {
+    assertCan(db, user, 'tasks.delete', taskProject(db, task));
+
+    deleteTaskData(db, [task.id]);
+    publish({ type: 'task.deleted', channel: `project:${task.project_id}`, payload: { task_id: task.id } });
+};
+
+const deleteTaskData = (db, taskIds) => {
+    const ids = new Set(taskIds);
+    db.remove('time_logs', (log) => ids.has(log.task_id));
+    db.remove('comments', (comment) => ids.has(comment.task_id));
+    db.remove('attachments', (attachment) => ids.has(attachment.task_id));
+    db.remove('tasks', (task) => ids.has(task.id));
+};
+
+// Comments & attachments
+
+const serializeComment = (db, comment) => ({ ...comment, author_name: userName(db, comment.author_id) });
+
+const serializeAttachment = (db, attachment) => ({ ...attachment, uploader_name: userName(db, attachment.uploader_id) });
+
+// Object URLs only live as long as the page, so reloaded attachments keep their metadata but not their content
+const fileUrl = (file) => (typeof URL.createObjectURL === 'function' ? URL.createObjectURL(file) : '#');
+
+const addAttachment = (db, user, target, body) => {
+    const file = body instanceof FormData ? body.get('file') : null;
+    if (!file || typeof file === 'string') {
+        throw new MockHttpError(422, 'No file uploaded', { file: ['This field is required.'] });
+    }
+
+    const attachment = db.insert('attachments', {
+        project_id: null,
+        task_id: null,
+        ...target,
+        uploader_id: user.id,
+        file_name: file.name,
+        file_size: file.size,
+        file_url: fileUrl(file),
+        created_at: now(),
+    });
+
+    return { message: 'File uploaded', attachment: serializeAttachment(db, attachment) };
+};
+
+// `allowWhileViewing` lets a write through during a read-only "view as" session (signing out, ending it)
+const route = (method, path, handler, { status = 200, isPublic = false, allowWhileViewing = false } = {}) => {
+    const names = [];
+    const pattern = new RegExp(
+        '^' + path.replace(/:(\w+)/g, (_, name) => {
+            names.push(name);
+            return '([^/]+)';
+        }) + '$'
+    );
+
+    return { method, pattern, names, handler, status, isPublic, allowWhileViewing };
+};
+
+export const routes = [
+    // Auth
+
+    route('POST', '/auth/register', ({ db, body }) => {
+        requireFields(body, ['name', 'email', 'password']);
+        const email = body.email.trim().toLowerCase();
+
+        if (db.where('users', (u) => u.email === email).length > 0) {
+            throw new MockHttpError(409, 'Email already registered', { email: ['An account with this email already exists.'] });
+        }
+
+        db.insert('users', {
+            name: body.name.trim(),
+            email,
+            password: body.password,
+            role: body.role === 'Manager' ? 'Manager' : 'Employee',
+            two_factor_enabled: false,
+        });
+
+        return { message: 'Registration successful. Please sign in.' };
+    }, { status: 201, isPublic: true }),
+
+    route('POST', '/auth/login', ({ db, body }) => {
+        const email = String(body?.email || '').trim().toLowerCase();
+        const user = db.where('users', (u) => u.email === email)[0];
+
+        if (!user || user.password !== body?.password) {
+            throw new MockHttpError(401, 'Invalid email or password');
+        }
+
+        if (user.two_factor_enabled) {
+            const method = user.two_factor_method || 'email';
+            if (method === 'email') sendEmailCode(user);
+            return {
+                two_factor_enabled: true,
+                two_factor_method: method,
+                user_id: user.id,
+                message: method === 'email' ? 'Verification code sent' : 'Enter the code from your authenticator app',
+            };
+        }
+
+        db.setSession(user.id);
+        return { message: 'Login successful', user: publicUser(user) };
+    }, { isPublic: true }),
+
+    // Takes the emailed or authenticator code, or one of the user's backup codes (each works once)
+    route('POST', '/auth/verify-2fa', ({ db, body }) => {
+        const user = requireRow(db, 'users', body?.user_id, 'User');
+        const code = normalizeBackupCode(body.code ?? '');
+        const backupCodes = user.backup_codes || [];
+
+        if (backupCodes.includes(code)) {
+            db.update('users', user.id, { backup_codes: backupCodes.filter((c) => c !== code) });
+        } else if (code !== MOCK_2FA_CODE) {
+            throw new MockHttpError(400, 'Invalid verification code');
+        }
+
+        db.setSession(user.id);
+        return {
+            message: 'Verification successful',
+            token: 'mock-token',
+            user: publicUser(user),
+            backup_codes_remaining: (user.backup_codes || []).length,
+        };
+    }, { isPublic: true }),
+
+    route('POST', '/auth/resend-2fa', ({ db, body }) => {
+        const user = requireRow(db, 'users', body?.user_id, 'User');
+
+        if (!user.two_factor_enabled) {
+            throw new MockHttpError(400, 'Two-factor authentication is not enabled for this account');
+        }
+        if ((user.two_factor_method || 'email') !== 'email') {
+            throw new MockHttpError(400, 'Codes from an authenticator app cannot be resent');
+        }
+
+        sendEmailCode(user);
+        return { message: 'Verification code sent' };
+    }, { isPublic: true }),
+
+    // Answers the same whether or not the email has an account, so it can't be used to probe for users
+    route('POST', '/auth/forgot-password', ({ db, body }) => {
+        requireFields(body, ['email']);
+        const email = String(body.email).trim().toLowerCase();
+        const user = db.where('users', (u) => u.email === email)[0];
+
+        if (user) {
+            const token = randomString('abcdefghijklmnopqrstuvwxyz0123456789', 32);
+            db.insert('password_resets', {
+                token,
+                user_id: user.id,
+                expires_at: new Date(Date.now() + PASSWORD_RESET_TTL_MS).toISOString(),
+                used: false,
+            });
+            console.info(`[Mock API] Password reset link for ${user.email}: /reset-password/${token}`);
+        }
+
+        return {
+            message: 'If an account exists for that email, a reset link is on its way.',
+            expires_in_minutes: PASSWORD_RESET_TTL_MS / 60000,
+        };
+    }, { isPublic: true }),
+
+    route('GET', '/auth/reset-password/:token', ({ db, params }) => {
+        const reset = findResetLink(db, params.token);
+        return { email: db.find('users', reset.user_id).email, expires_at: reset.expires_at };
+    }, { isPublic: true }),
+
+    route('POST', '/auth/reset-password/:token', ({ db, params, body }) => {
+        const reset = findResetLink(db, params.token);
+        requireFields(body, ['password']);
+
+        if (String(body.password).length < MIN_PASSWORD_LENGTH) {
+            throw new MockHttpError(422, 'Validation failed', { password: [`Use at least ${MIN_PASSWORD_LENGTH} characters.`] });
+        }
+
+        db.update('users', reset.user_id, { password: body.password });
+        db.update('password_resets', reset.id, { used: true });
+
+        const signedOut = body.sign_out_other_sessions
+            ? db.revokeSessions((session) => session.user_id === reset.user_id)
+            : 0;
+
+        return { message: 'Your password has been reset', signed_out_sessions: signedOut };
+    }, { isPublic: true }),
+
+    route('POST', '/auth/refresh', ({ db }) => {
+        if (!db.getSession()) throw new MockHttpError(401, 'Session expired');
+        return { message: 'Session refreshed' };
+    }, { isPublic: true, allowWhileViewing: true }),
+
+    route('POST', '/auth/logout', ({ db }) => {
+        db.setSession(null);
+        return { message: 'Logged out' };
+    }, { isPublic: true, allowWhileViewing: true }),
+
+    // Managers can see the app exactly as an employee does, read-only, to look into access problems
+    route('POST', '/auth/impersonate', ({ db, user, body }) => {
+        if (!isManager(user)) throw forbidden();
+        requireFields(body, ['user_id']);
+
+        const target = requireRow(db, 'users', body.user_id, 'User');
+        if (target.id === user.id || isManager(target)) {
+            throw new MockHttpError(400, 'Only employees can be viewed as');
+        }
+
+        db.setViewingAs(target.id);
+        logActivity(db, user, `started viewing as ${target.name}`);
+        return { message: `Viewing as ${target.name}`, user: publicUser(target), impersonator: publicUser(user) };
+    }),
+
+    route('POST', '/auth/impersonate/stop', ({ db, user, impersonator }) => {
+        if (!impersonator) throw new MockHttpError(400, 'Not viewing as anyone');
+
+        db.setViewingAs(null);
+        logActivity(db, impersonator, `stopped viewing as ${user.name}`);
+        return { message: 'Stopped viewing', user: publicUser(impersonator) };
+    }, { allowWhileViewing: true }),
+
+    route('GET', '/auth/sessions', ({ db, user }) => ({
+        sessions: db
+            .where('sessions', (session) => session.user_id === user.id)
+            .map((session) => ({ ...session, current: session.id === db.data.session_id }))
+            .sort((a, b) => Number(b.current) - Number(a.current) || b.last_active_at.localeCompare(a.last_active_at)),
+    })),
+
+    route('DELETE', '/auth/sessions/:id', ({ db, user, params }) => {
+        const session = requireRow(db, 'sessions', params.id, 'Session');
+        if (session.user_id !== user.id) throw notFound('Session');
+
+        db.revokeSessions((s) => s.id === session.id);
+        return { message: 'Signed out', signed_out_sessions: 1 };
+    }),
+
+    // Ends every session of the user, this browser's included
+    route('POST', '/auth/logout-all', ({ db, user }) => {
+        const signedOut = db.revokeSessions((session) => session.user_id === user.id);
+        db.setSession(null);
+        return { message: 'Signed out everywhere', signed_out_sessions: signedOut };
+    }),
+
+    route('POST', '/auth/change-password', ({ db, user, body }) => {
+        requireFields(body, ['current_password', 'new_password']);
+
+        if (body.current_password !== user.password) {
+            throw new MockHttpError(422, 'Validation failed', { current_password: ['Your current password is incorrect.'] });
+        }
+        if (String(body.new_password).length < MIN_PASSWORD_LENGTH) {
+            throw new MockHttpError(422, 'Validation failed', { new_password: [`Use at least ${MIN_PASSWORD_LENGTH} characters.`] });
+        }
+
+        db.update('users', user.id, { password: body.new_password });
+        return { message: 'Password changed' };
+    }),
+
+    // Single sign-on (OpenID Connect). The backend redeems the provider's code itself, checking the PKCE verifier
+    // against the challenge the provider saw, so a code intercepted on the way back is worthless.
+
+    route('GET', '/auth/oidc/config', () => ({
+        enabled: true,
+        provider_name: 'Company SSO',
+        authorization_endpoint: '/mock-idp/authorize',
+        client_id: SSO_CLIENT_ID,
+        scope: 'openid profile email',
+    }), { isPublic: true }),
+
+    route('POST', '/auth/oidc/callback', async ({ db, body }) => {
+        requireFields(body, ['code', 'code_verifier', 'redirect_uri']);
+        const issued = db.where('idp_codes', (c) => c.code === body.code)[0];
+
+        if (!issued || issued.used || new Date(issued.expires_at).getTime() <= Date.now()) {
+            throw invalidSsoCode('This sign-in has expired. Please try again.');
+        }
+        db.update('idp_codes', issued.id, { used: true });
+
+        if (issued.redirect_uri !== body.redirect_uri || issued.client_id !== SSO_CLIENT_ID) {
+            throw invalidSsoCode('This sign-in was meant for a different application.');
+        }
+        if (await createCodeChallenge(body.code_verifier) !== issued.code_challenge) {
+            throw invalidSsoCode('This sign-in could not be verified. Please try again.');
+        }
+        if (issued.nonce && issued.nonce !== body.nonce) {
+            throw invalidSsoCode('This sign-in could not be verified. Please try again.');
+        }
+
+        const identity = db.where('idp_accounts', (a) => a.sub === issued.sub)[0];
+        const linked = db.where('users', (u) => u.sso_subject === identity.sub)[0];
+
+        if (linked) {
+            db.setSession(linked.id);
+            return { message: 'Login successful', user: publicUser(linked) };
+        }
+
+        // Matching on email alone would let whoever controls that address at the provider take over the account
+        const existing = db.where('users', (u) => u.email === identity.email.toLowerCase())[0];
+        if (existing) {
+            const link = db.insert('sso_links', {
+                token: randomString('abcdefghijklmnopqrstuvwxyz0123456789', 32),
+                sub: identity.sub,
+                user_id: existing.id,
+                expires_at: new Date(Date.now() + SSO_LINK_TTL_MS).toISOString(),
+            });
+            throw new MockHttpError(409, 'An account with this email already exists', undefined, {
+                code: 'ACCOUNT_LINK_REQUIRED',
+                link_token: link.token,
+                email: existing.email,
+                provider_name: 'Company SSO',
+            });
+        }
+
+        // First sign-in for someone new: provision an employee account tied to the identity
+        const user = db.insert('users', {
+            name: identity.name,
+            email: identity.email.toLowerCase(),
+            password: null,
+            role: 'Employee',
+            two_factor_enabled: false,
+            sso_subject: identity.sub,
+        });
+        db.setSession(user.id);
+        return { message: 'Account created', user: publicUser(user), created: true };
+    }, { isPublic: true }),
+
+    route('POST', '/auth/oidc/link', ({ db, body }) => {
+        requireFields(body, ['link_token', 'password']);
+        const link = db.where('sso_links', (l) => l.token === body.link_token)[0];
+
+        if (!link) {
+            throw new MockHttpError(400, 'This link request is invalid or has already been used', undefined, { code: 'TOKEN_INVALID' });
+        }
+        if (new Date(link.expires_at).getTime() <= Date.now()) {
+            throw new MockHttpError(410, 'This link request has expired', undefined, { code: 'TOKEN_EXPIRED' });
+        }
+
+        const user = requireRow(db, 'users', link.user_id, 'User');
+        if (!user.password || user.password !== body.password) {
+            throw new MockHttpError(422, 'Validation failed', { password: ['That password is incorrect.'] });
+        }
+
+        db.remove('sso_links', (l) => l.user_id === user.id);
+        const linked = db.update('users', user.id, { sso_subject: link.sub });
+        db.setSession(user.id);
+        return { message: 'Account linked', user: publicUser(linked) };
+    }, { isPublic: true }),
+
+    // Stand-in identity provider, used by the /mock-idp/authorize page in mock mode. A real provider
+    // authenticates the person itself; this one lets you pick anyone from its directory.
+
+    route('GET', '/mock-idp/accounts', ({ db }) => ({ accounts: db.all('idp_accounts') }), { isPublic: true }),
+
+    route('POST', '/mock-idp/authorize', ({ db, body }) => {
+        requireFields(body, ['client_id', 'redirect_uri', 'code_challenge', 'sub']);
+
+        if (body.client_id !== SSO_CLIENT_ID) {
+            throw new MockHttpError(400, 'Unknown client', undefined, { code: 'unauthorized_client' });
+        }
+        if (body.code_challenge_method !== 'S256') {
+            throw new MockHttpError(400, 'PKCE with S256 is required', undefined, { code: 'invalid_request' });
+        }
+        if (!db.where('idp_accounts', (a) => a.sub === body.sub).length) throw notFound('Account');
+
+        const issued = db.insert('idp_codes', {
+            code: randomString('abcdefghijklmnopqrstuvwxyz0123456789', 40),
+            client_id: body.client_id,
+            sub: body.sub,
+            redirect_uri: body.redirect_uri,
+            code_challenge: body.code_challenge,
+            nonce: body.nonce || null,
+            expires_at: new Date(Date.now() + SSO_CODE_TTL_MS).toISOString(),
+            used: false,
+        });
+        return { code: issued.code };
+    }, { isPublic: true }),
+
+    // Email codes
+    route('POST', '/auth/enable-2fa', ({ db, user }) => {
+        db.update('users', user.id, { two_factor_enabled: true, two_factor_method: 'email' });
+        return { message: 'Two-factor authentication enabled' };
+    }),
+
+    route('POST', '/auth/disable-2fa', ({ db, user }) => {
+        db.update('users', user.id, {
+            two_factor_enabled: false,
+            two_factor_method: null,
+            totp_secret: null,
+            pending_totp_secret: null,
+            backup_codes: [],
+        });
+        return { message: 'Two-factor authentication disabled' };
+    }),
+
+    // Authenticator apps: setup issues a secret that only takes effect once a code from it is confirmed
+    route('POST', '/auth/2fa/totp/setup', ({ db, user }) => {
+        const secret = createTotpSecret();
+        db.update('users', user.id, { pending_totp_secret: secret });
+        return { secret, otpauth_url: otpauthUrl(user, secret) };
+    }),
+
+    route('POST', '/auth/2fa/totp/confirm', ({ db, user, body }) => {
+        requireFields(body, ['code']);
+
+        if (!user.pending_totp_secret) {
+            throw new MockHttpError(400, 'Start authenticator setup before confirming a code');
+        }
+        if (String(body.code).trim() !== MOCK_2FA_CODE) {
+            throw new MockHttpError(422, 'Invalid verification code', { code: ['That code did not match. Check the time on your device and try again.'] });
+        }
+
+        const backupCodes = createBackupCodes();
+        const updated = db.update('users', user.id, {
+            two_factor_enabled: true,
+            two_factor_method: 'totp',
+            totp_secret: user.pending_totp_secret,
+            pending_totp_secret: null,
+            backup_codes: backupCodes,
+        });
+
+        return {
+            message: 'Authenticator app enabled',
+            backup_codes: backupCodes,
+            user: publicUser(updated),
+        };
+    }),
+
+    // Users
+
+    route('GET', '/users', ({ db }) => db.all('users').map(publicUser)),
+
+    route('GET', '/users/:id', ({ db, params }) => ({ user: publicUser(requireRow(db, 'users', params.id, 'User')) })),
+
+    route('PUT', '/users/:id', ({ db, user, params, body }) => {
+        const target = requireRow(db, 'users', params.id, 'User');
+        if (target.id !== user.id && !isManager(user)) throw forbidden();
+
+        const changes = {};
+        if (body.name !== undefined) {
+            if (!String(body.name).trim()) throw new MockHttpError(422, 'Validation failed', { name: ['This field is required.'] });
+            changes.name = String(body.name).trim();
+        }
+        if (body.email !== undefined) {
+            const email = String(body.email).trim().toLowerCase();
+            if (db.where('users', (u) => u.email === email && u.id !== target.id).length > 0) {
+                throw new MockHttpError(409, 'Email already registered', { email: ['An account with this email already exists.'] });
+            }
+            changes.email = email;
+        }
+        // Preferences merge one level deep, so a client can send just the group it changed
+        if (body.preferences !== undefined) {
+            const current = target.preferences || {};
+            changes.preferences = {
+                ...current,
+                ...body.preferences,
+                notifications: { ...current.notifications, ...body.preferences.notifications },
+            };
+        }
+
+        return { message: 'User updated', user: publicUser(db.update('users', target.id, changes)) };
+    }),
+
+    // Projects
+
+    route('GET', '/projects', ({ db, query }) => {
+        const page = Math.max(1, parseInt(query.get('page')) || 1);
+        const perPage = Math.max(1, parseInt(query.get('per_page')) || 50);
+        const projects = [...db.all('projects')].sort((a, b) => b.created_at.localeCompare(a.created_at));
+
+        return {
+            items: projects.slice((page - 1) * perPage, page * perPage).map((p) => serializeProject(db, p)),
+            total: projects.length,
+            page,
+            per_page: perPage,
+            pages: Math.max(1, Math.ceil(projects.length / perPage)),
+        };
+    }),
+
+    route('GET', '/projects/:id', ({ db, params }) => ({
+        project: serializeProject(db, requireRow(db, 'projects', params.id, 'Project')),
+    })),
+
+    route('POST', '/projects', ({ db, user, body }) => {
+        requireFields(body, ['name']);
+
+        const project = db.insert('projects', {
+            description: '',
+            github_link: '',
+            class_id: null,
+            cohort_id: null,
+            cover_image: null,
+            status: 'Active',
+            ...projectFields(body),
+            owner_id: user.id,
+            created_at: now(),
+        });
+
+        logActivity(db, user, `created project ${project.name}`);
+        return serializeProject(db, project);
+    }, { status: 201 }),
+
+    route('PUT', '/projects/:id', ({ db, user, params, headers, body }) => {
+        const project = requireRow(db, 'projects', params.id, 'Project');
+        assertCan(db, user, 'project.edit', project);
+        assertVersion(headers, project, 'Project', () => serializeProject(db, project));
+
+        db.update('projects', project.id, { ...projectFields(body), version: versionOf(project) + 1 });
+        return { message: 'Project updated', project: serializeProject(db, project) };
+    }),
+
+    route('PUT', '/projects/:id/workflow', ({ db, user, params, body, publish }) => {
+        const project = requireRow(db, 'projects', params.id, 'Project');
+        assertCan(db, user, 'project.edit', project);
+
+        const columns = (Array.isArray(body?.columns) ? body.columns : []).map((column) => ({
+            name: String(column.name ?? '').trim(),
+            done: !!column.done,
+            wip_limit: column.wip_limit ?? null,
+            from: column.from ?? null,
+        }));
+        const problems = validateWorkflow(columns);
+        if (problems.columns) throw new MockHttpError(422, 'Validation failed', { columns: [problems.columns] });
+
+        // Where each old column's tasks go: the column it became, or the one chosen for it when it was removed
+        const names = columns.map((column) => column.name);
+        const destination = {};
+        columns.forEach((column) => {
+            if (column.from !== null) destination[column.from] = column.name;
+        });
+        Object.entries(body.moves || {}).forEach(([from, to]) => {
+            if (!(from in destination) && names.includes(to)) destination[from] = to;
+        });
+        const target = (status) => destination[status] ?? (names.includes(status) ? status : null);
+
+        const tasks = db.where('tasks', (t) => t.project_id === project.id);
+        const stranded = tasks.find((task) => !target(task.status));
+        if (stranded) {
+            throw new MockHttpError(422, 'Validation failed', {
+                moves: [`Choose where the tasks in "${stranded.status}" should go.`],
+            });
+        }
+
+        tasks.filter((task) => target(task.status) !== task.status).forEach((task) => {
+            db.update('tasks', task.id, { status: target(task.status), version: versionOf(task) + 1 });
+            publish({ type: 'task.updated', channel: `project:${project.id}`, payload: { task: serializeTask(db, task) } });
+        });
+        db.update('projects', project.id, {
+            workflow: columns.map(({ name, done, wip_limit }) => ({ name, done, wip_limit })),
+            wip_policy: body.wip_policy === WIP_POLICIES.BLOCK ? WIP_POLICIES.BLOCK : WIP_POLICIES.WARN,
+            version: versionOf(project) + 1,
+        });
+
+        logActivity(db, user, `changed the board columns of ${project.name}`);
+        return { message: 'Workflow updated', project: serializeProject(db, project) };
+    }),
+
+    route('PATCH', '/projects/:id/status', ({ db, user, params, body }) => {
+        const project = requireRow(db, 'projects', params.id, 'Project');
+        assertCan(db, user, 'project.edit', project);
+        requireFields(body, ['status']);
+
+        db.update('projects', project.id, { status: body.status, version: versionOf(project) + 1 });
+        return { message: 'Status updated', project: serializeProject(db, project) };
+    }),
+
+    route('DELETE', '/projects/:id', ({ db, user, params }) => {
+        const project = requireRow(db, 'projects', params.id, 'Project');
+        assertCan(db, user, 'project.delete', project);
+
+        deleteTaskData(db, db.where('tasks', (t) => t.project_id === project.id).map((t) => t.id));
+        ['memberships', 'sprints', 'comments', 'attachments'].forEach((table) =>
+            db.remove(table, (row) => row.project_id === project.id)
+        );
+        db.remove('projects', (p) => p.id === project.id);
+
+        logActivity(db, user, `deleted project ${project.name}`);
+        return { message: 'Project deleted' };
+    }),
+
+    // Members
+
+    route('POST', '/members/projects/:id/invite', ({ db, user, params, body, publish }) => {
+        const project = requireRow(db, 'projects', params.id, 'Project');
+        assertCan(db, user, 'members.manage', project);
+        requireFields(body, ['email']);
+
+        const email = String(body.email).trim().toLowerCase();
+        const invitee = db.where('users', (u) => u.email === email)[0];
+        if (!invitee) {
+            throw new MockHttpError(404, 'No user with that email', { email: ['No account uses this email address.'] });
+        }
+        if (invitee.id === project.owner_id ||
+            db.where('memberships', (m) => m.project_id === project.id && m.user_id === invitee.id).length > 0) {
+            throw new MockHttpError(409, 'User is already a member of this project');
+        }
+
+        db.insert('memberships', { project_id: project.id, user_id: invitee.id, role: body.role || 'collaborator', status: 'pending' });
+        notify(db, publish, invitee.id, `${user.name} invited you to join ${project.name}`, '/dashboard', 'invitations');
+        return { message: 'Invitation sent' };
+    }, { status: 201 }),
+
+    route('POST', '/members/projects/:id/remove', ({ db, user, params, body }) => {
+        const project = requireRow(db, 'projects', params.id, 'Project');
+        assertCan(db, user, 'members.manage', project);
+
+        db.remove('memberships', (m) => m.project_id === project.id && m.user_id === Number(body?.user_id));
+        return { message: 'Member removed' };
+    }),
+
+    route('POST', '/members/projects/:id/respond', ({ db, user, params, body, publish }) => {
+        const project = requireRow(db, 'projects', params.id, 'Project');
+        const invitation = db.where('memberships', (m) =>
+            m.project_id === project.id && m.user_id === user.id && m.status === 'pending'
+        )[0];
+        if (!invitation) throw notFound('Invitation');
+
+        if (body?.action === 'accept') {
+            db.update('memberships', invitation.id, { status: 'accepted' });
+            notify(db, publish, project.owner_id, `${user.name} joined ${project.name}`, `/projects/${project.id}`, 'project_activity');
+            return { message: 'Invitation accepted' };
+        }
+
+        db.remove('memberships', (m) => m.id === invitation.id);
+        return { message: 'Invitation declined' };
+    }),
+
+    route('GET', '/members/invitations/pending', ({ db, user }) =>
+        db.where('memberships', (m) => m.user_id === user.id && m.status === 'pending').map((m) => {
+            const project = db.find('projects', m.project_id);
+            return {
+                id: m.id,
+                project_id: m.project_id,
+                project_name: project?.name,
+                project_description: project?.description || null,
+                owner_name: userName(db, project?.owner_id),
+                role: m.role,
+            };
+        })
+    ),
+
+    // Tasks
+
+    route('GET', '/tasks', ({ db }) => ({ tasks: db.all('tasks').map((t) => serializeTask(db, t)) })),
+
+    route('GET', '/tasks/project/:projectId', ({ db, params }) => {
+        const project = requireRow(db, 'projects', params.projectId, 'Project');
+        return { tasks: db.where('tasks', (t) => t.project_id === project.id).map((t) => serializeTask(db, t)) };
+    }),
+
+    route('GET', '/tasks/:id', ({ db, params }) => ({
+        task: serializeTask(db, requireRow(db, 'tasks', params.id, 'Task')),
+    })),
+
+    route('POST', '/tasks', ({ db, user, body, publish }) => {
+        requireFields(body, ['title', 'project_id']);
+        const project = requireRow(db, 'projects', body.project_id, 'Project');
+        assertCan(db, user, 'tasks.create', project);
+        assertColumn(project, body.status);
+        assertRank(body.rank);
+
+        const status = body.status ?? initialStatus(getWorkflow(project));
+        const task = db.insert('tasks', {
+            description: '',
+            priority: 'Medium',
+            due_date: null,
+            assignee_id: null,
+            sprint_id: null,
+            labels: [],
+            rank: lastRank(db, project.id, status),
+            ...taskFields(body),
+            status,
+            project_id: project.id,
+            created_at: now(),
+        });
+
+        if (task.assignee_id && task.assignee_id !== user.id) {
+            notify(db, publish, task.assignee_id, `You were assigned to "${task.title}"`, taskLink(task), 'assignments');
+        }
+        logActivity(db, user, `created task "${task.title}" in ${project.name}`, { taskId: task.id });
+
+        const serialized = serializeTask(db, task);
+        publish({ type: 'task.created', channel: `project:${project.id}`, payload: { task: serialized } });
+        return { message: 'Task created', task: serialized };
+    }, { status: 201 }),
+
+    route('PUT', '/tasks/:id', ({ db, user, params, headers, body, publish }) => {
+        const task = requireRow(db, 'tasks', params.id, 'Task');
+        assertVersion(headers, task, 'Task', () => serializeTask(db, task));
+        return { message: 'Task updated', task: updateTask(db, user, task, body, publish) };
+    }),
+
+    route('DELETE', '/tasks/:id', ({ db, user, params, publish }) => {
+        const task = requireRow(db, 'tasks', params.id, 'Task');
+        deleteTask(db, user, task, publish);
+        return { message: 'Task deleted' };
+    }),
+
+    // Applies one change to many tasks; each succeeds or fails on its own, as listed in `results`
+    route('POST', '/tasks/batch', ({ db, user, body, publish }) => {
+        requireFields(body, ['action', 'task_ids']);
+        if (!['update', 'delete'].includes(body.action)) {
+            throw new MockHttpError(422, 'Validation failed', { action: ['Action must be update or delete.'] });
+        }
+        if (!Array.isArray(body.task_ids) || body.task_ids.length === 0) {
+            throw new MockHttpError(422, 'Validation failed', { task_ids: ['Choose at least one task.'] });
+        }
+
+        const results = body.task_ids.map((id) => {
+            try {
+                const task = requireRow(db, 'tasks', id, 'Task');
+                if (body.action === 'delete') {
+                    deleteTask(db, user, task, publish);
+                    return { task_id: task.id, status: 'deleted' };
+                }
+                return { task_id: task.id, status: 'updated', task: updateTask(db, user, task, body.changes || {}, publish) };
+            } catch (error) {
+                if (!(error instanceof MockHttpError)) throw error;
+                const fieldError = Object.values(error.errors || {})[0];
+                return { task_id: Number(id), status: 'failed', error: fieldError ? String([].concat(fieldError)[0]) : error.message };
+            }
+        });
+
+        return { results };
+    }),
+
+    // Sprints
+
+    route('GET', '/projects/:id/sprints', ({ db, params }) => {
+        const project = requireRow(db, 'projects', params.id, 'Project');
+        return {
+            sprints: db.where('sprints', (s) => s.project_id === project.id).map((sprint) => ({
+                ...sprint,
+                tasks: db.where('tasks', (t) => t.sprint_id === sprint.id).map((t) => serializeTask(db, t)),
+            })),
+        };
+    }),
+
+    route('POST', '/projects/:id/sprints', ({ db, user, params, body }) => {
+        const project = requireRow(db, 'projects', params.id, 'Project');
+        assertCan(db, user, 'sprints.manage', project);
+        requireFields(body, ['name']);
+
+        const sprint = db.insert('sprints', {
+            project_id: project.id,
+            name: body.name,
+            status: body.status || 'Planned',
+            start_date: body.start_date || null,
+            end_date: body.end_date || null,
+        });
+        return { message: 'Sprint created', sprint: { ...sprint, tasks: [] } };
+    }, { status: 201 }),
+
+    route('PUT', '/sprints/:id', ({ db, user, params, body }) => {
+        const sprint = requireRow(db, 'sprints', params.id, 'Sprint');
+        assertCan(db, user, 'sprints.manage', requireRow(db, 'projects', sprint.project_id, 'Project'));
+
+        const changes = {};
+        ['name', 'status', 'start_date', 'end_date'].forEach((key) => {
+            if (body[key] !== undefined) changes[key] = body[key];
+        });
+        return { message: 'Sprint updated', sprint: db.update('sprints', sprint.id, changes) };
+    }),
+
+    route('DELETE', '/sprints/:id', ({ db, user, params }) => {
+        const sprint = requireRow(db, 'sprints', params.id, 'Sprint');
+        assertCan(db, user, 'sprints.delete', requireRow(db, 'projects', sprint.project_id, 'Project'));
+
+        db.where('tasks', (t) => t.sprint_id === sprint.id).forEach((t) => db.update('tasks', t.id, { sprint_id: null }));
+        db.remove('sprints', (s) => s.id === sprint.id);
+        return { message: 'Sprint deleted' };
+    }),
+
+    // Time tracking
+
+    route('GET', '/tasks/:id/time', ({ db, params }) => {
+        const task = requireRow(db, 'tasks', params.id, 'Task');
+        const logs = db
+            .where('time_logs', (log) => log.task_id === task.id)
+            .map((log) => ({ ...log, user_name: userName(db, log.user_id) }));
+
+        return { logs, total_hours: logs.reduce((sum, log) => sum + log.hours_spent, 0) };
+    }),
+
+    route('POST', '/tasks/:id/time', ({ db, user, params, body }) => {
+        const task = requireRow(db, 'tasks', params.id, 'Task');
+        assertCan(db, user, 'time.log', taskProject(db, task));
+
+        const hours = Number(body?.hours_spent);
+        if (!(hours > 0)) {
+            throw new MockHttpError(422, 'Validation failed', { hours_spent: ['Hours must be a positive number.'] });
+        }
+
+        const log = db.insert('time_logs', {
+            task_id: task.id,
+            user_id: user.id,
+            hours_spent: hours,
+            description: body.description || '',
+            date_logged: body.date_logged || now().split('T')[0],
+        });
+        return { message: 'Time logged', log: { ...log, user_name: user.name } };
+    }, { status: 201 }),
+
+    route('DELETE', '/time/:id', ({ db, user, params }) => {
+        const log = requireRow(db, 'time_logs', params.id, 'Time log');
+        assertCan(db, user, 'time.delete', parentProject(db, log), { createdBy: log.user_id });
+
+        db.remove('time_logs', (l) => l.id === log.id);
+        return { message: 'Time log deleted' };
+    }),
+
+    // Comments
+
+    route('GET', '/projects/:id/comments', ({ db, params }) => {
+        const project = requireRow(db, 'projects', params.id, 'Project');
+        return { comments: db.where('comments', (c) => c.project_id === project.id).map((c) => serializeComment(db, c)) };
+    }),
+
+    route('POST', '/projects/:id/comments', ({ db, user, params, body, publish }) => {
+        const project = requireRow(db, 'projects', params.id, 'Project');
+        assertCan(db, user, 'comments.create', project);
+        requireFields(body, ['content']);
+
+        const comment = db.insert('comments', { project_id: project.id, task_id: null, author_id: user.id, content: body.content, created_at: now() });
+        logActivity(db, user, `commented on ${project.name}`);
+
+        const serialized = serializeComment(db, comment);
+        publish({ type: 'comment.created', channel: commentChannel(comment), payload: { comment: serialized } });
+        return { message: 'Comment added', comment: serialized };
+    }, { status: 201 }),
+
+    route('GET', '/tasks/:id/comments', ({ db, params }) => {
+        const task = requireRow(db, 'tasks', params.id, 'Task');
+        return { comments: db.where('comments', (c) => c.task_id === task.id).map((c) => serializeComment(db, c)) };
+    }),
+
+    route('POST', '/tasks/:id/comments', ({ db, user, params, body, publish }) => {
+        const task = requireRow(db, 'tasks', params.id, 'Task');
+        assertCan(db, user, 'comments.create', taskProject(db, task));
+        requireFields(body, ['content']);
+
+        const comment = db.insert('comments', { project_id: null, task_id: task.id, author_id: user.id, content: body.content, created_at: now() });
+        logActivity(db, user, `commented on "${task.title}"`, { taskId: task.id });
+
+        const serialized = serializeComment(db, comment);
+        publish({ type: 'comment.created', channel: commentChannel(comment), payload: { comment: serialized } });
+        return { message: 'Comment added', comment: serialized };
+    }, { status: 201 }),
+
+    route('DELETE', '/comments/:id', ({ db, user, params, publish }) => {
+        const comment = requireRow(db, 'comments', params.id, 'Comment');
+        assertCan(db, user, 'comments.delete', parentProject(db, comment), { createdBy: comment.author_id });
+
+        db.remove('comments', (c) => c.id === comment.id);
+        publish({ type: 'comment.deleted', channel: commentChannel(comment), payload: { comment_id: comment.id } });
+        return { message: 'Comment deleted' };
+    }),
+
+    // Attachments
+
+    route('GET', '/projects/:id/attachments', ({ db, params }) => {
+        const project = requireRow(db, 'projects', params.id, 'Project');
+        return { attachments: db.where('attachments', (a) => a.project_id === project.id).map((a) => serializeAttachment(db, a)) };
+    }),
+
+    route('POST', '/projects/:id/attachments', ({ db, user, params, body }) => {
+        const project = requireRow(db, 'projects', params.id, 'Project');
+        assertCan(db, user, 'attachments.upload', project);
+        return addAttachment(db, user, { project_id: project.id }, body);
+    }, { status: 201 }),
+
+    route('GET', '/tasks/:id/attachments', ({ db, params }) => {
+        const task = requireRow(db, 'tasks', params.id, 'Task');
+        return { attachments: db.where('attachments', (a) => a.task_id === task.id).map((a) => serializeAttachment(db, a)) };
+    }),
+
+    route('POST', '/tasks/:id/attachments', ({ db, user, params, body }) => {
+        const task = requireRow(db, 'tasks', params.id, 'Task');
+        assertCan(db, user, 'attachments.upload', taskProject(db, task));
+        return addAttachment(db, user, { task_id: task.id }, body);
+    }, { status: 201 }),
+
+    route('DELETE', '/attachments/:id', ({ db, user, params }) => {
+        const attachment = requireRow(db, 'attachments', params.id, 'Attachment');
+        assertCan(db, user, 'attachments.delete', parentProject(db, attachment), { createdBy: attachment.uploader_id });
+
+        db.remove('attachments', (a) => a.id === attachment.id);
+        return { message: 'Attachment deleted' };
+    }),
+
+    // Notifications & activity
+
+    route('GET', '/notifications', ({ db, user }) => ({
+        notifications: db
+            .where('notifications', (n) => n.user_id === user.id)
+            .sort((a, b) => b.created_at.localeCompare(a.created_at)),
+    })),
+
+    route('PATCH', '/notifications/:id/read', ({ db, user, params }) => {
+        const notification = requireRow(db, 'notifications', params.id, 'Notification');
+        if (notification.user_id !== user.id) throw forbidden();
+
+        db.update('notifications', notification.id, { is_read: true });
+        return { message: 'Notification marked as read' };
+    }),
+
+    // `?task_id=` narrows the feed to one task's history
+    route('GET', '/activities/activities', ({ db, query }) => ({
+        items: db
+            .where('activities', (activity) => !query.get('task_id') || String(activity.task_id) === query.get('task_id'))
+            .map((activity) => ({ ...activity, user_name: userName(db, activity.user_id) }))
+            .sort((a, b) => b.created_at.localeCompare(a.created_at)),
+    })),
+
+    // Manager dashboard
+
+    route('GET', '/dashboard/manager-summary', ({ db, user }) => {
+        if (!isManager(user)) throw forbidden();
+        return {
+            totalProjects: db.all('projects').length,
+            totalTasks: db.all('tasks').length,
+            activeSprints: db.where('sprints', (s) => s.status === 'Active').length,
+        };
+    }),
+
+    route('GET', '/dashboard/projects-by-status', ({ db, user }) => {
+        if (!isManager(user)) throw forbidden();
+        const counts = {};
+        db.all('projects').forEach((p) => { counts[p.status] = (counts[p.status] || 0) + 1; });
+        return { data: Object.entries(counts).map(([name, value]) => ({ name, value })) };
+    }),
+
+    route('GET', '/dashboard/projects-by-team', ({ db, user }) => {
+        if (!isManager(user)) throw forbidden();
+        return {
+            data: db.all('cohorts').map((cohort) => ({
+                name: cohort.name,
+                value: db.where('projects', (p) => p.cohort_id === cohort.id).length,
+            })),
+        };
+    }),
+
+    route('GET', '/dashboard/task-productivity', ({ db, user }) => {
+        if (!isManager(user)) throw forbidden();
+        // Boards name their columns differently, so tasks are counted by stage: not started, under way, finished
+        const stage = (task) => {
+            const workflow = getWorkflow(db.find('projects', task.project_id));
+            if (isDoneStatus(workflow, task.status)) return 'Done';
+            return task.status === initialStatus(workflow) ? 'To Do' : 'In Progress';
+        };
+        return {
+            data: ['To Do', 'In Progress', 'Done'].map((name) => ({
+                name,
+                value: db.all('tasks').filter((task) => stage(task) === name).length,
+            })),
+        };
+    }),
+
+    // Project types (classes) and teams (cohorts), needed by the project forms
+
+    route('GET', '/classes', ({ db }) => db.all('classes')),
+
+    route('GET', '/classes/:id', ({ db, params }) => requireRow(db, 'classes', params.id, 'Class')),
+
+    route('POST', '/classes', ({ db, user, body }) => {
+        if (!isManager(user)) throw forbidden();
+        requireFields(body, ['name']);
+        return db.insert('classes', { name: body.name, description: body.description || '' });
+    }, { status: 201 }),
+
+    route('PUT', '/classes/:id', ({ db, user, params, body }) => {
+        if (!isManager(user)) throw forbidden();
+        requireRow(db, 'classes', params.id, 'Class');
+        return db.update('classes', params.id, { name: body.name, description: body.description || '' });
+    }),
+
+    route('DELETE', '/classes/:id', ({ db, user, params }) => {
+        if (!isManager(user)) throw forbidden();
+        db.remove('classes', (c) => c.id === Number(params.id));
+        return { message: 'Class deleted' };
+    }),
+
+    route('GET', '/classes/:id/students', ({ db, params }) => {
+        const ownerIds = db.where('projects', (p) => p.class_id === Number(params.id)).map((p) => p.owner_id);
+        return db.where('users', (u) => ownerIds.includes(u.id)).map(publicUser);
+    }),
+
+    route('GET', '/cohorts', ({ db }) => ({ items: db.all('cohorts') })),
+
+    route('POST', '/cohorts', ({ db, user, body }) => {
+        if (!isManager(user)) throw forbidden();
+        requireFields(body, ['name']);
+        return db.insert('cohorts', { name: body.name, start_date: body.start_date || null, end_date: body.end_date || null, member_ids: [] });
+    }, { status: 201 }),
+
+    route('PUT', '/cohorts/:id', ({ db, user, params, body }) => {
+        if (!isManager(user)) throw forbidden();
+        requireRow(db, 'cohorts', params.id, 'Cohort');
+        return db.update('cohorts', params.id, { name: body.name, start_date: body.start_date || null, end_date: body.end_date || null });
+    }),
+
+    route('DELETE', '/cohorts/:id', ({ db, user, params }) => {
+        if (!isManager(user)) throw forbidden();
+        db.remove('cohorts', (c) => c.id === Number(params.id));
+        return { message: 'Cohort deleted' };
+    }),
+
+    route('POST', '/cohorts/:id/join', ({ db, user, params }) => {
+        const cohort = requireRow(db, 'cohorts', params.id, 'Cohort');
+        if (!cohort.member_ids.includes(user.id)) {
+            db.update('cohorts', cohort.id, { member_ids: [...cohort.member_ids, user.id] });
+        }
+        return { message: 'Joined team' };
+    }),
+];
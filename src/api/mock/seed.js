@@ -0,0 +1,130 @@
+// Demo data the mock backend starts from (and returns to on reset).
+// Every seeded account uses the password `password123`; the 2FA account's code is always 123456.
+
+const daysFromNow = (days) => {
+    const date = new Date();
+    date.setDate(date.getDate() + days);
+    return date.toISOString();
+};
+
+export const createSeedData = () => ({
+    users: [
+        { id: 1, name: 'Maya Manager', email: 'manager@example.com', password: 'password123', role: 'Manager', two_factor_enabled: false },
+        { id: 2, name: 'Eli Employee', email: 'employee@example.com', password: 'password123', role: 'Employee', two_factor_enabled: false },
+        { id: 3, name: 'Priya Patel', email: 'priya@example.com', password: 'password123', role: 'Employee', two_factor_enabled: false, sso_subject: 'corp-4c81e5' },
+        { id: 4, name: 'Sam Secure', email: '2fa@example.com', password: 'password123', role: 'Employee', two_factor_enabled: true, two_factor_method: 'email' },
+    ],
+    classes: [
+        { id: 1, name: 'Web Application', description: 'Browser-based products and internal tools' },
+        { id: 2, name: 'Mobile App', description: 'iOS and Android applications' },
+        { id: 3, name: 'Data Analytics', description: 'Reporting, pipelines and dashboards' },
+    ],
+    cohorts: [
+        { id: 1, name: 'Platform Team', start_date: daysFromNow(-120), end_date: daysFromNow(240), member_ids: [1, 2, 3] },
+        { id: 2, name: 'Growth Team', start_date: daysFromNow(-60), end_date: null, member_ids: [3, 4] },
+    ],
+    projects: [
+        {
+            id: 1,
+            name: 'Customer Portal Redesign',
+            description: 'Rebuild the customer self-service portal with the new design system.',
+            github_link: 'https://github.com/example/customer-portal',
+            class_id: 1,
+            cohort_id: 1,
+            owner_id: 2,
+            status: 'Active',
+            cover_image: null,
+            created_at: daysFromNow(-30),
+        },
+        {
+            id: 2,
+            name: 'Analytics Pipeline',
+            description: 'Nightly ingestion of product events into the reporting warehouse.',
+            github_link: '',
+            class_id: 3,
+            cohort_id: 2,
+            owner_id: 3,
+            status: 'Active',
+            cover_image: null,
+            // A team with its own review steps; the other projects use the default three columns
+            workflow: [
+                { name: 'Backlog', done: false },
+                { name: 'In Progress', done: false, wip_limit: 3 },
+                { name: 'Review', done: false },
+                { name: 'QA', done: false },
+                { name: 'Done', done: true },
+            ],
+            created_at: daysFromNow(-20),
+        },
+        {
+            id: 3,
+            name: 'Mobile Onboarding',
+            description: 'Shorter sign-up flow for the mobile apps.',
+            github_link: '',
+            class_id: 2,
+            cohort_id: 1,
+            owner_id: 1,
+            status: 'Completed',
+            cover_image: null,
+            created_at: daysFromNow(-90),
+        },
+    ],
+    memberships: [
+        { id: 1, project_id: 1, user_id: 3, role: 'collaborator', status: 'accepted' },
+        { id: 2, project_id: 2, user_id: 2, role: 'collaborator', status: 'pending' },
+        { id: 3, project_id: 3, user_id: 2, role: 'viewer', status: 'accepted' },
+    ],
+    sprints: [
+        { id: 1, project_id: 1, name: 'Sprint 1', status: 'Completed', start_date: daysFromNow(-28), end_date: daysFromNow(-14) },
+        { id: 2, project_id: 1, name: 'Sprint 2', status: 'Active', start_date: daysFromNow(-14), end_date: daysFromNow(0) },
+        { id: 3, project_id: 1, name: 'Sprint 3', status: 'Planned', start_date: daysFromNow(0), end_date: daysFromNow(14) },
+    ],
+    tasks: [
+        { id: 1, project_id: 1, title: 'Audit existing portal pages', description: 'List every page and the components it uses.', status: 'Done', priority: 'Medium', due_date: daysFromNow(-20), assignee_id: 2, sprint_id: 1, labels: [], rank: 'i', created_at: daysFromNow(-28) },
+        { id: 2, project_id: 1, title: 'Build account settings page', description: '', status: 'In Progress', priority: 'High', due_date: daysFromNow(3), assignee_id: 3, sprint_id: 2, labels: ['frontend'], rank: 'i', created_at: daysFromNow(-12) },
+        { id: 3, project_id: 1, title: 'Migrate billing history table', description: 'Use the shared table component.', status: 'To Do', priority: 'Medium', due_date: daysFromNow(6), assignee_id: 2, sprint_id: 2, labels: ['frontend'], rank: 'i', created_at: daysFromNow(-10) },
+        { id: 4, project_id: 1, title: 'Fix login redirect loop', description: '', status: 'To Do', priority: 'Urgent', due_date: daysFromNow(1), assignee_id: null, sprint_id: null, labels: ['bug'], rank: 'r', created_at: daysFromNow(-2) },
+        { id: 5, project_id: 2, title: 'Define event schema', description: '', status: 'In Progress', priority: 'High', due_date: daysFromNow(4), assignee_id: 3, sprint_id: null, labels: ['backend'], rank: 'i', created_at: daysFromNow(-15) },
+        { id: 6, project_id: 2, title: 'Set up warehouse credentials', description: '', status: 'Backlog', priority: 'Low', due_date: null, assignee_id: null, sprint_id: null, labels: [], rank: 'i', created_at: daysFromNow(-15) },
+        { id: 7, project_id: 3, title: 'Ship simplified sign-up', description: '', status: 'Done', priority: 'High', due_date: daysFromNow(-40), assignee_id: 1, sprint_id: null, labels: [], rank: 'i', created_at: daysFromNow(-80) },
+    ],
+    time_logs: [
+        { id: 1, task_id: 1, user_id: 2, hours_spent: 3.5, description: 'Page inventory', date_logged: daysFromNow(-22).split('T')[0] },
+        { id: 2, task_id: 2, user_id: 3, hours_spent: 2, description: 'Form layout', date_logged: daysFromNow(-1).split('T')[0] },
+    ],
+    comments: [
+        { id: 1, project_id: 1, task_id: null, author_id: 2, content: 'Kick-off notes are in the shared drive.', created_at: daysFromNow(-29) },
+        { id: 2, project_id: null, task_id: 2, author_id: 3, content: 'Waiting on the final copy for the privacy section.', created_at: daysFromNow(-2) },
+    ],
+    attachments: [],
+    notifications: [
+        { id: 1, user_id: 2, message: 'Priya Patel invited you to join Analytics Pipeline', link: '/dashboard', is_read: false, created_at: daysFromNow(-1) },
+        { id: 2, user_id: 3, message: 'You were assigned to "Build account settings page"', link: '/projects/1', is_read: true, created_at: daysFromNow(-12) },
+    ],
+    activities: [
+        { id: 1, user_id: 2, action: 'created project Customer Portal Redesign', created_at: daysFromNow(-30) },
+        { id: 2, user_id: 3, action: 'created project Analytics Pipeline', created_at: daysFromNow(-20) },
+        { id: 3, user_id: 2, action: 'moved "Audit existing portal pages" to Done', created_at: daysFromNow(-20) },
+    ],
+    // Outstanding password-reset links: { token, user_id, expires_at, used }
+    password_resets: [],
+    // Signed-in devices. The extra rows stand for the same people signed in elsewhere,
+    // so "sign out this device / everywhere" has something to act on.
+    sessions: [
+        { id: 1, user_id: 1, device: 'Safari on iOS', ip_address: '203.0.113.24', created_at: daysFromNow(-6), last_active_at: daysFromNow(-1) },
+        { id: 2, user_id: 2, device: 'Firefox on Windows', ip_address: '198.51.100.7', created_at: daysFromNow(-3), last_active_at: daysFromNow(-2) },
+    ],
+    // The stand-in identity provider's directory. Priya's identity is already linked, Eli's matches an
+    // existing account that still needs linking, and Noah has no account yet.
+    idp_accounts: [
+        { id: 1, sub: 'corp-4c81e5', name: 'Priya Patel', email: 'priya@example.com', department: 'Data' },
+        { id: 2, sub: 'corp-7f3a2c', name: 'Eli Employee', email: 'employee@example.com', department: 'Engineering' },
+        { id: 3, sub: 'corp-91b0de', name: 'Noah Newhire', email: 'noah@example.com', department: 'Design' },
+    ],
+    // Authorization codes the provider issued: { code, client_id, sub, redirect_uri, code_challenge, nonce, expires_at, used }
+    idp_codes: [],
+    // Sign-ins waiting for the user to link an existing account: { token, sub, user_id, expires_at }
+    sso_links: [],
+    // Id of this browser's row in `sessions`, standing in for the backend's httpOnly session cookie
+    session_id: null,
+});
@@ -0,0 +1,9 @@
+import { apiClient } from './client';
+
+// The stand-in identity provider bundled with the mock backend (VITE_USE_MOCK_API=true); see src/api/mock/routes.js
+export const mockIdpAPI = {
+    // `{ accounts: [{ sub, name, email, department }] }`
+    getAccounts: (options) => apiClient.get('/mock-idp/accounts', options),
+    // Takes the authorize request's PKCE challenge and nonce plus the chosen `sub`; resolves to `{ code }`
+    authorize: (request, options) => apiClient.post('/mock-idp/authorize', request, options),
+};
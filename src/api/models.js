@@ -0,0 +1,167 @@
+import { ApiError } from './errors';
+
+/**
+ * Response normalization for the API modules.
+ *
+ * Endpoints disagree on list envelopes (bare arrays, `{ items, total, ... }`, `{ tasks }`,
+ * `{ data }`) and wrap single records in `{ project }` / `{ task }`. The API modules pass
+ * every read through `toPage` or `toEntity`, so components always get:
+ *
+ * @typedef {Object} Page
+ * @property {Array} items
+ * @property {number} total    - total matching records on the server
+ * @property {number} page     - 1-based page number
+ * @property {number} perPage
+ * @property {number} pages
+ *
+ * or the bare record for single-record reads. Records are checked against the models below.
+ * In development a payload that does not fit fails the request with an ApiError coded
+ * SCHEMA_MISMATCH (so the screen shows an error instead of an empty list); in production
+ * the mismatch is logged and whatever could be read is returned.
+ */
+
+// Field types: 'string' | 'number' | 'boolean' | 'array' | 'object'; a trailing '?' also allows null/absent.
+// Only fields the UI relies on are listed; anything else the server sends is passed through untouched.
+const defineModel = (name, plural, fields) => ({ name, plural, fields });
+
+export const models = {
+    user: defineModel('User', 'users', {
+        id: 'number',
+        name: 'string',
+        email: 'string',
+        role: 'string?',
+        two_factor_enabled: 'boolean?',
+        preferences: 'object?',
+    }),
+    project: defineModel('Project', 'projects', {
+        id: 'number',
+        name: 'string',
+        status: 'string?',
+        owner_id: 'number?',
+        members: 'array?',
+        workflow: 'array?',
+        wip_policy: 'string?',
+        version: 'number?',
+    }),
+    task: defineModel('Task', 'tasks', {
+        id: 'number',
+        title: 'string',
+        status: 'string',
+        assignee_id: 'number?',
+        sprint_id: 'number?',
+        rank: 'string?',
+        labels: 'array?',
+        due_date: 'string?',
+        version: 'number?',
+    }),
+    sprint: defineModel('Sprint', 'sprints', { id: 'number', name: 'string', status: 'string?', tasks: 'array?' }),
+    comment: defineModel('Comment', 'comments', { id: 'number', content: 'string', author_id: 'number?', created_at: 'string' }),
+    attachment: defineModel('Attachment', 'attachments', { id: 'number', file_name: 'string', file_url: 'string?' }),
+    timeLog: defineModel('Time log', 'logs', { id: 'number', hours_spent: 'number', date_logged: 'string?' }),
+    notification: defineModel('Notification', 'notifications', { id: 'number', message: 'string', is_read: 'boolean' }),
+    invitation: defineModel('Invitation', 'invitations', { project_id: 'number', project_name: 'string?', role: 'string?' }),
+    session: defineModel('Session', 'sessions', {
+        id: 'number',
+        device: 'string',
+        last_active_at: 'string',
+        current: 'boolean?',
+    }),
+    activity: defineModel('Activity', 'activities', { id: 'number', action: 'string', created_at: 'string' }),
+    class: defineModel('Project type', 'classes', { id: 'number', name: 'string' }),
+    cohort: defineModel('Team', 'cohorts', { id: 'number', name: 'string' }),
+    dashboardSummary: defineModel('Dashboard summary', 'summaries', {
+        totalProjects: 'number',
+        totalTasks: 'number',
+        activeSprints: 'number',
+    }),
+    // One bar/slice of a dashboard chart
+    chartPoint: defineModel('Chart point', 'data', { name: 'string', value: 'number' }),
+};
+
+// Enough detail to fix the endpoint without flooding the console
+const MAX_REPORTED_PROBLEMS = 5;
+
+const typeOf = (value) => (Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value);
+
+const checkRecord = (model, record, path, problems) => {
+    if (typeOf(record) !== 'object') {
+        problems.push(`${path} should be a ${model.name} object but is ${typeOf(record)}`);
+        return;
+    }
+
+    Object.entries(model.fields).forEach(([field, spec]) => {
+        const optional = spec.endsWith('?');
+        const expected = optional ? spec.slice(0, -1) : spec;
+        const value = record[field];
+
+        if (value == null) {
+            if (!optional) problems.push(`${path}.${field} is missing`);
+        } else if (typeOf(value) !== expected) {
+            problems.push(`${path}.${field} should be ${expected} but is ${typeOf(value)}`);
+        }
+    });
+};
+
+const report = (endpoint, problems, data) => {
+    if (problems.length === 0) return;
+
+    const shown = problems.slice(0, MAX_REPORTED_PROBLEMS);
+    const more = problems.length - shown.length;
+    const message = `Unexpected response from ${endpoint}: ${shown.join('; ')}${more > 0 ? ` (and ${more} more)` : ''}`;
+
+    if (import.meta.env.DEV) {
+        console.error(`[API schema] ${message}`, data);
+        throw new ApiError(message, { code: 'SCHEMA_MISMATCH', data });
+    }
+    console.warn(`[API schema] ${message}`);
+};
+
+// The list inside whichever envelope the endpoint uses
+const findList = (data, model) => {
+    if (Array.isArray(data)) return data;
+    if (typeOf(data) !== 'object') return null;
+    return [data.items, data[model.plural], data.data].find(Array.isArray) || null;
+};
+
+/**
+ * Returns a response transform that turns any list envelope into a Page of `model` records.
+ * Pagination fields the server sends (`total`, `page`, `per_page`, `pages`) are kept; unpaginated
+ * lists are reported as a single page.
+ */
+export const toPage = (model, endpoint) => (data) => {
+    const problems = [];
+    const list = findList(data, model);
+
+    if (!list) {
+        problems.push(`expected a list of ${model.plural} but got ${typeOf(data)}`);
+    } else {
+        list.forEach((record, index) => checkRecord(model, record, `${model.plural}[${index}]`, problems));
+    }
+    report(endpoint, problems, data);
+
+    const items = (list || []).filter((record) => typeOf(record) === 'object');
+    const perPage = data?.per_page ?? data?.perPage ?? Math.max(items.length, 1);
+    const total = data?.total ?? items.length;
+
+    return {
+        items,
+        total,
+        page: data?.page ?? 1,
+        perPage,
+        pages: data?.pages ?? Math.max(1, Math.ceil(total / perPage)),
+    };
+};
+
+/**
+ * Returns a response transform that unwraps a single `model` record, sent either bare or as
+ * `{ <key>: record }` (e.g. `{ project }`).
+ */
+export const toEntity = (model, endpoint, key) => (data) => {
+    const record = typeOf(data?.[key]) === 'object' ? data[key] : data;
+    const problems = [];
+
+    checkRecord(model, record, key, problems);
+    report(endpoint, problems, data);
+
+    return record;
+};
@@ -1,11 +1,13 @@
 import { apiClient } from './client';
+import { models, toPage } from './models';
 
 export const notificationsApi = {
-    getNotifications: () => {
-        return apiClient.get('/notifications');
+    getNotifications: (options) => {
+        return apiClient.get('/notifications', options)
+            .then(toPage(models.notification, 'GET /notifications'));
     },
 
-    markAsRead: (id) => {
-        return apiClient.patch(`/notifications/${id}/read`);
+    markAsRead: (id, options) => {
+        return apiClient.patch(`/notifications/${id}/read`, undefined, options);
     }
 };
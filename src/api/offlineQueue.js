@@ -0,0 +1,249 @@
+import { apiClient } from './client';
+import { isApiError } from './errors';
+import { queryCache, queryKeys } from './queryCache';
+
+// Shared with public/sw.js, which replays the same store during background sync
+const DB_NAME = 'project-tracker-offline';
+const STORE_NAME = 'mutations';
+const SYNC_TAG = 'background-sync';
+
+const openDatabase = () => new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const runTransaction = (mode, operation) => openDatabase().then((db) => new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => {
+        db.close();
+        resolve(request.result);
+    };
+    transaction.onerror = () => {
+        db.close();
+        reject(transaction.error);
+    };
+}));
+
+const indexedDbStorage = {
+    getAll: () => runTransaction('readonly', (store) => store.getAll()),
+    add: (record) => runTransaction('readwrite', (store) => store.add(record)),
+    put: (record) => runTransaction('readwrite', (store) => store.put(record)),
+    delete: (id) => runTransaction('readwrite', (store) => store.delete(id)),
+};
+
+// Used where IndexedDB is unavailable (tests, private modes) - queued work only lasts for the page
+const createMemoryStorage = () => {
+    let records = [];
+    let nextId = 1;
+
+    return {
+        getAll: async () => records.map((record) => ({ ...record })),
+        add: async (record) => {
+            const id = nextId++;
+            records.push({ ...record, id });
+            return id;
+        },
+        put: async (record) => {
+            records = records.map((r) => (r.id === record.id ? { ...record } : r));
+        },
+        delete: async (id) => {
+            records = records.filter((r) => r.id !== id);
+        },
+    };
+};
+
+// Only a lost connection queues a mutation; validation and permission errors still reach the caller
+const isOfflineError = (error) => isApiError(error) && error.code === 'NETWORK_ERROR';
+
+// Worth replaying later rather than marking the mutation as failed
+const isTransientError = (error) =>
+    isOfflineError(error) ||
+    (isApiError(error) && (error.retryable || error.status === 401 || error.code === 'VIEW_AS_READ_ONLY'));
+
+/**
+ * Durable FIFO of mutations made while offline. Each entry is
+ * `{ id, kind, method, endpoint, url, body, meta, status: 'pending' | 'failed', error, createdAt }`,
+ * where `kind` is 'task-move', 'comment' or 'time-log' and `meta` says which task or project
+ * it belongs to, so components can badge the affected items.
+ *
+ * Replay happens in the service worker's background sync where supported, and in the page
+ * (on the `online` event) everywhere else. Nothing can be queued during "view as", and mutations
+ * the manager queued before it are held until it ends (AuthProvider then calls `requestSync`),
+ * so they are never sent as the viewed user.
+ */
+class OfflineQueue {
+    constructor(storage) {
+        this.storage = storage;
+        this.mutations = [];
+        this.listeners = new Set();
+        this.replayListeners = new Set();
+        this.replayPromise = null;
+    }
+
+    async load() {
+        const records = await this.storage.getAll();
+        this.mutations = records.sort((a, b) => a.id - b.id);
+        this.listeners.forEach((listener) => listener());
+    }
+
+    // useSyncExternalStore-compatible
+    subscribe = (listener) => {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    };
+
+    getSnapshot = () => this.mutations;
+
+    // Called with each mutation once the server has accepted it
+    onReplayed(listener) {
+        this.replayListeners.add(listener);
+        return () => this.replayListeners.delete(listener);
+    }
+
+    hasPending() {
+        return this.mutations.some((mutation) => mutation.status === 'pending');
+    }
+
+    async enqueue({ kind, method, endpoint, body, meta = {} }) {
+        const record = {
+            kind,
+            method,
+            endpoint,
+            // The service worker has no access to the client's configuration, so it gets the full URL
+            url: `${apiClient.baseURL}${endpoint}`,
+            body,
+            meta,
+            status: 'pending',
+            error: null,
+            createdAt: new Date().toISOString(),
+        };
+
+        const id = await this.storage.add(record);
+        await this.load();
+        this.requestSync();
+        return { ...record, id };
+    }
+
+    canUseBackgroundSync() {
+        return !apiClient.mockServer &&
+            'serviceWorker' in navigator &&
+            !!navigator.serviceWorker.controller &&
+            'SyncManager' in window;
+    }
+
+    requestSync() {
+        if (apiClient.readOnly) return;
+
+        if (this.canUseBackgroundSync()) {
+            navigator.serviceWorker.ready
+                .then((registration) => registration.sync.register(SYNC_TAG))
+                .catch(() => this.replay());
+        } else if (navigator.onLine) {
+            this.replay();
+        }
+    }
+
+    // Sends pending mutations oldest first. A connection problem stops the run so later
+    // mutations never overtake earlier ones; a rejected mutation is marked failed and skipped.
+    // Concurrent calls share the run in progress, which also picks up mutations queued meanwhile.
+    replay() {
+        if (!this.replayPromise) {
+            this.replayPromise = this.replayPending().finally(() => {
+                this.replayPromise = null;
+            });
+        }
+
+        return this.replayPromise;
+    }
+
+    async replayPending() {
+        if (apiClient.readOnly) return;
+
+        const attempted = new Set();
+        const nextPending = () => this.mutations.find((m) => m.status === 'pending' && !attempted.has(m.id));
+
+        try {
+            for (let mutation = nextPending(); mutation; mutation = nextPending()) {
+                attempted.add(mutation.id);
+
+                try {
+                    await apiClient.request(mutation.endpoint, {
+                        method: mutation.method,
+                        body: JSON.stringify(mutation.body),
+                    });
+                    await this.storage.delete(mutation.id);
+                    await this.load();
+                    this.handleReplayed(mutation);
+                } catch (error) {
+                    if (isTransientError(error)) break;
+                    await this.storage.put({ ...mutation, status: 'failed', error: error.message });
+                    await this.load();
+                }
+            }
+        } finally {
+            await this.load();
+        }
+    }
+
+    handleReplayed(mutation) {
+        if (mutation.kind === 'task-move') {
+            queryCache.invalidate(queryKeys.tasks.all);
+        }
+        this.replayListeners.forEach((listener) => listener(mutation));
+    }
+
+    async retry(id) {
+        const mutation = this.mutations.find((m) => m.id === id);
+        if (!mutation) return;
+
+        await this.storage.put({ ...mutation, status: 'pending', error: null });
+        await this.load();
+        this.requestSync();
+    }
+
+    async discard(id) {
+        await this.storage.delete(id);
+        await this.load();
+    }
+
+    // The service worker replayed part of the queue: pick up its changes
+    async handleWorkerMessage(message) {
+        if (message?.type !== 'offline-queue-synced') return;
+
+        await this.load();
+        message.replayed.forEach((mutation) => this.handleReplayed(mutation));
+    }
+}
+
+export const offlineQueue = new OfflineQueue(
+    typeof indexedDB === 'undefined' ? createMemoryStorage() : indexedDbStorage
+);
+
+if (typeof window !== 'undefined') {
+    offlineQueue.load().catch((error) => console.error('Failed to load offline queue:', error));
+    window.addEventListener('online', () => offlineQueue.requestSync());
+    navigator.serviceWorker?.addEventListener('message', (event) => offlineQueue.handleWorkerMessage(event.data));
+}
+
+/**
+ * Runs `send` and, if the device is offline (or earlier mutations are still waiting), queues
+ * `mutation` for replay instead. Resolves with `send`'s result, or `{ queued: true, mutation }`.
+ */
+export const sendOrQueue = async (mutation, send) => {
+    apiClient.assertWritable(mutation.method, mutation.endpoint);
+
+    if (navigator.onLine && !offlineQueue.hasPending()) {
+        try {
+            return await send();
+        } catch (error) {
+            if (!isOfflineError(error)) throw error;
+        }
+    }
+
+    return { queued: true, mutation: await offlineQueue.enqueue(mutation) };
+};
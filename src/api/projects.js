@@ -1,28 +1,54 @@
-import { apiClient } from './client';
+import { apiClient, withVersion } from './client';
+import { queryCache, queryKeys } from './queryCache';
+import { models, toPage, toEntity } from './models';
+
+// Project lists and details are cheap to refetch, so every mutation simply invalidates them
+const invalidateProjects = (data) => {
+    queryCache.invalidate(queryKeys.projects.all);
+    return data;
+};
 
 export const projectsAPI = {
-    getAll: (params = {}) => {
+    getAll: (params = {}, options) => {
         const queryString = new URLSearchParams(params).toString();
-        return apiClient.get(`/projects${queryString ? `?${queryString}` : ''}`);
+        return apiClient.get(`/projects${queryString ? `?${queryString}` : ''}`, options)
+            .then(toPage(models.project, 'GET /projects'));
     },
 
-    getById: (id) => apiClient.get(`/projects/${id}`),
+    getById: (id, options) =>
+        apiClient.get(`/projects/${id}`, options).then(toEntity(models.project, 'GET /projects/:id', 'project')),
+
+    create: (projectData, options) => apiClient.post('/projects', projectData, options).then(invalidateProjects),
 
-    create: (projectData) => apiClient.post('/projects', projectData),
+    // Like tasksAPI.update, `version` makes the save fail with a conflict if the project changed since
+    update: (id, projectData, { version, ...options } = {}) =>
+        apiClient.put(`/projects/${id}`, projectData, withVersion(version, options)).then(invalidateProjects),
 
-    update: (id, projectData) => apiClient.put(`/projects/${id}`, projectData),
+    delete: (id, options) => apiClient.delete(`/projects/${id}`, options).then((data) => {
+        queryCache.invalidate(queryKeys.tasks.byProject(id));
+        return invalidateProjects(data);
+    }),
 
-    delete: (id) => apiClient.delete(`/projects/${id}`),
+    // Replaces the board's columns: `columns` is `[{ name, done, wip_limit, from }]` in order, where `from` is the
+    // column's name before the edit (null for new ones); `moves` maps each removed column to the one its tasks
+    // go to, and `wipPolicy` is 'warn' or 'block' (see src/utils/workflow.js).
+    // Renamed and removed columns carry their tasks along, so the task lists are refetched too.
+    updateWorkflow: (id, { columns, moves = {}, wipPolicy }, options) =>
+        apiClient.put(`/projects/${id}/workflow`, { columns, moves, wip_policy: wipPolicy }, options).then((data) => {
+            queryCache.invalidate(queryKeys.tasks.byProject(id));
+            return invalidateProjects(data);
+        }),
 
-    updateStatus: (id, status) => apiClient.patch(`/projects/${id}/status`, { status }),
+    updateStatus: (id, status, options) =>
+        apiClient.patch(`/projects/${id}/status`, { status }, options).then(invalidateProjects),
 
     // Member management
-    inviteMember: (projectId, memberData) =>
-        apiClient.post(`/members/projects/${projectId}/invite`, memberData),
+    inviteMember: (projectId, memberData, options) =>
+        apiClient.post(`/members/projects/${projectId}/invite`, memberData, options).then(invalidateProjects),
 
-    removeMember: (projectId, userId) =>
-        apiClient.post(`/members/projects/${projectId}/remove`, { user_id: userId }),
+    removeMember: (projectId, userId, options) =>
+        apiClient.post(`/members/projects/${projectId}/remove`, { user_id: userId }, options).then(invalidateProjects),
 
-    respondToInvitation: (projectId, response) =>
-        apiClient.post(`/members/projects/${projectId}/respond`, response),
+    respondToInvitation: (projectId, response, options) =>
+        apiClient.post(`/members/projects/${projectId}/respond`, response, options).then(invalidateProjects),
 };
\ No newline at end of file
@@ -0,0 +1,176 @@
+import { isAbortError } from './client';
+
+// How long a cached response is served without triggering a background revalidation
+const DEFAULT_STALE_TIME = 30000;
+
+const serializeKey = (key) => JSON.stringify(key);
+
+// ['tasks'] matches ['tasks', 'project', '4'], so mutations can invalidate whole families of keys
+const matchesPrefix = (key, prefix) =>
+    prefix.length <= key.length &&
+    prefix.every((part, index) => serializeKey(part) === serializeKey(key[index]));
+
+// Query keys shared by the API modules (for invalidation) and the components (for reads)
+export const queryKeys = {
+    tasks: {
+        all: ['tasks'],
+        byProject: (projectId) => ['tasks', 'project', String(projectId)],
+        detail: (id) => ['tasks', 'detail', String(id)],
+    },
+    projects: {
+        all: ['projects'],
+        list: (params = {}) => ['projects', 'list', params],
+        detail: (id) => ['projects', 'detail', String(id)],
+    },
+};
+
+class QueryCache {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    getEntry(key) {
+        const hash = serializeKey(key);
+        let entry = this.entries.get(hash);
+
+        if (!entry) {
+            entry = {
+                key,
+                fetcher: null,
+                promise: null,
+                controller: null,
+                listeners: new Set(),
+                updatedAt: 0,
+                invalidated: false,
+                refetchQueued: false,
+                snapshot: { data: undefined, error: null, isFetching: false },
+            };
+            this.entries.set(hash, entry);
+        }
+
+        return entry;
+    }
+
+    // Snapshots are replaced (never mutated) so they work with useSyncExternalStore
+    setSnapshot(entry, changes) {
+        entry.snapshot = { ...entry.snapshot, ...changes };
+        entry.listeners.forEach((listener) => listener());
+    }
+
+    getSnapshot(key) {
+        return this.getEntry(key).snapshot;
+    }
+
+    isStale(entry, staleTime) {
+        return entry.invalidated || Date.now() - entry.updatedAt > staleTime;
+    }
+
+    // Returns the shared in-flight promise when one exists, cached data while it is fresh,
+    // and otherwise starts a request. `fetcher` receives an AbortSignal.
+    fetch(key, fetcher, { force = false, staleTime = DEFAULT_STALE_TIME } = {}) {
+        const entry = this.getEntry(key);
+        entry.fetcher = fetcher;
+
+        if (entry.promise) {
+            return entry.promise;
+        }
+
+        if (!force && entry.updatedAt && !this.isStale(entry, staleTime)) {
+            return Promise.resolve(entry.snapshot.data);
+        }
+
+        const controller = new AbortController();
+        entry.controller = controller;
+        entry.invalidated = false;
+
+        entry.promise = new Promise((resolve) => resolve(fetcher(controller.signal)))
+            .then((data) => {
+                entry.updatedAt = Date.now();
+                this.setSnapshot(entry, { data, error: null });
+                return data;
+            })
+            .catch((error) => {
+                if (!isAbortError(error)) {
+                    this.setSnapshot(entry, { error });
+                }
+                throw error;
+            })
+            .finally(() => {
+                // Cancelled and already replaced by a newer request
+                if (entry.controller && entry.controller !== controller) return;
+
+                entry.promise = null;
+                entry.controller = null;
+                this.setSnapshot(entry, { isFetching: false });
+
+                // Invalidated while the request was in flight - its response may already be outdated
+                if (entry.refetchQueued) {
+                    entry.refetchQueued = false;
+                    this.revalidate(entry);
+                }
+            });
+
+        this.setSnapshot(entry, { isFetching: true });
+        return entry.promise;
+    }
+
+    revalidate(entry) {
+        if (!entry.fetcher || entry.listeners.size === 0) return;
+
+        if (entry.promise) {
+            entry.refetchQueued = true;
+            return;
+        }
+
+        this.fetch(entry.key, entry.fetcher, { force: true }).catch(() => {
+            // Subscribers read the error from the snapshot
+        });
+    }
+
+    subscribe(key, listener) {
+        const entry = this.getEntry(key);
+        entry.listeners.add(listener);
+
+        return () => {
+            entry.listeners.delete(listener);
+
+            // Nobody is waiting for the response any more
+            if (entry.listeners.size === 0 && entry.controller) {
+                entry.controller.abort();
+                entry.controller = null;
+                entry.promise = null;
+            }
+        };
+    }
+
+    // Marks every key under `prefix` stale and refetches the ones currently on screen
+    invalidate(prefix) {
+        this.entries.forEach((entry) => {
+            if (!matchesPrefix(entry.key, prefix)) return;
+            entry.invalidated = true;
+            this.revalidate(entry);
+        });
+    }
+
+    setQueryData(key, updater) {
+        const entry = this.getEntry(key);
+        const data = typeof updater === 'function' ? updater(entry.snapshot.data) : updater;
+        entry.updatedAt = Date.now();
+        this.setSnapshot(entry, { data });
+    }
+
+    // Patches every cached response under `prefix`, e.g. one task inside each project's task list
+    setQueriesData(prefix, updater) {
+        this.entries.forEach((entry) => {
+            if (!matchesPrefix(entry.key, prefix) || entry.snapshot.data === undefined) return;
+            this.setSnapshot(entry, { data: updater(entry.snapshot.data, entry.key) });
+        });
+    }
+
+    clear() {
+        this.entries.forEach((entry) => entry.controller?.abort());
+        this.entries.clear();
+    }
+}
+
+export const queryCache = new QueryCache();
@@ -0,0 +1,136 @@
+import { apiClient } from './client';
+
+// Reconnect backoff: 1s, 2s, 4s ... capped at 30s
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 30000;
+
+// After this many failed connection attempts in a row, subscribers are polled until the stream is back
+const ATTEMPTS_BEFORE_POLLING = 3;
+const POLL_INTERVAL = 30000;
+
+/**
+ * Push channel for server events, shared by every subscribed component.
+ *
+ * The backend streams Server-Sent Events from `GET /events/stream` (the session cookie
+ * identifies the user); each message is JSON `{ type, channel, payload }`, e.g.
+ * `{ type: 'task.updated', channel: 'project:4', payload: { task } }`. Channels are
+ * `project:<id>` (task and project comment events), `task:<id>` (task comment events)
+ * and `notifications`.
+ *
+ * Subscribers pass `onEvent(event)` and `onResync()`. `onResync` is called after a reconnect
+ * (events may have been missed) and every 30s while the stream is unavailable, so
+ * components fall back to polling without knowing about the transport.
+ */
+class RealtimeClient {
+    constructor() {
+        this.subscriptions = new Set();
+        this.source = null;
+        this.status = 'idle'; // idle | connecting | open | polling
+        this.attempts = 0;
+        this.reconnectTimer = null;
+        this.pollTimer = null;
+    }
+
+    subscribe(channel, handlers) {
+        const subscription = { channel, ...handlers };
+        this.subscriptions.add(subscription);
+        if (this.subscriptions.size === 1) this.connect();
+
+        return () => {
+            this.subscriptions.delete(subscription);
+            if (this.subscriptions.size === 0) this.disconnect();
+        };
+    }
+
+    connect() {
+        this.status = 'connecting';
+
+        // The mock backend pushes its events in-process
+        if (apiClient.mockServer) {
+            const unsubscribe = apiClient.mockServer.subscribeEvents((event) => this.dispatch(event));
+            this.source = { close: unsubscribe };
+            this.handleOpen();
+            return;
+        }
+
+        if (typeof EventSource === 'undefined') {
+            this.startPolling();
+            return;
+        }
+
+        const source = new EventSource(`${apiClient.baseURL}/events/stream`, { withCredentials: true });
+        source.onopen = () => this.handleOpen();
+        source.onmessage = (message) => {
+            try {
+                this.dispatch(JSON.parse(message.data));
+            } catch (error) {
+                console.error('Ignoring malformed realtime event:', error);
+            }
+        };
+        source.onerror = () => {
+            source.close();
+            this.scheduleReconnect();
+        };
+        this.source = source;
+    }
+
+    handleOpen() {
+        const recovering = this.attempts > 0 || this.status === 'polling';
+        this.status = 'open';
+        this.attempts = 0;
+        this.stopPolling();
+
+        // Anything published while we were disconnected was missed
+        if (recovering) this.resync();
+    }
+
+    scheduleReconnect() {
+        this.source = null;
+        this.attempts += 1;
+
+        if (this.attempts >= ATTEMPTS_BEFORE_POLLING) {
+            this.startPolling();
+        } else {
+            this.status = 'connecting';
+        }
+
+        const delay = Math.min(RECONNECT_BASE_DELAY * Math.pow(2, this.attempts - 1), RECONNECT_MAX_DELAY);
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connect();
+        }, delay);
+    }
+
+    startPolling() {
+        this.status = 'polling';
+        if (this.pollTimer) return;
+        this.pollTimer = setInterval(() => this.resync(), POLL_INTERVAL);
+    }
+
+    stopPolling() {
+        clearInterval(this.pollTimer);
+        this.pollTimer = null;
+    }
+
+    disconnect() {
+        this.source?.close();
+        this.source = null;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.stopPolling();
+        this.attempts = 0;
+        this.status = 'idle';
+    }
+
+    dispatch(event) {
+        this.subscriptions.forEach((subscription) => {
+            if (subscription.channel === event.channel) subscription.onEvent?.(event);
+        });
+    }
+
+    resync() {
+        this.subscriptions.forEach((subscription) => subscription.onResync?.());
+    }
+}
+
+export const realtime = new RealtimeClient();
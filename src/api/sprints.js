@@ -1,16 +1,18 @@
 import { apiClient } from './client';
+import { models, toPage } from './models';
 
 export const sprintApi = {
-    getSprints: (projectId) => {
-        return apiClient.get(`/projects/${projectId}/sprints`);
+    getSprints: (projectId, options) => {
+        return apiClient.get(`/projects/${projectId}/sprints`, options)
+            .then(toPage(models.sprint, 'GET /projects/:id/sprints'));
     },
-    createSprint: (projectId, data) => {
-        return apiClient.post(`/projects/${projectId}/sprints`, data);
+    createSprint: (projectId, data, options) => {
+        return apiClient.post(`/projects/${projectId}/sprints`, data, options);
     },
-    updateSprint: (sprintId, data) => {
-        return apiClient.put(`/sprints/${sprintId}`, data);
+    updateSprint: (sprintId, data, options) => {
+        return apiClient.put(`/sprints/${sprintId}`, data, options);
     },
-    deleteSprint: (sprintId) => {
-        return apiClient.delete(`/sprints/${sprintId}`);
+    deleteSprint: (sprintId, options) => {
+        return apiClient.delete(`/sprints/${sprintId}`, options);
     }
 };
@@ -1,15 +1,89 @@
-import { apiClient } from './client';
+import { apiClient, withVersion } from './client';
+import { queryCache, queryKeys } from './queryCache';
+import { sendOrQueue } from './offlineQueue';
+import { models, toPage, toEntity } from './models';
+
+// Applies `update` to the task wherever it appears in a cached project task list. The task's own entry (an open
+// TaskDrawer) is refetched instead, so it shows the saved task, or that it was deleted.
+const patchCachedTask = (id, update) => {
+    queryCache.setQueriesData(queryKeys.tasks.all, (data) => {
+        if (!Array.isArray(data?.items)) return data;
+        return { ...data, items: update(data.items, String(id)) };
+    });
+    queryCache.invalidate(queryKeys.tasks.detail(id));
+};
+
+// Applies a realtime task event (task.created / task.updated / task.deleted) to a project's cached task list
+export const applyTaskEvent = (projectId, { type, payload }) => {
+    queryCache.setQueriesData(queryKeys.tasks.byProject(projectId), (data) => {
+        if (!Array.isArray(data?.items)) return data;
+
+        const id = String(payload.task?.id ?? payload.task_id);
+        const others = data.items.filter((t) => String(t.id) !== id);
+
+        if (type === 'task.deleted') return { ...data, items: others, total: others.length };
+        if (type !== 'task.created' && type !== 'task.updated') return data;
+
+        const exists = others.length < data.items.length;
+        return {
+            ...data,
+            items: exists
+                ? data.items.map((t) => (String(t.id) === id ? { ...t, ...payload.task } : t))
+                : [...data.items, payload.task],
+            total: exists ? data.total : data.items.length + 1,
+        };
+    });
+};
+
+const runBatch = (body, options) => apiClient.post('/tasks/batch', body, options).then((data) => {
+    queryCache.invalidate(queryKeys.tasks.all);
+    return data.results;
+});
 
 export const tasksAPI = {
-    getAll: () => apiClient.get('/tasks/'),
+    getAll: (options) => apiClient.get('/tasks/', options).then(toPage(models.task, 'GET /tasks')),
+
+    getById: (id, options) => apiClient.get(`/tasks/${id}`, options).then(toEntity(models.task, 'GET /tasks/:id', 'task')),
+
+    getByProject: (projectId, options) =>
+        apiClient.get(`/tasks/project/${projectId}`, options).then(toPage(models.task, 'GET /tasks/project/:id')),
+
+    create: (taskData, options) => apiClient.post('/tasks/', taskData, options).then((data) => {
+        queryCache.invalidate(queryKeys.tasks.all);
+        return data;
+    }),
 
-    getById: (id) => apiClient.get(`/tasks/${id}`),
+    // Pass `version` (the task's version when editing began) to reject the save if it changed since
+    update: (id, taskData, { version, ...options } = {}) => apiClient.put(`/tasks/${id}`, taskData, withVersion(version, options)).then((data) => {
+        const changes = { ...taskData, ...data?.task };
+        patchCachedTask(id, (tasks, taskId) =>
+            tasks.map((task) => (String(task.id) === taskId ? { ...task, ...changes } : task))
+        );
+        return data;
+    }),
 
-    getByProject: (projectId) => apiClient.get(`/tasks/project/${projectId}`),
+    // Status and place in the column after a Kanban drag; queued for replay when made offline. `rank` orders
+    // the card within its column (see src/utils/rank.js), `fields` carries other changes the drop makes (a
+    // swimlane's assignee, sprint, priority or labels), and `overrideWipLimit` lets a manager move into a
+    // column that is full on a board that blocks such moves.
+    move: (id, status, { rank, fields = {}, overrideWipLimit = false, ...options } = {}) => {
+        const body = { ...fields, status };
+        if (rank) body.rank = rank;
+        if (overrideWipLimit) body.override_wip_limit = true;
+        return sendOrQueue(
+            { kind: 'task-move', method: 'PUT', endpoint: `/tasks/${id}`, body, meta: { taskId: id } },
+            () => tasksAPI.update(id, body, options)
+        );
+    },
 
-    create: (taskData) => apiClient.post('/tasks/', taskData),
+    delete: (id, options) => apiClient.delete(`/tasks/${id}`, options).then((data) => {
+        patchCachedTask(id, (tasks, taskId) => tasks.filter((task) => String(task.id) !== taskId));
+        return data;
+    }),
 
-    update: (id, taskData) => apiClient.put(`/tasks/${id}`, taskData),
+    // Applies the same `changes` to several tasks in one request. Each task succeeds or fails on its own:
+    // resolves to `[{ task_id, status: 'updated' | 'deleted' | 'failed', error? }]`.
+    batchUpdate: (ids, changes, options) => runBatch({ action: 'update', task_ids: ids, changes }, options),
 
-    delete: (id) => apiClient.delete(`/tasks/${id}`),
+    batchDelete: (ids, options) => runBatch({ action: 'delete', task_ids: ids }, options),
 };
\ No newline at end of file
@@ -1,13 +1,27 @@
 import { apiClient } from './client';
+import { models, toPage } from './models';
+import { sendOrQueue } from './offlineQueue';
 
 export const timeApi = {
-    getTimeLogs: (taskId) => {
-        return apiClient.get(`/tasks/${taskId}/time`);
+    // A Page of logs plus `totalHours` across all of them
+    getTimeLogs: (taskId, options) => {
+        return apiClient.get(`/tasks/${taskId}/time`, options).then((data) => {
+            const page = toPage(models.timeLog, 'GET /tasks/:id/time')(data);
+            return {
+                ...page,
+                totalHours: data?.total_hours ?? page.items.reduce((sum, log) => sum + log.hours_spent, 0),
+            };
+        });
     },
-    logTime: (taskId, data) => {
-        return apiClient.post(`/tasks/${taskId}/time`, data);
+    logTime: (taskId, data, options) => {
+        // Queued for replay when logged offline
+        const endpoint = `/tasks/${taskId}/time`;
+        return sendOrQueue(
+            { kind: 'time-log', method: 'POST', endpoint, body: data, meta: { taskId } },
+            () => apiClient.post(endpoint, data, options)
+        );
     },
-    deleteTimeLog: (logId) => {
-        return apiClient.delete(`/time/${logId}`);
+    deleteTimeLog: (logId, options) => {
+        return apiClient.delete(`/time/${logId}`, options);
     }
 };
@@ -1,13 +1,14 @@
 import { apiClient } from './client';
+import { models, toPage, toEntity } from './models';
 
 export const usersAPI = {
-    getAll: () => apiClient.get('/users/'),
+    getAll: (options) => apiClient.get('/users/', options).then(toPage(models.user, 'GET /users')),
 
-    getById: (id) => apiClient.get(`/users/${id}`),
+    getById: (id, options) => apiClient.get(`/users/${id}`, options).then(toEntity(models.user, 'GET /users/:id', 'user')),
 
-    create: (userData) => apiClient.post('/users/', userData),
+    create: (userData, options) => apiClient.post('/users/', userData, options),
 
-    update: (id, userData) => apiClient.put(`/users/${id}`, userData),
+    update: (id, userData, options) => apiClient.put(`/users/${id}`, userData, options),
 
-    delete: (id) => apiClient.delete(`/users/${id}`),
+    delete: (id, options) => apiClient.delete(`/users/${id}`, options),
 };
\ No newline at end of file
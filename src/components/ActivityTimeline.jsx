@@ -1,37 +1,42 @@
 import { useState, useEffect } from 'react';
 import { Activity } from 'lucide-react';
-import { apiClient } from '../api/client';
+import { activitiesApi } from '../api/activities';
+import { isAbortError } from '../api/client';
+import { formatDateTime } from '../utils/format';
 
-const ActivityTimeline = ({ projectId }) => {
+// With `taskId` it shows that task's history instead of the project feed
+const ActivityTimeline = ({ projectId, taskId }) => {
     const [activities, setActivities] = useState([]);
     const [loading, setLoading] = useState(true);
 
     useEffect(() => {
+        const controller = new AbortController();
         const fetchActivities = async () => {
             try {
                 setLoading(true);
-                // The current backend route is /activities/activities, but it might not filter by project.
-                // We'll fetch all and filter client-side for now, assuming activity action strings contain the project name.
-                // In a true enterprise app, the backend would have a dedicated endpoint for project-specific activities.
+                // A task's history is filtered by the backend (?task_id=). The project feed still comes from the
+                // general activities route, which does not filter by project; a dedicated endpoint would.
 
-                const res = await apiClient.get('/activities/activities');
-                if (res && res.items) {
-                    setActivities(res.items);
-                }
+                const res = taskId
+                    ? await activitiesApi.getTaskActivities(taskId, { signal: controller.signal })
+                    : await activitiesApi.getActivities({ signal: controller.signal });
+                setActivities(res.items);
             } catch (error) {
+                if (isAbortError(error)) return;
                 console.error("Failed to fetch activities", error);
             } finally {
-                setLoading(false);
+                if (!controller.signal.aborted) setLoading(false);
             }
         };
         fetchActivities();
-    }, [projectId]);
+        return () => controller.abort();
+    }, [projectId, taskId]);
 
     return (
         <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
             <h3 className="text-lg font-bold text-gray-900 mb-6 flex items-center gap-2">
                 <Activity size={20} className="text-blue-600" />
-                Activity Timeline
+                {taskId ? 'History' : 'Activity Timeline'}
             </h3>
 
             <div className="space-y-6">
@@ -61,7 +66,7 @@ const ActivityTimeline = ({ projectId }) => {
                                         {activity.user_name || 'System'}
                                     </span>
                                     <span className="text-xs text-gray-400">
-                                        {new Date(activity.created_at).toLocaleString()}
+                                        {formatDateTime(activity.created_at)}
                                     </span>
                                 </div>
                                 <p className="text-sm text-gray-600">{activity.action}</p>
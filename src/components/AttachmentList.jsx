@@ -1,69 +1,114 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
 import { attachmentApi } from '../api/attachments';
-import { File, Upload, Trash2, Download, Paperclip, AlertCircle, Eye } from 'lucide-react';
-import { useAuth } from '../context/AuthContext';
+import { isAbortError } from '../api/client';
+import { File, Upload, Trash2, Download, Paperclip, AlertCircle, Eye, X, RotateCcw } from 'lucide-react';
+import { formatDate } from '../utils/format';
+import Can from './Can';
+
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+
+let nextUploadId = 0;
 
 const AttachmentList = ({ projectId, taskId }) => {
     const [attachments, setAttachments] = useState([]);
-    const [uploading, setUploading] = useState(false);
+    // In-progress and failed uploads: { id, file, loaded, total, status: 'uploading' | 'failed', error }
+    const [uploads, setUploads] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
     const fileInputRef = useRef(null);
-    const { user, isManager } = useAuth();
+    const uploadControllers = useRef(new Map());
 
-    const fetchAttachments = useCallback(async () => {
+    const fetchAttachments = useCallback(async (signal) => {
         try {
             setLoading(true);
             setError(null);
             let res;
-            if (projectId) res = await attachmentApi.getProjectAttachments(projectId);
-            else if (taskId) res = await attachmentApi.getTaskAttachments(taskId);
+            if (projectId) res = await attachmentApi.getProjectAttachments(projectId, { signal });
+            else if (taskId) res = await attachmentApi.getTaskAttachments(taskId, { signal });
 
-            if (res && res.attachments) {
-                setAttachments(res.attachments);
-            }
+            if (res) setAttachments(res.items);
         } catch (err) {
+            if (isAbortError(err)) return;
             console.error("Failed to fetch attachments", err);
             setError("Failed to load attachments.");
         } finally {
-            setLoading(false);
+            if (!signal?.aborted) setLoading(false);
         }
     }, [projectId, taskId]);
 
     useEffect(() => {
-        fetchAttachments();
+        const controller = new AbortController();
+        fetchAttachments(controller.signal);
+        return () => controller.abort();
     }, [fetchAttachments]);
 
-    const handleFileChange = async (e) => {
-        const file = e.target.files[0];
-        if (!file) return;
+    // Abort any uploads still running when the list goes away
+    useEffect(() => {
+        const controllers = uploadControllers.current;
+        return () => controllers.forEach(controller => controller.abort());
+    }, []);
 
-        // Basic validation: 10MB limit
-        if (file.size > 10 * 1024 * 1024) {
-            setError("File size exceeds 10MB limit.");
-            return;
-        }
+    const updateUpload = (id, changes) => {
+        setUploads(prev => prev.map(u => (u.id === id ? { ...u, ...changes } : u)));
+    };
 
-        try {
-            setUploading(true);
-            setError(null);
+    const startUpload = async (upload) => {
+        const controller = new AbortController();
+        uploadControllers.current.set(upload.id, controller);
 
+        const options = {
+            signal: controller.signal,
+            onProgress: ({ loaded, total }) => updateUpload(upload.id, { loaded, total }),
+        };
+
+        try {
             if (projectId) {
-                await attachmentApi.addProjectAttachment(projectId, file);
+                await attachmentApi.addProjectAttachment(projectId, upload.file, options);
             } else if (taskId) {
-                await attachmentApi.addTaskAttachment(taskId, file);
+                await attachmentApi.addTaskAttachment(taskId, upload.file, options);
             }
 
+            setUploads(prev => prev.filter(u => u.id !== upload.id));
             fetchAttachments(); // refresh list
         } catch (err) {
+            if (isAbortError(err)) return;
             console.error("Upload failed", err);
-            setError("Failed to upload file. Please try again.");
+            updateUpload(upload.id, { status: 'failed', error: err.message || "Failed to upload file." });
         } finally {
-            setUploading(false);
-            if (fileInputRef.current) fileInputRef.current.value = ''; // Reset input
+            uploadControllers.current.delete(upload.id);
         }
     };
 
+    const handleFileChange = (e) => {
+        const files = Array.from(e.target.files || []);
+        if (fileInputRef.current) fileInputRef.current.value = ''; // Reset input
+        if (files.length === 0) return;
+
+        // Basic validation: 10MB limit per file
+        const tooLarge = files.filter(file => file.size > MAX_FILE_SIZE);
+        setError(tooLarge.length > 0
+            ? `${tooLarge.map(file => file.name).join(', ')} exceed${tooLarge.length === 1 ? 's' : ''} the 10MB limit.`
+            : null);
+
+        const queued = files
+            .filter(file => file.size <= MAX_FILE_SIZE)
+            .map(file => ({ id: ++nextUploadId, file, loaded: 0, total: file.size, status: 'uploading', error: null }));
+
+        setUploads(prev => [...prev, ...queued]);
+        queued.forEach(startUpload);
+    };
+
+    const handleCancelUpload = (id) => {
+        uploadControllers.current.get(id)?.abort();
+        setUploads(prev => prev.filter(u => u.id !== id));
+    };
+
+    const handleRetryUpload = (upload) => {
+        const retried = { ...upload, loaded: 0, status: 'uploading', error: null };
+        updateUpload(upload.id, retried);
+        startUpload(retried);
+    };
+
     const handleDelete = async (attachmentId) => {
         if (!window.confirm("Are you sure you want to delete this file?")) return;
         try {
@@ -84,27 +129,26 @@ const AttachmentList = ({ projectId, taskId }) => {
                 </h3>
 
                 {/* Upload Button */}
-                <div>
-                    <input
-                        type="file"
-                        ref={fileInputRef}
-                        onChange={handleFileChange}
-                        className="hidden"
-                        accept=".pdf,.doc,.docx,.txt,.csv,.xlsx,.png,.jpg,.jpeg,.gif"
-                    />
-                    <button
-                        onClick={() => fileInputRef.current?.click()}
-                        disabled={uploading}
-                        className="flex items-center gap-2 px-4 py-2 bg-blue-50 text-blue-700 hover:bg-blue-100 rounded-lg transition-colors text-sm font-medium"
-                    >
-                        {uploading ? (
-                            <div className="w-5 h-5 border-2 border-blue-600 border-t-transparent rounded-full animate-spin"></div>
-                        ) : (
+                <Can action="attachments.upload">
+                    <div>
+                        <input
+                            type="file"
+                            ref={fileInputRef}
+                            onChange={handleFileChange}
+                            className="hidden"
+                            multiple
+                            data-testid="attachment-input"
+                            accept=".pdf,.doc,.docx,.txt,.csv,.xlsx,.png,.jpg,.jpeg,.gif"
+                        />
+                        <button
+                            onClick={() => fileInputRef.current?.click()}
+                            className="flex items-center gap-2 px-4 py-2 bg-blue-50 text-blue-700 hover:bg-blue-100 rounded-lg transition-colors text-sm font-medium"
+                        >
                             <Upload size={16} />
-                        )}
-                        <span>{uploading ? 'Uploading...' : 'Upload File'}</span>
-                    </button>
-                </div>
+                            <span>Upload Files</span>
+                        </button>
+                    </div>
+                </Can>
             </div>
 
             {error && (
@@ -114,6 +158,62 @@ const AttachmentList = ({ projectId, taskId }) => {
                 </div>
             )}
 
+            {uploads.length > 0 && (
+                <ul className="mb-4 space-y-2">
+                    {uploads.map(upload => {
+                        const percent = upload.total ? Math.round((upload.loaded / upload.total) * 100) : 0;
+                        const failed = upload.status === 'failed';
+
+                        return (
+                            <li key={upload.id} className={`p-3 border rounded-lg ${failed ? 'border-red-200 bg-red-50/50' : 'border-gray-200'}`}>
+                                <div className="flex items-center justify-between gap-3 mb-2">
+                                    <p className="text-sm font-medium text-gray-900 truncate" title={upload.file.name}>
+                                        {upload.file.name}
+                                    </p>
+                                    <div className="flex items-center gap-1 flex-shrink-0">
+                                        <span className={`text-xs ${failed ? 'text-red-600' : 'text-gray-500'}`}>
+                                            {failed ? 'Failed' : `${percent}%`}
+                                        </span>
+                                        {failed && (
+                                            <button
+                                                onClick={() => handleRetryUpload(upload)}
+                                                className="p-1 text-gray-500 hover:text-blue-600 rounded-md transition-colors"
+                                                title="Retry upload"
+                                            >
+                                                <RotateCcw size={14} />
+                                            </button>
+                                        )}
+                                        <button
+                                            onClick={() => handleCancelUpload(upload.id)}
+                                            className="p-1 text-gray-500 hover:text-red-600 rounded-md transition-colors"
+                                            title={failed ? 'Dismiss' : 'Cancel upload'}
+                                        >
+                                            <X size={14} />
+                                        </button>
+                                    </div>
+                                </div>
+                                <div
+                                    className="h-1.5 bg-gray-200 rounded-full overflow-hidden"
+                                    role="progressbar"
+                                    aria-label={`Uploading ${upload.file.name}`}
+                                    aria-valuemin={0}
+                                    aria-valuemax={100}
+                                    aria-valuenow={percent}
+                                >
+                                    <div
+                                        className={`h-full transition-all ${failed ? 'bg-red-400' : 'bg-blue-600'}`}
+                                        style={{ width: `${percent}%` }}
+                                    />
+                                </div>
+                                {failed && upload.error && (
+                                    <p className="mt-1 text-xs text-red-600">{upload.error}</p>
+                                )}
+                            </li>
+                        );
+                    })}
+                </ul>
+            )}
+
             <div className="space-y-3">
                 {loading ? (
                     <div className="animate-pulse flex gap-4">
@@ -137,7 +237,7 @@ const AttachmentList = ({ projectId, taskId }) => {
                                             {attachment.file_name}
                                         </p>
                                         <p className="text-xs text-gray-500">
-                                            {attachment.uploader_name} • {new Date(attachment.created_at).toLocaleDateString()}
+                                            {attachment.uploader_name} • {formatDate(attachment.created_at)}
                                         </p>
                                     </div>
                                 </div>
@@ -152,7 +252,7 @@ const AttachmentList = ({ projectId, taskId }) => {
                                         <Eye size={16} />
                                     </a>
 
-                                    {(isManager() || user?.id === attachment.uploader_id) && (
+                                    <Can action="attachments.delete" createdBy={attachment.uploader_id}>
                                         <button
                                             onClick={() => handleDelete(attachment.id)}
                                             className="p-1.5 text-gray-500 hover:text-red-600 hover:bg-white rounded-md transition-colors"
@@ -160,7 +260,7 @@ const AttachmentList = ({ projectId, taskId }) => {
                                         >
                                             <Trash2 size={16} />
                                         </button>
-                                    )}
+                                    </Can>
                                 </div>
                             </li>
                         ))}
@@ -1,26 +1,24 @@
-import { useState, useEffect, useCallback } from 'react';
 import { Calendar, AlertCircle } from 'lucide-react';
-import { tasksAPI } from '../api/tasks';
-
-const CalendarView = ({ projectId }) => {
-    const [tasks, setTasks] = useState([]);
-    const [loading, setLoading] = useState(true);
-
-    const fetchTasks = useCallback(async () => {
-        try {
-            setLoading(true);
-            const response = await tasksAPI.getByProject(projectId);
-            setTasks(response.tasks || []);
-        } catch (error) {
-            console.error('Error fetching tasks for calendar:', error);
-        } finally {
-            setLoading(false);
-        }
-    }, [projectId]);
-
-    useEffect(() => {
-        fetchTasks();
-    }, [fetchTasks]);
+import { tasksAPI, applyTaskEvent } from '../api/tasks';
+import { queryKeys } from '../api/queryCache';
+import { useQuery } from '../hooks/useQuery';
+import { useRealtime } from '../hooks/useRealtime';
+import { useWorkflow } from '../hooks/useWorkflow';
+import { isDoneStatus } from '../utils/workflow';
+import { formatDate } from '../utils/format';
+
+// `onOpenTask` opens a task's details when its title is clicked
+const CalendarView = ({ projectId, onOpenTask }) => {
+    const { data, loading, refetch } = useQuery(queryKeys.tasks.byProject(projectId), (signal) =>
+        tasksAPI.getByProject(projectId, { signal })
+    );
+    useRealtime(`project:${projectId}`, {
+        onEvent: (event) => applyTaskEvent(projectId, event),
+        onResync: refetch,
+    });
+    const tasks = data?.items || [];
+    const workflow = useWorkflow();
+    const pendingTasks = tasks.filter((task) => !isDoneStatus(workflow, task.status));
 
     // Group tasks by upcoming dates
     const groupedTasks = {
@@ -37,9 +35,7 @@ const CalendarView = ({ projectId }) => {
     const nextWeek = new Date(today);
     nextWeek.setDate(today.getDate() + 7);
 
-    tasks.forEach(task => {
-        if (task.status === 'Done') return; // Skip completed tasks
-
+    pendingTasks.forEach(task => {
         if (!task.due_date) {
             groupedTasks.NoDate.push(task);
             return;
@@ -72,7 +68,13 @@ const CalendarView = ({ projectId }) => {
                 <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-4">
                     {taskList.map(task => (
                         <div key={task.id} className="bg-white p-4 rounded-lg shadow-sm border border-gray-200 hover:shadow-md transition">
-                            <h5 className="font-semibold text-gray-800 mb-1 leading-tight">{task.title}</h5>
+                            <h5 className="font-semibold text-gray-800 mb-1 leading-tight">
+                                {onOpenTask ? (
+                                    <button type="button" onClick={() => onOpenTask(task)} className="text-left hover:text-blue-600">
+                                        {task.title}
+                                    </button>
+                                ) : task.title}
+                            </h5>
                             <div className="flex justify-between items-end mt-3">
                                 <span className={`text-[10px] px-2 py-0.5 rounded-full font-medium ${task.priority === 'Urgent' ? 'bg-red-100 text-red-800' :
                                         task.priority === 'High' ? 'bg-orange-100 text-orange-800' :
@@ -83,7 +85,7 @@ const CalendarView = ({ projectId }) => {
                                 {task.due_date && (
                                     <span className="text-xs text-gray-500 flex items-center gap-1">
                                         <Calendar size={12} />
-                                        {new Date(task.due_date).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}
+                                        {formatDate(task.due_date, { month: 'short', day: 'numeric' })}
                                     </span>
                                 )}
                             </div>
@@ -107,7 +109,7 @@ const CalendarView = ({ projectId }) => {
             {renderTaskGroup('🗓️ Upcoming', groupedTasks.Upcoming, 'text-gray-600')}
             {renderTaskGroup('📝 No Due Date', groupedTasks.NoDate, 'text-gray-400')}
 
-            {tasks.filter(t => t.status !== 'Done').length === 0 && (
+            {pendingTasks.length === 0 && (
                 <div className="text-center py-10">
                     <AlertCircle className="mx-auto text-gray-300 mb-2" size={32} />
                     <p className="text-gray-500">No pending tasks found for this project.</p>
@@ -0,0 +1,10 @@
+import { usePermissions } from '../hooks/usePermissions';
+
+// Renders `children` only if the signed-in user may perform `action`, otherwise `fallback`.
+// e.g. <Can action="comments.delete" createdBy={comment.author_id}>...</Can>
+const Can = ({ action, createdBy, project, fallback = null, children }) => {
+    const { can } = usePermissions(project);
+    return can(action, { createdBy }) ? children : fallback;
+};
+
+export default Can;
@@ -1,47 +1,85 @@
 import { useState, useEffect, useCallback } from 'react';
 import { commentApi } from '../api/comments';
+import { isAbortError } from '../api/client';
+import { useOfflineQueue } from '../hooks/useOfflineQueue';
+import { useRealtime } from '../hooks/useRealtime';
+import SyncBadge from './SyncBadge';
 import { Send, Trash2, MessageSquare } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
+import { usePermissions } from '../hooks/usePermissions';
+import { formatDateTime } from '../utils/format';
+import Can from './Can';
 
 const CommentSection = ({ projectId, taskId }) => {
     const [comments, setComments] = useState([]);
     const [newComment, setNewComment] = useState('');
     const [loading, setLoading] = useState(true);
-    const { user, isManager } = useAuth();
+    const { user } = useAuth();
+    const { can } = usePermissions();
 
-    const fetchComments = useCallback(async () => {
+    const fetchComments = useCallback(async (signal) => {
         try {
             setLoading(true);
             let res;
-            if (projectId) res = await commentApi.getProjectComments(projectId);
-            else if (taskId) res = await commentApi.getTaskComments(taskId);
+            if (projectId) res = await commentApi.getProjectComments(projectId, { signal });
+            else if (taskId) res = await commentApi.getTaskComments(taskId, { signal });
 
-            if (res && res.comments) {
-                setComments(res.comments);
-            }
+            if (res) setComments(res.items);
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error("Failed to fetch comments", error);
         } finally {
-            setLoading(false);
+            if (!signal?.aborted) setLoading(false);
         }
     }, [projectId, taskId]);
 
     useEffect(() => {
-        fetchComments();
+        const controller = new AbortController();
+        fetchComments(controller.signal);
+        return () => controller.abort();
     }, [fetchComments]);
 
+    // Comments from other people appear as they are posted or deleted
+    useRealtime(projectId ? `project:${projectId}` : `task:${taskId}`, {
+        onEvent: ({ type, payload }) => {
+            if (type === 'comment.created') {
+                setComments((prev) => (prev.some((c) => c.id === payload.comment.id) ? prev : [...prev, payload.comment]));
+            } else if (type === 'comment.deleted') {
+                setComments((prev) => prev.filter((c) => c.id !== payload.comment_id));
+            }
+        },
+        onResync: () => fetchComments(),
+    });
+
+    // Comments posted offline for this project/task; shown until the server has them
+    const queuedComments = useOfflineQueue(
+        (mutation) => mutation.kind === 'comment' && (projectId
+            ? String(mutation.meta.projectId) === String(projectId)
+            : String(mutation.meta.taskId) === String(taskId)),
+        () => fetchComments()
+    ).map((mutation) => ({
+        id: `queued-${mutation.id}`,
+        author_id: user?.id,
+        author_name: user?.name || 'You',
+        content: mutation.body.content,
+        created_at: mutation.createdAt,
+        mutation,
+    }));
+    const allComments = [...comments, ...queuedComments];
+
     const handleSubmit = async (e) => {
         e.preventDefault();
         if (!newComment.trim()) return;
 
         try {
+            let result;
             if (projectId) {
-                await commentApi.addProjectComment(projectId, newComment);
+                result = await commentApi.addProjectComment(projectId, newComment);
             } else if (taskId) {
-                await commentApi.addTaskComment(taskId, newComment);
+                result = await commentApi.addTaskComment(taskId, newComment);
             }
             setNewComment('');
-            fetchComments(); // Refresh list
+            if (!result?.queued) fetchComments(); // Refresh list
         } catch (error) {
             console.error("Failed to post comment", error);
         }
@@ -65,27 +103,29 @@ const CommentSection = ({ projectId, taskId }) => {
             </h3>
 
             {/* Comment Form */}
-            <form onSubmit={handleSubmit} className="mb-6">
-                <div className="flex gap-3">
-                    <div className="flex-1">
-                        <textarea
-                            value={newComment}
-                            onChange={(e) => setNewComment(e.target.value)}
-                            placeholder="Add a comment..."
-                            className="w-full px-4 py-3 rounded-lg border border-gray-300 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 resize-none transition-all duration-200"
-                            rows="2"
-                        />
+            {can('comments.create') && (
+                <form onSubmit={handleSubmit} className="mb-6">
+                    <div className="flex gap-3">
+                        <div className="flex-1">
+                            <textarea
+                                value={newComment}
+                                onChange={(e) => setNewComment(e.target.value)}
+                                placeholder="Add a comment..."
+                                className="w-full px-4 py-3 rounded-lg border border-gray-300 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 resize-none transition-all duration-200"
+                                rows="2"
+                            />
+                        </div>
+                        <button
+                            type="submit"
+                            disabled={!newComment.trim()}
+                            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors flex items-center gap-2 self-end h-[46px]"
+                        >
+                            <Send size={18} />
+                            <span className="cursor-pointer">Post</span>
+                        </button>
                     </div>
-                    <button
-                        type="submit"
-                        disabled={!newComment.trim()}
-                        className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors flex items-center gap-2 self-end h-[46px]"
-                    >
-                        <Send size={18} />
-                        <span className="cursor-pointer">Post</span>
-                    </button>
-                </div>
-            </form>
+                </form>
+            )}
 
             <div className="space-y-4">
                 {loading ? (
@@ -100,10 +140,10 @@ const CommentSection = ({ projectId, taskId }) => {
                             </div>
                         ))}
                     </div>
-                ) : comments.length === 0 ? (
+                ) : allComments.length === 0 ? (
                     <p className="text-gray-500 italic text-center py-4">No comments yet. Start the conversation!</p>
                 ) : (
-                    comments.map(comment => (
+                    allComments.map(comment => (
                         <div key={comment.id} className="flex gap-4 group">
                             {/* Avatar */}
                             <div className="w-10 h-10 rounded-full bg-gradient-to-br from-blue-500 to-purple-500 flex items-center justify-center text-white font-bold flex-shrink-0">
@@ -115,20 +155,27 @@ const CommentSection = ({ projectId, taskId }) => {
                                 <div className="flex items-center justify-between mb-1">
                                     <span className="font-semibold text-gray-900">{comment.author_name}</span>
                                     <span className="text-xs text-gray-500">
-                                        {new Date(comment.created_at).toLocaleString()}
+                                        {formatDateTime(comment.created_at)}
                                     </span>
                                 </div>
                                 <p className="text-gray-700 whitespace-pre-wrap">{comment.content}</p>
+                                {comment.mutation && (
+                                    <div className="mt-2">
+                                        <SyncBadge mutation={comment.mutation} />
+                                    </div>
+                                )}
 
-                                {/* Delete button (Only author or manager) */}
-                                {(isManager() || user?.id === comment.author_id) && (
-                                    <button
-                                        onClick={() => handleDelete(comment.id)}
-                                        className="absolute top-2 right-2 p-1.5 text-gray-400 hover:text-red-500 hover:bg-red-50 rounded-md opacity-0 group-hover:opacity-100 transition-all duration-200"
-                                        title="Delete comment"
-                                    >
-                                        <Trash2 size={16} />
-                                    </button>
+                                {/* Delete button (author, project owner or manager) */}
+                                {!comment.mutation && (
+                                    <Can action="comments.delete" createdBy={comment.author_id}>
+                                        <button
+                                            onClick={() => handleDelete(comment.id)}
+                                            className="absolute top-2 right-2 p-1.5 text-gray-400 hover:text-red-500 hover:bg-red-50 rounded-md opacity-0 group-hover:opacity-100 transition-all duration-200"
+                                            title="Delete comment"
+                                        >
+                                            <Trash2 size={16} />
+                                        </button>
+                                    </Can>
                                 )}
                             </div>
                         </div>
@@ -5,23 +5,25 @@ import { classesAPI } from '../api/classes';
 import { cohortsAPI } from '../api/cohorts';
 import { membersAPI } from '../api/members';
 import { useAuth } from '../context/AuthContext';
+import { isApiError } from '../api/errors';
+import { findConflicts } from '../utils/mergeFields';
+import { toProjectForm, projectMergeFields } from '../utils/projectForm';
+import MergeConflictDialog from './MergeConflictDialog';
 
 const CreateProjectModal = ({ onClose, onSuccess, project = null }) => {
     const isEdit = !!project;
     const { user } = useAuth();
 
-    const [formData, setFormData] = useState({
-        name: project?.name || '',
-        description: project?.description || '',
-        github_link: project?.github_link || '',
-        class_id: project?.class_id || '',
-        cohort_id: project?.cohort_id || '',
-    });
+    const [formData, setFormData] = useState(() => toProjectForm(project));
+    // The copy being edited; replaced by the newer one if someone else saves first
+    const [baseProject, setBaseProject] = useState(project);
+    const [conflict, setConflict] = useState(null);
 
     const [members, setMembers] = useState([]);
     const [memberEmail, setMemberEmail] = useState('');
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState('');
+    const [fieldErrors, setFieldErrors] = useState({});
     const [classes, setClasses] = useState([]);
     const [cohorts, setCohorts] = useState([]);
 
@@ -44,8 +46,8 @@ const CreateProjectModal = ({ onClose, onSuccess, project = null }) => {
                 classesAPI.getAll(),
                 cohortsAPI.getAll(),
             ]);
-            setClasses(Array.isArray(classesResponse) ? classesResponse : []);
-            setCohorts(cohortsResponse.items || []);
+            setClasses(classesResponse.items);
+            setCohorts(cohortsResponse.items);
         } catch (err) {
             console.error('Error fetching classes and cohorts:', err);
         }
@@ -56,6 +58,9 @@ const CreateProjectModal = ({ onClose, onSuccess, project = null }) => {
             ...formData,
             [e.target.name]: e.target.value,
         });
+        if (fieldErrors[e.target.name]) {
+            setFieldErrors({ ...fieldErrors, [e.target.name]: undefined });
+        }
     };
 
     const handleAddMember = () => {
@@ -84,6 +89,7 @@ const CreateProjectModal = ({ onClose, onSuccess, project = null }) => {
     const handleSubmit = async (e) => {
         e.preventDefault();
         setError('');
+        setFieldErrors({});
 
         // Validate required fields
         if (!formData.class_id) {
@@ -95,18 +101,22 @@ const CreateProjectModal = ({ onClose, onSuccess, project = null }) => {
             return;
         }
 
+        await saveProject(formData, baseProject);
+    };
+
+    const saveProject = async (values, base) => {
         setLoading(true);
 
         try {
             const projectData = {
-                ...formData,
-                class_id: parseInt(formData.class_id),
-                cohort_id: parseInt(formData.cohort_id),
+                ...values,
+                class_id: parseInt(values.class_id),
+                cohort_id: parseInt(values.cohort_id),
             };
 
             let createdProject;
             if (isEdit) {
-                await projectsAPI.update(project.id, projectData);
+                await projectsAPI.update(project.id, projectData, { version: base.version });
                 createdProject = project;
             } else {
                 // Create the project first
@@ -125,7 +135,29 @@ const CreateProjectModal = ({ onClose, onSuccess, project = null }) => {
 
             onSuccess();
         } catch (err) {
-            setError(err.message || 'Failed to save project');
+            const current = isApiError(err) && err.isConflict() ? err.data?.current : null;
+            if (current) {
+                const conflicts = findConflicts(projectMergeFields(classes, cohorts), {
+                    base: toProjectForm(base),
+                    mine: values,
+                    theirs: toProjectForm(current),
+                });
+                if (conflicts.length === 0) {
+                    // Nothing they changed clashes with the form, so save on top of their version
+                    await saveProject(values, current);
+                } else {
+                    setBaseProject(current);
+                    setConflict({ project: current, conflicts });
+                }
+                return;
+            }
+
+            if (isApiError(err) && err.hasFieldErrors()) {
+                setFieldErrors(err.fieldErrors);
+                setError('Please correct the highlighted fields.');
+            } else {
+                setError(err.message || 'Failed to save project');
+            }
         } finally {
             setLoading(false);
         }
@@ -167,9 +199,13 @@ const CreateProjectModal = ({ onClose, onSuccess, project = null }) => {
                                     value={formData.name}
                                     onChange={handleChange}
                                     required
-                                    className="w-full bg-white/5 border border-white/10 rounded-xl px-4 py-3 text-white focus:outline-none focus:neon-border-cyan transition-all placeholder-slate-600 font-bold"
+                                    className={`w-full bg-white/5 border ${fieldErrors.name ? 'border-red-500/60' : 'border-white/10'} rounded-xl px-4 py-3 text-white focus:outline-none focus:neon-border-cyan transition-all placeholder-slate-600 font-bold`}
+                                    aria-invalid={!!fieldErrors.name}
                                     placeholder="SYSTEM-X"
                                 />
+                                {fieldErrors.name && (
+                                    <p className="mt-2 text-[10px] font-bold text-red-400 uppercase tracking-wider">{fieldErrors.name}</p>
+                                )}
                             </div>
 
                             {/* GitHub Link */}
@@ -183,9 +219,13 @@ const CreateProjectModal = ({ onClose, onSuccess, project = null }) => {
                                     name="github_link"
                                     value={formData.github_link}
                                     onChange={handleChange}
-                                    className="w-full bg-white/5 border border-white/10 rounded-xl px-4 py-3 text-white focus:outline-none focus:neon-border-cyan transition-all placeholder-slate-600"
+                                    className={`w-full bg-white/5 border ${fieldErrors.github_link ? 'border-red-500/60' : 'border-white/10'} rounded-xl px-4 py-3 text-white focus:outline-none focus:neon-border-cyan transition-all placeholder-slate-600`}
+                                    aria-invalid={!!fieldErrors.github_link}
                                     placeholder="https://github.com/..."
                                 />
+                                {fieldErrors.github_link && (
+                                    <p className="mt-2 text-[10px] font-bold text-red-400 uppercase tracking-wider">{fieldErrors.github_link}</p>
+                                )}
                             </div>
                         </div>
 
@@ -200,9 +240,13 @@ const CreateProjectModal = ({ onClose, onSuccess, project = null }) => {
                                 value={formData.description}
                                 onChange={handleChange}
                                 rows={5}
-                                className="w-full bg-white/5 border border-white/10 rounded-xl px-4 py-4 text-white focus:outline-none focus:neon-border-cyan transition-all placeholder-slate-600 resize-none leading-relaxed"
+                                className={`w-full bg-white/5 border ${fieldErrors.description ? 'border-red-500/60' : 'border-white/10'} rounded-xl px-4 py-4 text-white focus:outline-none focus:neon-border-cyan transition-all placeholder-slate-600 resize-none leading-relaxed`}
+                                aria-invalid={!!fieldErrors.description}
                                 placeholder="Describe system objectives..."
                             />
+                            {fieldErrors.description && (
+                                <p className="mt-2 text-[10px] font-bold text-red-400 uppercase tracking-wider">{fieldErrors.description}</p>
+                            )}
                         </div>
                     </div>
 
@@ -217,7 +261,8 @@ const CreateProjectModal = ({ onClose, onSuccess, project = null }) => {
                                 name="class_id"
                                 value={formData.class_id}
                                 onChange={handleChange}
-                                className="w-full bg-slate-900/90 border border-white/10 rounded-xl px-4 py-3 text-white focus:outline-none focus:neon-border-cyan transition-all appearance-none cursor-pointer"
+                                className={`w-full bg-slate-900/90 border ${fieldErrors.class_id ? 'border-red-500/60' : 'border-white/10'} rounded-xl px-4 py-3 text-white focus:outline-none focus:neon-border-cyan transition-all appearance-none cursor-pointer`}
+                                aria-invalid={!!fieldErrors.class_id}
                             >
                                 <option value="" className="bg-slate-900 text-slate-500 font-bold">Select Category...</option>
                                 {classes.map((cls) => (
@@ -226,6 +271,9 @@ const CreateProjectModal = ({ onClose, onSuccess, project = null }) => {
                                     </option>
                                 ))}
                             </select>
+                            {fieldErrors.class_id && (
+                                <p className="mt-2 text-[10px] font-bold text-red-400 uppercase tracking-wider">{fieldErrors.class_id}</p>
+                            )}
                         </div>
 
                         {/* Team Dropdown */}
@@ -238,7 +286,8 @@ const CreateProjectModal = ({ onClose, onSuccess, project = null }) => {
                                 name="cohort_id"
                                 value={formData.cohort_id}
                                 onChange={handleChange}
-                                className="w-full bg-slate-900/90 border border-white/10 rounded-xl px-4 py-3 text-white focus:outline-none focus:neon-border-cyan transition-all appearance-none cursor-pointer"
+                                className={`w-full bg-slate-900/90 border ${fieldErrors.cohort_id ? 'border-red-500/60' : 'border-white/10'} rounded-xl px-4 py-3 text-white focus:outline-none focus:neon-border-cyan transition-all appearance-none cursor-pointer`}
+                                aria-invalid={!!fieldErrors.cohort_id}
                             >
                                 <option value="" className="bg-slate-900 text-slate-500 font-bold">Select Team...</option>
                                 {cohorts.map((cohort) => (
@@ -247,6 +296,9 @@ const CreateProjectModal = ({ onClose, onSuccess, project = null }) => {
                                     </option>
                                 ))}
                             </select>
+                            {fieldErrors.cohort_id && (
+                                <p className="mt-2 text-[10px] font-bold text-red-400 uppercase tracking-wider">{fieldErrors.cohort_id}</p>
+                            )}
                         </div>
 
                         {/* Project Owner (readonly) */}
@@ -358,6 +410,20 @@ const CreateProjectModal = ({ onClose, onSuccess, project = null }) => {
                     </div>
                 </form>
             </div>
+
+            {conflict && (
+                <MergeConflictDialog
+                    title={`${conflict.project.name} was changed by someone else`}
+                    conflicts={conflict.conflicts}
+                    mine={formData}
+                    onResolve={(merged) => {
+                        setFormData(merged);
+                        setConflict(null);
+                        saveProject(merged, conflict.project);
+                    }}
+                    onCancel={() => setConflict(null)}
+                />
+            )}
         </div>
     );
 };
@@ -0,0 +1,56 @@
+import { Clock } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import { useIdleTimeout } from '../hooks/useIdleTimeout';
+import { resolvePreferences } from '../utils/preferences';
+
+const formatCountdown = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+// Signs the user out after the idle timeout chosen in Settings, with a countdown first
+const IdleTimeoutWarning = () => {
+    const { user, logout } = useAuth();
+    const minutes = resolvePreferences(user?.preferences).idle_timeout_minutes;
+
+    const { warning, secondsLeft, stayActive } = useIdleTimeout({
+        timeoutMs: user ? minutes * 60 * 1000 : 0,
+        onTimeout: () => logout({ reason: 'idle' }),
+    });
+
+    if (!warning) return null;
+
+    return (
+        <div
+            className="fixed inset-0 bg-deep-950/80 backdrop-blur-xl flex items-center justify-center p-4 z-[120] animate-in fade-in duration-300"
+            role="alertdialog"
+            aria-modal="true"
+            aria-labelledby="idle-timeout-title"
+            aria-describedby="idle-timeout-description"
+        >
+            <div className="glass-card w-full max-w-sm p-8 text-center border-amber-500/20">
+                <div className="w-16 h-16 bg-amber-500/10 border border-amber-500/20 rounded-2xl mx-auto flex-center mb-6">
+                    <Clock className="text-amber-400" size={28} />
+                </div>
+                <h2 id="idle-timeout-title" className="text-2xl font-black text-white uppercase tracking-tighter italic mb-3">
+                    Still there?
+                </h2>
+                <p id="idle-timeout-description" className="text-slate-400 text-xs font-medium leading-relaxed mb-8">
+                    For your security you will be signed out in{' '}
+                    <span className="text-amber-400 font-black" aria-live="polite">{formatCountdown(secondsLeft)}</span>.
+                </p>
+                <div className="flex gap-4">
+                    <button
+                        type="button"
+                        onClick={() => logout()}
+                        className="flex-1 px-6 py-3 bg-white/5 text-slate-400 font-bold rounded-xl hover:bg-white/10 transition-all uppercase tracking-widest text-xs border border-white/5"
+                    >
+                        Sign Out Now
+                    </button>
+                    <button type="button" onClick={stayActive} autoFocus className="flex-1 btn-holo btn-holo-cyan py-3">
+                        Stay Signed In
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default IdleTimeoutWarning;
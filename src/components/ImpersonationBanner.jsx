@@ -0,0 +1,46 @@
+import { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { Eye } from 'lucide-react';
+
+// Stays on screen for the whole of a manager's read-only "view as" session, with the way out
+const ImpersonationBanner = () => {
+    const { user, impersonator, stopImpersonation } = useAuth();
+    const [stopping, setStopping] = useState(false);
+
+    if (!impersonator) return null;
+
+    const handleStop = async () => {
+        setStopping(true);
+        try {
+            await stopImpersonation();
+        } catch (error) {
+            console.error('Error ending view as:', error);
+            alert('Failed to stop viewing as this user');
+            setStopping(false);
+        }
+    };
+
+    return (
+        <div
+            role="status"
+            className="flex-between gap-4 px-8 py-3 bg-amber-500/10 border-b border-amber-500/30 text-amber-200 z-40"
+        >
+            <div className="flex items-center gap-3 text-xs font-bold uppercase tracking-widest">
+                <Eye size={16} className="text-amber-400 shrink-0" />
+                <span>
+                    Viewing as <span className="text-white">{user?.name}</span> ({user?.email}) · read-only.
+                    Signed in as {impersonator.name}.
+                </span>
+            </div>
+            <button
+                onClick={handleStop}
+                disabled={stopping}
+                className="px-4 py-2 rounded-xl border border-amber-500/40 text-[10px] font-black uppercase tracking-widest text-amber-200 hover:bg-amber-500/20 transition-all disabled:opacity-50"
+            >
+                {stopping ? 'Stopping...' : 'Stop Viewing'}
+            </button>
+        </div>
+    );
+};
+
+export default ImpersonationBanner;
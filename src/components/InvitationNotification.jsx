@@ -29,8 +29,7 @@ const InvitationNotification = () => {
         try {
             setLoading(true);
             const response = await membersAPI.getPending();
-            // apiClient returns data directly, not { data: data }
-            setInvitations(Array.isArray(response) ? response : []);
+            setInvitations(response.items);
         } catch (err) {
             console.error('Failed to fetch invitations:', err);
             setInvitations([]);
@@ -1,4 +1,4 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useContext, useState } from 'react';
 import {
     DndContext,
     DragOverlay,
@@ -15,12 +15,86 @@ import {
     verticalListSortingStrategy,
 } from '@dnd-kit/sortable';
 import { useSortable } from '@dnd-kit/sortable';
-import { Plus, Trash2, Edit2, X } from 'lucide-react';
-import { tasksAPI } from '../api/tasks';
+import { Plus, Trash2, Edit2, X, ChevronDown, ChevronRight } from 'lucide-react';
+import { tasksAPI, applyTaskEvent } from '../api/tasks';
+import { queryCache, queryKeys } from '../api/queryCache';
+import { useQuery } from '../hooks/useQuery';
+import { isApiError } from '../api/errors';
+import { useOfflineQueue } from '../hooks/useOfflineQueue';
+import { useRealtime } from '../hooks/useRealtime';
+import { useWorkflow } from '../hooks/useWorkflow';
+import { ProjectContext } from '../hooks/usePermissions';
+import { getWipPolicy, initialStatus, isColumnFull, WIP_POLICIES } from '../utils/workflow';
+import { backfillRanks, compareByRank, rankBetween } from '../utils/rank';
+import { findConflicts } from '../utils/mergeFields';
 import TimeTracker from './TimeTracker';
+import SyncBadge from './SyncBadge';
+import MergeConflictDialog from './MergeConflictDialog';
+import TaskBatchToolbar from './TaskBatchToolbar';
+import { formatDate } from '../utils/format';
+
+const EMPTY_TASK_FORM = {
+    title: '',
+    assignee_id: '',
+    description: '',
+    priority: 'Medium',
+    due_date: '',
+    sprint_id: '',
+    labels: ''
+};
+
+const PRIORITIES = ['Urgent', 'High', 'Medium', 'Low'];
+
+// "frontend, bug" as typed in the form -> ['frontend', 'bug']
+const parseLabels = (text) => [...new Set(text.split(',').map((label) => label.trim()).filter(Boolean))];
+
+// Task as the edit form holds it (strings throughout)
+const toTaskForm = (task) => ({
+    title: task.title,
+    assignee_id: task.assignee_id || '',
+    description: task.description || '',
+    priority: task.priority || 'Medium',
+    due_date: task.due_date ? task.due_date.split('T')[0] : '',
+    sprint_id: task.sprint_id || '',
+    labels: (task.labels || []).join(', ')
+});
+
+// Ways to split the board into swimlanes. `laneOf` gives a task's lane key ('' for the "none" lane) and
+// `fieldsFor` the task fields that put it in another lane, sent along when a card is dragged across lanes.
+// `confirmMove`, where present, returns a question to ask before a move that would lose data.
+// A task sits in the lane of its first label; moving it puts the new lane's label first and keeps the others,
+// and only the "No label" lane takes labels away, after asking.
+const SWIMLANES = {
+    assignee: {
+        label: 'Assignee',
+        laneOf: (task) => String(task.assignee_id || ''),
+        fieldsFor: (key) => ({ assignee_id: key ? Number(key) : null }),
+    },
+    sprint: {
+        label: 'Sprint',
+        laneOf: (task) => String(task.sprint_id || ''),
+        fieldsFor: (key) => ({ sprint_id: key ? Number(key) : null }),
+    },
+    priority: {
+        label: 'Priority',
+        laneOf: (task) => task.priority || 'Medium',
+        fieldsFor: (key) => ({ priority: key }),
+    },
+    label: {
+        label: 'Label',
+        laneOf: (task) => task.labels?.[0] || '',
+        fieldsFor: (key, task) => ({
+            labels: key ? [key, ...(task.labels || []).filter((label) => label !== key)] : [],
+        }),
+        confirmMove: (key, task) => (!key && task.labels?.length
+            ? `Remove ${task.labels.length === 1 ? 'the label' : 'the labels'} ${task.labels.join(', ')} from "${task.title}"?`
+            : null),
+    },
+};
 
 // Sortable Task Card Component
-const SortableTaskCard = ({ task, onEdit, onDelete, isReadOnly, canDrag = true }) => {
+// Clicks on the card (other than its buttons) go to `onClick`, which opens or multi-selects it
+const SortableTaskCard = ({ task, queuedMove, onEdit, onDelete, isReadOnly, canDrag = true, canDelete = !isReadOnly, selected = false, onClick }) => {
     const { attributes, listeners, setNodeRef, transform, transition, isDragging } =
         useSortable({
             id: task.id,
@@ -37,7 +111,9 @@ const SortableTaskCard = ({ task, onEdit, onDelete, isReadOnly, canDrag = true }
         <div
             ref={setNodeRef}
             style={style}
-            className="bg-white p-4 rounded-lg shadow-sm border border-gray-200 mb-3 hover:shadow-md transition-shadow"
+            onClick={(e) => onClick?.(task, e)}
+            data-selected={selected || undefined}
+            className={`bg-white p-4 rounded-lg shadow-sm border mb-3 hover:shadow-md transition-shadow ${selected ? 'border-blue-500 ring-2 ring-blue-300' : 'border-gray-200'}`}
         >
             <div className="flex justify-between items-start mb-2">
                 <div
@@ -47,28 +123,32 @@ const SortableTaskCard = ({ task, onEdit, onDelete, isReadOnly, canDrag = true }
                 >
                     <h4 className="font-medium text-sm">{task.title}</h4>
                 </div>
-                {!isReadOnly && (
+                {(!isReadOnly || canDelete) && (
                     <div className="flex gap-1 ml-2">
-                        <button
-                            onClick={(e) => {
-                                e.stopPropagation();
-                                onEdit(task);
-                            }}
-                            className="text-blue-600 hover:text-blue-700 p-1 cursor-pointer"
-                            type="button"
-                        >
-                            <Edit2 size={14} />
-                        </button>
-                        <button
-                            onClick={(e) => {
-                                e.stopPropagation();
-                                onDelete(task.id);
-                            }}
-                            className="text-red-600 hover:text-red-700 p-1 cursor-pointer"
-                            type="button"
-                        >
-                            <Trash2 size={14} />
-                        </button>
+                        {!isReadOnly && (
+                            <button
+                                onClick={(e) => {
+                                    e.stopPropagation();
+                                    onEdit(task);
+                                }}
+                                className="text-blue-600 hover:text-blue-700 p-1 cursor-pointer"
+                                type="button"
+                            >
+                                <Edit2 size={14} />
+                            </button>
+                        )}
+                        {canDelete && (
+                            <button
+                                onClick={(e) => {
+                                    e.stopPropagation();
+                                    onDelete(task.id);
+                                }}
+                                className="text-red-600 hover:text-red-700 p-1 cursor-pointer"
+                                type="button"
+                            >
+                                <Trash2 size={14} />
+                            </button>
+                        )}
                     </div>
                 )}
             </div>
@@ -85,10 +165,20 @@ const SortableTaskCard = ({ task, onEdit, onDelete, isReadOnly, canDrag = true }
                 </span>
                 {task.due_date && (
                     <span className="text-[10px] px-2 py-0.5 rounded-full font-medium bg-purple-100 text-purple-800">
-                        Due: {new Date(task.due_date).toLocaleDateString()}
+                        Due: {formatDate(task.due_date)}
                     </span>
                 )}
+                {queuedMove && <SyncBadge mutation={queuedMove} />}
             </div>
+            {task.labels?.length > 0 && (
+                <div className="flex flex-wrap gap-1 mt-2">
+                    {task.labels.map((label) => (
+                        <span key={label} className="text-[10px] px-2 py-0.5 rounded bg-gray-100 text-gray-600">
+                            {label}
+                        </span>
+                    ))}
+                </div>
+            )}
             {task.assignee && (
                 <p className="text-xs text-gray-500 mt-2">Assigned to: {task.assignee.name}</p>
             )}
@@ -96,42 +186,79 @@ const SortableTaskCard = ({ task, onEdit, onDelete, isReadOnly, canDrag = true }
     );
 };
 
+// Column title with its task count, or count against its WIP limit
+// `total` counts every task in the column, filtered out or not, since that is what its WIP limit caps
+const ColumnHeader = ({ title, count, total = count, wipLimit = null, onAddTask, isReadOnly, showAddButton }) => {
+    const overLimit = !!wipLimit && total > wipLimit;
+
+    return (
+        <div className="flex justify-between items-center mb-4">
+            <h3 className="font-semibold text-gray-700">
+                {title}
+                {wipLimit ? (
+                    <span
+                        className={`ml-2 text-sm ${overLimit ? 'text-red-600 font-bold' : 'text-gray-500'}`}
+                        title={overLimit ? `Over its WIP limit of ${wipLimit}` : `WIP limit ${wipLimit}`}
+                    >
+                        ({total}/{wipLimit})
+                    </span>
+                ) : (
+                    <span className="ml-2 text-sm text-gray-500">({count})</span>
+                )}
+            </h3>
+            {!isReadOnly && showAddButton && (
+                <button
+                    onClick={onAddTask}
+                    className="text-blue-600 hover:text-blue-700"
+                >
+                    <Plus size={20} />
+                </button>
+            )}
+        </div>
+    );
+};
+
+const columnClass = (wipLimit, total) =>
+    `rounded-lg p-4 w-80 flex-shrink-0 ${wipLimit && total > wipLimit ? 'bg-red-50 ring-2 ring-red-300' : 'bg-gray-100'}`;
+
 // Kanban Column Component
-const KanbanColumn = ({ title, tasks, columnId, onAddTask, onEditTask, onDeleteTask, isReadOnly, canDrag = true, showAddButton }) => {
+// Inside a swimlane the column headers sit above the lanes, so each lane's cell leaves out `title`
+const KanbanColumn = ({ title, tasks, total = tasks.length, wipLimit = null, queuedMoves, columnId, onAddTask, onEditTask, onDeleteTask, isReadOnly, canDrag = true, canDelete = !isReadOnly, showAddButton, selectedIds = [], onTaskClick }) => {
     const taskIds = tasks.map((task) => task.id);
     const { setNodeRef } = useDroppable({ id: columnId });
 
     return (
-        <div className="bg-gray-100 rounded-lg p-4 w-80 flex-shrink-0">
-            <div className="flex justify-between items-center mb-4">
-                <h3 className="font-semibold text-gray-700">
-                    {title}
-                    <span className="ml-2 text-sm text-gray-500">({tasks.length})</span>
-                </h3>
-                {!isReadOnly && showAddButton && (
-                    <button
-                        onClick={() => onAddTask(columnId)}
-                        className="text-blue-600 hover:text-blue-700"
-                    >
-                        <Plus size={20} />
-                    </button>
-                )}
-            </div>
+        <div className={columnClass(wipLimit, total)}>
+            {title && (
+                <ColumnHeader
+                    title={title}
+                    count={tasks.length}
+                    total={total}
+                    wipLimit={wipLimit}
+                    onAddTask={onAddTask}
+                    isReadOnly={isReadOnly}
+                    showAddButton={showAddButton}
+                />
+            )}
 
             <SortableContext items={taskIds} strategy={verticalListSortingStrategy}>
                 <div
                     ref={setNodeRef}
-                    className="space-y-2 min-h-[200px]"
+                    className={`space-y-2 ${title ? 'min-h-[200px]' : 'min-h-[80px]'}`}
                     data-column-id={columnId}
                 >
                     {tasks.map((task) => (
                         <SortableTaskCard
                             key={task.id}
                             task={task}
+                            queuedMove={queuedMoves[task.id]}
                             onEdit={onEditTask}
                             onDelete={onDeleteTask}
                             isReadOnly={isReadOnly}
                             canDrag={canDrag}
+                            canDelete={canDelete}
+                            selected={selectedIds.includes(task.id)}
+                            onClick={onTaskClick}
                         />
                     ))}
                 </div>
@@ -141,62 +268,119 @@ const KanbanColumn = ({ title, tasks, columnId, onAddTask, onEditTask, onDeleteT
 };
 
 // Main Kanban Board Component
-const KanbanBoard = ({ projectId, isReadOnly = false, canDrag = true, projectMembers = [], sprints = [] }) => {
-    const [tasks, setTasks] = useState([]);
+// `isReadOnly` hides adding and editing, `canDrag` allows moving cards between columns and `canDelete`
+// shows the delete button; ProjectDetails derives all three from the user's project permissions.
+// `canOverrideWip` lets the user move a card into a full column on a board that blocks it, and
+// `onOpenTask` opens a card's details when it is clicked.
+const KanbanBoard = ({ projectId, isReadOnly = false, canDrag = true, canDelete = !isReadOnly, canOverrideWip = false, projectMembers = [], sprints = [], onOpenTask }) => {
     const [activeId, setActiveId] = useState(null);
+    // The dragged card as it was before the drag, to put it back when the drop is refused
+    const [dragOrigin, setDragOrigin] = useState(null);
     const [showTaskModal, setShowTaskModal] = useState(false);
     const [editingTask, setEditingTask] = useState(null);
-    const [taskForm, setTaskForm] = useState({
-        title: '',
-        assignee_id: '',
-        description: '',
-        priority: 'Medium',
-        due_date: '',
-        sprint_id: ''
-    });
+    const [taskError, setTaskError] = useState('');
+    const [taskErrors, setTaskErrors] = useState({});
+    const [taskForm, setTaskForm] = useState(EMPTY_TASK_FORM);
+    // Set when a save lost to someone else's: { task: their newer copy, conflicts }
+    const [conflict, setConflict] = useState(null);
 
     const [filterPriority, setFilterPriority] = useState('');
     const [filterSprint, setFilterSprint] = useState('');
     const [filterAssignee, setFilterAssignee] = useState('');
+    // Key of SWIMLANES the board is grouped by ('' for none), and the lanes folded away
+    const [groupBy, setGroupBy] = useState('');
+    const [collapsedLanes, setCollapsedLanes] = useState([]);
+    const swimlane = SWIMLANES[groupBy] || null;
+
+    // Multi-selected cards for batch actions; the anchor is where a Shift-click range starts. Changing the filters
+    // or lanes clears the selection (collapsing a lane drops its cards), so a batch never hits cards out of sight.
+    const [selectedIds, setSelectedIds] = useState([]);
+    const [selectionAnchor, setSelectionAnchor] = useState(null);
+    const [batchBusy, setBatchBusy] = useState(false);
+    // What the last batch action did: { action, done, failed: [{ id, title, error }] }
+    const [batchSummary, setBatchSummary] = useState(null);
 
     const sensors = useSensors(
-        useSensor(PointerSensor),
+        // Cards only start dragging once moved a little, so clicking one still opens it
+        useSensor(PointerSensor, { activationConstraint: { distance: 5 } }),
         useSensor(KeyboardSensor, {
             coordinateGetter: sortableKeyboardCoordinates,
         })
     );
 
-    const columns = {
-        'To Do': 'To Do',
-        'In Progress': 'In Progress',
-        Done: 'Done',
-    };
+    // The project's own columns (ProjectContext); a column's name is the status of the tasks in it
+    const workflow = useWorkflow();
+    const columnNames = workflow.map((column) => column.name);
+    const wipPolicy = getWipPolicy(useContext(ProjectContext));
 
-    const fetchTasks = useCallback(async () => {
-        try {
-            const response = await tasksAPI.getByProject(projectId);
-            setTasks(response.tasks || []);
-        } catch (error) {
-            console.error('Error fetching tasks:', error);
-        }
-    }, [projectId]);
+    // Shared with CalendarView through the query cache, so the page makes a single request
+    const tasksKey = queryKeys.tasks.byProject(projectId);
+    const { data, refetch: fetchTasks } = useQuery(tasksKey, (signal) =>
+        tasksAPI.getByProject(projectId, { signal })
+    );
+    const tasks = data?.items || [];
 
-    useEffect(() => {
-        fetchTasks();
-    }, [fetchTasks]);
+    // Teammates' changes arrive live; the card being dragged here is left alone until it is dropped
+    useRealtime(`project:${projectId}`, {
+        onEvent: (event) => {
+            if (activeId !== null && String(event.payload.task?.id) === String(activeId)) return;
+            applyTaskEvent(projectId, event);
+        },
+        onResync: fetchTasks,
+    });
+
+    // Moves made offline, keyed by task id; the latest move for a task decides its badge
+    const queuedMoves = {};
+    useOfflineQueue((mutation) => mutation.kind === 'task-move').forEach((mutation) => {
+        queuedMoves[mutation.meta.taskId] = mutation;
+    });
+
+    // Optimistic drag updates are written straight into the cache
+    const setTasks = (update) => {
+        queryCache.setQueryData(tasksKey, (current) => ({
+            ...current,
+            items: update(current?.items || []),
+        }));
+    };
 
+    // Tasks whose status matches no column (e.g. left over from before the board changed) show in the first one
+    const columnOf = (task) => (columnNames.includes(task.status) ? task.status : columnNames[0]);
+
+    // Cards keep their saved order (rank), so filtering only hides cards and never reshuffles the rest
     const getTasksByStatus = (status) => {
         return tasks.filter((task) => {
-            if (task.status !== status) return false;
+            if (columnOf(task) !== status) return false;
             if (filterPriority && task.priority !== filterPriority) return false;
             if (filterSprint && (task.sprint_id || '').toString() !== filterSprint) return false;
             if (filterAssignee && (task.assignee_id || '').toString() !== filterAssignee) return false;
             return true;
-        });
+        }).sort(compareByRank);
+    };
+
+    const getTasksInCell = (status, lane) =>
+        getTasksByStatus(status).filter((task) => !swimlane || swimlane.laneOf(task) === lane);
+
+    // With swimlanes every lane has its own drop area per column: { [droppable id]: { status, lane } },
+    // filled in as the board renders them
+    const cells = {};
+    const cellId = (lane, status) => {
+        const id = `lane:${groupBy}:${lane}:${status}`;
+        cells[id] = { status, lane };
+        return id;
+    };
+
+    // The column (and lane) a card was dragged over, or null
+    const dropTarget = (over) => {
+        const overTask = tasks.find((task) => task.id === over.id);
+        if (overTask) return { status: columnOf(overTask), lane: swimlane ? swimlane.laneOf(overTask) : null };
+        if (cells[over.id]) return cells[over.id];
+        if (columnNames.includes(over.id)) return { status: over.id, lane: null };
+        return null;
     };
 
     const handleDragStart = (event) => {
         setActiveId(event.active.id);
+        setDragOrigin(tasks.find((task) => task.id === event.active.id) ?? null);
     };
 
     const handleDragOver = (event) => {
@@ -207,23 +391,21 @@ const KanbanBoard = ({ projectId, isReadOnly = false, canDrag = true, projectMem
         const activeTask = tasks.find((task) => task.id === active.id);
         if (!activeTask) return;
 
-        // Check if we're over a task or a column
-        const overTask = tasks.find((task) => task.id === over.id);
+        // Over another task it takes that task's column (and lane), over an empty area that area's
+        const target = dropTarget(over);
+        if (!target) return;
 
-        let newStatus = activeTask.status;
-
-        if (overTask) {
-            // Dropped on another task - use that task's status
-            newStatus = overTask.status;
-        } else if (Object.keys(columns).includes(over.id)) {
-            // Dropped directly on a column
-            newStatus = over.id;
+        const changes = {};
+        if (activeTask.status !== target.status) changes.status = target.status;
+        // Changing lanes edits the task (e.g. reassigns it), which read-only users may not do
+        if (swimlane && !isReadOnly && target.lane !== null && swimlane.laneOf(activeTask) !== target.lane) {
+            Object.assign(changes, swimlane.fieldsFor(target.lane, activeTask));
         }
 
-        if (activeTask.status !== newStatus) {
+        if (Object.keys(changes).length > 0) {
             setTasks((tasks) =>
                 tasks.map((task) =>
-                    task.id === activeTask.id ? { ...task, status: newStatus } : task
+                    task.id === activeTask.id ? { ...task, ...changes } : task
                 )
             );
         }
@@ -231,111 +413,314 @@ const KanbanBoard = ({ projectId, isReadOnly = false, canDrag = true, projectMem
 
     const handleDragEnd = async (event) => {
         const { active, over } = event;
+        const origin = dragOrigin;
 
         setActiveId(null);
+        setDragOrigin(null);
 
         if (!over) return;
 
         const activeTask = tasks.find((task) => task.id === active.id);
         if (!activeTask) return;
 
-        // Update task status in backend
+        const putBack = () => {
+            setTasks((tasks) => tasks.map((task) => (task.id === activeTask.id ? origin : task)));
+        };
+
+        // A full column on a blocking board only takes the card if the user may override its limit
+        let overrideWipLimit = false;
+        const column = workflow.find((c) => c.name === activeTask.status);
+        const others = tasks.filter((task) => task.id !== activeTask.id && columnOf(task) === activeTask.status).length;
+        if (wipPolicy === WIP_POLICIES.BLOCK && activeTask.status !== origin.status && isColumnFull(column, others)) {
+            const message = `"${column.name}" is at its WIP limit of ${column.wip_limit}.`;
+            if (!canOverrideWip) {
+                alert(message);
+                putBack();
+                return;
+            }
+            if (!window.confirm(`${message} Move the task there anyway?`)) {
+                putBack();
+                return;
+            }
+            overrideWipLimit = true;
+        }
+
+        // Fields that put the card in the lane it was dropped in
+        const lane = swimlane ? swimlane.laneOf(activeTask) : null;
+        const fields = swimlane && lane !== swimlane.laneOf(origin) ? swimlane.fieldsFor(lane, origin) : {};
+        const question = Object.keys(fields).length > 0 && swimlane.confirmMove?.(lane, origin);
+        if (question && !window.confirm(question)) {
+            putBack();
+            return;
+        }
+
+        // Where the card lands among the cards on screen: on another card it takes that card's place,
+        // anywhere else in the column it goes last
+        const cards = getTasksInCell(columnOf(activeTask), lane);
+        const from = cards.findIndex((task) => task.id === activeTask.id);
+        const overIndex = cards.findIndex((task) => task.id === over.id);
+        const to = overIndex !== -1 ? overIndex : dropTarget(over) ? cards.length - 1 : from;
+        if (activeTask.status === origin.status && Object.keys(fields).length === 0 && to === from) return;
+
+        // Cards the backend never ranked sort last, oldest first; rank them in that order before placing this one
+        // between its neighbours, or it would land above all of them. Only the ones up to the drop point need it,
+        // the rest still sort after every ranked card
+        const rest = cards.filter((task) => task.id !== activeTask.id);
+        const before = rest[to - 1];
+        const after = rest[to];
+        const neighbours = tasks
+            .filter((task) => task.id !== activeTask.id && columnOf(task) === columnOf(activeTask))
+            .sort(compareByRank);
+        const backfilled = backfillRanks(neighbours.slice(0, neighbours.indexOf(after ?? before) + 1));
+        const rankOf = (task) => task && (task.rank || backfilled[task.id]);
+
+        const rank = rankBetween(rankOf(before), rankOf(after));
+        setTasks((tasks) => tasks.map((task) => {
+            if (task.id === activeTask.id) return { ...task, rank };
+            return backfilled[task.id] ? { ...task, rank: backfilled[task.id] } : task;
+        }));
+
+        // Update task status, place and lane in backend (queued for later when offline)
         try {
-            await tasksAPI.update(activeTask.id, {
-                status: activeTask.status,
-            });
+            await Promise.all(neighbours.filter((task) => backfilled[task.id]).map((task) =>
+                tasksAPI.move(task.id, columnOf(task), { rank: backfilled[task.id] })
+            ));
+            await tasksAPI.move(activeTask.id, activeTask.status, { rank, fields, overrideWipLimit });
         } catch (error) {
             console.error('Error updating task:', error);
+            if (isApiError(error) && error.code === 'WIP_LIMIT_REACHED') {
+                alert(error.fieldErrors.status || error.message);
+            }
             fetchTasks(); // Revert on error
         }
     };
 
     const handleAddTask = () => {
         setEditingTask(null);
-        setTaskForm({
-            title: '',
-            assignee_id: '',
-            description: '',
-            priority: 'Medium',
-            due_date: '',
-            sprint_id: ''
-        });
+        setTaskForm(EMPTY_TASK_FORM);
         setShowTaskModal(true);
     };
 
     const handleEditTask = (task) => {
         setEditingTask(task);
-        setTaskForm({
-            title: task.title,
-            assignee_id: task.assignee_id || '',
-            description: task.description || '',
-            priority: task.priority || 'Medium',
-            due_date: task.due_date ? task.due_date.split('T')[0] : '',
-            sprint_id: task.sprint_id || ''
-        });
+        setTaskForm(toTaskForm(task));
         setShowTaskModal(true);
     };
 
     const handleCloseModal = () => {
         setShowTaskModal(false);
         setEditingTask(null);
-        setTaskForm({
-            title: '',
-            assignee_id: '',
-            description: '',
-            priority: 'Medium',
-            due_date: '',
-            sprint_id: ''
-        });
+        setTaskError('');
+        setTaskErrors({});
+        setTaskForm(EMPTY_TASK_FORM);
+        setConflict(null);
     };
 
+    const memberName = (id) =>
+        id ? projectMembers.find((m) => String(m.id) === String(id))?.name || `User #${id}` : 'Unassigned';
+    const sprintName = (id) =>
+        id ? sprints.find((s) => String(s.id) === String(id))?.name || `Sprint #${id}` : 'No sprint';
+
+    // Fields compared when an edit conflicts with someone else's
+    const taskMergeFields = [
+        { key: 'title', label: 'Title' },
+        { key: 'assignee_id', label: 'Assignee', format: memberName },
+        { key: 'priority', label: 'Priority' },
+        { key: 'due_date', label: 'Due date' },
+        { key: 'description', label: 'Note' },
+        { key: 'sprint_id', label: 'Sprint', format: sprintName },
+        { key: 'labels', label: 'Labels' },
+    ];
+
     const handleSubmitTask = async (e) => {
         e.preventDefault();
+        setTaskError('');
+        setTaskErrors({});
 
         if (!taskForm.title.trim()) {
-            alert('Task title is required');
+            setTaskErrors({ title: 'Task title is required' });
             return;
         }
 
+        await saveTask(taskForm, editingTask);
+    };
+
+    // `task` is the copy the form is based on; its version guards against overwriting newer edits
+    // `retried` is set on the automatic second attempt after a harmless conflict, so a task that keeps changing
+    // under the form ends in the conflict dialog rather than an endless run of saves
+    const saveTask = async (form, task, { retried = false } = {}) => {
         try {
             const taskData = {
-                title: taskForm.title,
-                description: taskForm.description,
-                priority: taskForm.priority,
-                due_date: taskForm.due_date || null
+                title: form.title,
+                description: form.description,
+                priority: form.priority,
+                due_date: form.due_date || null
             };
 
-            if (taskForm.assignee_id) {
-                taskData.assignee_id = parseInt(taskForm.assignee_id);
+            if (form.assignee_id) {
+                taskData.assignee_id = parseInt(form.assignee_id);
             }
-            if (taskForm.sprint_id) {
-                taskData.sprint_id = parseInt(taskForm.sprint_id);
+            if (form.sprint_id) {
+                taskData.sprint_id = parseInt(form.sprint_id);
+            }
+            // An edit always sends them, so removing the last label sticks
+            const labels = parseLabels(form.labels);
+            if (labels.length > 0 || task) {
+                taskData.labels = labels;
             }
 
-            if (editingTask) {
+            if (task) {
                 // Update existing task
-                await tasksAPI.update(editingTask.id, taskData);
+                await tasksAPI.update(task.id, taskData, { version: task.version });
             } else {
                 // Create new task
                 taskData.project_id = projectId;
-                taskData.status = 'To Do';
+                taskData.status = initialStatus(workflow);
                 await tasksAPI.create(taskData);
             }
 
+            // tasksAPI refreshes the cached task lists itself
             handleCloseModal();
-            fetchTasks();
         } catch (error) {
+            const current = isApiError(error) && error.isConflict() ? error.data?.current : null;
+            if (current) {
+                const conflicts = findConflicts(taskMergeFields, {
+                    base: toTaskForm(task),
+                    mine: form,
+                    theirs: toTaskForm(current),
+                });
+                // Their edit touched nothing the form disagrees with, so saving again loses nothing
+                if (conflicts.length === 0 && !retried) return saveTask(form, current, { retried: true });
+
+                setEditingTask(current);
+                setConflict({ task: current, conflicts });
+                return;
+            }
+
             console.error('Error saving task:', error);
-            alert('Failed to save task');
+            if (isApiError(error) && error.hasFieldErrors()) {
+                // Point at the exact fields the server rejected
+                setTaskErrors(error.fieldErrors);
+                setTaskError('Please correct the highlighted fields.');
+            } else {
+                setTaskError(error.message || 'Failed to save task');
+            }
         }
     };
 
+    const handleResolveConflict = (merged) => {
+        setTaskForm(merged);
+        setConflict(null);
+        saveTask(merged, conflict.task);
+    };
+
+    const columnTotal = (status) => tasks.filter((task) => columnOf(task) === status).length;
+
+    // The chosen grouping's lanes: every member, sprint or priority (so cards can be dragged into empty
+    // ones), any other value a task holds, and a last lane for tasks with none
+    const laneName = {
+        assignee: memberName,
+        sprint: sprintName,
+        priority: (key) => key,
+        label: (key) => key || 'No label',
+    }[groupBy];
+    const knownLanes = {
+        assignee: projectMembers.map((member) => String(member.id)),
+        sprint: sprints.map((sprint) => String(sprint.id)),
+        priority: PRIORITIES,
+        label: [],
+    }[groupBy] || [];
+    const otherLanes = swimlane
+        ? [...new Set(tasks.map(swimlane.laneOf))].filter((key) => key && !knownLanes.includes(key)).sort()
+        : [];
+    const lanes = [...knownLanes, ...otherLanes, ...(groupBy === 'priority' ? [] : [''])]
+        .map((key) => ({ key, name: laneName?.(key) }));
+
+    const toggleLane = (key) => {
+        if (!collapsedLanes.includes(key)) {
+            setSelectedIds((current) => current.filter((id) => {
+                const task = tasks.find((t) => t.id === id);
+                return !task || swimlane.laneOf(task) !== key;
+            }));
+        }
+        setCollapsedLanes((current) => (current.includes(key) ? current.filter((k) => k !== key) : [...current, key]));
+    };
+
+    // Tasks deleted meanwhile (e.g. by a teammate) drop out of the selection
+    const selectedTasks = tasks.filter((task) => selectedIds.includes(task.id));
+    const canSelect = canDrag || !isReadOnly || canDelete;
+
+    // A plain click opens the card. Ctrl/Cmd-click toggles it in the selection; Shift-click adds every card
+    // between it and the last one clicked in the same column (and lane).
+    const handleCardClick = (task, e) => {
+        if (!(e.shiftKey || e.ctrlKey || e.metaKey)) {
+            onOpenTask?.(task);
+            return;
+        }
+        if (!canSelect) return;
+        e.preventDefault();
+
+        if (e.shiftKey && selectionAnchor !== null) {
+            const cards = getTasksInCell(columnOf(task), swimlane ? swimlane.laneOf(task) : null);
+            const from = cards.findIndex((card) => card.id === selectionAnchor);
+            const to = cards.findIndex((card) => card.id === task.id);
+            if (from !== -1) {
+                const range = cards.slice(Math.min(from, to), Math.max(from, to) + 1).map((card) => card.id);
+                setSelectedIds((current) => [...new Set([...current, ...range])]);
+                return;
+            }
+        }
+
+        setSelectedIds((current) =>
+            (current.includes(task.id) ? current.filter((id) => id !== task.id) : [...current, task.id])
+        );
+        setSelectionAnchor(task.id);
+    };
+
+    const clearSelection = () => {
+        setSelectedIds([]);
+        setSelectionAnchor(null);
+    };
+
+    // Sends one batch request for the selected tasks; the ones that failed stay selected to retry
+    const runBatch = async (action, request) => {
+        setBatchBusy(true);
+        setBatchSummary(null);
+        try {
+            const results = await request(selectedTasks.map((task) => task.id));
+            const failed = results.filter((result) => result.status === 'failed');
+            setBatchSummary({
+                action,
+                done: results.length - failed.length,
+                failed: failed.map((result) => ({
+                    id: result.task_id,
+                    title: selectedTasks.find((task) => String(task.id) === String(result.task_id))?.title || `Task #${result.task_id}`,
+                    error: result.error,
+                })),
+            });
+            const failedIds = failed.map((result) => String(result.task_id));
+            setSelectedIds(selectedTasks.map((task) => task.id).filter((id) => failedIds.includes(String(id))));
+        } catch (error) {
+            console.error('Error updating tasks:', error);
+            alert(error.message || 'Failed to update the selected tasks');
+        } finally {
+            setBatchBusy(false);
+        }
+    };
+
+    const handleBatchUpdate = (changes) => runBatch('updated', (ids) => tasksAPI.batchUpdate(ids, changes));
+
+    const handleBatchDelete = () => {
+        const count = selectedTasks.length;
+        if (!window.confirm(`Are you sure you want to delete ${count === 1 ? 'this task' : `these ${count} tasks`}?`)) return;
+        runBatch('deleted', (ids) => tasksAPI.batchDelete(ids));
+    };
+
     const handleDeleteTask = async (taskId) => {
         if (!window.confirm('Are you sure you want to delete this task?')) return;
 
         try {
             await tasksAPI.delete(taskId);
-            fetchTasks();
         } catch (error) {
             console.error('Error deleting task:', error);
         }
@@ -352,7 +737,7 @@ const KanbanBoard = ({ projectId, isReadOnly = false, canDrag = true, projectMem
 
                 <select
                     value={filterPriority}
-                    onChange={e => setFilterPriority(e.target.value)}
+                    onChange={e => { setFilterPriority(e.target.value); clearSelection(); }}
                     className="text-sm border border-gray-300 rounded px-3 py-1.5 focus:outline-none focus:border-blue-500"
                 >
                     <option value="">All Priorities</option>
@@ -364,7 +749,7 @@ const KanbanBoard = ({ projectId, isReadOnly = false, canDrag = true, projectMem
 
                 <select
                     value={filterSprint}
-                    onChange={e => setFilterSprint(e.target.value)}
+                    onChange={e => { setFilterSprint(e.target.value); clearSelection(); }}
                     className="text-sm border border-gray-300 rounded px-3 py-1.5 focus:outline-none focus:border-blue-500"
                 >
                     <option value="">All Sprints</option>
@@ -375,7 +760,7 @@ const KanbanBoard = ({ projectId, isReadOnly = false, canDrag = true, projectMem
 
                 <select
                     value={filterAssignee}
-                    onChange={e => setFilterAssignee(e.target.value)}
+                    onChange={e => { setFilterAssignee(e.target.value); clearSelection(); }}
                     className="text-sm border border-gray-300 rounded px-3 py-1.5 focus:outline-none focus:border-blue-500"
                 >
                     <option value="">All Members</option>
@@ -386,14 +771,44 @@ const KanbanBoard = ({ projectId, isReadOnly = false, canDrag = true, projectMem
 
                 {(filterPriority || filterSprint || filterAssignee) && (
                     <button
-                        onClick={() => { setFilterPriority(''); setFilterSprint(''); setFilterAssignee(''); }}
+                        onClick={() => { setFilterPriority(''); setFilterSprint(''); setFilterAssignee(''); clearSelection(); }}
                         className="text-sm text-blue-600 hover:text-blue-800 underline ml-2"
                     >
                         Clear Filters
                     </button>
                 )}
+
+                <select
+                    value={groupBy}
+                    onChange={e => { setGroupBy(e.target.value); setCollapsedLanes([]); clearSelection(); }}
+                    aria-label="Swimlanes"
+                    className="text-sm border border-gray-300 rounded px-3 py-1.5 focus:outline-none focus:border-blue-500 ml-auto"
+                >
+                    <option value="">No Swimlanes</option>
+                    {Object.entries(SWIMLANES).map(([key, { label }]) => (
+                        <option key={key} value={key}>Group by {label}</option>
+                    ))}
+                </select>
             </div>
 
+            {(selectedTasks.length > 0 || batchSummary) && (
+                <TaskBatchToolbar
+                    count={selectedTasks.length}
+                    workflow={workflow}
+                    projectMembers={projectMembers}
+                    sprints={sprints}
+                    canMove={canDrag}
+                    canEdit={!isReadOnly}
+                    canDelete={canDelete}
+                    busy={batchBusy}
+                    summary={batchSummary}
+                    onApply={handleBatchUpdate}
+                    onDelete={handleBatchDelete}
+                    onClear={clearSelection}
+                    onDismissSummary={() => setBatchSummary(null)}
+                />
+            )}
+
             <DndContext
                 sensors={sensors}
                 collisionDetection={closestCorners}
@@ -401,22 +816,89 @@ const KanbanBoard = ({ projectId, isReadOnly = false, canDrag = true, projectMem
                 onDragOver={handleDragOver}
                 onDragEnd={handleDragEnd}
             >
-                <div className="flex gap-4 overflow-x-auto pb-4">
-                    {Object.entries(columns).map(([key, title]) => (
-                        <KanbanColumn
-                            key={key}
-                            title={title}
-                            tasks={getTasksByStatus(key)}
-                            columnId={key}
-                            onAddTask={handleAddTask}
-                            onEditTask={handleEditTask}
-                            onDeleteTask={handleDeleteTask}
-                            isReadOnly={isReadOnly}
-                            canDrag={canDrag}
-                            showAddButton={key === 'To Do'}
-                        />
-                    ))}
-                </div>
+                {swimlane ? (
+                    <div className="overflow-x-auto pb-4">
+                        <div className="flex gap-4 mb-4">
+                            {workflow.map(({ name, wip_limit }, index) => (
+                                <div key={name} className={columnClass(wip_limit, columnTotal(name))}>
+                                    <ColumnHeader
+                                        title={name}
+                                        count={getTasksByStatus(name).length}
+                                        total={columnTotal(name)}
+                                        wipLimit={wip_limit}
+                                        onAddTask={handleAddTask}
+                                        isReadOnly={isReadOnly}
+                                        showAddButton={index === 0}
+                                    />
+                                </div>
+                            ))}
+                        </div>
+
+                        {lanes.map((lane) => {
+                            const collapsed = collapsedLanes.includes(lane.key);
+                            const count = columnNames.reduce((sum, name) => sum + getTasksInCell(name, lane.key).length, 0);
+
+                            return (
+                                <section key={lane.key} className="mb-4">
+                                    <button
+                                        type="button"
+                                        onClick={() => toggleLane(lane.key)}
+                                        aria-expanded={!collapsed}
+                                        className="flex items-center gap-1 mb-2 text-sm font-semibold text-gray-700 hover:text-gray-900"
+                                    >
+                                        {collapsed ? <ChevronRight size={16} /> : <ChevronDown size={16} />}
+                                        {lane.name}
+                                        <span className="font-normal text-gray-500">({count})</span>
+                                    </button>
+                                    {!collapsed && (
+                                        <div className="flex gap-4">
+                                            {workflow.map(({ name, wip_limit }) => (
+                                                <KanbanColumn
+                                                    key={name}
+                                                    tasks={getTasksInCell(name, lane.key)}
+                                                    total={columnTotal(name)}
+                                                    wipLimit={wip_limit}
+                                                    queuedMoves={queuedMoves}
+                                                    columnId={cellId(lane.key, name)}
+                                                    onEditTask={handleEditTask}
+                                                    onDeleteTask={handleDeleteTask}
+                                                    isReadOnly={isReadOnly}
+                                                    canDrag={canDrag}
+                                                    canDelete={canDelete}
+                                                    selectedIds={selectedIds}
+                                                    onTaskClick={handleCardClick}
+                                                />
+                                            ))}
+                                        </div>
+                                    )}
+                                </section>
+                            );
+                        })}
+                    </div>
+                ) : (
+                    <div className="flex gap-4 overflow-x-auto pb-4">
+                        {workflow.map(({ name, wip_limit }, index) => (
+                            <KanbanColumn
+                                key={name}
+                                title={name}
+                                tasks={getTasksByStatus(name)}
+                                total={columnTotal(name)}
+                                wipLimit={wip_limit}
+                                queuedMoves={queuedMoves}
+                                columnId={name}
+                                onAddTask={handleAddTask}
+                                onEditTask={handleEditTask}
+                                onDeleteTask={handleDeleteTask}
+                                isReadOnly={isReadOnly}
+                                canDrag={canDrag}
+                                canDelete={canDelete}
+                                showAddButton={index === 0}
+                                selectedIds={selectedIds}
+                                onTaskClick={handleCardClick}
+                            />
+                        ))}
+                    </div>
+                )}
 
                 <DragOverlay>
                     {activeId ? (
@@ -445,6 +927,12 @@ const KanbanBoard = ({ projectId, isReadOnly = false, canDrag = true, projectMem
                             </button>
                         </div>
 
+                        {taskError && (
+                            <div className="mb-4 p-3 bg-red-50 text-red-700 rounded-md text-sm">
+                                {taskError}
+                            </div>
+                        )}
+
                         <form onSubmit={handleSubmitTask}>
                             <div className="space-y-4">
                                 {/* Task Title */}
@@ -458,10 +946,14 @@ const KanbanBoard = ({ projectId, isReadOnly = false, canDrag = true, projectMem
                                         onChange={(e) =>
                                             setTaskForm({ ...taskForm, title: e.target.value })
                                         }
-                                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                        className={`w-full px-3 py-2 border ${taskErrors.title ? 'border-red-500' : 'border-gray-300'} rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500`}
+                                        aria-invalid={!!taskErrors.title}
                                         placeholder="Enter task title"
                                         required
                                     />
+                                    {taskErrors.title && (
+                                        <p className="mt-1 text-xs text-red-600">{taskErrors.title}</p>
+                                    )}
                                 </div>
 
                                 {/* Assign To */}
@@ -474,7 +966,8 @@ const KanbanBoard = ({ projectId, isReadOnly = false, canDrag = true, projectMem
                                         onChange={(e) =>
                                             setTaskForm({ ...taskForm, assignee_id: e.target.value })
                                         }
-                                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                        className={`w-full px-3 py-2 border ${taskErrors.assignee_id ? 'border-red-500' : 'border-gray-300'} rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500`}
+                                        aria-invalid={!!taskErrors.assignee_id}
                                     >
                                         <option value="">Unassigned</option>
                                         {projectMembers.map((member) => (
@@ -483,6 +976,9 @@ const KanbanBoard = ({ projectId, isReadOnly = false, canDrag = true, projectMem
                                             </option>
                                         ))}
                                     </select>
+                                    {taskErrors.assignee_id && (
+                                        <p className="mt-1 text-xs text-red-600">{taskErrors.assignee_id}</p>
+                                    )}
                                 </div>
 
                                 {/* Priority & Due Date */}
@@ -496,13 +992,17 @@ const KanbanBoard = ({ projectId, isReadOnly = false, canDrag = true, projectMem
                                             onChange={(e) =>
                                                 setTaskForm({ ...taskForm, priority: e.target.value })
                                             }
-                                            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                            className={`w-full px-3 py-2 border ${taskErrors.priority ? 'border-red-500' : 'border-gray-300'} rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500`}
+                                            aria-invalid={!!taskErrors.priority}
                                         >
                                             <option value="Low">Low</option>
                                             <option value="Medium">Medium</option>
                                             <option value="High">High</option>
                                             <option value="Urgent">Urgent</option>
                                         </select>
+                                        {taskErrors.priority && (
+                                            <p className="mt-1 text-xs text-red-600">{taskErrors.priority}</p>
+                                        )}
                                     </div>
                                     <div>
                                         <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -514,8 +1014,12 @@ const KanbanBoard = ({ projectId, isReadOnly = false, canDrag = true, projectMem
                                             onChange={(e) =>
                                                 setTaskForm({ ...taskForm, due_date: e.target.value })
                                             }
-                                            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                            className={`w-full px-3 py-2 border ${taskErrors.due_date ? 'border-red-500' : 'border-gray-300'} rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500`}
+                                            aria-invalid={!!taskErrors.due_date}
                                         />
+                                        {taskErrors.due_date && (
+                                            <p className="mt-1 text-xs text-red-600">{taskErrors.due_date}</p>
+                                        )}
                                     </div>
                                 </div>
 
@@ -529,10 +1033,34 @@ const KanbanBoard = ({ projectId, isReadOnly = false, canDrag = true, projectMem
                                         onChange={(e) =>
                                             setTaskForm({ ...taskForm, description: e.target.value })
                                         }
-                                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                        className={`w-full px-3 py-2 border ${taskErrors.description ? 'border-red-500' : 'border-gray-300'} rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500`}
+                                        aria-invalid={!!taskErrors.description}
                                         placeholder="Add notes or description"
                                         rows="3"
                                     />
+                                    {taskErrors.description && (
+                                        <p className="mt-1 text-xs text-red-600">{taskErrors.description}</p>
+                                    )}
+                                </div>
+
+                                {/* Labels */}
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                                        Labels
+                                    </label>
+                                    <input
+                                        type="text"
+                                        value={taskForm.labels}
+                                        onChange={(e) =>
+                                            setTaskForm({ ...taskForm, labels: e.target.value })
+                                        }
+                                        className={`w-full px-3 py-2 border ${taskErrors.labels ? 'border-red-500' : 'border-gray-300'} rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500`}
+                                        aria-invalid={!!taskErrors.labels}
+                                        placeholder="e.g. frontend, bug"
+                                    />
+                                    {taskErrors.labels && (
+                                        <p className="mt-1 text-xs text-red-600">{taskErrors.labels}</p>
+                                    )}
                                 </div>
 
                                 {/* Sprint Assignment */}
@@ -546,7 +1074,8 @@ const KanbanBoard = ({ projectId, isReadOnly = false, canDrag = true, projectMem
                                             onChange={(e) =>
                                                 setTaskForm({ ...taskForm, sprint_id: e.target.value })
                                             }
-                                            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                            className={`w-full px-3 py-2 border ${taskErrors.sprint_id ? 'border-red-500' : 'border-gray-300'} rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500`}
+                                            aria-invalid={!!taskErrors.sprint_id}
                                         >
                                             <option value="">Backlog (No Sprint)</option>
                                             {sprints.map((sprint) => (
@@ -555,6 +1084,9 @@ const KanbanBoard = ({ projectId, isReadOnly = false, canDrag = true, projectMem
                                                 </option>
                                             ))}
                                         </select>
+                                        {taskErrors.sprint_id && (
+                                            <p className="mt-1 text-xs text-red-600">{taskErrors.sprint_id}</p>
+                                        )}
                                     </div>
                                 )}
                             </div>
@@ -583,6 +1115,16 @@ const KanbanBoard = ({ projectId, isReadOnly = false, canDrag = true, projectMem
                     </div>
                 </div>
             )}
+
+            {conflict && (
+                <MergeConflictDialog
+                    title={`"${conflict.task.title}" was changed by someone else`}
+                    conflicts={conflict.conflicts}
+                    mine={taskForm}
+                    onResolve={handleResolveConflict}
+                    onCancel={() => setConflict(null)}
+                />
+            )}
         </div>
     );
 };
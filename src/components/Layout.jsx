@@ -2,9 +2,6 @@ import { useState } from 'react';
 import { useNavigate, useLocation, Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import {
-    LayoutDashboard,
-    FolderKanban,
-    Users,
     Settings,
     LogOut,
     Bell,
@@ -14,6 +11,10 @@ import {
     Layers
 } from 'lucide-react';
 import NotificationDropdown from './NotificationDropdown';
+import IdleTimeoutWarning from './IdleTimeoutWarning';
+import ImpersonationBanner from './ImpersonationBanner';
+import { menuItems } from '../navigation';
+import { canAccess } from '../utils/permissions';
 
 const Layout = ({ children }) => {
     const { user, logout } = useAuth();
@@ -21,14 +22,8 @@ const Layout = ({ children }) => {
     const location = useLocation();
     const [isSidebarOpen, setIsSidebarOpen] = useState(true);
 
-    const menuItems = [
-        { name: 'Dashboard', path: '/dashboard', icon: <LayoutDashboard size={20} />, role: ['Manager', 'Employee'] },
-        { name: 'Projects', path: '/projects', icon: <FolderKanban size={20} />, role: ['Manager', 'Employee'] },
-        { name: 'Teams', path: '/manager', icon: <Users size={20} />, role: ['Manager'] },
-        { name: 'Settings', path: '/settings', icon: <Settings size={20} />, role: ['Manager', 'Employee'] },
-    ];
-
-    const filteredMenu = menuItems.filter(item => item.role.includes(user?.role));
+    // Only links the route guards would let this user through
+    const filteredMenu = menuItems.filter(item => canAccess(user, item));
 
     const handleLogout = async () => {
         await logout();
@@ -68,7 +63,7 @@ const Layout = ({ children }) => {
                                     }`}
                             >
                                 <div className={`${isActive ? 'neon-text-cyan' : 'group-hover:text-holo-cyan transition-colors'}`}>
-                                    {item.icon}
+                                    <item.icon size={20} />
                                 </div>
                                 {isSidebarOpen && (
                                     <span className="font-medium tracking-wide">{item.name}</span>
@@ -120,6 +115,8 @@ const Layout = ({ children }) => {
                 <div className="absolute top-[-10%] left-[-10%] w-[40%] h-[40%] bg-holo-cyan/5 rounded-full blur-[120px] pointer-events-none" />
                 <div className="absolute bottom-[-10%] right-[-10%] w-[40%] h-[40%] bg-holo-magenta/5 rounded-full blur-[120px] pointer-events-none" />
 
+                <ImpersonationBanner />
+
                 {/* Top Navbar */}
                 <header className="h-20 flex-between px-8 border-b border-white/10 sticky top-0 z-40 bg-slate-950/50 backdrop-blur-md">
                     <div className="flex items-center gap-4">
@@ -131,7 +128,11 @@ const Layout = ({ children }) => {
 
                     <div className="flex items-center gap-6">
                         <NotificationDropdown />
-                        <button className="flex-center w-10 h-10 rounded-full glass-card hover:neon-border-cyan transition-all group">
+                        <button
+                            onClick={() => navigate('/settings')}
+                            aria-label="Settings"
+                            className="flex-center w-10 h-10 rounded-full glass-card hover:neon-border-cyan transition-all group"
+                        >
                             <Settings size={18} className="text-slate-400 group-hover:text-holo-cyan transition-colors" />
                         </button>
                     </div>
@@ -142,6 +143,8 @@ const Layout = ({ children }) => {
                     {children}
                 </div>
             </main>
+
+            <IdleTimeoutWarning />
         </div>
     );
 };
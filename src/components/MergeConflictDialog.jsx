@@ -0,0 +1,83 @@
+import { useState } from 'react';
+import { applyChoices } from '../utils/mergeFields';
+
+/**
+ * Shown when a save is rejected because someone else changed the record first.
+ * Lists each conflicting field (from findConflicts, each with an optional `format(value)`) and
+ * lets the user keep their change or take theirs. `onResolve(merged)` receives the form values
+ * `mine` with the choices applied.
+ */
+const MergeConflictDialog = ({ title = 'Someone else changed this', conflicts, mine, onResolve, onCancel }) => {
+    const [choices, setChoices] = useState(() =>
+        Object.fromEntries(conflicts.map(({ key, choice }) => [key, choice]))
+    );
+
+    const display = (field, value) => {
+        const text = field.format ? field.format(value) : value;
+        return text === '' || text == null ? <span className="italic text-gray-400">Empty</span> : text;
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-[110]" role="dialog" aria-modal="true" aria-labelledby="merge-conflict-title">
+            <div className="bg-white rounded-lg p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+                <h3 id="merge-conflict-title" className="text-lg font-semibold text-gray-900">{title}</h3>
+                <p className="mt-1 mb-4 text-sm text-gray-600">
+                    A newer version was saved while you were editing. Choose which value to keep for each field.
+                </p>
+
+                <table className="w-full text-sm">
+                    <thead>
+                        <tr className="text-left text-xs uppercase text-gray-500 border-b border-gray-200">
+                            <th className="py-2 pr-3 font-medium">Field</th>
+                            <th className="py-2 pr-3 font-medium">Your change</th>
+                            <th className="py-2 font-medium">Their change</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {conflicts.map((field) => (
+                            <tr key={field.key} className="border-b border-gray-100 align-top">
+                                <td className="py-3 pr-3 font-medium text-gray-700">{field.label}</td>
+                                {['mine', 'theirs'].map((side) => (
+                                    <td key={side} className={`py-3 ${side === 'mine' ? 'pr-3' : ''}`}>
+                                        <label className={`flex gap-2 p-2 rounded-md border cursor-pointer ${choices[field.key] === side ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:bg-gray-50'}`}>
+                                            <input
+                                                type="radio"
+                                                name={`merge-${field.key}`}
+                                                checked={choices[field.key] === side}
+                                                onChange={() => setChoices({ ...choices, [field.key]: side })}
+                                                aria-label={`Keep ${side === 'mine' ? 'your' : 'their'} ${field.label.toLowerCase()}`}
+                                                className="mt-0.5"
+                                            />
+                                            <span className="text-gray-800 break-words whitespace-pre-wrap">
+                                                {display(field, field[side])}
+                                            </span>
+                                        </label>
+                                    </td>
+                                ))}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+
+                <div className="flex gap-3 mt-6">
+                    <button
+                        type="button"
+                        onClick={onCancel}
+                        className="flex-1 px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+                    >
+                        Keep Editing
+                    </button>
+                    <button
+                        type="button"
+                        onClick={() => onResolve(applyChoices(mine, conflicts, choices))}
+                        className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+                    >
+                        Save Merged
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default MergeConflictDialog;
@@ -2,6 +2,8 @@ import { useState, useEffect, useRef } from 'react';
 import { Bell } from 'lucide-react';
 import { notificationsApi } from '../api/notifications';
 import { useNavigate } from 'react-router-dom';
+import { useRealtime } from '../hooks/useRealtime';
+import { formatDateTime } from '../utils/format';
 
 const NotificationDropdown = () => {
     const [notifications, setNotifications] = useState([]);
@@ -12,7 +14,7 @@ const NotificationDropdown = () => {
     const fetchNotifications = async () => {
         try {
             const data = await notificationsApi.getNotifications();
-            setNotifications(data.notifications || []);
+            setNotifications(data.items);
         } catch (error) {
             console.error('Failed to fetch notifications', error);
         }
@@ -20,11 +22,20 @@ const NotificationDropdown = () => {
 
     useEffect(() => {
         fetchNotifications();
-        // Poll every 30 seconds
-        const interval = setInterval(fetchNotifications, 30000);
-        return () => clearInterval(interval);
     }, []);
 
+    // New notifications are pushed; the realtime layer falls back to polling when it cannot connect
+    useRealtime('notifications', {
+        onEvent: (event) => {
+            if (event.type !== 'notification.created') return;
+            const { notification } = event.payload;
+            setNotifications((current) =>
+                current.some((n) => n.id === notification.id) ? current : [notification, ...current]
+            );
+        },
+        onResync: fetchNotifications,
+    });
+
     useEffect(() => {
         const handleClickOutside = (event) => {
             if (dropdownRef.current && !dropdownRef.current.contains(event.target)) {
@@ -92,7 +103,7 @@ const NotificationDropdown = () => {
                                                     {n.message}
                                                 </p>
                                                 <p className="text-xs text-gray-400 mt-1">
-                                                    {new Date(n.created_at).toLocaleString()}
+                                                    {formatDateTime(n.created_at)}
                                                 </p>
                                             </div>
                                             {!n.is_read && (
@@ -0,0 +1,32 @@
+import { scorePassword } from '../utils/passwordStrength';
+
+const BAR_COLORS = ['bg-red-500', 'bg-red-500', 'bg-amber-400', 'bg-holo-cyan', 'bg-green-400'];
+const LABEL_COLORS = ['text-red-400', 'text-red-400', 'text-amber-400', 'text-holo-cyan', 'text-green-400'];
+
+// Four-segment meter under a new-password field, with the first tip for making it stronger
+const PasswordStrengthMeter = ({ password }) => {
+    if (!password) return null;
+
+    const { score, label, suggestions } = scorePassword(password);
+
+    return (
+        <div className="mt-2 ml-1 space-y-1" aria-live="polite">
+            <div className="flex gap-1" aria-hidden="true">
+                {[1, 2, 3, 4].map((segment) => (
+                    <div
+                        key={segment}
+                        className={`h-1 flex-1 rounded-full ${segment <= Math.max(score, 1) ? BAR_COLORS[score] : 'bg-white/10'}`}
+                    />
+                ))}
+            </div>
+            <p className={`text-[10px] font-bold uppercase tracking-wider ${LABEL_COLORS[score]}`}>
+                Password strength: {label}
+            </p>
+            {suggestions[0] && (
+                <p className="text-[10px] font-medium text-slate-500">{suggestions[0]}</p>
+            )}
+        </div>
+    );
+};
+
+export default PasswordStrengthMeter;
@@ -15,7 +15,7 @@ const PendingInvitations = () => {
         try {
             setLoading(true);
             const response = await membersAPI.getPending();
-            setInvitations(response.data || []);
+            setInvitations(response.items);
             setError('');
         } catch (err) {
             console.error('Failed to fetch invitations:', err);
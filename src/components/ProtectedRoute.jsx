@@ -1,22 +1,28 @@
-import { Navigate } from 'react-router-dom';
+import { Navigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import { buildLoginPath } from '../utils/returnPath';
+import { canAccess, MANAGER_ROLES } from '../utils/permissions';
+import Forbidden from '../pages/Forbidden';
 
-const ProtectedRoute = ({ children, requireAdmin = false, requireManager = false }) => {
+// `roles` and `permission` restrict the route (see routeAccess in src/navigation.js); signed-in
+// users who fail them get the 403 page instead of the route
+const ProtectedRoute = ({ children, roles, permission, requireAdmin = false, requireManager = false }) => {
   const { user, loading } = useAuth();
+  const location = useLocation();
 
   if (loading) {
     return <div>Loading...</div>;
   }
 
   if (!user) {
-    return <Navigate to="/login" replace />;
+    return <Navigate to={buildLoginPath(location.pathname + location.search)} replace />;
   }
 
-  // Support both old and new prop names for backward compatibility
-  const requiresManagerAccess = requireManager || requireAdmin;
+  // requireManager / requireAdmin are the older spelling of roles={MANAGER_ROLES}
+  const allowedRoles = roles || (requireManager || requireAdmin ? MANAGER_ROLES : undefined);
 
-  if (requiresManagerAccess && user.role !== 'Manager' && user.role !== 'Admin') {
-    return <Navigate to="/dashboard" replace />;
+  if (!canAccess(user, { roles: allowedRoles, permission })) {
+    return <Forbidden />;
   }
 
   return children;
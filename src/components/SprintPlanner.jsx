@@ -1,5 +1,9 @@
 import { useState, useEffect, useCallback } from 'react';
 import { sprintApi } from '../api/sprints';
+import { isAbortError } from '../api/client';
+import { usePermissions } from '../hooks/usePermissions';
+import { useWorkflow } from '../hooks/useWorkflow';
+import { isDoneStatus } from '../utils/workflow';
 import { Plus, Settings, CheckCircle } from 'lucide-react';
 
 const SprintPlanner = ({ projectId }) => {
@@ -7,21 +11,27 @@ const SprintPlanner = ({ projectId }) => {
     const [loading, setLoading] = useState(true);
     const [showSprintModal, setShowSprintModal] = useState(false);
     const [sprintName, setSprintName] = useState('');
+    const { can } = usePermissions();
+    const canManageSprints = can('sprints.manage');
+    const workflow = useWorkflow();
 
-    const fetchSprints = useCallback(async () => {
+    const fetchSprints = useCallback(async (signal) => {
         try {
             setLoading(true);
-            const response = await sprintApi.getSprints(projectId);
-            setSprints(response.sprints || []);
+            const response = await sprintApi.getSprints(projectId, { signal });
+            setSprints(response.items);
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error('Error fetching sprints:', error);
         } finally {
-            setLoading(false);
+            if (!signal?.aborted) setLoading(false);
         }
     }, [projectId]);
 
     useEffect(() => {
-        fetchSprints();
+        const controller = new AbortController();
+        fetchSprints(controller.signal);
+        return () => controller.abort();
     }, [fetchSprints]);
 
     const handleCreateSprint = async (e) => {
@@ -49,12 +59,14 @@ const SprintPlanner = ({ projectId }) => {
                     <h2 className="text-xl font-bold text-gray-800">Sprint Planner</h2>
                     <p className="text-gray-500 text-sm">Organize tasks into iterations</p>
                 </div>
-                <button
-                    onClick={() => setShowSprintModal(true)}
-                    className="flex items-center gap-2 px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition"
-                >
-                    <Plus size={18} /> Add Sprint
-                </button>
+                {canManageSprints && (
+                    <button
+                        onClick={() => setShowSprintModal(true)}
+                        className="flex items-center gap-2 px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition"
+                    >
+                        <Plus size={18} /> Add Sprint
+                    </button>
+                )}
             </div>
 
             <div className="space-y-6">
@@ -71,14 +83,17 @@ const SprintPlanner = ({ projectId }) => {
                         </div>
                         <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                             {sprint.tasks && sprint.tasks.length > 0 ? (
-                                sprint.tasks.map(task => (
-                                    <div key={task.id} className="bg-gray-50 p-3 rounded border border-gray-100 flex items-center gap-3">
-                                        <CheckCircle size={16} className={task.status === 'Done' ? 'text-green-500' : 'text-gray-400'} />
-                                        <span className={`text-sm ${task.status === 'Done' ? 'line-through text-gray-500' : 'text-gray-700'}`}>
-                                            {task.title}
-                                        </span>
-                                    </div>
-                                ))
+                                sprint.tasks.map(task => {
+                                    const done = isDoneStatus(workflow, task.status);
+                                    return (
+                                        <div key={task.id} className="bg-gray-50 p-3 rounded border border-gray-100 flex items-center gap-3">
+                                            <CheckCircle size={16} className={done ? 'text-green-500' : 'text-gray-400'} />
+                                            <span className={`text-sm ${done ? 'line-through text-gray-500' : 'text-gray-700'}`}>
+                                                {task.title}
+                                            </span>
+                                        </div>
+                                    );
+                                })
                             ) : (
                                 <p className="text-sm text-gray-400 italic">No tasks assigned to this sprint.</p>
                             )}
@@ -89,12 +104,14 @@ const SprintPlanner = ({ projectId }) => {
                 {sprints.length === 0 && (
                     <div className="text-center py-10 bg-gray-50 rounded-lg border border-dashed border-gray-300">
                         <p className="text-gray-500">No sprints created yet.</p>
-                        <button
-                            onClick={() => setShowSprintModal(true)}
-                            className="text-indigo-600 font-medium mt-2 hover:underline"
-                        >
-                            Create your first sprint
-                        </button>
+                        {canManageSprints && (
+                            <button
+                                onClick={() => setShowSprintModal(true)}
+                                className="text-indigo-600 font-medium mt-2 hover:underline"
+                            >
+                                Create your first sprint
+                            </button>
+                        )}
                     </div>
                 )}
             </div>
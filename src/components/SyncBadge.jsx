@@ -0,0 +1,37 @@
+import { offlineQueue } from '../api/offlineQueue';
+
+// Marks an item changed while offline: "Pending sync" until replayed, "Sync failed" (retry / discard) if rejected
+const SyncBadge = ({ mutation }) => {
+    if (mutation.status === 'failed') {
+        return (
+            <span className="inline-flex items-center gap-1 text-[10px] px-2 py-0.5 rounded-full font-medium bg-red-100 text-red-800">
+                <span title={mutation.error || undefined}>Sync failed</span>
+                <button
+                    type="button"
+                    onClick={() => offlineQueue.retry(mutation.id)}
+                    className="underline hover:text-red-900"
+                >
+                    Retry
+                </button>
+                <button
+                    type="button"
+                    onClick={() => offlineQueue.discard(mutation.id)}
+                    className="underline hover:text-red-900"
+                >
+                    Discard
+                </button>
+            </span>
+        );
+    }
+
+    return (
+        <span
+            className="text-[10px] px-2 py-0.5 rounded-full font-medium bg-amber-100 text-amber-800"
+            title="Saved on this device. It will be sent when you are back online."
+        >
+            Pending sync
+        </span>
+    );
+};
+
+export default SyncBadge;
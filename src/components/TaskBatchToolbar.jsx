@@ -0,0 +1,153 @@
+import { useState } from 'react';
+import { Trash2, X } from 'lucide-react';
+
+const selectClass = 'text-sm border border-gray-300 rounded px-2 py-1.5 focus:outline-none focus:border-blue-500 disabled:opacity-50';
+
+// Picking an option applies it straight away, then the select goes back to its prompt
+const ActionSelect = ({ label, prompt, disabled, onPick, children }) => (
+    <select
+        value=""
+        onChange={(e) => e.target.value && onPick(e.target.value)}
+        aria-label={label}
+        disabled={disabled}
+        className={selectClass}
+    >
+        <option value="">{prompt}</option>
+        {children}
+    </select>
+);
+
+// Actions for the cards selected on the Kanban board, and what happened to each task in the last one.
+// `summary` is `{ action, done, failed: [{ id, title, error }] }`; which actions show follows the
+// user's project permissions (`canMove`, `canEdit`, `canDelete`).
+const TaskBatchToolbar = ({
+    count,
+    workflow,
+    projectMembers = [],
+    sprints = [],
+    canMove,
+    canEdit,
+    canDelete,
+    busy,
+    summary,
+    onApply,
+    onDelete,
+    onClear,
+    onDismissSummary,
+}) => {
+    const [dueDate, setDueDate] = useState('');
+
+    return (
+        <div className="mb-4 space-y-2">
+            {count > 0 && (
+                <div className="flex flex-wrap gap-3 items-center bg-blue-50 p-3 rounded-lg border border-blue-200">
+                    <span className="text-sm font-semibold text-blue-800">{count} selected</span>
+
+                    {canMove && (
+                        <ActionSelect label="Move selected to" prompt="Move to..." disabled={busy} onPick={(status) => onApply({ status })}>
+                            {workflow.map((column) => (
+                                <option key={column.name} value={column.name}>{column.name}</option>
+                            ))}
+                        </ActionSelect>
+                    )}
+
+                    {canEdit && (
+                        <>
+                            <ActionSelect
+                                label="Assign selected to"
+                                prompt="Assign to..."
+                                disabled={busy}
+                                onPick={(id) => onApply({ assignee_id: id === 'none' ? null : Number(id) })}
+                            >
+                                <option value="none">Unassigned</option>
+                                {projectMembers.map((member) => (
+                                    <option key={member.id} value={member.id}>{member.name}</option>
+                                ))}
+                            </ActionSelect>
+
+                            <ActionSelect label="Set priority of selected" prompt="Priority..." disabled={busy} onPick={(priority) => onApply({ priority })}>
+                                <option value="Low">Low</option>
+                                <option value="Medium">Medium</option>
+                                <option value="High">High</option>
+                                <option value="Urgent">Urgent</option>
+                            </ActionSelect>
+
+                            <ActionSelect
+                                label="Set sprint of selected"
+                                prompt="Sprint..."
+                                disabled={busy}
+                                onPick={(id) => onApply({ sprint_id: id === 'none' ? null : Number(id) })}
+                            >
+                                <option value="none">No sprint</option>
+                                {sprints.map((sprint) => (
+                                    <option key={sprint.id} value={sprint.id}>{sprint.name}</option>
+                                ))}
+                            </ActionSelect>
+
+                            <div className="flex items-center gap-1">
+                                <input
+                                    type="date"
+                                    value={dueDate}
+                                    onChange={(e) => setDueDate(e.target.value)}
+                                    aria-label="Due date for selected"
+                                    disabled={busy}
+                                    className={selectClass}
+                                />
+                                <button
+                                    type="button"
+                                    onClick={() => onApply({ due_date: dueDate || null })}
+                                    disabled={busy}
+                                    className="text-sm text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                                >
+                                    {dueDate ? 'Set Due Date' : 'Clear Due Date'}
+                                </button>
+                            </div>
+                        </>
+                    )}
+
+                    {canDelete && (
+                        <button
+                            type="button"
+                            onClick={onDelete}
+                            disabled={busy}
+                            className="flex items-center gap-1 text-sm text-red-600 hover:text-red-700 disabled:opacity-50"
+                        >
+                            <Trash2 size={14} /> Delete Selected
+                        </button>
+                    )}
+
+                    <button
+                        type="button"
+                        onClick={onClear}
+                        className="text-sm text-gray-600 hover:text-gray-800 underline ml-auto"
+                    >
+                        Clear Selection
+                    </button>
+                </div>
+            )}
+
+            {summary && (
+                <div role="status" className="flex justify-between items-start gap-3 p-3 rounded-lg border border-gray-200 bg-white text-sm">
+                    <div>
+                        <p className="text-gray-700">
+                            {summary.done} {summary.done === 1 ? 'task' : 'tasks'} {summary.action}
+                            {summary.failed.length > 0 && `, ${summary.failed.length} failed (still selected):`}
+                        </p>
+                        {summary.failed.length > 0 && (
+                            <ul className="mt-1 text-red-700 list-disc list-inside">
+                                {summary.failed.map((failure) => (
+                                    <li key={failure.id}>{failure.title}: {failure.error}</li>
+                                ))}
+                            </ul>
+                        )}
+                    </div>
+                    <button onClick={onDismissSummary} aria-label="Dismiss" className="text-gray-500 hover:text-gray-700">
+                        <X size={16} />
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default TaskBatchToolbar;
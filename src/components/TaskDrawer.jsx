@@ -0,0 +1,134 @@
+import { useEffect, useState } from 'react';
+import { useParams } from 'react-router-dom';
+import { Link2, X } from 'lucide-react';
+import { tasksAPI } from '../api/tasks';
+import { queryKeys } from '../api/queryCache';
+import { useQuery } from '../hooks/useQuery';
+import { useRealtime } from '../hooks/useRealtime';
+import { formatDate } from '../utils/format';
+import TimeTracker from './TimeTracker';
+import CommentSection from './CommentSection';
+import AttachmentList from './AttachmentList';
+import ActivityTimeline from './ActivityTimeline';
+
+// Everything about one task, at /projects/:id/tasks/:taskId so it can be linked to and shared.
+// ProjectDetails renders it over the project page; `onClose` goes back to the project.
+const TaskDrawer = ({ projectId, projectMembers = [], sprints = [], onClose }) => {
+    const { taskId } = useParams();
+    const [copied, setCopied] = useState(false);
+
+    const { data: task, error, loading, refetch } = useQuery(queryKeys.tasks.detail(taskId), (signal) =>
+        tasksAPI.getById(taskId, { signal })
+    );
+
+    // Someone else editing or moving the task shows up straight away
+    useRealtime(`project:${projectId}`, {
+        onEvent: ({ type, payload }) => {
+            if (String(payload.task?.id ?? payload.task_id) !== String(taskId)) return;
+            if (type === 'task.updated' || type === 'task.deleted') refetch();
+        },
+        onResync: refetch,
+    });
+
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+        };
+        document.addEventListener('keydown', handleKeyDown);
+        return () => document.removeEventListener('keydown', handleKeyDown);
+    }, [onClose]);
+
+    const handleCopyLink = async () => {
+        try {
+            await navigator.clipboard.writeText(window.location.href);
+            setCopied(true);
+        } catch (err) {
+            console.error('Error copying link:', err);
+            alert('Failed to copy the link');
+        }
+    };
+
+    // A link to a task of another project is as good as a missing one
+    const missing = error || (task && String(task.project_id) !== String(projectId));
+
+    const assigneeName = task?.assignee?.name
+        || projectMembers.find((m) => String(m.id) === String(task?.assignee_id))?.name
+        || 'Unassigned';
+    const sprintName = sprints.find((s) => String(s.id) === String(task?.sprint_id))?.name || 'No sprint';
+
+    const fields = task ? [
+        ['Status', task.status],
+        ['Priority', task.priority || 'Medium'],
+        ['Assignee', assigneeName],
+        ['Sprint', sprintName],
+        ['Due', task.due_date ? formatDate(task.due_date) : 'No due date'],
+        ['Labels', task.labels?.length ? task.labels.join(', ') : 'None'],
+    ] : [];
+
+    return (
+        <div className="fixed inset-0 z-50 flex justify-end">
+            <div className="absolute inset-0 bg-black/50" onClick={onClose} aria-hidden="true" />
+
+            <aside
+                role="dialog"
+                aria-modal="true"
+                aria-label={task && !missing ? task.title : 'Task'}
+                className="relative w-full max-w-xl h-full overflow-y-auto bg-gray-50 text-gray-800 shadow-xl"
+            >
+                <div className="sticky top-0 z-10 flex justify-between items-start gap-4 p-6 bg-white border-b border-gray-200">
+                    <div>
+                        <p className="text-xs text-gray-500">Task #{taskId}</p>
+                        <h2 className="text-lg font-semibold">
+                            {loading ? 'Loading...' : missing ? 'Task not found' : task.title}
+                        </h2>
+                    </div>
+                    <div className="flex items-center gap-2">
+                        {task && !missing && (
+                            <button
+                                onClick={handleCopyLink}
+                                className="flex items-center gap-1 text-sm text-blue-600 hover:text-blue-700"
+                            >
+                                <Link2 size={16} />
+                                {copied ? 'Copied' : 'Copy Link'}
+                            </button>
+                        )}
+                        <button onClick={onClose} aria-label="Close" className="text-gray-500 hover:text-gray-700">
+                            <X size={20} />
+                        </button>
+                    </div>
+                </div>
+
+                {missing && (
+                    <p className="p-6 text-sm text-gray-600">
+                        This task does not exist or was deleted.
+                    </p>
+                )}
+
+                {task && !missing && (
+                    <div className="p-6 space-y-6">
+                        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+                            <dl className="grid grid-cols-2 gap-4 text-sm">
+                                {fields.map(([label, value]) => (
+                                    <div key={label}>
+                                        <dt className="text-xs font-medium text-gray-500">{label}</dt>
+                                        <dd className="mt-1 text-gray-900">{value}</dd>
+                                    </div>
+                                ))}
+                            </dl>
+                            {task.description && (
+                                <p className="mt-4 text-sm text-gray-600 whitespace-pre-line">{task.description}</p>
+                            )}
+                            <TimeTracker taskId={task.id} />
+                        </div>
+
+                        <CommentSection taskId={task.id} />
+                        <AttachmentList taskId={task.id} />
+                        <ActivityTimeline taskId={task.id} />
+                    </div>
+                )}
+            </aside>
+        </div>
+    );
+};
+
+export default TaskDrawer;
@@ -1,5 +1,9 @@
 import { useState, useEffect, useCallback } from 'react';
 import { timeApi } from '../api/time';
+import { isAbortError } from '../api/client';
+import { useOfflineQueue } from '../hooks/useOfflineQueue';
+import SyncBadge from './SyncBadge';
+import Can from './Can';
 import { Clock, Trash2, Plus } from 'lucide-react';
 
 const TimeTracker = ({ taskId }) => {
@@ -10,38 +14,46 @@ const TimeTracker = ({ taskId }) => {
     const [description, setDescription] = useState('');
     const [dateLogged, setDateLogged] = useState(new Date().toISOString().split('T')[0]);
 
-    const fetchLogs = useCallback(async () => {
+    const fetchLogs = useCallback(async (signal) => {
         try {
             setLoading(true);
-            const response = await timeApi.getTimeLogs(taskId);
-            setLogs(response.logs || []);
-            setTotalHours(response.total_hours || 0);
+            const response = await timeApi.getTimeLogs(taskId, { signal });
+            setLogs(response.items);
+            setTotalHours(response.totalHours);
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error('Error fetching time logs:', error);
         } finally {
-            setLoading(false);
+            if (!signal?.aborted) setLoading(false);
         }
     }, [taskId]);
 
     useEffect(() => {
-        if (taskId) {
-            fetchLogs();
-        }
+        if (!taskId) return;
+        const controller = new AbortController();
+        fetchLogs(controller.signal);
+        return () => controller.abort();
     }, [taskId, fetchLogs]);
 
+    // Time logged offline for this task, listed until it has been replayed
+    const queuedLogs = useOfflineQueue(
+        (mutation) => mutation.kind === 'time-log' && String(mutation.meta.taskId) === String(taskId),
+        () => fetchLogs()
+    );
+
     const handleLogTime = async (e) => {
         e.preventDefault();
         if (!hours || isNaN(hours)) return;
 
         try {
-            await timeApi.logTime(taskId, {
+            const result = await timeApi.logTime(taskId, {
                 hours_spent: parseFloat(hours),
                 description,
                 date_logged: dateLogged
             });
             setHours('');
             setDescription('');
-            fetchLogs();
+            if (!result?.queued) fetchLogs();
         } catch (error) {
             console.error('Error logging time:', error);
             alert('Failed to log time');
@@ -72,53 +84,55 @@ const TimeTracker = ({ taskId }) => {
                 </div>
             </div>
 
-            <form onSubmit={handleLogTime} className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-4">
-                <div className="grid grid-cols-2 gap-4 mb-3">
-                    <div>
-                        <label className="block text-xs font-medium text-gray-600 mb-1">Hours</label>
-                        <input
-                            type="number"
-                            step="0.1"
-                            min="0.1"
-                            value={hours}
-                            onChange={(e) => setHours(e.target.value)}
-                            className="w-full text-sm px-3 py-1.5 border border-gray-300 rounded focus:outline-none focus:border-blue-500"
-                            placeholder="e.g. 2.5"
-                            required
-                        />
+            <Can action="time.log">
+                <form onSubmit={handleLogTime} className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-4">
+                    <div className="grid grid-cols-2 gap-4 mb-3">
+                        <div>
+                            <label className="block text-xs font-medium text-gray-600 mb-1">Hours</label>
+                            <input
+                                type="number"
+                                step="0.1"
+                                min="0.1"
+                                value={hours}
+                                onChange={(e) => setHours(e.target.value)}
+                                className="w-full text-sm px-3 py-1.5 border border-gray-300 rounded focus:outline-none focus:border-blue-500"
+                                placeholder="e.g. 2.5"
+                                required
+                            />
+                        </div>
+                        <div>
+                            <label className="block text-xs font-medium text-gray-600 mb-1">Date</label>
+                            <input
+                                type="date"
+                                value={dateLogged}
+                                onChange={(e) => setDateLogged(e.target.value)}
+                                className="w-full text-sm px-3 py-1.5 border border-gray-300 rounded focus:outline-none focus:border-blue-500"
+                                required
+                            />
+                        </div>
                     </div>
                     <div>
-                        <label className="block text-xs font-medium text-gray-600 mb-1">Date</label>
                         <input
-                            type="date"
-                            value={dateLogged}
-                            onChange={(e) => setDateLogged(e.target.value)}
-                            className="w-full text-sm px-3 py-1.5 border border-gray-300 rounded focus:outline-none focus:border-blue-500"
-                            required
+                            type="text"
+                            value={description}
+                            onChange={(e) => setDescription(e.target.value)}
+                            className="w-full text-sm px-3 py-1.5 border border-gray-300 rounded mb-3 focus:outline-none focus:border-blue-500"
+                            placeholder="What did you work on? (Optional)"
                         />
                     </div>
-                </div>
-                <div>
-                    <input
-                        type="text"
-                        value={description}
-                        onChange={(e) => setDescription(e.target.value)}
-                        className="w-full text-sm px-3 py-1.5 border border-gray-300 rounded mb-3 focus:outline-none focus:border-blue-500"
-                        placeholder="What did you work on? (Optional)"
-                    />
-                </div>
-                <button
-                    type="submit"
-                    className="w-full flex items-center justify-center gap-1 py-1.5 bg-blue-600 text-white rounded text-sm hover:bg-blue-700 transition"
-                >
-                    <Plus size={16} /> Log Time
-                </button>
-            </form>
+                    <button
+                        type="submit"
+                        className="w-full flex items-center justify-center gap-1 py-1.5 bg-blue-600 text-white rounded text-sm hover:bg-blue-700 transition"
+                    >
+                        <Plus size={16} /> Log Time
+                    </button>
+                </form>
+            </Can>
 
             <div className="space-y-2 max-h-40 overflow-y-auto pr-2">
                 {loading ? (
                     <p className="text-xs text-center text-gray-500">Loading...</p>
-                ) : logs.length === 0 ? (
+                ) : logs.length === 0 && queuedLogs.length === 0 ? (
                     <p className="text-xs text-center text-gray-500 italic">No time logged yet.</p>
                 ) : (
                     logs.map(log => (
@@ -130,15 +144,29 @@ const TimeTracker = ({ taskId }) => {
                                 </div>
                                 {log.description && <p className="text-xs text-gray-600 mt-1">{log.description}</p>}
                             </div>
-                            <button
-                                onClick={() => handleDeleteLog(log.id)}
-                                className="text-red-400 hover:text-red-600 transition"
-                            >
-                                <Trash2 size={14} />
-                            </button>
+                            <Can action="time.delete" createdBy={log.user_id}>
+                                <button
+                                    onClick={() => handleDeleteLog(log.id)}
+                                    className="text-red-400 hover:text-red-600 transition"
+                                >
+                                    <Trash2 size={14} />
+                                </button>
+                            </Can>
                         </div>
                     ))
                 )}
+                {queuedLogs.map(mutation => (
+                    <div key={`queued-${mutation.id}`} className="flex justify-between items-start bg-white p-2 border border-dashed border-gray-200 rounded text-sm">
+                        <div>
+                            <div className="flex items-center gap-2">
+                                <span className="font-semibold text-gray-800">{mutation.body.hours_spent}h</span>
+                                <span className="text-xs text-gray-400">{mutation.body.date_logged}</span>
+                            </div>
+                            {mutation.body.description && <p className="text-xs text-gray-600 mt-1">{mutation.body.description}</p>}
+                        </div>
+                        <SyncBadge mutation={mutation} />
+                    </div>
+                ))}
             </div>
         </div>
     );
@@ -0,0 +1,175 @@
+import { useState, useEffect } from 'react';
+import { ShieldCheck, Copy, Mail } from 'lucide-react';
+import { authAPI } from '../api/auth';
+import QrCode from './QrCode';
+
+// Authenticator-app enrollment: scan the secret, prove it works with a first code, then keep the backup codes.
+// 2FA only turns on once that first code is confirmed, so abandoning the dialog changes nothing.
+const TwoFactorSetup = ({ onClose, onEnabled, onUseEmail }) => {
+    const [setup, setSetup] = useState(null);
+    const [code, setCode] = useState('');
+    const [backupCodes, setBackupCodes] = useState(null);
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(false);
+    const [copied, setCopied] = useState(false);
+
+    useEffect(() => {
+        const controller = new AbortController();
+
+        authAPI.setupTotp({ signal: controller.signal })
+            .then(setSetup)
+            .catch((err) => {
+                if (err.name === 'AbortError') return;
+                console.error('Error starting authenticator setup:', err);
+                setError(err.message || 'Could not start authenticator setup. Please try again.');
+            });
+
+        return () => controller.abort();
+    }, []);
+
+    const handleConfirm = async (e) => {
+        e.preventDefault();
+        setError('');
+        setLoading(true);
+
+        try {
+            const data = await authAPI.confirmTotp(code);
+            setBackupCodes(data.backup_codes);
+            onEnabled?.(data.user);
+        } catch (err) {
+            setError(err.fieldErrors?.code || err.message || 'Invalid verification code');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleCopy = async () => {
+        try {
+            await navigator.clipboard.writeText(backupCodes.join('\n'));
+            setCopied(true);
+        } catch (err) {
+            console.error('Error copying backup codes:', err);
+        }
+    };
+
+    return (
+        <div
+            className="fixed inset-0 bg-deep-950/80 backdrop-blur-xl flex items-center justify-center p-4 z-[100] animate-in fade-in duration-300"
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="two-factor-setup-title"
+        >
+            <div className="glass-card w-full max-w-md border-holo-cyan/20 shadow-neon-cyan/20">
+                <div className="p-8">
+                    <h2 id="two-factor-setup-title" className="text-3xl font-black mb-2 neon-text-cyan uppercase tracking-tighter italic">
+                        Authenticator <span className="text-white">App</span>
+                    </h2>
+
+                    {error && (
+                        <div className="my-6 p-4 bg-red-500/10 border border-red-500/20 rounded-xl text-red-500 text-xs font-bold uppercase tracking-wider">
+                            {error}
+                        </div>
+                    )}
+
+                    {backupCodes ? (
+                        <div className="space-y-6">
+                            <p className="text-slate-400 text-xs font-medium leading-relaxed flex gap-3">
+                                <ShieldCheck className="text-green-400 shrink-0" size={18} />
+                                Two-factor authentication is on. Save these backup codes somewhere safe: each one signs you in once if you lose your device. They will not be shown again.
+                            </p>
+
+                            <ul className="grid grid-cols-2 gap-3 p-4 bg-white/5 border border-white/10 rounded-xl font-mono text-sm text-white text-center" aria-label="Backup codes">
+                                {backupCodes.map((backupCode) => (
+                                    <li key={backupCode}>{backupCode}</li>
+                                ))}
+                            </ul>
+
+                            <div className="flex gap-4">
+                                <button
+                                    type="button"
+                                    onClick={handleCopy}
+                                    className="flex-1 flex items-center justify-center gap-2 px-6 py-3 bg-white/5 text-slate-400 font-bold rounded-xl hover:bg-white/10 transition-all uppercase tracking-widest text-xs border border-white/5"
+                                >
+                                    <Copy size={14} />
+                                    {copied ? 'Copied' : 'Copy Codes'}
+                                </button>
+                                <button type="button" onClick={onClose} className="flex-1 btn-holo btn-holo-cyan py-3">
+                                    Done
+                                </button>
+                            </div>
+                        </div>
+                    ) : (
+                        <form onSubmit={handleConfirm} className="space-y-6">
+                            <p className="text-slate-400 text-xs font-medium leading-relaxed mt-4">
+                                Scan this code with Google Authenticator, 1Password or a similar app, then enter the 6-digit code it shows.
+                            </p>
+
+                            <div className="flex justify-center">
+                                {setup ? (
+                                    <QrCode value={setup.otpauth_url} label="Authenticator setup QR code" />
+                                ) : (
+                                    <div className="w-48 h-48 rounded-xl bg-white/5 animate-pulse" />
+                                )}
+                            </div>
+
+                            {setup && (
+                                <div className="text-center">
+                                    <p className="text-[10px] font-black text-slate-500 uppercase tracking-[0.2em] mb-2">Can&apos;t scan? Enter this key</p>
+                                    <code className="text-holo-cyan text-sm font-mono break-all">
+                                        {setup.secret.match(/.{1,4}/g).join(' ')}
+                                    </code>
+                                </div>
+                            )}
+
+                            <div>
+                                <label htmlFor="totp-code" className="block text-[10px] font-black text-slate-500 uppercase tracking-[0.2em] mb-3">
+                                    Code from the app
+                                </label>
+                                <input
+                                    id="totp-code"
+                                    type="text"
+                                    inputMode="numeric"
+                                    autoComplete="one-time-code"
+                                    value={code}
+                                    onChange={(e) => setCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
+                                    placeholder="000000"
+                                    className="w-full bg-white/5 border border-white/10 rounded-xl px-4 py-3 text-white text-center tracking-[0.5em] focus:outline-none focus:neon-border-cyan transition-all placeholder-slate-600"
+                                />
+                            </div>
+
+                            <div className="flex gap-4 pt-2">
+                                <button
+                                    type="button"
+                                    onClick={onClose}
+                                    className="flex-1 px-6 py-3 bg-white/5 text-slate-400 font-bold rounded-xl hover:bg-white/10 transition-all uppercase tracking-widest text-xs border border-white/5"
+                                >
+                                    Cancel
+                                </button>
+                                <button
+                                    type="submit"
+                                    disabled={!setup || loading || code.length !== 6}
+                                    className="flex-1 btn-holo btn-holo-cyan py-3"
+                                >
+                                    {loading ? 'Verifying...' : 'Verify and Enable'}
+                                </button>
+                            </div>
+
+                            {onUseEmail && (
+                                <button
+                                    type="button"
+                                    onClick={onUseEmail}
+                                    className="flex items-center justify-center gap-2 mx-auto text-[10px] font-bold text-slate-500 hover:text-white uppercase tracking-widest transition-colors"
+                                >
+                                    <Mail size={12} />
+                                    Use email codes instead
+                                </button>
+                            )}
+                        </form>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default TwoFactorSetup;
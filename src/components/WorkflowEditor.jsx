@@ -0,0 +1,258 @@
+import { useState } from 'react';
+import { ChevronUp, ChevronDown, Plus, Trash2, X } from 'lucide-react';
+import { projectsAPI } from '../api/projects';
+import { tasksAPI } from '../api/tasks';
+import { queryKeys } from '../api/queryCache';
+import { isApiError } from '../api/errors';
+import { useQuery } from '../hooks/useQuery';
+import { getWipPolicy, getWorkflow, validateWorkflow, WIP_POLICIES } from '../utils/workflow';
+
+let nextKey = 0;
+const newKey = () => `column-${nextKey++}`;
+
+// Edits a project's board columns: add, rename, reorder, mark as done, set WIP limits, and remove. Every removed
+// column gets a destination for its tasks, which the backend applies in the same save. The cached task counts
+// may be out of date, so even a column that looks empty gets one.
+const WorkflowEditor = ({ project, onClose, onSaved }) => {
+    // `from` is the column's saved name, so renames carry their tasks along; null for columns added here
+    const [columns, setColumns] = useState(() =>
+        getWorkflow(project).map((column) => ({
+            key: newKey(),
+            name: column.name,
+            done: !!column.done,
+            // Kept as the input's text; empty means no limit
+            wipLimit: column.wip_limit ? String(column.wip_limit) : '',
+            from: column.name,
+        }))
+    );
+    const [wipPolicy, setWipPolicy] = useState(() => getWipPolicy(project));
+    // Saved columns removed in this edit: { from, target } where target is the key of the column taking their tasks
+    const [removed, setRemoved] = useState([]);
+    const [error, setError] = useState('');
+    const [saving, setSaving] = useState(false);
+
+    // The board has already loaded these, so the counts come from the cache
+    const { data } = useQuery(queryKeys.tasks.byProject(project.id), (signal) =>
+        tasksAPI.getByProject(project.id, { signal })
+    );
+    const taskCount = (status) => (data?.items || []).filter((task) => task.status === status).length;
+
+    const updateColumn = (key, changes) => {
+        setColumns((current) => current.map((column) => (column.key === key ? { ...column, ...changes } : column)));
+    };
+
+    const moveColumn = (index, offset) => {
+        setColumns((current) => {
+            const next = [...current];
+            [next[index], next[index + offset]] = [next[index + offset], next[index]];
+            return next;
+        });
+    };
+
+    const handleAdd = () => {
+        setColumns((current) => [...current, { key: newKey(), name: '', done: false, wipLimit: '', from: null }]);
+    };
+
+    const handleRemove = (column) => {
+        const remaining = columns.filter((other) => other.key !== column.key);
+        setColumns(remaining);
+        if (column.from !== null) {
+            setRemoved((current) => [...current, { from: column.from, target: remaining[0]?.key }]);
+        }
+    };
+
+    // A destination that was itself removed falls back to the first remaining column
+    const targetOf = (entry) => columns.find((column) => column.key === entry.target) || columns[0];
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+
+        const payload = columns.map(({ name, done, wipLimit, from }) => ({
+            name: name.trim(),
+            done,
+            wip_limit: wipLimit.trim() === '' ? null : Number(wipLimit),
+            from,
+        }));
+
+        const problems = validateWorkflow(payload);
+        if (problems.columns) {
+            setError(problems.columns);
+            return;
+        }
+
+        const moves = {};
+        removed.forEach((entry) => {
+            moves[entry.from] = targetOf(entry).name.trim();
+        });
+
+        setSaving(true);
+        try {
+            const result = await projectsAPI.updateWorkflow(project.id, {
+                columns: payload,
+                moves,
+                wipPolicy,
+            });
+            onSaved(result.project);
+        } catch (err) {
+            console.error('Error saving workflow:', err);
+            const fieldError = isApiError(err) && err.hasFieldErrors()
+                ? err.fieldErrors.columns || err.fieldErrors.moves
+                : null;
+            setError(fieldError || err.message || 'Failed to save columns');
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+            <div className="bg-white rounded-lg p-6 w-full max-w-lg text-gray-800">
+                <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-lg font-semibold">Board Columns</h3>
+                    <button onClick={onClose} aria-label="Close" className="text-gray-500 hover:text-gray-700">
+                        <X size={20} />
+                    </button>
+                </div>
+
+                {error && (
+                    <div className="mb-4 p-3 bg-red-50 text-red-700 rounded-md text-sm" role="alert">
+                        {error}
+                    </div>
+                )}
+
+                <form onSubmit={handleSubmit}>
+                    <ul className="space-y-2 mb-4">
+                        {columns.map((column, index) => (
+                            <li key={column.key} className="flex items-center gap-2">
+                                <div className="flex flex-col">
+                                    <button
+                                        type="button"
+                                        onClick={() => moveColumn(index, -1)}
+                                        disabled={index === 0}
+                                        aria-label={`Move ${column.name || 'column'} left`}
+                                        className="text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                                    >
+                                        <ChevronUp size={14} />
+                                    </button>
+                                    <button
+                                        type="button"
+                                        onClick={() => moveColumn(index, 1)}
+                                        disabled={index === columns.length - 1}
+                                        aria-label={`Move ${column.name || 'column'} right`}
+                                        className="text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                                    >
+                                        <ChevronDown size={14} />
+                                    </button>
+                                </div>
+                                <input
+                                    type="text"
+                                    value={column.name}
+                                    onChange={(e) => updateColumn(column.key, { name: e.target.value })}
+                                    aria-label={`Column ${index + 1} name`}
+                                    placeholder="Column name"
+                                    className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                />
+                                <label className="flex items-center gap-1 text-xs text-gray-600">
+                                    <input
+                                        type="checkbox"
+                                        checked={column.done}
+                                        onChange={(e) => updateColumn(column.key, { done: e.target.checked })}
+                                    />
+                                    Done
+                                </label>
+                                <input
+                                    type="number"
+                                    value={column.wipLimit}
+                                    onChange={(e) => updateColumn(column.key, { wipLimit: e.target.value })}
+                                    aria-label={`${column.name || 'Column'} WIP limit`}
+                                    placeholder="WIP"
+                                    title="Most tasks this column should hold; leave empty for no limit"
+                                    className="w-16 px-2 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                />
+                                <button
+                                    type="button"
+                                    onClick={() => handleRemove(column)}
+                                    disabled={columns.length === 1}
+                                    aria-label={`Remove ${column.name || 'column'}`}
+                                    className="text-red-600 hover:text-red-700 p-1 disabled:opacity-30"
+                                >
+                                    <Trash2 size={14} />
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+
+                    <button
+                        type="button"
+                        onClick={handleAdd}
+                        className="flex items-center gap-1 text-sm text-blue-600 hover:text-blue-700 mb-4"
+                    >
+                        <Plus size={16} /> Add Column
+                    </button>
+
+                    {removed.length > 0 && (
+                        <div className="mb-4 p-3 bg-gray-50 rounded-md border border-gray-200 space-y-2">
+                            <p className="text-sm font-medium text-gray-700">Tasks in removed columns</p>
+                            {removed.map((entry) => (
+                                <label key={entry.from} className="flex items-center justify-between gap-3 text-sm text-gray-600">
+                                    <span>
+                                        {taskCount(entry.from) || 'Any'} in “{entry.from}” move to
+                                    </span>
+                                    <select
+                                        value={targetOf(entry)?.key}
+                                        onChange={(e) =>
+                                            setRemoved((current) => current.map((other) =>
+                                                (other.from === entry.from ? { ...other, target: e.target.value } : other)
+                                            ))
+                                        }
+                                        className="text-sm border border-gray-300 rounded px-2 py-1"
+                                    >
+                                        {columns.map((column) => (
+                                            <option key={column.key} value={column.key}>{column.name || 'Untitled'}</option>
+                                        ))}
+                                    </select>
+                                </label>
+                            ))}
+                        </div>
+                    )}
+
+                    <label className="flex items-center justify-between gap-3 text-sm text-gray-700 mb-4">
+                        <span>When a column reaches its WIP limit</span>
+                        <select
+                            value={wipPolicy}
+                            onChange={(e) => setWipPolicy(e.target.value)}
+                            aria-label="WIP limit policy"
+                            className="text-sm border border-gray-300 rounded px-2 py-1"
+                        >
+                            <option value={WIP_POLICIES.WARN}>Warn only</option>
+                            <option value={WIP_POLICIES.BLOCK}>Block moves (managers can override)</option>
+                        </select>
+                    </label>
+
+                    <p className="text-xs text-gray-500 mb-4">
+                        New tasks start in the first column. Tasks in columns marked Done count as finished in the calendar and sprints.
+                    </p>
+
+                    <div className="flex gap-3 justify-end">
+                        <button
+                            type="button"
+                            onClick={onClose}
+                            className="px-4 py-2 border border-gray-300 rounded-md hover:bg-gray-50"
+                        >
+                            Cancel
+                        </button>
+                        <button
+                            type="submit"
+                            disabled={saving}
+                            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+                        >
+                            {saving ? 'Saving...' : 'Save Columns'}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+};
+
+export default WorkflowEditor;
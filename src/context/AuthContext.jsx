@@ -1,9 +1,30 @@
-import { createContext, useContext, useState, useEffect } from 'react';
+import { createContext, useContext, useState, useEffect, useRef, Fragment } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { authAPI } from '../api/auth';
 import { apiClient } from '../api/client';
+import { queryCache } from '../api/queryCache';
+import { offlineQueue } from '../api/offlineQueue';
+import { buildLoginPath, getReturnPath } from '../utils/returnPath';
+import { applyPreferences } from '../utils/preferences';
+import { broadcastAuthEvent, subscribeToAuthEvents } from '../utils/authChannel';
+import { hasRole, MANAGER_ROLES, ROLES } from '../utils/permissions';
+
+// Pages for signed-out visitors; a tab sitting on one moves on once another tab signs in
+const SIGNED_OUT_PATHS = ['/login', '/signup', '/verify-2fa'];
 
 const AuthContext = createContext(null);
 
+// The manager behind a "view as" session. Kept with the stored user so a reload stays in it, and the
+// API client refuses writes until it ends.
+const rememberImpersonator = (impersonator) => {
+    if (impersonator) {
+        localStorage.setItem('impersonator', JSON.stringify(impersonator));
+    } else {
+        localStorage.removeItem('impersonator');
+    }
+    apiClient.setReadOnly(!!impersonator);
+};
+
 // eslint-disable-next-line react-refresh/only-export-components
 export const useAuth = () => {
     const context = useContext(AuthContext);
@@ -15,37 +36,165 @@ export const useAuth = () => {
 
 export const AuthProvider = ({ children }) => {
     const [user, setUser] = useState(null);
+    const [impersonator, setImpersonator] = useState(null);
     const [loading, setLoading] = useState(true);
+    // Bumped when another tab switches or ends the session; remounting the app closes open modals and drops stale state
+    const [sessionKey, setSessionKey] = useState(0);
+    const userRef = useRef(null);
+    const navigate = useNavigate();
 
     useEffect(() => {
+        userRef.current = user;
+    }, [user]);
+
+    useEffect(() => {
+        // Earlier versions kept the sign-in credentials here to resend 2FA codes; never leave them behind
+        localStorage.removeItem('pending_2fa_email');
+        localStorage.removeItem('pending_2fa_password');
+
         // Check if user is logged in on mount
         const storedUser = localStorage.getItem('user');
 
         if (storedUser && storedUser !== 'undefined') {
             try {
                 setUser(JSON.parse(storedUser));
+                const storedImpersonator = JSON.parse(localStorage.getItem('impersonator'));
+                rememberImpersonator(storedImpersonator);
+                setImpersonator(storedImpersonator);
             } catch (error) {
                 console.error('Error parsing stored user:', error);
                 localStorage.removeItem('user');
+                rememberImpersonator(null);
             }
         }
 
         setLoading(false);
     }, []);
 
+    // Theme and locale follow the signed-in user; 'system' also tracks the device's light/dark setting
+    const preferences = user?.preferences;
+    useEffect(() => {
+        applyPreferences(preferences);
+
+        const media = window.matchMedia?.('(prefers-color-scheme: light)');
+        if (!media) return;
+        const handleChange = () => applyPreferences(preferences);
+        media.addEventListener('change', handleChange);
+        return () => media.removeEventListener('change', handleChange);
+    }, [preferences]);
+
+    useEffect(() => {
+        // Called by apiClient when a 401 survives the silent refresh: drop the session in place
+        // and send the user to /login, remembering where they were
+        apiClient.setSessionExpiredHandler(() => {
+            const { pathname, search } = window.location;
+            setUser(null);
+            rememberImpersonator(null);
+            setImpersonator(null);
+            queryCache.clear();
+            // The session cookie is shared, so the other tabs are signed out too
+            broadcastAuthEvent('logout', { reason: 'expired' });
+            if (!pathname.startsWith('/login')) {
+                navigate(buildLoginPath(pathname + search), { replace: true });
+            }
+        });
+
+        return () => apiClient.setSessionExpiredHandler(null);
+    }, [navigate]);
+
+    useEffect(() => {
+        // Another tab signed in, signed out or edited the profile: follow it right away instead of
+        // showing the old user until the next request fails
+        return subscribeToAuthEvents((message) => {
+            const current = userRef.current;
+            const { pathname, search } = window.location;
+
+            if (message.type === 'logout') {
+                if (!current) return;
+                setUser(null);
+                rememberImpersonator(null);
+                setImpersonator(null);
+                queryCache.clear();
+                setSessionKey((key) => key + 1);
+                if (!pathname.startsWith('/login')) {
+                    // Idle sign-outs keep their explanation; otherwise come back here after signing in again
+                    navigate(message.reason === 'idle' ? '/login?reason=idle' : buildLoginPath(pathname + search), { replace: true });
+                }
+                return;
+            }
+
+            if (!message.user) return;
+
+            if (message.type === 'user-updated') {
+                if (current?.id === message.user.id) {
+                    setUser(message.user);
+                }
+                return;
+            }
+
+            if (message.type === 'login') {
+                // The session is shared, so starting or ending "view as" in one tab applies to all of them
+                rememberImpersonator(message.impersonator || null);
+                setImpersonator(message.impersonator || null);
+                setUser(message.user);
+                if (current?.id === message.user.id) return;
+
+                // Nothing cached or on screen for the previous user may leak into the new session
+                queryCache.clear();
+                setSessionKey((key) => key + 1);
+                if (current) {
+                    navigate('/dashboard', { replace: true });
+                } else if (SIGNED_OUT_PATHS.some((path) => pathname.startsWith(path))) {
+                    navigate(pathname.startsWith('/login') ? getReturnPath(search) : '/dashboard', { replace: true });
+                }
+            }
+        });
+    }, [navigate]);
+
+    // Signs the user in on this tab and tells the others. `nextImpersonator` is the manager when this is a "view as" session.
+    const completeLogin = (nextUser, nextImpersonator = null) => {
+        localStorage.setItem('user', JSON.stringify(nextUser));
+        rememberImpersonator(nextImpersonator);
+        userRef.current = nextUser;
+        setUser(nextUser);
+        setImpersonator(nextImpersonator);
+        broadcastAuthEvent('login', { user: nextUser, impersonator: nextImpersonator });
+    };
+
+    // Swaps who the app is shown as, starting from a clean dashboard with nothing cached from before
+    const switchUser = (nextUser, nextImpersonator) => {
+        queryCache.clear();
+        completeLogin(nextUser, nextImpersonator);
+        setSessionKey((key) => key + 1);
+        navigate('/dashboard', { replace: true });
+    };
+
+    // Managers only: see the app as `userId` does, read-only
+    const startImpersonation = async (userId) => {
+        const data = await authAPI.startImpersonation(userId);
+        switchUser(data.user, data.impersonator);
+    };
+
+    const stopImpersonation = async () => {
+        const data = await authAPI.stopImpersonation();
+        switchUser(data.user, null);
+        // Changes the manager queued offline before "view as" were held; send them as the manager now
+        offlineQueue.requestSync();
+    };
+
     const login = async (credentials) => {
         const data = await authAPI.login(credentials);
 
         if (data.two_factor_enabled) {
-            // Store user_id temporarily for 2FA verification
-            // Credentials are not stored for security - user will need to re-enter if needed
+            // Store user_id (and whether the code comes by email or from an app) for the 2FA step.
+            // Credentials are never stored: resending a code has its own endpoint
             localStorage.setItem('pending_2fa_user_id', data.user_id);
+            localStorage.setItem('pending_2fa_method', data.two_factor_method || 'email');
             return { requires2FA: true, userId: data.user_id };
         }
 
         // Token is now handled via httpOnly cookie by backend
-        localStorage.setItem('user', JSON.stringify(data.user));
-        setUser(data.user);
+        completeLogin(data.user);
 
         return { success: true };
     };
@@ -55,22 +204,40 @@ export const AuthProvider = ({ children }) => {
         return { success: true, message: data.message };
     };
 
-    const logout = async () => {
+    // `everywhere` also ends the user's sessions on other devices; `reason` (e.g. 'idle') is shown on the login page.
+    // Also used directly as an onClick handler, so anything else passed in is ignored.
+    const logout = async ({ everywhere = false, reason } = {}) => {
         try {
             // Call backend to clear the httpOnly cookie
-            await apiClient.post('/auth/logout');
+            if (everywhere === true) {
+                await authAPI.logoutEverywhere();
+            } else {
+                await apiClient.post('/auth/logout');
+            }
         } catch (error) {
             console.error('Logout error:', error);
         } finally {
             // Clear local user data regardless of backend response
             localStorage.removeItem('user');
+            rememberImpersonator(null);
             setUser(null);
-            window.location.href = '/login';
+            queryCache.clear();
+            broadcastAuthEvent('logout', { reason: typeof reason === 'string' ? reason : undefined });
+            window.location.href = typeof reason === 'string' ? `/login?reason=${encodeURIComponent(reason)}` : '/login';
         }
     };
 
-    const isManager = () => user?.role === 'Manager';
-    const isEmployee = () => user?.role === 'Employee';
+    // Merges changes the backend confirmed (e.g. 2FA turned on) into the signed-in user
+    const updateUser = (changes) => {
+        const next = { ...userRef.current, ...changes };
+        userRef.current = next;
+        localStorage.setItem('user', JSON.stringify(next));
+        setUser(next);
+        broadcastAuthEvent('user-updated', { user: next });
+    };
+
+    const isManager = () => hasRole(user, MANAGER_ROLES);
+    const isEmployee = () => hasRole(user, [ROLES.EMPLOYEE]);
 
     // Legacy aliases for backward compatibility
     const isAdmin = isManager;
@@ -79,6 +246,12 @@ export const AuthProvider = ({ children }) => {
     const value = {
         user,
         setUser,
+        completeLogin,
+        updateUser,
+        // The manager behind a read-only "view as" session, else null; `user` is who the app is shown as
+        impersonator,
+        startImpersonation,
+        stopImpersonation,
         loading,
         login,
         register,
@@ -90,5 +263,9 @@ export const AuthProvider = ({ children }) => {
         isStudent,
     };
 
-    return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+    return (
+        <AuthContext.Provider value={value}>
+            <Fragment key={sessionKey}>{children}</Fragment>
+        </AuthContext.Provider>
+    );
 };
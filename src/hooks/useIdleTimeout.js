@@ -0,0 +1,79 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+const ACTIVITY_EVENTS = ['mousedown', 'mousemove', 'keydown', 'scroll', 'touchstart', 'wheel'];
+
+// Shared by every tab, so working in one tab keeps the others signed in too
+export const LAST_ACTIVITY_KEY = 'last_activity_at';
+
+const readLastActivity = () => Number(localStorage.getItem(LAST_ACTIVITY_KEY)) || Date.now();
+const writeLastActivity = (time = Date.now()) => localStorage.setItem(LAST_ACTIVITY_KEY, String(time));
+
+/**
+ * Calls `onTimeout` once nobody has used the app (in any tab) for `timeoutMs`; a falsy
+ * timeout disables it. For the last `warningMs` it reports `warning: true` with
+ * `secondsLeft`, and only `stayActive()` (not stray mouse movement) cancels the countdown.
+ */
+export const useIdleTimeout = ({ timeoutMs, warningMs = 60000, onTimeout }) => {
+    const [remainingMs, setRemainingMs] = useState(null);
+    const warningRef = useRef(false);
+    const onTimeoutRef = useRef(onTimeout);
+
+    useEffect(() => {
+        onTimeoutRef.current = onTimeout;
+    });
+
+    const stayActive = useCallback(() => {
+        warningRef.current = false;
+        writeLastActivity();
+        setRemainingMs(null);
+    }, []);
+
+    useEffect(() => {
+        if (!timeoutMs) return;
+
+        const warnFor = Math.min(warningMs, timeoutMs / 2);
+        let lastWrite = 0;
+        writeLastActivity();
+
+        const handleActivity = () => {
+            if (warningRef.current) return;
+            const now = Date.now();
+            // Throttled: mousemove fires far more often than the countdown needs
+            if (now - lastWrite > 1000) {
+                lastWrite = now;
+                writeLastActivity(now);
+            }
+        };
+
+        const tick = () => {
+            const remaining = readLastActivity() + timeoutMs - Date.now();
+
+            if (remaining <= 0) {
+                clearInterval(interval);
+                warningRef.current = false;
+                setRemainingMs(null);
+                onTimeoutRef.current?.();
+                return;
+            }
+
+            warningRef.current = remaining <= warnFor;
+            setRemainingMs(warningRef.current ? remaining : null);
+        };
+
+        ACTIVITY_EVENTS.forEach((type) => window.addEventListener(type, handleActivity, { passive: true }));
+        const interval = setInterval(tick, 1000);
+
+        return () => {
+            ACTIVITY_EVENTS.forEach((type) => window.removeEventListener(type, handleActivity));
+            clearInterval(interval);
+            warningRef.current = false;
+            setRemainingMs(null);
+        };
+    }, [timeoutMs, warningMs]);
+
+    return {
+        warning: remainingMs !== null,
+        secondsLeft: remainingMs === null ? null : Math.ceil(remainingMs / 1000),
+        stayActive,
+    };
+};
@@ -0,0 +1,24 @@
+import { useEffect, useRef, useSyncExternalStore } from 'react';
+import { offlineQueue } from '../api/offlineQueue';
+
+/**
+ * Mutations waiting in the offline queue (pending or failed) that satisfy `filter`.
+ * `onReplayed` is called with each matching mutation once the server accepts it, which
+ * is the cue to refetch whatever the mutation changed.
+ */
+export const useOfflineQueue = (filter = () => true, onReplayed) => {
+    const mutations = useSyncExternalStore(offlineQueue.subscribe, offlineQueue.getSnapshot);
+    const filterRef = useRef(filter);
+    const onReplayedRef = useRef(onReplayed);
+
+    useEffect(() => {
+        filterRef.current = filter;
+        onReplayedRef.current = onReplayed;
+    });
+
+    useEffect(() => offlineQueue.onReplayed((mutation) => {
+        if (filterRef.current(mutation)) onReplayedRef.current?.(mutation);
+    }), []);
+
+    return mutations.filter(filter);
+};
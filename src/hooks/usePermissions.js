@@ -0,0 +1,22 @@
+import { createContext, useContext, useMemo } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { can as userCan, getProjectRole } from '../utils/permissions';
+
+// The project a screen is about. ProjectDetails provides it, so the board, sprints, comments and files
+// nested inside check against the same project without each being handed it.
+export const ProjectContext = createContext(null);
+
+/**
+ * Permission checks for the signed-in user (see src/utils/permissions.js). `project` defaults to the
+ * surrounding ProjectContext; `can(action, { createdBy })` also covers removing your own comments and files.
+ */
+export const usePermissions = (project) => {
+    const { user } = useAuth();
+    const contextProject = useContext(ProjectContext);
+    const scope = project ?? contextProject;
+
+    return useMemo(() => ({
+        projectRole: getProjectRole(user, scope),
+        can: (action, { createdBy } = {}) => userCan(user, action, { project: scope, createdBy }),
+    }), [user, scope]);
+};
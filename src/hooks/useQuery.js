@@ -0,0 +1,47 @@
+import { useCallback, useEffect, useRef, useSyncExternalStore } from 'react';
+import { queryCache } from '../api/queryCache';
+
+/**
+ * Reads `key` from the shared query cache, fetching it on mount and whenever it goes stale.
+ * Cached data is returned immediately while a revalidation runs in the background, and
+ * components asking for the same key share a single request.
+ *
+ * `fetcher` receives an AbortSignal; the request is cancelled once no component needs it.
+ */
+export const useQuery = (key, fetcher, { enabled = true, staleTime } = {}) => {
+    const hash = JSON.stringify(key);
+    const fetcherRef = useRef(fetcher);
+
+    useEffect(() => {
+        fetcherRef.current = fetcher;
+    });
+
+    const subscribe = useCallback(
+        (listener) => queryCache.subscribe(JSON.parse(hash), listener),
+        [hash]
+    );
+    const getSnapshot = useCallback(() => queryCache.getSnapshot(JSON.parse(hash)), [hash]);
+    const snapshot = useSyncExternalStore(subscribe, getSnapshot);
+
+    const run = useCallback((force) => {
+        return queryCache
+            .fetch(JSON.parse(hash), (signal) => fetcherRef.current(signal), { force, staleTime })
+            .catch(() => {
+                // Errors are exposed through the snapshot
+            });
+    }, [hash, staleTime]);
+
+    useEffect(() => {
+        if (enabled) run(false);
+    }, [enabled, run]);
+
+    const refetch = useCallback(() => run(true), [run]);
+
+    return {
+        data: snapshot.data,
+        error: snapshot.error,
+        isFetching: snapshot.isFetching,
+        loading: enabled && snapshot.data === undefined && !snapshot.error,
+        refetch,
+    };
+};
@@ -0,0 +1,24 @@
+import { useEffect, useRef } from 'react';
+import { realtime } from '../api/realtime';
+
+/**
+ * Subscribes to a realtime `channel` (e.g. `project:4`) while mounted. `onEvent` receives each
+ * event pushed on the channel; `onResync` should refetch, and runs after reconnects and on
+ * the polling interval while the stream is down. Pass a falsy channel to skip subscribing.
+ */
+export const useRealtime = (channel, { onEvent, onResync }) => {
+    const handlersRef = useRef({ onEvent, onResync });
+
+    useEffect(() => {
+        handlersRef.current = { onEvent, onResync };
+    });
+
+    useEffect(() => {
+        if (!channel) return;
+
+        return realtime.subscribe(channel, {
+            onEvent: (event) => handlersRef.current.onEvent?.(event),
+            onResync: () => handlersRef.current.onResync?.(),
+        });
+    }, [channel]);
+};
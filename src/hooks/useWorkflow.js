@@ -0,0 +1,9 @@
+import { useContext } from 'react';
+import { ProjectContext } from './usePermissions';
+import { getWorkflow } from '../utils/workflow';
+
+// Columns of `project`, or of the surrounding ProjectContext; the default three outside a project
+export const useWorkflow = (project) => {
+    const contextProject = useContext(ProjectContext);
+    return getWorkflow(project ?? contextProject);
+};
@@ -16,8 +16,28 @@ if ('serviceWorker' in navigator && import.meta.env.PROD) {
     });
 }
 
-createRoot(document.getElementById('root')).render(
-  <StrictMode>
-    <App />
-  </StrictMode>,
-)
+// VITE_USE_MOCK_API=true swaps the Flask backend for the in-browser mock (src/api/mock).
+// It is imported lazily, so it sits in its own chunk that is only downloaded when enabled.
+const enableMockApi = async () => {
+    if (import.meta.env.VITE_USE_MOCK_API !== 'true') return;
+
+    const [{ apiClient }, { createMockServer }] = await Promise.all([
+        import('./api/client'),
+        import('./api/mock'),
+    ]);
+    apiClient.useMockServer(createMockServer());
+    console.info('[Mock API] Using the in-browser mock backend');
+};
+
+// If the mock fails to load, render anyway: requests then go to the real backend
+enableMockApi()
+    .catch((error) => {
+        console.error('[Mock API] Failed to start the mock backend:', error);
+    })
+    .finally(() => {
+        createRoot(document.getElementById('root')).render(
+            <StrictMode>
+                <App />
+            </StrictMode>,
+        );
+    });
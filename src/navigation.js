@@ -0,0 +1,19 @@
+import { LayoutDashboard, Users, Settings } from 'lucide-react';
+import { MANAGER_ROLES } from './utils/permissions';
+
+// Who may open each signed-in area. App.jsx guards its routes with these rules and Layout
+// builds the sidebar from them, so the menu never links to a page that would answer 403.
+// Projects are listed on the dashboard, so a project's own pages have a rule but no menu entry;
+// whether the user may edit that particular project is checked once it has loaded.
+export const routeAccess = {
+    dashboard: { path: '/dashboard' },
+    project: { path: '/projects/:id', permission: 'projects.view' },
+    manager: { path: '/manager', roles: MANAGER_ROLES, permission: 'teams.manage' },
+    settings: { path: '/settings' },
+};
+
+export const menuItems = [
+    { name: 'Dashboard', icon: LayoutDashboard, ...routeAccess.dashboard },
+    { name: 'Teams', icon: Users, ...routeAccess.manager },
+    { name: 'Settings', icon: Settings, ...routeAccess.settings },
+];
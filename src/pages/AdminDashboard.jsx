@@ -2,27 +2,30 @@ import { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { projectsAPI } from '../api/projects';
+import { queryKeys } from '../api/queryCache';
+import { useQuery } from '../hooks/useQuery';
 import { cohortsAPI } from '../api/cohorts';
 import { classesAPI } from '../api/classes';
 import { dashboardApi } from '../api/dashboard';
-import { authAPI } from '../api/auth';
-import { Plus, Edit, Trash2, Eye, Shield, Search, TrendingUp } from 'lucide-react';
+import { usersAPI } from '../api/users';
+import { hasRole, MANAGER_ROLES } from '../utils/permissions';
+import { Plus, Edit, Trash2, Eye, Shield, Search, TrendingUp, Users } from 'lucide-react';
 import CreateProjectModal from '../components/CreateProjectModal';
 import NotificationDropdown from '../components/NotificationDropdown';
+import { formatDate } from '../utils/format';
 
 const AdminDashboard = () => {
-    const { user, logout } = useAuth();
+    const { user, logout, startImpersonation } = useAuth();
     const navigate = useNavigate();
     const [activeTab, setActiveTab] = useState('projects');
-    const [projects, setProjects] = useState([]);
     const [cohorts, setCohorts] = useState([]);
     const [classes, setClasses] = useState([]);
+    const [people, setPeople] = useState([]);
     const [loading, setLoading] = useState(true);
     const [showProjectModal, setShowProjectModal] = useState(false);
     const [showCohortModal, setShowCohortModal] = useState(false);
     const [showClassModal, setShowClassModal] = useState(false);
     const [editingItem, setEditingItem] = useState(null);
-    const [twoFactorEnabled, setTwoFactorEnabled] = useState(user?.two_factor_enabled || false);
     const [classFilter, setClassFilter] = useState('');
     const [cohortFilter, setCohortFilter] = useState('');
 
@@ -39,20 +42,31 @@ const AdminDashboard = () => {
         { id: 'teams', label: 'Teams', icon: <Plus size={16} /> },
         { id: 'project-types', label: 'Project Types', icon: <Shield size={16} /> },
         { id: 'analytics', label: 'Analytics', icon: <TrendingUp size={16} /> },
+        { id: 'people', label: 'People', icon: <Users size={16} /> },
     ];
 
+    // Projects come from the query cache and refresh themselves after project mutations
+    const projectsQuery = useQuery(
+        queryKeys.projects.list(),
+        (signal) => projectsAPI.getAll({}, { signal }),
+        { enabled: activeTab === 'projects' }
+    );
+    const projects = projectsQuery.data?.items || [];
+
     const fetchData = useCallback(async () => {
+        if (activeTab === 'projects') return;
+
         setLoading(true);
         try {
-            if (activeTab === 'projects') {
-                const response = await projectsAPI.getAll();
-                setProjects(response.items || []);
-            } else if (activeTab === 'teams') {
+            if (activeTab === 'teams') {
                 const response = await cohortsAPI.getAll();
-                setCohorts(response.items || []);
+                setCohorts(response.items);
             } else if (activeTab === 'project-types') {
                 const response = await classesAPI.getAll();
-                setClasses(Array.isArray(response) ? response : []);
+                setClasses(response.items);
+            } else if (activeTab === 'people') {
+                const response = await usersAPI.getAll();
+                setPeople(response.items);
             } else if (activeTab === 'analytics') {
                 const [summaryObj, statusArr, teamsArr, tasksArr] = await Promise.all([
                     dashboardApi.getManagerSummary(),
@@ -62,9 +76,9 @@ const AdminDashboard = () => {
                 ]);
                 setAnalytics({
                     summary: summaryObj,
-                    status: statusArr.data || [],
-                    teams: teamsArr.data || [],
-                    tasks: tasksArr.data || []
+                    status: statusArr.items,
+                    teams: teamsArr.items,
+                    tasks: tasksArr.items
                 });
             }
         } catch (error) {
@@ -82,7 +96,6 @@ const AdminDashboard = () => {
         if (!window.confirm('Are you sure you want to delete this project?')) return;
         try {
             await projectsAPI.delete(id);
-            fetchData();
         } catch (error) {
             console.error('Error deleting project:', error);
         }
@@ -108,22 +121,12 @@ const AdminDashboard = () => {
         }
     };
 
-    const handleToggle2FA = async () => {
+    const handleViewAs = async (person) => {
         try {
-            if (twoFactorEnabled) {
-                // Disable 2FA
-                await authAPI.disable2FA(user.id);
-                setTwoFactorEnabled(false);
-                alert('2FA has been disabled successfully');
-            } else {
-                // Enable 2FA
-                await authAPI.enable2FA(user.id);
-                setTwoFactorEnabled(true);
-                alert('2FA enabled! You will receive a verification code via email when logging in.');
-            }
+            await startImpersonation(person.id);
         } catch (error) {
-            console.error('Error toggling 2FA:', error);
-            alert('Failed to toggle 2FA. Please try again.');
+            console.error('Error starting view as:', error);
+            alert(error.message || 'Failed to view as this user');
         }
     };
 
@@ -286,13 +289,13 @@ const AdminDashboard = () => {
                                     {cohort.start_date && (
                                         <div className="flex items-center gap-4">
                                             <span className="text-[10px] font-black uppercase tracking-[0.2em] text-slate-500 w-24">Deployment</span>
-                                            <span className="text-sm font-bold text-slate-200 bg-white/5 px-3 py-1 rounded-lg border border-white/5">{new Date(cohort.start_date).toLocaleDateString()}</span>
+                                            <span className="text-sm font-bold text-slate-200 bg-white/5 px-3 py-1 rounded-lg border border-white/5">{formatDate(cohort.start_date)}</span>
                                         </div>
                                     )}
                                     {cohort.end_date && (
                                         <div className="flex items-center gap-4">
                                             <span className="text-[10px] font-black uppercase tracking-[0.2em] text-slate-500 w-24">Decommission</span>
-                                            <span className="text-sm font-bold text-slate-200 bg-white/5 px-3 py-1 rounded-lg border border-white/5">{new Date(cohort.end_date).toLocaleDateString()}</span>
+                                            <span className="text-sm font-bold text-slate-200 bg-white/5 px-3 py-1 rounded-lg border border-white/5">{formatDate(cohort.end_date)}</span>
                                         </div>
                                     )}
                                 </div>
@@ -321,6 +324,46 @@ const AdminDashboard = () => {
         </div>
     );
 
+    const PeopleTab = () => (
+        <div className="space-y-6">
+            <div>
+                <h2 className="text-3xl font-black neon-text-cyan flex items-center gap-4 tracking-tighter uppercase italic">
+                    Personnel <span className="text-white">Registry</span>
+                    <span className="text-4xl text-white bg-holo-cyan/10 px-6 py-2 rounded-2xl border border-holo-cyan/30 shadow-neon-cyan not-italic">
+                        {people.length}
+                    </span>
+                </h2>
+                <p className="text-xs text-slate-500 mt-4">
+                    View as an employee to see the app exactly as they do. Nothing can be changed while viewing, and each session is recorded in the activity log.
+                </p>
+            </div>
+
+            <div className="glass-card divide-y divide-white/5">
+                {people.map((person) => (
+                    <div key={person.id} className="flex-between gap-6 p-6">
+                        <div className="min-w-0">
+                            <p className="font-bold text-white truncate">{person.name}</p>
+                            <p className="text-xs text-slate-500 truncate">{person.email}</p>
+                        </div>
+                        <div className="flex items-center gap-6">
+                            <span className="text-[10px] font-black uppercase tracking-[0.2em] text-slate-400">{person.role}</span>
+                            {person.id !== user?.id && !hasRole(person, MANAGER_ROLES) && (
+                                <button
+                                    onClick={() => handleViewAs(person)}
+                                    aria-label={`View as ${person.name}`}
+                                    className="flex items-center gap-2 px-4 py-2 bg-white/5 hover:bg-holo-cyan/10 text-slate-400 hover:text-holo-cyan rounded-xl border border-white/5 hover:border-holo-cyan/30 text-[10px] font-black uppercase tracking-widest transition-all"
+                                >
+                                    <Eye size={14} />
+                                    View As
+                                </button>
+                            )}
+                        </div>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+
     const ProjectTypesTab = () => (
         <div className="space-y-6">
             <div className="flex-between">
@@ -504,17 +547,6 @@ const AdminDashboard = () => {
                 </div>
 
                 <div className="flex items-center gap-4">
-                    <button
-                        onClick={handleToggle2FA}
-                        className={`flex items-center gap-2 px-6 py-3 rounded-xl font-bold text-[10px] uppercase tracking-widest transition-all duration-500 border ${twoFactorEnabled
-                            ? 'border-green-500/50 text-green-400 bg-green-500/10 shadow-[0_0_15px_rgba(34,197,94,0.2)]'
-                            : 'border-white/10 text-slate-400 bg-white/5 hover:border-holo-cyan/50 hover:text-holo-cyan'
-                            }`}
-                    >
-                        <Shield size={14} />
-                        {twoFactorEnabled ? '2FA ACTIVE' : 'SECURE OPS'}
-                    </button>
-
                     <button
                         onClick={logout}
                         className="px-6 py-3 bg-white/5 hover:bg-red-500/10 text-slate-400 hover:text-red-500 rounded-xl border border-white/5 hover:border-red-500/30 font-black text-[10px] uppercase tracking-widest transition-all"
@@ -526,7 +558,7 @@ const AdminDashboard = () => {
 
             {/* Content Container */}
             <div className="animate-in fade-in slide-in-from-bottom-8 duration-1000">
-                {loading ? (
+                {(activeTab === 'projects' ? projectsQuery.loading : loading) ? (
                     <div className="flex-center flex-col py-48 gap-8">
                         <div className="loader-holo"></div>
                         <p className="neon-text-cyan font-black tracking-[0.4em] text-xs animate-pulse uppercase">
@@ -539,6 +571,7 @@ const AdminDashboard = () => {
                         {activeTab === 'teams' && <TeamsTab />}
                         {activeTab === 'project-types' && <ProjectTypesTab />}
                         {activeTab === 'analytics' && <AnalyticsTab />}
+                        {activeTab === 'people' && <PeopleTab />}
                     </div>
                 )}
             </div>
@@ -554,7 +587,6 @@ const AdminDashboard = () => {
                     onSuccess={() => {
                         setShowProjectModal(false);
                         setEditingItem(null);
-                        fetchData();
                     }}
                 />
             )}
@@ -4,20 +4,22 @@ import { useAuth } from '../context/AuthContext';
 import { projectsAPI } from '../api/projects';
 import { classesAPI } from '../api/classes';
 import { cohortsAPI } from '../api/cohorts';
+import { isApiError } from '../api/errors';
+import { can } from '../utils/permissions';
+import { findConflicts } from '../utils/mergeFields';
+import { toProjectForm, projectMergeFields } from '../utils/projectForm';
+import MergeConflictDialog from '../components/MergeConflictDialog';
 import { ArrowLeft, Plus, Trash2 } from 'lucide-react';
 
 const EditProject = () => {
     const { id } = useParams();
     const navigate = useNavigate();
-    const { user, isManager } = useAuth();
+    const { user } = useAuth();
     const [loading, setLoading] = useState(true);
-    const [formData, setFormData] = useState({
-        name: '',
-        description: '',
-        github_link: '',
-        class_id: '',
-        cohort_id: '',
-    });
+    const [formData, setFormData] = useState(() => toProjectForm(null));
+    // The copy being edited; its version makes the save fail if someone else saved first
+    const [baseProject, setBaseProject] = useState(null);
+    const [conflict, setConflict] = useState(null);
     const [classes, setClasses] = useState([]);
     const [cohorts, setCohorts] = useState([]);
     const [ownerName, setOwnerName] = useState('');
@@ -31,8 +33,8 @@ const EditProject = () => {
                 classesAPI.getAll(),
                 cohortsAPI.getAll(),
             ]);
-            setClasses(Array.isArray(classesResponse) ? classesResponse : []);
-            setCohorts(cohortsResponse.items || []);
+            setClasses(classesResponse.items);
+            setCohorts(cohortsResponse.items);
         } catch (err) {
             console.error('Error fetching classes and cohorts:', err);
         }
@@ -41,23 +43,17 @@ const EditProject = () => {
     const fetchProject = useCallback(async () => {
         try {
             setLoading(true);
-            const response = await projectsAPI.getById(id);
-            const project = response.project;
+            const project = await projectsAPI.getById(id);
 
             // Check if user has permission to edit
-            if (!isManager() && project.owner_id !== user?.id) {
+            if (!can(user, 'project.edit', { project })) {
                 alert('You do not have permission to edit this project');
                 navigate(`/projects/${id}`);
                 return;
             }
 
-            setFormData({
-                name: project.name || '',
-                description: project.description || '',
-                github_link: project.github_link || '',
-                class_id: project.class_id || '',
-                cohort_id: project.cohort_id || '',
-            });
+            setBaseProject(project);
+            setFormData(toProjectForm(project));
 
             // Set owner name
             if (project.owner) {
@@ -79,7 +75,7 @@ const EditProject = () => {
         } finally {
             setLoading(false);
         }
-    }, [id, user?.id, navigate, isManager]);
+    }, [id, user, navigate]);
 
     useEffect(() => {
         fetchProject();
@@ -127,22 +123,40 @@ const EditProject = () => {
             return;
         }
 
+        await saveProject(formData, baseProject);
+    };
+
+    const saveProject = async (values, base) => {
         try {
             // Send only email addresses to backend (as per backend API requirement)
             const memberEmails = members.map(member => member.email);
 
             await projectsAPI.update(id, {
-                name: formData.name,
-                description: formData.description,
-                github_link: formData.github_link,
-                class_id: formData.class_id ? parseInt(formData.class_id) : null,
-                cohort_id: formData.cohort_id ? parseInt(formData.cohort_id) : null,
+                name: values.name,
+                description: values.description,
+                github_link: values.github_link,
+                class_id: values.class_id ? parseInt(values.class_id) : null,
+                cohort_id: values.cohort_id ? parseInt(values.cohort_id) : null,
                 members: memberEmails, // Send array of email addresses
-            });
+            }, { version: base?.version });
 
             alert('Project updated successfully! Invitations have been sent to new members.');
             navigate(`/projects/${id}`);
         } catch (error) {
+            const current = isApiError(error) && error.isConflict() ? error.data?.current : null;
+            if (current) {
+                const conflicts = findConflicts(projectMergeFields(classes, cohorts), {
+                    base: toProjectForm(base),
+                    mine: values,
+                    theirs: toProjectForm(current),
+                });
+                if (conflicts.length === 0) return saveProject(values, current);
+
+                setBaseProject(current);
+                setConflict({ project: current, conflicts });
+                return;
+            }
+
             console.error('Error updating project:', error);
             alert(error.message || 'Failed to update project');
         }
@@ -376,6 +390,20 @@ const EditProject = () => {
                     </form>
                 </div>
             </main>
+
+            {conflict && (
+                <MergeConflictDialog
+                    title={`${conflict.project.name} was changed by someone else`}
+                    conflicts={conflict.conflicts}
+                    mine={formData}
+                    onResolve={(merged) => {
+                        setFormData(merged);
+                        setConflict(null);
+                        saveProject(merged, conflict.project);
+                    }}
+                    onCancel={() => setConflict(null)}
+                />
+            )}
         </div>
     );
 };
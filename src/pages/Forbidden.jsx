@@ -0,0 +1,27 @@
+import { Link } from 'react-router-dom';
+import { ShieldOff } from 'lucide-react';
+
+// Shown in place of a page the signed-in user's role does not allow
+const Forbidden = () => {
+    return (
+        <div className="min-h-[70vh] flex items-center justify-center p-6">
+            <div className="glass-card p-12 w-full max-w-md text-center animate-in fade-in zoom-in duration-500">
+                <div className="w-20 h-20 bg-red-500/10 border border-red-500/20 rounded-3xl mx-auto flex-center mb-8 shadow-red-500/10">
+                    <ShieldOff className="text-red-500" size={40} />
+                </div>
+                <p className="text-[10px] font-black text-slate-500 uppercase tracking-[0.4em] mb-2">Error 403</p>
+                <h1 className="text-3xl font-black text-red-500 uppercase tracking-tighter italic mb-4">
+                    Access Denied
+                </h1>
+                <p className="text-slate-400 text-sm font-medium mb-10 leading-relaxed">
+                    Your role does not have access to this page. If you think it should, ask a manager to update your permissions.
+                </p>
+                <Link to="/dashboard" className="block w-full btn-holo btn-holo-cyan py-5 text-sm">
+                    Back to Dashboard
+                </Link>
+            </div>
+        </div>
+    );
+};
+
+export default Forbidden;
@@ -0,0 +1,104 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { authAPI } from '../api/auth';
+import { Mail, KeyRound } from 'lucide-react';
+
+const ForgotPassword = () => {
+    const [email, setEmail] = useState('');
+    const [sent, setSent] = useState(null);
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        setLoading(true);
+
+        try {
+            const data = await authAPI.requestPasswordReset(email.trim());
+            setSent({ email: email.trim(), expiresInMinutes: data.expires_in_minutes || 60 });
+        } catch (err) {
+            if (err.status === 429) {
+                setError('Too many reset requests. Please wait a moment before trying again.');
+            } else {
+                setError(err.message || 'Could not send a reset link. Please try again.');
+            }
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="min-h-screen flex items-center justify-center p-6 relative overflow-hidden">
+            {/* Background Orbs */}
+            <div className="absolute top-[-10%] left-[-10%] w-[40%] h-[40%] bg-holo-cyan/10 rounded-full blur-[120px] animate-pulse" />
+            <div className="absolute bottom-[-10%] right-[-10%] w-[40%] h-[40%] bg-holo-magenta/10 rounded-full blur-[120px] animate-pulse-slow" />
+
+            <div className="glass-card p-12 w-full max-w-md relative z-10 animate-in fade-in zoom-in duration-700">
+                <div className="text-center mb-10">
+                    <div className="w-20 h-20 bg-holo-cyan/10 border border-holo-cyan/20 rounded-3xl mx-auto flex-center mb-6 shadow-neon-cyan/20">
+                        <KeyRound className="text-holo-cyan" size={40} />
+                    </div>
+                    <h2 className="text-3xl font-black neon-text-cyan tracking-tighter uppercase italic mb-2">
+                        Reset <span className="text-white">Password</span>
+                    </h2>
+                    <p className="text-slate-500 text-[10px] font-black uppercase tracking-[0.4em]">Account Recovery</p>
+                </div>
+
+                {sent ? (
+                    <p className="text-slate-400 text-center text-xs leading-relaxed font-medium" role="status">
+                        If an account exists for <span className="text-white">{sent.email}</span>, we&apos;ve emailed a link to reset its
+                        password. The link works once and expires in {sent.expiresInMinutes} minutes.
+                    </p>
+                ) : (
+                    <>
+                        <p className="text-slate-400 text-center text-xs mb-10 leading-relaxed font-medium">
+                            Enter the email address you sign in with and we&apos;ll send you a link to choose a new password.
+                        </p>
+
+                        {error && (
+                            <div className="mb-8 p-4 bg-red-500/10 border border-red-500/20 rounded-xl text-red-500 text-xs font-bold uppercase tracking-wider animate-shake">
+                                {error}
+                            </div>
+                        )}
+
+                        <form onSubmit={handleSubmit} className="space-y-8">
+                            <div className="space-y-2">
+                                <label htmlFor="reset-email" className="block text-[10px] font-black text-slate-500 uppercase tracking-widest ml-1 italic">Email Address</label>
+                                <div className="relative group">
+                                    <Mail className="absolute left-5 top-1/2 -translate-y-1/2 text-slate-500 group-focus-within:text-holo-cyan transition-colors" size={18} />
+                                    <input
+                                        id="reset-email"
+                                        type="email"
+                                        placeholder="name@matrix.net"
+                                        value={email}
+                                        onChange={(e) => setEmail(e.target.value)}
+                                        required
+                                        autoFocus
+                                        className="w-full pl-14 pr-6 py-4 bg-white/5 border border-white/10 rounded-2xl focus:neon-border-cyan focus:outline-none text-white transition-all placeholder-slate-600 font-medium"
+                                    />
+                                </div>
+                            </div>
+
+                            <button
+                                type="submit"
+                                disabled={loading}
+                                className="w-full btn-holo btn-holo-cyan py-5 text-sm"
+                            >
+                                {loading ? 'Sending Link...' : 'Send Reset Link'}
+                            </button>
+                        </form>
+                    </>
+                )}
+
+                <div className="mt-12 pt-8 border-t border-white/5 text-center">
+                    <Link to="/login" className="text-[10px] font-bold text-slate-500 hover:text-white uppercase tracking-widest transition-colors">
+                        Back to Login
+                    </Link>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ForgotPassword;
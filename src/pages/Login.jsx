@@ -1,10 +1,14 @@
-import { useState } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
+import { useState, useEffect } from 'react';
+import { useNavigate, useLocation, Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
-import { Mail, Lock } from 'lucide-react';
+import { authAPI } from '../api/auth';
+import { getReturnPath } from '../utils/returnPath';
+import { createSsoAuthorizeUrl } from '../utils/sso';
+import { Mail, Lock, Building2 } from 'lucide-react';
 
 const Login = () => {
     const navigate = useNavigate();
+    const location = useLocation();
     const { login } = useAuth();
     const [formData, setFormData] = useState({
         email: '',
@@ -12,6 +16,34 @@ const Login = () => {
     });
     const [error, setError] = useState('');
     const [loading, setLoading] = useState(false);
+    const [ssoConfig, setSsoConfig] = useState(null);
+    const [ssoLoading, setSsoLoading] = useState(false);
+    const signedOutForInactivity = new URLSearchParams(location.search).get('reason') === 'idle';
+
+    // The SSO button only appears when the backend has an identity provider configured
+    useEffect(() => {
+        const controller = new AbortController();
+
+        authAPI.getSsoConfig({ signal: controller.signal })
+            .then((config) => setSsoConfig(config?.enabled ? config : null))
+            .catch(() => setSsoConfig(null));
+
+        return () => controller.abort();
+    }, []);
+
+    const handleSsoLogin = async () => {
+        setError('');
+        setSsoLoading(true);
+
+        try {
+            // Leaves the app; the provider returns to /auth/callback
+            window.location.assign(await createSsoAuthorizeUrl(ssoConfig, getReturnPath(location.search)));
+        } catch (err) {
+            console.error('Error starting single sign-on:', err);
+            setError('Single sign-on is unavailable right now. Please sign in with your password.');
+            setSsoLoading(false);
+        }
+    };
 
     const handleChange = (e) => {
         setFormData({
@@ -28,18 +60,19 @@ const Login = () => {
         try {
             const result = await login(formData);
 
+            // Keep `?next=` through the 2FA step so both paths return to the original route
             if (result.requires2FA) {
-                navigate('/verify-2fa');
+                navigate(`/verify-2fa${location.search}`);
             } else if (result.success) {
-                navigate('/dashboard');
+                navigate(getReturnPath(location.search), { replace: true });
             }
         } catch (err) {
             // Handle different types of errors
             if (err.code === 'NETWORK_ERROR') {
                 setError('Unable to connect to the server. Please check your connection and ensure the backend server is running.');
-            } else if (err.message.includes('Too many requests')) {
+            } else if (err.status === 429) {
                 setError('Too many login attempts. Please wait a moment before trying again.');
-            } else if (err.message.includes('Authentication failed') || err.message.includes('Invalid email or password')) {
+            } else if (err.status === 401) {
                 setError('Invalid email or password. Please check your credentials.');
             } else {
                 setError(err.message || 'Login failed. Please try again.');
@@ -63,6 +96,18 @@ const Login = () => {
                     <p className="text-slate-500 text-[10px] font-black uppercase tracking-[0.4em]">Project Tracker Access</p>
                 </div>
 
+                {location.state?.message && !error && (
+                    <div className="mb-8 p-4 bg-green-500/10 border border-green-500/20 rounded-xl text-green-400 text-xs font-bold uppercase tracking-wider">
+                        {location.state.message}
+                    </div>
+                )}
+
+                {signedOutForInactivity && !error && (
+                    <div className="mb-8 p-4 bg-amber-500/10 border border-amber-500/20 rounded-xl text-amber-400 text-xs font-bold uppercase tracking-wider" role="status">
+                        You were signed out after a period of inactivity.
+                    </div>
+                )}
+
                 {error && (
                     <div className="mb-8 p-4 bg-red-500/10 border border-red-500/20 rounded-xl text-red-500 text-xs font-bold uppercase tracking-wider animate-shake">
                         {error}
@@ -111,6 +156,25 @@ const Login = () => {
                     </button>
                 </form>
 
+                {ssoConfig && (
+                    <div className="mt-8 space-y-8">
+                        <div className="flex items-center gap-4 text-slate-600 text-[10px] font-black uppercase tracking-widest">
+                            <span className="flex-1 h-px bg-white/10" />
+                            or
+                            <span className="flex-1 h-px bg-white/10" />
+                        </div>
+                        <button
+                            type="button"
+                            onClick={handleSsoLogin}
+                            disabled={ssoLoading}
+                            className="w-full btn-holo btn-holo-magenta py-5 text-sm flex items-center justify-center gap-3"
+                        >
+                            <Building2 size={18} />
+                            {ssoLoading ? 'Redirecting...' : `Sign in with ${ssoConfig.provider_name || 'SSO'}`}
+                        </button>
+                    </div>
+                )}
+
                 <div className="mt-12 pt-8 border-t border-white/5 text-center space-y-4">
                     <p className="text-slate-500 text-[11px] font-bold uppercase tracking-wider">
                         New Employee?{' '}
@@ -119,7 +183,7 @@ const Login = () => {
                         </Link>
                     </p>
                     <p className="text-slate-600 text-[10px] font-medium italic">
-                        Forgot Password? <Link to="/reset-password" name="reset-password-link" className="hover:text-slate-400 transition-colors">Reset Password</Link>
+                        Forgot Password? <Link to="/forgot-password" name="reset-password-link" className="hover:text-slate-400 transition-colors">Reset Password</Link>
                     </p>
                 </div>
             </div>
@@ -0,0 +1,125 @@
+import { useState, useEffect } from 'react';
+import { useLocation } from 'react-router-dom';
+import { mockIdpAPI } from '../api/mockIdp';
+import { Building2, UserCircle } from 'lucide-react';
+
+// Sends the browser back to the app the way a provider does: a full redirect with the result in the query
+const redirectBack = (redirectUri, params) => {
+    const url = new URL(redirectUri);
+    Object.entries(params).forEach(([key, value]) => {
+        if (value) url.searchParams.set(key, value);
+    });
+    window.location.assign(url.toString());
+};
+
+// Authorization page of the stand-in identity provider (mock mode only). Instead of a corporate login
+// it lists the provider's directory, so any of the SSO cases can be tried: a linked identity, one whose
+// email already has an account, and a brand-new person.
+const MockIdentityProvider = () => {
+    const location = useLocation();
+    const request = Object.fromEntries(new URLSearchParams(location.search));
+    const [accounts, setAccounts] = useState([]);
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(false);
+
+    // A real provider only redirects to URIs registered for the client; the stand-in accepts this app's origin
+    const redirectAllowed = (() => {
+        try {
+            return new URL(request.redirect_uri).origin === window.location.origin;
+        } catch {
+            return false;
+        }
+    })();
+
+    useEffect(() => {
+        mockIdpAPI.getAccounts()
+            .then((data) => setAccounts(data.accounts || []))
+            .catch((err) => {
+                console.error('Error loading directory:', err);
+                setError(err.message);
+            });
+    }, []);
+
+    const handleChoose = async (account) => {
+        setError('');
+        setLoading(true);
+
+        try {
+            const { code } = await mockIdpAPI.authorize({
+                client_id: request.client_id,
+                redirect_uri: request.redirect_uri,
+                code_challenge: request.code_challenge,
+                code_challenge_method: request.code_challenge_method,
+                nonce: request.nonce,
+                sub: account.sub,
+            });
+            redirectBack(request.redirect_uri, { code, state: request.state });
+        } catch (err) {
+            setError(err.message || 'Authorization failed');
+            setLoading(false);
+        }
+    };
+
+    const handleCancel = () => {
+        redirectBack(request.redirect_uri, {
+            error: 'access_denied',
+            error_description: 'The user cancelled sign-in',
+            state: request.state,
+        });
+    };
+
+    return (
+        <div className="min-h-screen bg-slate-100 flex items-center justify-center p-6">
+            <div className="bg-white rounded-lg shadow-md w-full max-w-sm p-8 text-slate-800">
+                <div className="flex items-center gap-3 mb-6">
+                    <Building2 className="text-slate-600" size={28} />
+                    <div>
+                        <h1 className="text-lg font-semibold">Corporate Sign-In</h1>
+                        <p className="text-xs text-slate-500">Local stand-in identity provider</p>
+                    </div>
+                </div>
+
+                {!redirectAllowed ? (
+                    <p className="text-sm text-red-600" role="alert">
+                        This sign-in request is invalid: its redirect address is not registered for this application.
+                    </p>
+                ) : (
+                    <>
+                        <p className="text-sm text-slate-600 mb-4">Choose who to sign in as:</p>
+
+                        {error && <p className="text-sm text-red-600 mb-4" role="alert">{error}</p>}
+
+                        <ul className="space-y-2 mb-6">
+                            {accounts.map((account) => (
+                                <li key={account.sub}>
+                                    <button
+                                        type="button"
+                                        onClick={() => handleChoose(account)}
+                                        disabled={loading}
+                                        className="w-full flex items-center gap-3 p-3 border border-slate-200 rounded-md hover:bg-slate-50 text-left disabled:opacity-50"
+                                    >
+                                        <UserCircle className="text-slate-400 shrink-0" size={28} />
+                                        <span>
+                                            <span className="block text-sm font-medium">{account.name}</span>
+                                            <span className="block text-xs text-slate-500">{account.email} · {account.department}</span>
+                                        </span>
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+
+                        <button
+                            type="button"
+                            onClick={handleCancel}
+                            className="w-full py-2 text-sm text-slate-600 border border-slate-300 rounded-md hover:bg-slate-50"
+                        >
+                            Cancel
+                        </button>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default MockIdentityProvider;
@@ -1,22 +1,25 @@
-import { useState, useEffect, useCallback } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
-import { useAuth } from '../context/AuthContext';
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useParams, useNavigate, Routes, Route } from 'react-router-dom';
+import { usePermissions, ProjectContext } from '../hooks/usePermissions';
 import { projectsAPI } from '../api/projects';
+import { isAbortError } from '../api/client';
 import { membersAPI } from '../api/members';
-import { ArrowLeft, Edit, Trash2, X, UserPlus, Shield } from 'lucide-react';
+import { ArrowLeft, Edit, Trash2, X, UserPlus, Shield, Columns } from 'lucide-react';
 import KanbanBoard from '../components/KanbanBoard';
 import CommentSection from '../components/CommentSection';
 import AttachmentList from '../components/AttachmentList';
 import ActivityTimeline from '../components/ActivityTimeline';
 import SprintPlanner from '../components/SprintPlanner';
 import CalendarView from '../components/CalendarView';
+import WorkflowEditor from '../components/WorkflowEditor';
+import TaskDrawer from '../components/TaskDrawer';
 import { sprintApi } from '../api/sprints';
 import NotificationDropdown from '../components/NotificationDropdown';
+import Can from '../components/Can';
 
 const ProjectDetails = () => {
     const { id } = useParams();
     const navigate = useNavigate();
-    const { user, isManager } = useAuth();
     const [project, setProject] = useState(null);
     const [sprints, setSprints] = useState([]);
     const [loading, setLoading] = useState(true);
@@ -24,33 +27,50 @@ const ProjectDetails = () => {
     const [showInviteModal, setShowInviteModal] = useState(false);
     const [inviteEmail, setInviteEmail] = useState('');
     const [inviteRole, setInviteRole] = useState('collaborator');
+    const [showWorkflowEditor, setShowWorkflowEditor] = useState(false);
+    const { can } = usePermissions(project);
 
-    const fetchProject = useCallback(async () => {
+    // navigate changes with every location (e.g. opening a task's drawer), which must not refetch the project
+    const navigateRef = useRef(navigate);
+    useEffect(() => {
+        navigateRef.current = navigate;
+    });
+
+    const fetchProject = useCallback(async (signal) => {
         try {
             setLoading(true);
-            const response = await projectsAPI.getById(id);
-            setProject(response.project);
+            setProject(await projectsAPI.getById(id, { signal }));
 
             // Fetch sprints for this project
             try {
-                const sprintRes = await sprintApi.getSprints(id);
-                setSprints(sprintRes.sprints || []);
+                const sprintRes = await sprintApi.getSprints(id, { signal });
+                setSprints(sprintRes.items);
             } catch (err) {
+                if (isAbortError(err)) throw err;
                 console.warn('Could not fetch sprints', err);
             }
 
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error('Error fetching project:', error);
-            navigate('/dashboard');
+            navigateRef.current('/dashboard');
         } finally {
-            setLoading(false);
+            if (!signal?.aborted) setLoading(false);
         }
-    }, [id, navigate]);
+    }, [id]);
 
     useEffect(() => {
-        fetchProject();
+        // Switching projects cancels the previous project's requests and drops the old one from the page
+        const controller = new AbortController();
+        setProject(null);
+        fetchProject(controller.signal);
+        return () => controller.abort();
     }, [fetchProject]);
 
+    // Tasks open in a drawer at /projects/:id/tasks/:taskId, so the board stays underneath
+    const openTask = useCallback((task) => navigate(`/projects/${id}/tasks/${task.id}`), [id, navigate]);
+    const closeTask = useCallback(() => navigate(`/projects/${id}`), [id, navigate]);
+
     const handleDelete = async () => {
         if (!window.confirm('Are you sure you want to delete this project?')) return;
 
@@ -78,7 +98,7 @@ const ProjectDetails = () => {
     const handleInviteMember = async (e) => {
         e.preventDefault();
         try {
-            await membersAPI.invite(id, { email: inviteEmail, role: inviteRole });
+            await membersAPI.invite(id, inviteEmail, inviteRole);
             setInviteEmail('');
             setShowInviteModal(false);
             fetchProject();
@@ -89,7 +109,8 @@ const ProjectDetails = () => {
         }
     };
 
-    if (loading) {
+    // Only the first load replaces the page; refetches (e.g. after inviting a member) keep the board mounted
+    if (loading && !project) {
         return (
             <div className="min-h-screen flex items-center justify-center p-8">
                 <div className="flex-center flex-col gap-8">
@@ -115,17 +136,7 @@ const ProjectDetails = () => {
         );
     }
 
-    const isOwner = project.owner_id === user?.id;
-    const canEdit = isOwner || isManager();
-
-    // Check if user is an accepted member
-    const isAcceptedMember = project.members?.some(
-        (member) => member.id === user?.id && member.status === 'accepted'
-    );
-
-    // Collaborators can drag tasks but cannot edit/delete
-    const canDrag = isOwner || isManager() || isAcceptedMember;
-    const isReadOnly = !canEdit;
+    const canManageMembers = can('members.manage');
 
     return (
         <div className="p-8 max-w-[1600px] mx-auto min-h-screen">
@@ -149,22 +160,26 @@ const ProjectDetails = () => {
 
                 <div className="flex items-center gap-4">
                     <NotificationDropdown />
-                    {canEdit && (
+                    {(can('project.edit') || can('project.delete')) && (
                         <div className="flex gap-3 bg-white/5 p-2 rounded-2xl border border-white/5">
-                            <button
-                                onClick={() => navigate(`/projects/${id}/edit`)}
-                                className="flex items-center gap-2 px-6 py-3 bg-holo-cyan text-deep-950 font-black text-[10px] uppercase tracking-widest rounded-xl hover:shadow-neon-cyan transition-all"
-                            >
-                                <Edit size={14} />
-                                Edit Project
-                            </button>
-                            <button
-                                onClick={handleDelete}
-                                className="flex items-center gap-2 px-6 py-3 bg-red-500 text-white font-black text-[10px] uppercase tracking-widest rounded-xl hover:bg-red-600 transition-all opacity-80 hover:opacity-100"
-                            >
-                                <Trash2 size={14} />
-                                Delete Project
-                            </button>
+                            <Can action="project.edit" project={project}>
+                                <button
+                                    onClick={() => navigate(`/projects/${id}/edit`)}
+                                    className="flex items-center gap-2 px-6 py-3 bg-holo-cyan text-deep-950 font-black text-[10px] uppercase tracking-widest rounded-xl hover:shadow-neon-cyan transition-all"
+                                >
+                                    <Edit size={14} />
+                                    Edit Project
+                                </button>
+                            </Can>
+                            <Can action="project.delete" project={project}>
+                                <button
+                                    onClick={handleDelete}
+                                    className="flex items-center gap-2 px-6 py-3 bg-red-500 text-white font-black text-[10px] uppercase tracking-widest rounded-xl hover:bg-red-600 transition-all opacity-80 hover:opacity-100"
+                                >
+                                    <Trash2 size={14} />
+                                    Delete Project
+                                </button>
+                            </Can>
                         </div>
                     )}
                 </div>
@@ -263,46 +278,71 @@ const ProjectDetails = () => {
                 </div>
 
                 {activeTab === 'Workspace' && (
-                    <div className="space-y-12">
-                        {/* Kanban Board */}
-                        <div className="glass-card p-10 group">
-                            <div className="mb-10 flex items-center justify-between">
-                                <div>
-                                    <h2 className="text-2xl font-black text-white hover:neon-text-magenta transition-colors uppercase italic tracking-tighter flex items-center gap-4">
-                                        Project <span className="text-holo-magenta">Board</span>
-                                    </h2>
-                                    <p className="text-slate-500 mt-2 text-[10px] font-black uppercase tracking-[0.2em]">Real-time task management and tracking</p>
+                    <ProjectContext.Provider value={project}>
+                        <div className="space-y-12">
+                            {/* Kanban Board */}
+                            <div className="glass-card p-10 group">
+                                <div className="mb-10 flex items-center justify-between">
+                                    <div>
+                                        <h2 className="text-2xl font-black text-white hover:neon-text-magenta transition-colors uppercase italic tracking-tighter flex items-center gap-4">
+                                            Project <span className="text-holo-magenta">Board</span>
+                                        </h2>
+                                        <p className="text-slate-500 mt-2 text-[10px] font-black uppercase tracking-[0.2em]">Real-time task management and tracking</p>
+                                    </div>
+                                    <div className="h-px flex-1 bg-white/5 mx-10 hidden md:block" />
+                                    <Can action="project.edit">
+                                        <button
+                                            onClick={() => setShowWorkflowEditor(true)}
+                                            className="flex items-center gap-2 px-6 py-3 bg-white/5 hover:bg-white/10 text-slate-400 hover:text-holo-magenta font-black text-[10px] uppercase tracking-widest rounded-xl border border-white/5 hover:border-holo-magenta/30 transition-all"
+                                        >
+                                            <Columns size={14} />
+                                            Edit Columns
+                                        </button>
+                                    </Can>
                                 </div>
-                                <div className="h-px flex-1 bg-white/5 mx-10 hidden md:block" />
+                                <KanbanBoard
+                                    projectId={id}
+                                    isReadOnly={!can('tasks.edit')}
+                                    canDrag={can('tasks.move')}
+                                    canDelete={can('tasks.delete')}
+                                    canOverrideWip={can('wip.override')}
+                                    projectMembers={project.members || []}
+                                    sprints={sprints}
+                                    onOpenTask={openTask}
+                                />
                             </div>
-                            <KanbanBoard
-                                projectId={id}
-                                isReadOnly={isReadOnly}
-                                canDrag={canDrag}
-                                projectMembers={project.members || []}
-                                sprints={sprints}
-                            />
-                        </div>
 
-                        <div className="animate-in fade-in slide-in-from-bottom-4 duration-700">
-                            <CalendarView projectId={id} />
-                        </div>
-
-                        {/* Sprints & Collaboration Grid */}
-                        <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 mt-8">
-                            {/* Sprints & Attachments */}
-                            <div className="space-y-8">
-                                <SprintPlanner projectId={id} />
-                                <AttachmentList projectId={id} />
+                            <div className="animate-in fade-in slide-in-from-bottom-4 duration-700">
+                                <CalendarView projectId={id} onOpenTask={openTask} />
                             </div>
 
-                            {/* Timeline & Comments */}
-                            <div className="space-y-8">
-                                <ActivityTimeline projectId={id} />
-                                <CommentSection projectId={id} />
+                            {/* Sprints & Collaboration Grid */}
+                            <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 mt-8">
+                                {/* Sprints & Attachments */}
+                                <div className="space-y-8">
+                                    <SprintPlanner projectId={id} />
+                                    <AttachmentList projectId={id} />
+                                </div>
+
+                                {/* Timeline & Comments */}
+                                <div className="space-y-8">
+                                    <ActivityTimeline projectId={id} />
+                                    <CommentSection projectId={id} />
+                                </div>
                             </div>
                         </div>
-                    </div>
+
+                        {showWorkflowEditor && (
+                            <WorkflowEditor
+                                project={project}
+                                onClose={() => setShowWorkflowEditor(false)}
+                                onSaved={(updated) => {
+                                    setProject(updated);
+                                    setShowWorkflowEditor(false);
+                                }}
+                            />
+                        )}
+                    </ProjectContext.Provider>
                 )}
 
                 {activeTab === 'Members' && (
@@ -314,7 +354,7 @@ const ProjectDetails = () => {
                                 </h2>
                                 <p className="text-slate-500 mt-2 text-[10px] font-black uppercase tracking-[0.2em]">Authorized team members for this project</p>
                             </div>
-                            {canEdit && (
+                            {canManageMembers && (
                                 <button
                                     onClick={() => setShowInviteModal(true)}
                                     className="btn-holo btn-holo-cyan"
@@ -331,7 +371,7 @@ const ProjectDetails = () => {
                                         <th className="pb-4 px-6">Member Name</th>
                                         <th className="pb-4 px-6">Assignment</th>
                                         <th className="pb-4 px-6">Status</th>
-                                        {canEdit && <th className="pb-4 px-6 text-right">Clearance</th>}
+                                        {canManageMembers && <th className="pb-4 px-6 text-right">Clearance</th>}
                                     </tr>
                                 </thead>
                                 <tbody className="divide-y divide-white/5">
@@ -358,7 +398,7 @@ const ProjectDetails = () => {
                                                 ACTIVE
                                             </span>
                                         </td>
-                                        {canEdit && <td className="py-6 px-6 text-right"></td>}
+                                        {canManageMembers && <td className="py-6 px-6 text-right"></td>}
                                     </tr>
 
                                     {/* Member Rows */}
@@ -388,7 +428,7 @@ const ProjectDetails = () => {
                                                     {member.status === 'accepted' ? 'ACCEPTED' : 'INVITATION PENDING'}
                                                 </span>
                                             </td>
-                                            {canEdit && (
+                                            {canManageMembers && (
                                                 <td className="py-6 px-6 text-right">
                                                     <button
                                                         onClick={() => handleRemoveMember(member.id, member.name)}
@@ -408,6 +448,22 @@ const ProjectDetails = () => {
                 )}
             </main>
 
+            <Routes>
+                <Route
+                    path="tasks/:taskId"
+                    element={
+                        <ProjectContext.Provider value={project}>
+                            <TaskDrawer
+                                projectId={id}
+                                projectMembers={project.members || []}
+                                sprints={sprints}
+                                onClose={closeTask}
+                            />
+                        </ProjectContext.Provider>
+                    }
+                />
+            </Routes>
+
             {/* Invite Modal */}
             {showInviteModal && (
                 <div className="fixed inset-0 bg-deep-950/80 backdrop-blur-xl flex items-center justify-center z-[100] p-4 animate-in fade-in duration-300">
@@ -0,0 +1,252 @@
+import { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { authAPI } from '../api/auth';
+import { isApiError } from '../api/errors';
+import { isAcceptablePassword } from '../utils/passwordStrength';
+import { Lock, KeyRound, ShieldCheck, Clock } from 'lucide-react';
+import PasswordStrengthMeter from '../components/PasswordStrengthMeter';
+
+// setTimeout fires immediately for delays past 2^31 - 1 ms
+const MAX_TIMER_DELAY = 2147483647;
+
+const isExpiredLink = (err) => err.status === 410 || err.code === 'TOKEN_EXPIRED';
+
+const ResetPassword = () => {
+    const { token } = useParams();
+    // 'checking' | 'ready' | 'expired' | 'invalid' | 'done'
+    const [status, setStatus] = useState('checking');
+    const [link, setLink] = useState(null);
+    const [formData, setFormData] = useState({ password: '', confirm_password: '' });
+    const [signOutOtherSessions, setSignOutOtherSessions] = useState(true);
+    const [signedOutSessions, setSignedOutSessions] = useState(0);
+    const [error, setError] = useState('');
+    const [fieldErrors, setFieldErrors] = useState({});
+    const [loading, setLoading] = useState(false);
+
+    useEffect(() => {
+        const controller = new AbortController();
+
+        authAPI.checkResetToken(token, { signal: controller.signal })
+            .then((data) => {
+                setLink(data);
+                setStatus('ready');
+            })
+            .catch((err) => {
+                if (err.name === 'AbortError') return;
+                setError(err.message);
+                setStatus(isExpiredLink(err) ? 'expired' : 'invalid');
+            });
+
+        return () => controller.abort();
+    }, [token]);
+
+    // The link can run out while the form is open; switch to the expired screen when it does
+    useEffect(() => {
+        if (status !== 'ready' || !link?.expires_at) return;
+
+        const remaining = new Date(link.expires_at).getTime() - Date.now();
+        const timer = setTimeout(() => setStatus('expired'), Math.min(Math.max(remaining, 0), MAX_TIMER_DELAY));
+        return () => clearTimeout(timer);
+    }, [status, link]);
+
+    const handleChange = (e) => {
+        setFormData({ ...formData, [e.target.name]: e.target.value });
+        if (fieldErrors[e.target.name]) {
+            setFieldErrors({ ...fieldErrors, [e.target.name]: undefined });
+        }
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        setFieldErrors({});
+
+        if (formData.password !== formData.confirm_password) {
+            setError('Passwords do not match');
+            return;
+        }
+
+        if (!isAcceptablePassword(formData.password)) {
+            setFieldErrors({ password: 'Choose a stronger password.' });
+            return;
+        }
+
+        setLoading(true);
+
+        try {
+            const data = await authAPI.resetPassword(token, formData.password, { signOutOtherSessions });
+            setSignedOutSessions(data.signed_out_sessions || 0);
+            setStatus('done');
+        } catch (err) {
+            if (isExpiredLink(err)) {
+                setStatus('expired');
+            } else if (err.code === 'TOKEN_INVALID') {
+                setError(err.message);
+                setStatus('invalid');
+            } else if (isApiError(err) && err.hasFieldErrors()) {
+                setFieldErrors(err.fieldErrors);
+            } else {
+                setError(err.message || 'Could not reset your password. Please try again.');
+            }
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const renderBody = () => {
+        if (status === 'checking') {
+            return <p className="text-slate-400 text-center text-xs font-medium">Checking your reset link...</p>;
+        }
+
+        if (status === 'expired' || status === 'invalid') {
+            return (
+                <div className="text-center space-y-8">
+                    <div className="flex justify-center">
+                        <Clock className="text-amber-400" size={32} />
+                    </div>
+                    <p className="text-slate-400 text-xs leading-relaxed font-medium" role="alert">
+                        {status === 'expired'
+                            ? 'This reset link has expired. Reset links only work for a limited time, so request a new one.'
+                            : error || 'This reset link is invalid or has already been used.'}
+                    </p>
+                    <Link to="/forgot-password" className="block w-full btn-holo btn-holo-cyan py-5 text-sm">
+                        Request a New Link
+                    </Link>
+                </div>
+            );
+        }
+
+        if (status === 'done') {
+            return (
+                <div className="text-center space-y-8">
+                    <div className="flex justify-center">
+                        <ShieldCheck className="text-green-400" size={32} />
+                    </div>
+                    <div className="space-y-3 text-xs leading-relaxed font-medium" role="status">
+                        <p className="text-white">Your password has been changed.</p>
+                        {signOutOtherSessions && (
+                            <p className="text-slate-400">
+                                {signedOutSessions > 0
+                                    ? `We signed you out of ${signedOutSessions} other ${signedOutSessions === 1 ? 'session' : 'sessions'}.`
+                                    : 'Any other sessions on your account have been signed out.'}
+                            </p>
+                        )}
+                    </div>
+                    <Link
+                        to="/login"
+                        state={{ message: 'Password updated. Please sign in with your new password.' }}
+                        className="block w-full btn-holo btn-holo-cyan py-5 text-sm"
+                    >
+                        Continue to Login
+                    </Link>
+                </div>
+            );
+        }
+
+        return (
+            <>
+                <p className="text-slate-400 text-center text-xs mb-10 leading-relaxed font-medium">
+                    Choose a new password for <span className="text-white">{link.email}</span>.
+                </p>
+
+                {error && (
+                    <div className="mb-8 p-4 bg-red-500/10 border border-red-500/20 rounded-xl text-red-500 text-xs font-bold uppercase tracking-wider animate-shake">
+                        {error}
+                    </div>
+                )}
+
+                <form onSubmit={handleSubmit} className="space-y-6">
+                    <div className="space-y-2">
+                        <label htmlFor="new-password" className="block text-[10px] font-black text-slate-500 uppercase tracking-widest ml-1 italic">New Password</label>
+                        <div className="relative group">
+                            <Lock className="absolute left-5 top-1/2 -translate-y-1/2 text-slate-500 group-focus-within:text-holo-cyan transition-colors" size={18} />
+                            <input
+                                id="new-password"
+                                type="password"
+                                name="password"
+                                autoComplete="new-password"
+                                placeholder="••••••••"
+                                value={formData.password}
+                                onChange={handleChange}
+                                required
+                                autoFocus
+                                className={`w-full pl-14 pr-6 py-4 bg-white/5 border ${fieldErrors.password ? 'border-red-500/60' : 'border-white/10'} rounded-2xl focus:neon-border-cyan focus:outline-none text-white transition-all placeholder-slate-600 font-medium`}
+                                aria-invalid={!!fieldErrors.password}
+                            />
+                        </div>
+                        <PasswordStrengthMeter password={formData.password} />
+                        {fieldErrors.password && (
+                            <p className="mt-1 ml-1 text-[10px] font-bold text-red-400 uppercase tracking-wider">{fieldErrors.password}</p>
+                        )}
+                    </div>
+
+                    <div className="space-y-2">
+                        <label htmlFor="confirm-password" className="block text-[10px] font-black text-slate-500 uppercase tracking-widest ml-1 italic">Confirm Password</label>
+                        <div className="relative group">
+                            <Lock className="absolute left-5 top-1/2 -translate-y-1/2 text-slate-500 group-focus-within:text-holo-cyan transition-colors" size={18} />
+                            <input
+                                id="confirm-password"
+                                type="password"
+                                name="confirm_password"
+                                autoComplete="new-password"
+                                placeholder="••••••••"
+                                value={formData.confirm_password}
+                                onChange={handleChange}
+                                required
+                                className="w-full pl-14 pr-6 py-4 bg-white/5 border border-white/10 rounded-2xl focus:neon-border-cyan focus:outline-none text-white transition-all placeholder-slate-600 font-medium"
+                            />
+                        </div>
+                    </div>
+
+                    <label className="flex items-start gap-3 text-xs text-slate-400 font-medium cursor-pointer">
+                        <input
+                            type="checkbox"
+                            checked={signOutOtherSessions}
+                            onChange={(e) => setSignOutOtherSessions(e.target.checked)}
+                            className="mt-0.5 accent-cyan-400"
+                        />
+                        Sign out of all other sessions. Recommended if you think someone else knows your old password.
+                    </label>
+
+                    <button
+                        type="submit"
+                        disabled={loading}
+                        className="w-full btn-holo btn-holo-cyan py-5 text-sm"
+                    >
+                        {loading ? 'Saving...' : 'Set New Password'}
+                    </button>
+                </form>
+            </>
+        );
+    };
+
+    return (
+        <div className="min-h-screen flex items-center justify-center p-6 relative overflow-hidden">
+            {/* Background Orbs */}
+            <div className="absolute top-[-10%] left-[-10%] w-[40%] h-[40%] bg-holo-cyan/10 rounded-full blur-[120px] animate-pulse" />
+            <div className="absolute bottom-[-10%] right-[-10%] w-[40%] h-[40%] bg-holo-magenta/10 rounded-full blur-[120px] animate-pulse-slow" />
+
+            <div className="glass-card p-12 w-full max-w-md relative z-10 animate-in fade-in zoom-in duration-700">
+                <div className="text-center mb-10">
+                    <div className="w-20 h-20 bg-holo-cyan/10 border border-holo-cyan/20 rounded-3xl mx-auto flex-center mb-6 shadow-neon-cyan/20">
+                        <KeyRound className="text-holo-cyan" size={40} />
+                    </div>
+                    <h2 className="text-3xl font-black neon-text-cyan tracking-tighter uppercase italic mb-2">
+                        New <span className="text-white">Password</span>
+                    </h2>
+                    <p className="text-slate-500 text-[10px] font-black uppercase tracking-[0.4em]">Account Recovery</p>
+                </div>
+
+                {renderBody()}
+
+                <div className="mt-12 pt-8 border-t border-white/5 text-center">
+                    <Link to="/login" className="text-[10px] font-bold text-slate-500 hover:text-white uppercase tracking-widest transition-colors">
+                        Back to Login
+                    </Link>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ResetPassword;
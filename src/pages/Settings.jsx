@@ -0,0 +1,563 @@
+import { useState, useEffect, useCallback } from 'react';
+import { User, Lock, Shield, Bell, Palette, MonitorSmartphone } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import { usersAPI } from '../api/users';
+import { authAPI } from '../api/auth';
+import { isApiError } from '../api/errors';
+import { isAcceptablePassword } from '../utils/passwordStrength';
+import { THEMES, LOCALES, NOTIFICATION_TYPES, IDLE_TIMEOUTS, resolvePreferences } from '../utils/preferences';
+import { formatDateTime } from '../utils/format';
+import PasswordStrengthMeter from '../components/PasswordStrengthMeter';
+import TwoFactorSetup from '../components/TwoFactorSetup';
+
+const inputClass = (hasError) =>
+    `w-full bg-white/5 border ${hasError ? 'border-red-500/60' : 'border-white/10'} rounded-xl px-4 py-3 text-white focus:outline-none focus:neon-border-cyan transition-all placeholder-slate-600 text-sm`;
+
+const labelClass = 'block text-[10px] font-black text-slate-500 uppercase tracking-[0.2em] mb-3';
+
+const FieldError = ({ message }) =>
+    message ? <p className="mt-2 ml-1 text-[10px] font-bold text-red-400 uppercase tracking-wider">{message}</p> : null;
+
+const Notice = ({ notice }) => {
+    if (!notice) return null;
+    const tone = notice.type === 'error'
+        ? 'bg-red-500/10 border-red-500/20 text-red-500'
+        : 'bg-green-500/10 border-green-500/20 text-green-400';
+    return (
+        <div className={`p-4 border rounded-xl text-xs font-bold uppercase tracking-wider ${tone}`} role={notice.type === 'error' ? 'alert' : 'status'}>
+            {notice.message}
+        </div>
+    );
+};
+
+const Section = ({ icon, title, description, children }) => (
+    <section className="glass-card p-8" aria-labelledby={`settings-${title.toLowerCase().replace(/\W+/g, '-')}`}>
+        <div className="flex items-start gap-4 mb-8">
+            <div className="w-10 h-10 bg-holo-cyan/10 border border-holo-cyan/20 rounded-xl flex-center shrink-0">
+                {icon}
+            </div>
+            <div>
+                <h2 id={`settings-${title.toLowerCase().replace(/\W+/g, '-')}`} className="text-lg font-black text-white uppercase tracking-tight">
+                    {title}
+                </h2>
+                <p className="text-slate-500 text-xs font-medium mt-1">{description}</p>
+            </div>
+        </div>
+        {children}
+    </section>
+);
+
+const ProfileSection = () => {
+    const { user, updateUser } = useAuth();
+    const [formData, setFormData] = useState({ name: user?.name || '', email: user?.email || '' });
+    const [fieldErrors, setFieldErrors] = useState({});
+    const [notice, setNotice] = useState(null);
+    const [saving, setSaving] = useState(false);
+
+    const handleChange = (e) => {
+        setFormData({ ...formData, [e.target.name]: e.target.value });
+        if (fieldErrors[e.target.name]) {
+            setFieldErrors({ ...fieldErrors, [e.target.name]: undefined });
+        }
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setNotice(null);
+        setFieldErrors({});
+        setSaving(true);
+
+        try {
+            const data = await usersAPI.update(user.id, { name: formData.name.trim(), email: formData.email.trim() });
+            updateUser(data.user);
+            setNotice({ type: 'success', message: 'Profile saved' });
+        } catch (err) {
+            if (isApiError(err) && err.hasFieldErrors()) {
+                setFieldErrors(err.fieldErrors);
+            } else {
+                setNotice({ type: 'error', message: err.message || 'Failed to save your profile' });
+            }
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <Section icon={<User className="text-holo-cyan" size={18} />} title="Profile" description="Your name and the email address you sign in with.">
+            <form onSubmit={handleSubmit} className="space-y-6">
+                <Notice notice={notice} />
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                    <div>
+                        <label htmlFor="profile-name" className={labelClass}>Full Name</label>
+                        <input
+                            id="profile-name"
+                            name="name"
+                            type="text"
+                            value={formData.name}
+                            onChange={handleChange}
+                            required
+                            className={inputClass(fieldErrors.name)}
+                            aria-invalid={!!fieldErrors.name}
+                        />
+                        <FieldError message={fieldErrors.name} />
+                    </div>
+                    <div>
+                        <label htmlFor="profile-email" className={labelClass}>Email Address</label>
+                        <input
+                            id="profile-email"
+                            name="email"
+                            type="email"
+                            value={formData.email}
+                            onChange={handleChange}
+                            required
+                            className={inputClass(fieldErrors.email)}
+                            aria-invalid={!!fieldErrors.email}
+                        />
+                        <FieldError message={fieldErrors.email} />
+                    </div>
+                </div>
+                <button type="submit" disabled={saving} className="btn-holo btn-holo-cyan py-3">
+                    {saving ? 'Saving...' : 'Save Profile'}
+                </button>
+            </form>
+        </Section>
+    );
+};
+
+const EMPTY_PASSWORDS = { current_password: '', new_password: '', confirm_password: '' };
+
+const PasswordSection = () => {
+    const [formData, setFormData] = useState(EMPTY_PASSWORDS);
+    const [fieldErrors, setFieldErrors] = useState({});
+    const [notice, setNotice] = useState(null);
+    const [saving, setSaving] = useState(false);
+
+    const handleChange = (e) => {
+        setFormData({ ...formData, [e.target.name]: e.target.value });
+        if (fieldErrors[e.target.name]) {
+            setFieldErrors({ ...fieldErrors, [e.target.name]: undefined });
+        }
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setNotice(null);
+        setFieldErrors({});
+
+        if (formData.new_password !== formData.confirm_password) {
+            setFieldErrors({ confirm_password: 'Passwords do not match' });
+            return;
+        }
+        if (!isAcceptablePassword(formData.new_password)) {
+            setFieldErrors({ new_password: 'Choose a stronger password.' });
+            return;
+        }
+
+        setSaving(true);
+
+        try {
+            await authAPI.changePassword(formData.current_password, formData.new_password);
+            setFormData(EMPTY_PASSWORDS);
+            setNotice({ type: 'success', message: 'Password changed' });
+        } catch (err) {
+            if (isApiError(err) && err.hasFieldErrors()) {
+                setFieldErrors(err.fieldErrors);
+            } else {
+                setNotice({ type: 'error', message: err.message || 'Failed to change your password' });
+            }
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <Section icon={<Lock className="text-holo-cyan" size={18} />} title="Password" description="Changing your password keeps you signed in on this device.">
+            <form onSubmit={handleSubmit} className="space-y-6">
+                <Notice notice={notice} />
+                <div className="max-w-md space-y-6">
+                    <div>
+                        <label htmlFor="current-password" className={labelClass}>Current Password</label>
+                        <input
+                            id="current-password"
+                            name="current_password"
+                            type="password"
+                            autoComplete="current-password"
+                            value={formData.current_password}
+                            onChange={handleChange}
+                            required
+                            className={inputClass(fieldErrors.current_password)}
+                            aria-invalid={!!fieldErrors.current_password}
+                        />
+                        <FieldError message={fieldErrors.current_password} />
+                    </div>
+                    <div>
+                        <label htmlFor="new-password" className={labelClass}>New Password</label>
+                        <input
+                            id="new-password"
+                            name="new_password"
+                            type="password"
+                            autoComplete="new-password"
+                            value={formData.new_password}
+                            onChange={handleChange}
+                            required
+                            className={inputClass(fieldErrors.new_password)}
+                            aria-invalid={!!fieldErrors.new_password}
+                        />
+                        <PasswordStrengthMeter password={formData.new_password} />
+                        <FieldError message={fieldErrors.new_password} />
+                    </div>
+                    <div>
+                        <label htmlFor="confirm-new-password" className={labelClass}>Confirm New Password</label>
+                        <input
+                            id="confirm-new-password"
+                            name="confirm_password"
+                            type="password"
+                            autoComplete="new-password"
+                            value={formData.confirm_password}
+                            onChange={handleChange}
+                            required
+                            className={inputClass(fieldErrors.confirm_password)}
+                            aria-invalid={!!fieldErrors.confirm_password}
+                        />
+                        <FieldError message={fieldErrors.confirm_password} />
+                    </div>
+                </div>
+                <button type="submit" disabled={saving} className="btn-holo btn-holo-cyan py-3">
+                    {saving ? 'Saving...' : 'Change Password'}
+                </button>
+            </form>
+        </Section>
+    );
+};
+
+const TwoFactorSection = () => {
+    const { user, updateUser } = useAuth();
+    const [showSetup, setShowSetup] = useState(false);
+    const [busy, setBusy] = useState(false);
+
+    const method = user?.two_factor_enabled ? user.two_factor_method || 'email' : null;
+
+    const handleUseEmail = async () => {
+        setBusy(true);
+        try {
+            await authAPI.enable2FA(user.id);
+            updateUser({ two_factor_enabled: true, two_factor_method: 'email' });
+            setShowSetup(false);
+            alert('2FA enabled! You will receive a verification code via email when logging in.');
+        } catch (error) {
+            console.error('Error enabling 2FA:', error);
+            alert('Failed to enable 2FA. Please try again.');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleDisable = async () => {
+        if (!window.confirm('Turn off two-factor authentication? Your backup codes will stop working.')) return;
+
+        setBusy(true);
+        try {
+            await authAPI.disable2FA(user.id);
+            updateUser({ two_factor_enabled: false, two_factor_method: null });
+        } catch (error) {
+            console.error('Error disabling 2FA:', error);
+            alert('Failed to disable 2FA. Please try again.');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <Section icon={<Shield className="text-holo-cyan" size={18} />} title="Two-Factor Authentication" description="Ask for a second code whenever you sign in.">
+            <div className="flex flex-col md:flex-row md:items-center justify-between gap-6">
+                <p className="text-sm font-bold text-white">
+                    {method === 'totp' && 'On: codes from your authenticator app'}
+                    {method === 'email' && 'On: codes sent to your email'}
+                    {!method && <span className="text-slate-400">Off</span>}
+                </p>
+                <div className="flex flex-wrap gap-4">
+                    {method !== 'totp' && (
+                        <button type="button" onClick={() => setShowSetup(true)} disabled={busy} className="btn-holo btn-holo-cyan py-3">
+                            {method ? 'Switch to Authenticator App' : 'Set Up Authenticator App'}
+                        </button>
+                    )}
+                    {!method && (
+                        <button
+                            type="button"
+                            onClick={handleUseEmail}
+                            disabled={busy}
+                            className="px-6 py-3 bg-white/5 text-slate-400 font-bold rounded-xl hover:bg-white/10 transition-all uppercase tracking-widest text-xs border border-white/5"
+                        >
+                            Use Email Codes
+                        </button>
+                    )}
+                    {method && (
+                        <button
+                            type="button"
+                            onClick={handleDisable}
+                            disabled={busy}
+                            className="px-6 py-3 bg-white/5 hover:bg-red-500/10 text-slate-400 hover:text-red-500 rounded-xl border border-white/5 hover:border-red-500/30 font-black text-[10px] uppercase tracking-widest transition-all"
+                        >
+                            Turn Off
+                        </button>
+                    )}
+                </div>
+            </div>
+
+            {showSetup && (
+                <TwoFactorSetup
+                    onClose={() => setShowSetup(false)}
+                    onEnabled={updateUser}
+                    onUseEmail={method ? undefined : handleUseEmail}
+                />
+            )}
+        </Section>
+    );
+};
+
+// Notification and appearance choices save as soon as they change
+const usePreferences = () => {
+    const { user, updateUser } = useAuth();
+    const preferences = resolvePreferences(user?.preferences);
+
+    const savePreferences = async (changes) => {
+        const previous = user.preferences;
+        const next = resolvePreferences({
+            ...preferences,
+            ...changes,
+            notifications: { ...preferences.notifications, ...changes.notifications },
+        });
+
+        updateUser({ preferences: next });
+        try {
+            const data = await usersAPI.update(user.id, { preferences: changes });
+            updateUser({ preferences: resolvePreferences(data.user?.preferences ?? next) });
+        } catch (error) {
+            console.error('Error saving preferences:', error);
+            updateUser({ preferences: previous });
+            alert('Failed to save your preferences. Please try again.');
+        }
+    };
+
+    return [preferences, savePreferences];
+};
+
+const SessionsSection = () => {
+    const { logout } = useAuth();
+    const [preferences, savePreferences] = usePreferences();
+    const [sessions, setSessions] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    const fetchSessions = useCallback(async (signal) => {
+        try {
+            const { items } = await authAPI.getSessions({ signal });
+            setSessions(items);
+            setError('');
+        } catch (err) {
+            if (err.name === 'AbortError') return;
+            console.error('Error fetching sessions:', err);
+            setError('Could not load your sessions');
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        const controller = new AbortController();
+        fetchSessions(controller.signal);
+        return () => controller.abort();
+    }, [fetchSessions]);
+
+    const handleSignOut = async (session) => {
+        if (session.current) {
+            await logout();
+            return;
+        }
+
+        try {
+            await authAPI.revokeSession(session.id);
+            setSessions((current) => current.filter((s) => s.id !== session.id));
+        } catch (err) {
+            console.error('Error signing out session:', err);
+            alert('Failed to sign out that device. Please try again.');
+        }
+    };
+
+    const handleSignOutEverywhere = async () => {
+        if (!window.confirm('Sign out on every device, including this one?')) return;
+        await logout({ everywhere: true });
+    };
+
+    return (
+        <Section
+            icon={<MonitorSmartphone className="text-holo-cyan" size={18} />}
+            title="Active Sessions"
+            description="Devices signed in to your account. Sign out any you don't recognise."
+        >
+            <div className="space-y-6">
+                {error && <Notice notice={{ type: 'error', message: error }} />}
+                {loading ? (
+                    <p className="text-slate-500 text-xs font-medium">Loading sessions...</p>
+                ) : (
+                    <ul className="divide-y divide-white/5" aria-label="Active sessions">
+                        {sessions.map((session) => (
+                            <li key={session.id} className="flex items-center justify-between gap-4 py-4">
+                                <div>
+                                    <p className="text-sm font-bold text-white flex items-center gap-3">
+                                        {session.device}
+                                        {session.current && (
+                                            <span className="text-[10px] px-2 py-0.5 rounded-full bg-holo-cyan/10 text-holo-cyan border border-holo-cyan/20 uppercase tracking-widest">
+                                                This device
+                                            </span>
+                                        )}
+                                    </p>
+                                    <p className="text-xs text-slate-500">
+                                        {[session.ip_address, `Last active ${formatDateTime(session.last_active_at)}`].filter(Boolean).join(' • ')}
+                                    </p>
+                                </div>
+                                <button
+                                    type="button"
+                                    onClick={() => handleSignOut(session)}
+                                    aria-label={session.current ? 'Sign out this device' : `Sign out ${session.device}`}
+                                    className="px-4 py-2 bg-white/5 hover:bg-red-500/10 text-slate-400 hover:text-red-500 rounded-xl border border-white/5 hover:border-red-500/30 font-black text-[10px] uppercase tracking-widest transition-all"
+                                >
+                                    Sign Out
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+
+                <div className="flex flex-col md:flex-row md:items-end justify-between gap-6 pt-6 border-t border-white/5">
+                    <div>
+                        <label htmlFor="settings-idle-timeout" className={labelClass}>Sign me out after inactivity</label>
+                        <select
+                            id="settings-idle-timeout"
+                            value={preferences.idle_timeout_minutes}
+                            onChange={(e) => savePreferences({ idle_timeout_minutes: Number(e.target.value) })}
+                            className="w-full md:w-56 py-3 px-4 bg-slate-900/90 border border-white/10 rounded-xl focus:neon-border-cyan focus:outline-none text-white transition-all cursor-pointer appearance-none text-sm font-bold"
+                        >
+                            {IDLE_TIMEOUTS.map(({ value, label }) => (
+                                <option key={value} value={value}>{label}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <button
+                        type="button"
+                        onClick={handleSignOutEverywhere}
+                        className="px-6 py-3 bg-white/5 hover:bg-red-500/10 text-slate-400 hover:text-red-500 rounded-xl border border-white/5 hover:border-red-500/30 font-black text-[10px] uppercase tracking-widest transition-all"
+                    >
+                        Sign Out Everywhere
+                    </button>
+                </div>
+            </div>
+        </Section>
+    );
+};
+
+const NotificationSection = () => {
+    const [preferences, savePreferences] = usePreferences();
+    const { notifications } = preferences;
+
+    const toggle = (key) => savePreferences({ notifications: { [key]: !notifications[key] } });
+
+    return (
+        <Section icon={<Bell className="text-holo-cyan" size={18} />} title="Notifications" description="Choose what shows up in your notification bell.">
+            <div className="space-y-4">
+                {NOTIFICATION_TYPES.map(({ key, label, description }) => (
+                    <label key={key} className="flex items-start gap-4 cursor-pointer">
+                        <input
+                            type="checkbox"
+                            checked={notifications[key]}
+                            onChange={() => toggle(key)}
+                            className="mt-1 accent-cyan-400"
+                        />
+                        <span>
+                            <span className="block text-sm font-bold text-white">{label}</span>
+                            <span className="block text-xs text-slate-500">{description}</span>
+                        </span>
+                    </label>
+                ))}
+                <label className="flex items-start gap-4 cursor-pointer pt-4 border-t border-white/5">
+                    <input
+                        type="checkbox"
+                        checked={notifications.email}
+                        onChange={() => toggle('email')}
+                        className="mt-1 accent-cyan-400"
+                    />
+                    <span>
+                        <span className="block text-sm font-bold text-white">Email me too</span>
+                        <span className="block text-xs text-slate-500">Send the notifications above to your inbox as well</span>
+                    </span>
+                </label>
+            </div>
+        </Section>
+    );
+};
+
+const AppearanceSection = () => {
+    const [preferences, savePreferences] = usePreferences();
+
+    return (
+        <Section icon={<Palette className="text-holo-cyan" size={18} />} title="Appearance & Language" description="How the app looks and how dates are written.">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
+                <fieldset>
+                    <legend className={labelClass}>Theme</legend>
+                    <div className="space-y-3">
+                        {THEMES.map(({ value, label }) => (
+                            <label key={value} className="flex items-center gap-3 text-sm font-bold text-white cursor-pointer">
+                                <input
+                                    type="radio"
+                                    name="theme"
+                                    value={value}
+                                    checked={preferences.theme === value}
+                                    onChange={() => savePreferences({ theme: value })}
+                                    className="accent-cyan-400"
+                                />
+                                {label}
+                            </label>
+                        ))}
+                    </div>
+                </fieldset>
+                <div>
+                    <label htmlFor="settings-locale" className={labelClass}>Language & Region</label>
+                    <select
+                        id="settings-locale"
+                        value={preferences.locale}
+                        onChange={(e) => savePreferences({ locale: e.target.value })}
+                        className="w-full py-3 px-4 bg-slate-900/90 border border-white/10 rounded-xl focus:neon-border-cyan focus:outline-none text-white transition-all cursor-pointer appearance-none text-sm font-bold"
+                    >
+                        {LOCALES.map(({ value, label }) => (
+                            <option key={value} value={value}>{label}</option>
+                        ))}
+                    </select>
+                </div>
+            </div>
+        </Section>
+    );
+};
+
+const Settings = () => {
+    return (
+        <div className="p-8 max-w-4xl mx-auto space-y-8">
+            <header className="mb-12">
+                <h1 className="text-4xl font-black neon-text-cyan tracking-tighter uppercase italic">
+                    Account <span className="text-white">Settings</span>
+                </h1>
+                <p className="text-slate-500 mt-2 text-xs font-black uppercase tracking-[0.2em]">
+                    Profile, security and preferences
+                </p>
+            </header>
+
+            <ProfileSection />
+            <PasswordSection />
+            <TwoFactorSection />
+            <SessionsSection />
+            <NotificationSection />
+            <AppearanceSection />
+        </div>
+    );
+};
+
+export default Settings;
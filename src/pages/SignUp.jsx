@@ -1,7 +1,10 @@
 import { useState } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import { isApiError } from '../api/errors';
+import { isAcceptablePassword } from '../utils/passwordStrength';
 import { User, Mail, Lock } from 'lucide-react';
+import PasswordStrengthMeter from '../components/PasswordStrengthMeter';
 
 const SignUp = () => {
     const navigate = useNavigate();
@@ -14,6 +17,7 @@ const SignUp = () => {
         role: 'Employee',
     });
     const [error, setError] = useState('');
+    const [fieldErrors, setFieldErrors] = useState({});
     const [loading, setLoading] = useState(false);
 
     const handleChange = (e) => {
@@ -21,17 +25,27 @@ const SignUp = () => {
             ...formData,
             [e.target.name]: e.target.value,
         });
+        if (fieldErrors[e.target.name]) {
+            setFieldErrors({ ...fieldErrors, [e.target.name]: undefined });
+        }
     };
 
     const handleSubmit = async (e) => {
         e.preventDefault();
         setError('');
+        setFieldErrors({});
 
         if (formData.password !== formData.confirm_password) {
             setError('Passwords do not match');
             return;
         }
 
+        if (!isAcceptablePassword(formData.password)) {
+            setFieldErrors({ password: 'Choose a stronger password.' });
+            setError('Please correct the highlighted fields.');
+            return;
+        }
+
         setLoading(true);
 
         try {
@@ -42,7 +56,13 @@ const SignUp = () => {
                 state: { message: 'Registration successful! Please login.' },
             });
         } catch (err) {
-            setError(err.message || 'Registration failed. Please try again.');
+            if (isApiError(err) && err.hasFieldErrors()) {
+                // Highlight exactly the fields the server rejected
+                setFieldErrors(err.fieldErrors);
+                setError('Please correct the highlighted fields.');
+            } else {
+                setError(err.message || 'Registration failed. Please try again.');
+            }
         } finally {
             setLoading(false);
         }
@@ -81,9 +101,13 @@ const SignUp = () => {
                                     value={formData.name}
                                     onChange={handleChange}
                                     required
-                                    className="w-full pl-12 pr-4 py-3 bg-white/5 border border-white/10 rounded-xl focus:neon-border-magenta focus:outline-none text-white transition-all placeholder-slate-600 text-sm"
+                                    className={`w-full pl-12 pr-4 py-3 bg-white/5 border ${fieldErrors.name ? 'border-red-500/60' : 'border-white/10'} rounded-xl focus:neon-border-magenta focus:outline-none text-white transition-all placeholder-slate-600 text-sm`}
+                                    aria-invalid={!!fieldErrors.name}
                                 />
                             </div>
+                            {fieldErrors.name && (
+                                <p className="mt-1 ml-1 text-[10px] font-bold text-red-400 uppercase tracking-wider">{fieldErrors.name}</p>
+                            )}
                         </div>
 
                         <div className="space-y-2">
@@ -97,9 +121,13 @@ const SignUp = () => {
                                     value={formData.email}
                                     onChange={handleChange}
                                     required
-                                    className="w-full pl-12 pr-4 py-3 bg-white/5 border border-white/10 rounded-xl focus:neon-border-magenta focus:outline-none text-white transition-all placeholder-slate-600 text-sm"
+                                    className={`w-full pl-12 pr-4 py-3 bg-white/5 border ${fieldErrors.email ? 'border-red-500/60' : 'border-white/10'} rounded-xl focus:neon-border-magenta focus:outline-none text-white transition-all placeholder-slate-600 text-sm`}
+                                    aria-invalid={!!fieldErrors.email}
                                 />
                             </div>
+                            {fieldErrors.email && (
+                                <p className="mt-1 ml-1 text-[10px] font-bold text-red-400 uppercase tracking-wider">{fieldErrors.email}</p>
+                            )}
                         </div>
                     </div>
 
@@ -115,9 +143,14 @@ const SignUp = () => {
                                     value={formData.password}
                                     onChange={handleChange}
                                     required
-                                    className="w-full pl-12 pr-4 py-3 bg-white/5 border border-white/10 rounded-xl focus:neon-border-magenta focus:outline-none text-white transition-all placeholder-slate-600 text-sm"
+                                    className={`w-full pl-12 pr-4 py-3 bg-white/5 border ${fieldErrors.password ? 'border-red-500/60' : 'border-white/10'} rounded-xl focus:neon-border-magenta focus:outline-none text-white transition-all placeholder-slate-600 text-sm`}
+                                    aria-invalid={!!fieldErrors.password}
                                 />
                             </div>
+                            <PasswordStrengthMeter password={formData.password} />
+                            {fieldErrors.password && (
+                                <p className="mt-1 ml-1 text-[10px] font-bold text-red-400 uppercase tracking-wider">{fieldErrors.password}</p>
+                            )}
                         </div>
 
                         <div className="space-y-2">
@@ -143,11 +176,15 @@ const SignUp = () => {
                             name="role"
                             value={formData.role}
                             onChange={handleChange}
-                            className="w-full py-3 px-4 bg-slate-900/90 border border-white/10 rounded-xl focus:neon-border-magenta focus:outline-none text-white transition-all cursor-pointer appearance-none text-sm font-bold"
+                            className={`w-full py-3 px-4 bg-slate-900/90 border ${fieldErrors.role ? 'border-red-500/60' : 'border-white/10'} rounded-xl focus:neon-border-magenta focus:outline-none text-white transition-all cursor-pointer appearance-none text-sm font-bold`}
+                            aria-invalid={!!fieldErrors.role}
                         >
                             <option value="Employee" className="bg-slate-900">Employee</option>
                             <option value="Manager" className="bg-slate-900">Manager</option>
                         </select>
+                        {fieldErrors.role && (
+                            <p className="mt-1 ml-1 text-[10px] font-bold text-red-400 uppercase tracking-wider">{fieldErrors.role}</p>
+                        )}
                     </div>
 
                     <button
@@ -0,0 +1,180 @@
+import { useState, useEffect, useRef } from 'react';
+import { useNavigate, useLocation, Link } from 'react-router-dom';
+import { authAPI } from '../api/auth';
+import { isApiError } from '../api/errors';
+import { useAuth } from '../context/AuthContext';
+import { consumeSsoRequest, ssoRedirectUri } from '../utils/sso';
+import { Building2, Lock, Link2 } from 'lucide-react';
+
+// Where the identity provider sends the user back: hand the code to the backend, then either sign in
+// or, when the identity's email already has an account, confirm that account's password to link the two
+const SsoCallback = () => {
+    const navigate = useNavigate();
+    const location = useLocation();
+    const { completeLogin } = useAuth();
+    // 'working' | 'link' | 'error'
+    const [status, setStatus] = useState('working');
+    const [error, setError] = useState('');
+    const [link, setLink] = useState(null);
+    const [password, setPassword] = useState('');
+    const [passwordError, setPasswordError] = useState('');
+    const [loading, setLoading] = useState(false);
+    const returnToRef = useRef('/dashboard');
+    const startedRef = useRef(false);
+
+    useEffect(() => {
+        // The code and the pending request can each be redeemed only once
+        if (startedRef.current) return;
+        startedRef.current = true;
+
+        const params = new URLSearchParams(location.search);
+        const request = consumeSsoRequest(params.get('state'));
+
+        if (params.get('error')) {
+            setError(params.get('error') === 'access_denied'
+                ? 'Sign-in was cancelled.'
+                : params.get('error_description') || 'The identity provider could not sign you in.');
+            setStatus('error');
+            return;
+        }
+
+        if (!request || !params.get('code')) {
+            setError('This sign-in attempt has expired or was started in another browser. Please try again.');
+            setStatus('error');
+            return;
+        }
+
+        returnToRef.current = request.returnTo;
+
+        authAPI.completeSsoLogin({
+            code: params.get('code'),
+            codeVerifier: request.codeVerifier,
+            redirectUri: ssoRedirectUri(),
+            nonce: request.nonce,
+        })
+            .then((data) => {
+                completeLogin(data.user);
+                navigate(request.returnTo, { replace: true });
+            })
+            .catch((err) => {
+                if (err.code === 'ACCOUNT_LINK_REQUIRED') {
+                    setLink({
+                        token: err.data?.link_token,
+                        email: err.data?.email,
+                        providerName: err.data?.provider_name || 'your company account',
+                    });
+                    setStatus('link');
+                    return;
+                }
+                console.error('Error completing single sign-on:', err);
+                setError(err.message || 'Single sign-on failed. Please try again.');
+                setStatus('error');
+            });
+    }, [location.search, completeLogin, navigate]);
+
+    const handleLink = async (e) => {
+        e.preventDefault();
+        setPasswordError('');
+        setLoading(true);
+
+        try {
+            const data = await authAPI.linkSsoAccount(link.token, password);
+            completeLogin(data.user);
+            navigate(returnToRef.current, { replace: true });
+        } catch (err) {
+            if (isApiError(err) && err.hasFieldErrors()) {
+                setPasswordError(err.fieldErrors.password || err.message);
+            } else if (err.status === 410 || err.code === 'TOKEN_EXPIRED' || err.code === 'TOKEN_INVALID') {
+                setError('This link request has expired. Sign in with single sign-on again to start over.');
+                setStatus('error');
+            } else {
+                setPasswordError(err.message || 'Could not link your account. Please try again.');
+            }
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const renderBody = () => {
+        if (status === 'working') {
+            return <p className="text-slate-400 text-center text-xs font-medium" role="status">Signing you in...</p>;
+        }
+
+        if (status === 'error') {
+            return (
+                <div className="text-center space-y-8">
+                    <p className="text-slate-400 text-xs leading-relaxed font-medium" role="alert">{error}</p>
+                    <Link to="/login" className="block w-full btn-holo btn-holo-cyan py-5 text-sm">
+                        Back to Login
+                    </Link>
+                </div>
+            );
+        }
+
+        return (
+            <>
+                <p className="text-slate-400 text-center text-xs mb-10 leading-relaxed font-medium">
+                    You already have an account as <span className="text-white">{link.email}</span>. Enter its password once
+                    to link it to {link.providerName}; after that, single sign-on takes you straight in.
+                </p>
+
+                <form onSubmit={handleLink} className="space-y-8">
+                    <div className="space-y-2">
+                        <label htmlFor="link-password" className="block text-[10px] font-black text-slate-500 uppercase tracking-widest ml-1 italic">Account Password</label>
+                        <div className="relative group">
+                            <Lock className="absolute left-5 top-1/2 -translate-y-1/2 text-slate-500 group-focus-within:text-holo-cyan transition-colors" size={18} />
+                            <input
+                                id="link-password"
+                                type="password"
+                                autoComplete="current-password"
+                                placeholder="••••••••"
+                                value={password}
+                                onChange={(e) => setPassword(e.target.value)}
+                                required
+                                autoFocus
+                                className={`w-full pl-14 pr-6 py-4 bg-white/5 border ${passwordError ? 'border-red-500/60' : 'border-white/10'} rounded-2xl focus:neon-border-cyan focus:outline-none text-white transition-all placeholder-slate-600 font-medium`}
+                                aria-invalid={!!passwordError}
+                            />
+                        </div>
+                        {passwordError && (
+                            <p className="mt-1 ml-1 text-[10px] font-bold text-red-400 uppercase tracking-wider">{passwordError}</p>
+                        )}
+                    </div>
+
+                    <button
+                        type="submit"
+                        disabled={loading}
+                        className="w-full btn-holo btn-holo-cyan py-5 text-sm flex items-center justify-center gap-2"
+                    >
+                        <Link2 size={16} />
+                        {loading ? 'Linking...' : 'Link Account'}
+                    </button>
+                </form>
+            </>
+        );
+    };
+
+    return (
+        <div className="min-h-screen flex items-center justify-center p-6 relative overflow-hidden">
+            {/* Background Orbs */}
+            <div className="absolute top-[-10%] left-[-10%] w-[40%] h-[40%] bg-holo-cyan/10 rounded-full blur-[120px] animate-pulse" />
+            <div className="absolute bottom-[-10%] right-[-10%] w-[40%] h-[40%] bg-holo-magenta/10 rounded-full blur-[120px] animate-pulse-slow" />
+
+            <div className="glass-card p-12 w-full max-w-md relative z-10 animate-in fade-in zoom-in duration-700">
+                <div className="text-center mb-10">
+                    <div className="w-20 h-20 bg-holo-cyan/10 border border-holo-cyan/20 rounded-3xl mx-auto flex-center mb-6 shadow-neon-cyan/20">
+                        <Building2 className="text-holo-cyan" size={40} />
+                    </div>
+                    <h2 className="text-3xl font-black neon-text-cyan tracking-tighter uppercase italic mb-2">
+                        {status === 'link' ? <>Link <span className="text-white">Account</span></> : <>Single <span className="text-white">Sign-On</span></>}
+                    </h2>
+                    <p className="text-slate-500 text-[10px] font-black uppercase tracking-[0.4em]">Company Identity</p>
+                </div>
+
+                {renderBody()}
+            </div>
+        </div>
+    );
+};
+
+export default SsoCallback;
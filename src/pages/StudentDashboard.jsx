@@ -1,9 +1,11 @@
-import { useState, useEffect } from 'react';
+import { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { projectsAPI } from '../api/projects';
-import { authAPI } from '../api/auth';
-import { Trash2, Edit, Eye, Plus, Shield, Search } from 'lucide-react';
+import { queryKeys } from '../api/queryCache';
+import { useQuery } from '../hooks/useQuery';
+import { can, getProjectRole, PROJECT_ROLES } from '../utils/permissions';
+import { Trash2, Edit, Eye, Plus, Search } from 'lucide-react';
 import CreateProjectModal from '../components/CreateProjectModal';
 import InvitationNotification from '../components/InvitationNotification';
 import NotificationDropdown from '../components/NotificationDropdown';
@@ -11,59 +13,35 @@ import NotificationDropdown from '../components/NotificationDropdown';
 const StudentDashboard = () => {
     const { user, logout } = useAuth();
     const navigate = useNavigate();
-    const [ownedProjects, setOwnedProjects] = useState([]);
-    const [otherProjects, setOtherProjects] = useState([]);
-    const [loading, setLoading] = useState(true);
     const [showCreateModal, setShowCreateModal] = useState(false);
-    const [twoFactorEnabled, setTwoFactorEnabled] = useState(user?.two_factor_enabled || false);
     const [classFilter, setClassFilter] = useState('');
     const [cohortFilter, setCohortFilter] = useState('');
 
-    useEffect(() => {
-        fetchProjects();
-        // eslint-disable-next-line react-hooks/exhaustive-deps
-    }, []);
-
-    const fetchProjects = async () => {
-        try {
-            setLoading(true);
-            const response = await projectsAPI.getAll();
-            const allProjects = response.items || [];
-
-            const owned = allProjects.filter((project) => project.owner_id === user.id);
-
-            const acceptedMemberProjects = allProjects.filter((project) => {
-                if (project.owner_id === user.id) return false;
-                return project.members?.some(
-                    (member) => member.id === user.id && member.status === 'accepted'
-                );
-            });
+    // Served from the query cache; project mutations invalidate it, so no manual refetching
+    const { data, loading } = useQuery(queryKeys.projects.list(), (signal) =>
+        projectsAPI.getAll({}, { signal })
+    );
 
-            const myProjects = [...owned, ...acceptedMemberProjects];
+    const splitProjects = (allProjects) => {
+        const owned = allProjects.filter((project) => getProjectRole(user, project) === PROJECT_ROLES.OWNER);
+        const joined = allProjects.filter((project) => {
+            const role = getProjectRole(user, project);
+            return role && role !== PROJECT_ROLES.OWNER;
+        });
 
-            const others = allProjects.filter((project) => {
-                if (project.owner_id === user.id) return false;
-                const isAcceptedMember = project.members?.some(
-                    (member) => member.id === user.id && member.status === 'accepted'
-                );
-                return !isAcceptedMember;
-            });
+        const myProjects = [...owned, ...joined];
+        const others = allProjects.filter((project) => !getProjectRole(user, project));
 
-            setOwnedProjects(myProjects);
-            setOtherProjects(others);
-        } catch (error) {
-            console.error('Error fetching projects:', error);
-        } finally {
-            setLoading(false);
-        }
+        return { ownedProjects: myProjects, otherProjects: others };
     };
 
+    const { ownedProjects, otherProjects } = splitProjects(data?.items || []);
+
     const handleDeleteProject = async (projectId) => {
         if (!window.confirm('Are you sure you want to delete this project?')) return;
 
         try {
             await projectsAPI.delete(projectId);
-            fetchProjects();
         } catch (error) {
             console.error('Error deleting project:', error);
             alert('Failed to delete project');
@@ -73,23 +51,6 @@ const StudentDashboard = () => {
     const handleViewProject = (projectId) => navigate(`/projects/${projectId}`);
     const handleEditProject = (projectId) => navigate(`/projects/${projectId}/edit`);
 
-    const handleToggle2FA = async () => {
-        try {
-            if (twoFactorEnabled) {
-                await authAPI.disable2FA(user.id);
-                setTwoFactorEnabled(false);
-                alert('2FA has been disabled successfully');
-            } else {
-                await authAPI.enable2FA(user.id);
-                setTwoFactorEnabled(true);
-                alert('2FA enabled! You will receive a verification code via email when logging in.');
-            }
-        } catch (error) {
-            console.error('Error toggling 2FA:', error);
-            alert('Failed to toggle 2FA. Please try again.');
-        }
-    };
-
     const filterProjects = (projects) => {
         return projects.filter((project) => {
             const className = project.class?.name?.toLowerCase() || '';
@@ -233,16 +194,6 @@ const StudentDashboard = () => {
                 <div className="flex flex-wrap items-center gap-4 lg:bg-white/5 lg:p-2 lg:rounded-2xl lg:border lg:border-white/5">
                     <InvitationNotification />
                     <NotificationDropdown />
-                    <button
-                        onClick={handleToggle2FA}
-                        className={`flex items-center gap-2 px-6 py-3 rounded-xl font-bold text-[10px] uppercase tracking-widest transition-all duration-500 border ${twoFactorEnabled
-                            ? 'border-green-500/50 text-green-400 bg-green-500/10 shadow-[0_0_15px_rgba(34,197,94,0.2)]'
-                            : 'border-white/10 text-slate-400 bg-white/5 hover:border-holo-cyan/50 hover:text-holo-cyan'
-                            }`}
-                    >
-                        <Shield size={14} />
-                        {twoFactorEnabled ? '2FA ACTIVE' : 'SECURE OPS'}
-                    </button>
                     <button
                         onClick={logout}
                         className="px-6 py-3 bg-white/5 hover:bg-red-500/10 text-slate-400 hover:text-red-500 rounded-xl border border-white/5 hover:border-red-500/30 font-black text-[10px] uppercase tracking-widest transition-all"
@@ -321,7 +272,7 @@ const StudentDashboard = () => {
                                 <ProjectCard
                                     key={project.id}
                                     project={project}
-                                    canEdit={project.owner_id === user.id}
+                                    canEdit={can(user, 'project.edit', { project })}
                                 />
                             ))}
                         </div>
@@ -356,7 +307,6 @@ const StudentDashboard = () => {
                     onClose={() => setShowCreateModal(false)}
                     onSuccess={() => {
                         setShowCreateModal(false);
-                        fetchProjects();
                     }}
                 />
             )}
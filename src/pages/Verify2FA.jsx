@@ -1,18 +1,23 @@
 import { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useLocation } from 'react-router-dom';
 import { authAPI } from '../api/auth';
 import { useAuth } from '../context/AuthContext';
-import { Shield, RefreshCw } from 'lucide-react';
+import { getReturnPath } from '../utils/returnPath';
+import { Shield, RefreshCw, KeyRound } from 'lucide-react';
 
 const Verify2FA = () => {
     const navigate = useNavigate();
-    const { setUser } = useAuth();
+    const location = useLocation();
+    const { completeLogin } = useAuth();
     const [code, setCode] = useState('');
     const [error, setError] = useState('');
     const [loading, setLoading] = useState(false);
     const [resendTimer, setResendTimer] = useState(60);
     const [canResend, setCanResend] = useState(false);
     const [resending, setResending] = useState(false);
+    const [useBackupCode, setUseBackupCode] = useState(false);
+    // 'email' codes can be resent; 'totp' codes come from the user's authenticator app
+    const method = localStorage.getItem('pending_2fa_method') || 'email';
 
     // Countdown for resend button
     useEffect(() => {
@@ -24,22 +29,25 @@ const Verify2FA = () => {
         }
     }, [resendTimer]);
 
+    const clearPending2FA = () => {
+        localStorage.removeItem('pending_2fa_user_id');
+        localStorage.removeItem('pending_2fa_method');
+    };
+
     const handleResendCode = async () => {
         setResending(true);
         setError('');
 
         try {
             const userId = localStorage.getItem('pending_2fa_user_id');
-            const userEmail = localStorage.getItem('pending_2fa_email');
-            const userPassword = localStorage.getItem('pending_2fa_password');
 
-            if (!userId || !userEmail || !userPassword) {
+            if (!userId) {
                 setError('Session expired. Please login again.');
                 setTimeout(() => navigate('/login'), 2000);
                 return;
             }
 
-            await authAPI.login({ email: userEmail, password: userPassword });
+            await authAPI.resend2FA(userId);
 
             setResendTimer(60);
             setCanResend(false);
@@ -51,6 +59,12 @@ const Verify2FA = () => {
         }
     };
 
+    const toggleBackupCode = () => {
+        setUseBackupCode(!useBackupCode);
+        setCode('');
+        setError('');
+    };
+
     const handleSubmit = async (e) => {
         e.preventDefault();
         setError('');
@@ -67,14 +81,11 @@ const Verify2FA = () => {
             const data = await authAPI.verify2FA(userId, code);
 
             localStorage.setItem('token', data.token);
-            localStorage.setItem('user', JSON.stringify(data.user));
-            setUser(data.user);
+            completeLogin(data.user);
 
-            localStorage.removeItem('pending_2fa_user_id');
-            localStorage.removeItem('pending_2fa_email');
-            localStorage.removeItem('pending_2fa_password');
+            clearPending2FA();
 
-            navigate(data.user.role === 'Admin' ? '/admin/dashboard' : '/dashboard');
+            navigate(getReturnPath(location.search), { replace: true });
         } catch (err) {
             setError(err.message || 'Invalid 2FA code');
         } finally {
@@ -100,7 +111,11 @@ const Verify2FA = () => {
                 </div>
 
                 <p className="text-slate-400 text-center text-xs mb-10 leading-relaxed font-medium">
-                    Please enter the 6-digit verification code sent to your registered email address.
+                    {useBackupCode
+                        ? 'Enter one of the backup codes you saved when you set up two-factor authentication. Each code works once.'
+                        : method === 'totp'
+                            ? 'Please enter the 6-digit code shown in your authenticator app.'
+                            : 'Please enter the 6-digit verification code sent to your registered email address.'}
                 </p>
 
                 {error && (
@@ -111,22 +126,42 @@ const Verify2FA = () => {
 
                 <form onSubmit={handleSubmit} className="space-y-8">
                     <div className="space-y-4">
-                        <label className="block text-[10px] font-black text-slate-500 uppercase tracking-widest text-center italic">Verification Code</label>
-                        <input
-                            type="text"
-                            value={code}
-                            onChange={(e) => setCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
-                            placeholder="000000"
-                            maxLength={6}
-                            required
-                            autoFocus
-                            className="w-full py-6 px-4 text-center text-4xl font-black bg-white/5 border border-white/10 rounded-2xl focus:neon-border-cyan focus:outline-none text-holo-cyan transition-all tracking-[0.5em] placeholder-slate-800"
-                        />
+                        <label htmlFor="verification-code" className="block text-[10px] font-black text-slate-500 uppercase tracking-widest text-center italic">
+                            {useBackupCode ? 'Backup Code' : 'Verification Code'}
+                        </label>
+                        {useBackupCode ? (
+                            <input
+                                id="verification-code"
+                                type="text"
+                                value={code}
+                                onChange={(e) => setCode(e.target.value.replace(/[^a-z0-9-]/gi, '').slice(0, 9))}
+                                placeholder="xxxx-xxxx"
+                                maxLength={9}
+                                required
+                                autoFocus
+                                autoComplete="off"
+                                className="w-full py-6 px-4 text-center text-3xl font-black font-mono bg-white/5 border border-white/10 rounded-2xl focus:neon-border-cyan focus:outline-none text-holo-cyan transition-all tracking-[0.2em] placeholder-slate-800"
+                            />
+                        ) : (
+                            <input
+                                id="verification-code"
+                                type="text"
+                                inputMode="numeric"
+                                autoComplete="one-time-code"
+                                value={code}
+                                onChange={(e) => setCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
+                                placeholder="000000"
+                                maxLength={6}
+                                required
+                                autoFocus
+                                className="w-full py-6 px-4 text-center text-4xl font-black bg-white/5 border border-white/10 rounded-2xl focus:neon-border-cyan focus:outline-none text-holo-cyan transition-all tracking-[0.5em] placeholder-slate-800"
+                            />
+                        )}
                     </div>
 
                     <button
                         type="submit"
-                        disabled={loading || code.length !== 6}
+                        disabled={loading || (useBackupCode ? code.replace('-', '').length !== 8 : code.length !== 6)}
                         className="w-full btn-holo btn-holo-cyan py-5 text-sm"
                     >
                         {loading ? 'Verifying Code...' : 'Confirm and Log In'}
@@ -134,25 +169,35 @@ const Verify2FA = () => {
                 </form>
 
                 <div className="text-center mt-10 space-y-6">
-                    <button
-                        onClick={handleResendCode}
-                        disabled={!canResend || resending}
-                        className="inline-flex items-center gap-3 text-[10px] font-black uppercase tracking-[0.2em] text-holo-cyan hover:neon-text-cyan transition-all disabled:text-slate-600 disabled:cursor-not-allowed group"
-                    >
-                        <RefreshCw size={14} className={`group-hover:rotate-180 transition-transform duration-500 ${resending ? 'animate-spin' : ''}`} />
-                        {resending
-                            ? 'Sending Code...'
-                            : canResend
-                                ? 'Resend Verification Code'
-                                : `Resend available in: ${resendTimer}s`}
-                    </button>
+                    {method === 'email' && !useBackupCode && (
+                        <button
+                            onClick={handleResendCode}
+                            disabled={!canResend || resending}
+                            className="inline-flex items-center gap-3 text-[10px] font-black uppercase tracking-[0.2em] text-holo-cyan hover:neon-text-cyan transition-all disabled:text-slate-600 disabled:cursor-not-allowed group"
+                        >
+                            <RefreshCw size={14} className={`group-hover:rotate-180 transition-transform duration-500 ${resending ? 'animate-spin' : ''}`} />
+                            {resending
+                                ? 'Sending Code...'
+                                : canResend
+                                    ? 'Resend Verification Code'
+                                    : `Resend available in: ${resendTimer}s`}
+                        </button>
+                    )}
+
+                    {method === 'totp' && (
+                        <button
+                            onClick={toggleBackupCode}
+                            className="inline-flex items-center gap-3 text-[10px] font-black uppercase tracking-[0.2em] text-holo-cyan hover:neon-text-cyan transition-all"
+                        >
+                            <KeyRound size={14} />
+                            {useBackupCode ? 'Use Authenticator Code' : 'Use a Backup Code'}
+                        </button>
+                    )}
 
                     <div className="pt-8 border-t border-white/5">
                         <button
                             onClick={() => {
-                                localStorage.removeItem('pending_2fa_user_id');
-                                localStorage.removeItem('pending_2fa_email');
-                                localStorage.removeItem('pending_2fa_password');
+                                clearPending2FA();
                                 navigate('/login');
                             }}
                             className="text-[10px] font-bold text-slate-500 hover:text-white uppercase tracking-widest transition-colors flex items-center justify-center gap-2 mx-auto"
@@ -0,0 +1,61 @@
+// Tells the app's other open tabs about sign-in, sign-out and profile changes.
+// Uses BroadcastChannel where available and falls back to `storage` events, which every
+// browser fires in the other tabs of the same origin when localStorage changes.
+
+const CHANNEL_NAME = 'auth';
+const STORAGE_KEY = 'auth_event';
+
+// Every instance of a BroadcastChannel hears every other one, including in this tab
+const tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+const supportsChannel = () => typeof BroadcastChannel !== 'undefined';
+
+let channel = null;
+
+/**
+ * Sends `{ type, ...payload }` to the other tabs. Types used by AuthProvider:
+ * 'login' ({ user }), 'logout' ({ reason }) and 'user-updated' ({ user }).
+ */
+export const broadcastAuthEvent = (type, payload = {}) => {
+    const message = { ...payload, type, tabId, sentAt: Date.now() };
+
+    try {
+        if (supportsChannel()) {
+            channel = channel || new BroadcastChannel(CHANNEL_NAME);
+            channel.postMessage(message);
+            return;
+        }
+
+        // Set then remove: the other tabs see the new value, and the next event is never a no-op write
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(message));
+        localStorage.removeItem(STORAGE_KEY);
+    } catch (error) {
+        console.error('Error broadcasting auth event:', error);
+    }
+};
+
+/** Calls `listener(message)` for events sent from other tabs; returns an unsubscribe function. */
+export const subscribeToAuthEvents = (listener) => {
+    const receive = (message) => {
+        if (!message?.type || message.tabId === tabId) return;
+        listener(message);
+    };
+
+    if (supportsChannel()) {
+        const receiver = new BroadcastChannel(CHANNEL_NAME);
+        receiver.onmessage = (event) => receive(event.data);
+        return () => receiver.close();
+    }
+
+    const handleStorage = (event) => {
+        if (event.key !== STORAGE_KEY || !event.newValue) return;
+        try {
+            receive(JSON.parse(event.newValue));
+        } catch (error) {
+            console.error('Error reading auth event:', error);
+        }
+    };
+
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+};
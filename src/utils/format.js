@@ -0,0 +1,7 @@
+import { getLocale } from './preferences';
+
+// Date formatting in the user's chosen locale (see src/utils/preferences.js)
+
+export const formatDate = (value, options) => new Date(value).toLocaleDateString(getLocale(), options);
+
+export const formatDateTime = (value, options) => new Date(value).toLocaleString(getLocale(), options);
@@ -0,0 +1,29 @@
+// Three-way merge for edit forms whose save was rejected because someone else saved first
+
+// Form inputs hold strings, the server sends numbers and nulls; compare them the way the form shows them
+const sameValue = (a, b) => String(a ?? '') === String(b ?? '');
+
+/**
+ * Lists the fields where `mine` (the form being saved) and `theirs` (the server's newer copy)
+ * disagree. `base` is the copy the form was opened with: a field the user did not touch
+ * defaults to their change, one the user edited defaults to the user's own.
+ */
+export const findConflicts = (fields, { base, mine, theirs }) =>
+    fields
+        .filter(({ key }) => !sameValue(mine[key], theirs[key]))
+        .map((field) => ({
+            ...field,
+            mine: mine[field.key],
+            theirs: theirs[field.key],
+            choice: sameValue(mine[field.key], base[field.key]) ? 'theirs' : 'mine',
+        }));
+
+// `mine` with the conflicting fields resolved as chosen (`choices` maps field key to 'mine' | 'theirs')
+export const applyChoices = (mine, conflicts, choices) => ({
+    ...mine,
+    ...Object.fromEntries(
+        conflicts
+            .filter(({ key }) => choices[key] === 'theirs')
+            .map(({ key, theirs }) => [key, theirs])
+    ),
+});
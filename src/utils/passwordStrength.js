@@ -0,0 +1,58 @@
+// Client-side password strength, shared by sign-up and password reset. The server still enforces
+// its own minimum; this only steers people away from passwords that are easy to guess.
+
+export const MIN_PASSWORD_LENGTH = 8;
+
+// Score at or above which a password is accepted
+export const MIN_PASSWORD_SCORE = 2;
+
+const STRENGTH_LABELS = ['Too weak', 'Weak', 'Fair', 'Good', 'Strong'];
+
+const COMMON_PASSWORDS = [
+    'password', 'password1', 'password123', '12345678', '123456789', '1234567890',
+    'qwerty123', 'qwertyuiop', 'iloveyou', 'letmein1', 'welcome1', 'admin123', 'abc12345',
+];
+
+/**
+ * Scores `password` from 0 (too weak) to 4 (strong) and says what would improve it.
+ * Returns `{ score, label, suggestions }`.
+ */
+export const scorePassword = (password = '') => {
+    const suggestions = [];
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+        return {
+            score: 0,
+            label: STRENGTH_LABELS[0],
+            suggestions: [`Use at least ${MIN_PASSWORD_LENGTH} characters.`],
+        };
+    }
+
+    if (COMMON_PASSWORDS.includes(password.toLowerCase())) {
+        return { score: 0, label: STRENGTH_LABELS[0], suggestions: ['This is one of the most common passwords.'] };
+    }
+
+    let score = 1;
+    if (password.length >= 12) score++;
+    else suggestions.push('Longer is stronger: aim for 12 or more characters.');
+
+    const hasMixedCase = /[a-z]/.test(password) && /[A-Z]/.test(password);
+    const hasDigit = /\d/.test(password);
+    const hasSymbol = /[^A-Za-z0-9]/.test(password);
+    const variety = [hasMixedCase, hasDigit, hasSymbol].filter(Boolean).length;
+
+    score += variety >= 2 ? 2 : variety;
+    if (!hasMixedCase) suggestions.push('Mix upper and lower case letters.');
+    if (!hasDigit && !hasSymbol) suggestions.push('Add a number or symbol.');
+
+    // Runs like "aaaa" or "1111" add length without making the password harder to guess
+    if (/(.)\1{3,}/.test(password)) {
+        score--;
+        suggestions.push('Avoid repeating the same character.');
+    }
+
+    const clamped = Math.max(0, Math.min(4, score));
+    return { score: clamped, label: STRENGTH_LABELS[clamped], suggestions };
+};
+
+export const isAcceptablePassword = (password) => scorePassword(password).score >= MIN_PASSWORD_SCORE;
@@ -0,0 +1,98 @@
+// Roles and what each one may do. Route guards, menus, project screens and the mock backend all check
+// these rather than comparing role names or owner ids inline.
+
+export const ROLES = {
+    MANAGER: 'Manager',
+    ADMIN: 'Admin',
+    EMPLOYEE: 'Employee',
+};
+
+// Admin is the legacy name for Manager and keeps the same rights
+export const MANAGER_ROLES = [ROLES.MANAGER, ROLES.ADMIN];
+
+// A person's role on one project: its owner, or an accepted member invited as collaborator or viewer
+export const PROJECT_ROLES = {
+    OWNER: 'owner',
+    COLLABORATOR: 'collaborator',
+    VIEWER: 'viewer',
+};
+
+// Everything that can be done inside a project
+const PROJECT_ACTIONS = [
+    'project.edit',
+    'project.delete',
+    'members.manage',
+    'tasks.create',
+    'tasks.edit',
+    'tasks.move',
+    'tasks.delete',
+    'sprints.manage',
+    'sprints.delete',
+    'comments.create',
+    'comments.delete',
+    'attachments.upload',
+    'attachments.delete',
+    'time.log',
+    'time.delete',
+];
+
+const PROJECT_ROLE_ACTIONS = {
+    [PROJECT_ROLES.OWNER]: PROJECT_ACTIONS,
+    [PROJECT_ROLES.COLLABORATOR]: ['tasks.create', 'tasks.edit', 'tasks.move', 'sprints.manage', 'comments.create', 'attachments.upload', 'time.log'],
+    [PROJECT_ROLES.VIEWER]: ['comments.create'],
+};
+
+// Removing something you added yourself needs no project role
+const OWN_RESOURCE_ACTIONS = ['comments.delete', 'attachments.delete', 'time.delete'];
+
+// Managers run every project, so they hold every project action everywhere
+const MANAGER_PERMISSIONS = [
+    'projects.view',
+    'projects.create',
+    'teams.manage',
+    'project_types.manage',
+    'analytics.view',
+    // Move a card into a column that is at its WIP limit when the project blocks that
+    'wip.override',
+    ...PROJECT_ACTIONS,
+];
+
+const ROLE_PERMISSIONS = {
+    [ROLES.MANAGER]: MANAGER_PERMISSIONS,
+    [ROLES.ADMIN]: MANAGER_PERMISSIONS,
+    [ROLES.EMPLOYEE]: ['projects.view', 'projects.create'],
+};
+
+export const hasRole = (user, roles) => !!user && roles.includes(user.role);
+
+export const hasPermission = (user, permission) =>
+    !!user && (ROLE_PERMISSIONS[user.role] || []).includes(permission);
+
+// `project` needs `owner_id` and `members: [{ id, role, status }]`; pending invitations grant nothing
+export const getProjectRole = (user, project) => {
+    if (!user || !project) return null;
+    if (project.owner_id === user.id) return PROJECT_ROLES.OWNER;
+
+    const membership = project.members?.find((member) => member.id === user.id && member.status === 'accepted');
+    if (!membership) return null;
+    return membership.role === PROJECT_ROLES.VIEWER ? PROJECT_ROLES.VIEWER : PROJECT_ROLES.COLLABORATOR;
+};
+
+/**
+ * Whether `user` may perform `action`: role-wide permissions first, then what their role on
+ * `project` allows. `createdBy` is the author/uploader id for OWN_RESOURCE_ACTIONS.
+ */
+export const can = (user, action, { project, createdBy } = {}) => {
+    if (!user) return false;
+    if (hasPermission(user, action)) return true;
+    if (OWN_RESOURCE_ACTIONS.includes(action) && createdBy !== undefined && createdBy === user.id) return true;
+    return (PROJECT_ROLE_ACTIONS[getProjectRole(user, project)] || []).includes(action);
+};
+
+// `access` is `{ roles?, permission? }`, as in src/navigation.js; an empty rule lets any signed-in user in
+export const canAccess = (user, { roles, permission } = {}) => {
+    if (!user) return false;
+    if (roles && !hasRole(user, roles)) return false;
+    if (permission && !hasPermission(user, permission)) return false;
+    return true;
+};
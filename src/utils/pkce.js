@@ -0,0 +1,28 @@
+// Proof Key for Code Exchange (RFC 7636): the app keeps a random `code_verifier` and sends only its
+// SHA-256 `code_challenge` to the identity provider, so a stolen authorization code is useless on its own.
+
+// Characters RFC 7636 allows in a verifier
+const UNRESERVED = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-._~';
+
+// Largest multiple of the alphabet size that fits in a byte; bytes from here up are drawn again,
+// since mapping them with % would make the first characters more likely than the rest
+const UNBIASED_LIMIT = Math.floor(256 / UNRESERVED.length) * UNRESERVED.length;
+
+export const randomToken = (length = 64) => {
+    let token = '';
+    while (token.length < length) {
+        crypto.getRandomValues(new Uint8Array(length - token.length)).forEach((byte) => {
+            if (byte < UNBIASED_LIMIT) token += UNRESERVED[byte % UNRESERVED.length];
+        });
+    }
+    return token;
+};
+
+const base64UrlEncode = (bytes) =>
+    btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+// S256 method; verifiers are plain ASCII, so each character is one byte
+export const createCodeChallenge = async (verifier) => {
+    const digest = await crypto.subtle.digest('SHA-256', Uint8Array.from(verifier, (char) => char.charCodeAt(0)));
+    return base64UrlEncode(new Uint8Array(digest));
+};
@@ -0,0 +1,69 @@
+// Per-user display preferences. They are saved on the user record (`user.preferences`) and
+// applied to the document whenever the signed-in user changes, so every tab and device agrees.
+
+export const THEMES = [
+    { value: 'dark', label: 'Holo dark' },
+    { value: 'light', label: 'Daylight' },
+    { value: 'system', label: 'Match my device' },
+];
+
+// `''` follows the browser's language
+export const LOCALES = [
+    { value: '', label: 'Browser default' },
+    { value: 'en-US', label: 'English (United States)' },
+    { value: 'en-GB', label: 'English (United Kingdom)' },
+    { value: 'fr-FR', label: 'Français' },
+    { value: 'de-DE', label: 'Deutsch' },
+    { value: 'es-ES', label: 'Español' },
+];
+
+// In-app notifications a user can switch off; `email` also sends them by email
+export const NOTIFICATION_TYPES = [
+    { key: 'assignments', label: 'Task assignments', description: 'When someone assigns a task to you' },
+    { key: 'invitations', label: 'Project invitations', description: 'When you are invited to join a project' },
+    { key: 'project_activity', label: 'Project activity', description: 'When someone joins a project you own' },
+];
+
+// Minutes without activity before the app signs out (0 = never). A warning counts down the last minute.
+export const IDLE_TIMEOUTS = [
+    { value: 5, label: '5 minutes' },
+    { value: 15, label: '15 minutes' },
+    { value: 30, label: '30 minutes' },
+    { value: 60, label: '1 hour' },
+    { value: 240, label: '4 hours' },
+    { value: 0, label: 'Never' },
+];
+
+export const DEFAULT_PREFERENCES = {
+    theme: 'dark',
+    locale: '',
+    idle_timeout_minutes: 30,
+    notifications: {
+        assignments: true,
+        invitations: true,
+        project_activity: true,
+        email: false,
+    },
+};
+
+export const resolvePreferences = (preferences) => ({
+    ...DEFAULT_PREFERENCES,
+    ...preferences,
+    notifications: { ...DEFAULT_PREFERENCES.notifications, ...preferences?.notifications },
+});
+
+let currentLocale;
+
+// The locale dates and numbers are formatted in; undefined means the browser default
+export const getLocale = () => currentLocale;
+
+const prefersLight = () => window.matchMedia?.('(prefers-color-scheme: light)').matches;
+
+export const applyPreferences = (preferences) => {
+    const { theme, locale } = resolvePreferences(preferences);
+    const root = document.documentElement;
+
+    root.dataset.theme = theme === 'system' ? (prefersLight() ? 'light' : 'dark') : theme;
+    currentLocale = locale || undefined;
+    root.lang = locale || navigator.language || 'en';
+};
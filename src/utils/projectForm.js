@@ -0,0 +1,22 @@
+// Shared by the project edit forms (CreateProjectModal in edit mode and the EditProject page)
+
+// Project as the edit forms hold it
+export const toProjectForm = (project) => ({
+    name: project?.name || '',
+    description: project?.description || '',
+    github_link: project?.github_link || '',
+    class_id: project?.class_id || '',
+    cohort_id: project?.cohort_id || '',
+});
+
+const nameOf = (rows, fallback) => (id) =>
+    id ? rows.find((row) => String(row.id) === String(id))?.name || `${fallback} #${id}` : '';
+
+// Fields compared when a project edit conflicts with someone else's (see MergeConflictDialog)
+export const projectMergeFields = (classes, cohorts) => [
+    { key: 'name', label: 'Name' },
+    { key: 'description', label: 'Description' },
+    { key: 'github_link', label: 'GitHub link' },
+    { key: 'class_id', label: 'Project type', format: nameOf(classes, 'Type') },
+    { key: 'cohort_id', label: 'Team', format: nameOf(cohorts, 'Team') },
+];
@@ -0,0 +1,367 @@
+// Minimal QR code encoder (byte mode, error correction level M), enough to turn an otpauth://
+// enrollment link into a scannable code without sending the 2FA secret to a third-party image service.
+// Follows ISO/IEC 18004; the structure mirrors Project Nayuki's reference implementation.
+
+// Indexed by version (1-40); index 0 is unused
+const ECC_CODEWORDS_PER_BLOCK = [
+    -1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26,
+    26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28,
+];
+const ERROR_CORRECTION_BLOCKS = [
+    -1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16,
+    17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49,
+];
+// Format-info bits for level M
+const ECC_FORMAT_BITS = 0;
+
+const getBit = (value, index) => ((value >>> index) & 1) !== 0;
+
+const toUtf8 = (text) => {
+    const bytes = [];
+    const encoded = encodeURIComponent(text);
+    for (let i = 0; i < encoded.length; i++) {
+        if (encoded[i] === '%') {
+            bytes.push(parseInt(encoded.slice(i + 1, i + 3), 16));
+            i += 2;
+        } else {
+            bytes.push(encoded.charCodeAt(i));
+        }
+    }
+    return bytes;
+};
+
+const rawDataModules = (version) => {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const numAlign = Math.floor(version / 7) + 2;
+        result -= (25 * numAlign - 10) * numAlign - 55;
+        if (version >= 7) result -= 36;
+    }
+    return result;
+};
+
+const dataCodewords = (version) =>
+    Math.floor(rawDataModules(version) / 8) - ECC_CODEWORDS_PER_BLOCK[version] * ERROR_CORRECTION_BLOCKS[version];
+
+// Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+const gfMultiply = (x, y) => {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11d);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+};
+
+const reedSolomonDivisor = (degree) => {
+    const result = new Array(degree - 1).fill(0).concat(1);
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < result.length; j++) {
+            result[j] = gfMultiply(result[j], root);
+            if (j + 1 < result.length) result[j] ^= result[j + 1];
+        }
+        root = gfMultiply(root, 0x02);
+    }
+    return result;
+};
+
+const reedSolomonRemainder = (data, divisor) => {
+    const result = divisor.map(() => 0);
+    data.forEach((byte) => {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coefficient, i) => {
+            result[i] ^= gfMultiply(coefficient, factor);
+        });
+    });
+    return result;
+};
+
+// Splits the data into blocks, appends each block's error correction and interleaves them
+const addErrorCorrection = (data, version) => {
+    const numBlocks = ERROR_CORRECTION_BLOCKS[version];
+    const blockEccLength = ECC_CODEWORDS_PER_BLOCK[version];
+    const rawCodewords = Math.floor(rawDataModules(version) / 8);
+    const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+    const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+    const divisor = reedSolomonDivisor(blockEccLength);
+
+    const blocks = [];
+    for (let i = 0, k = 0; i < numBlocks; i++) {
+        const block = data.slice(k, k + shortBlockLength - blockEccLength + (i < numShortBlocks ? 0 : 1));
+        k += block.length;
+        const ecc = reedSolomonRemainder(block, divisor);
+        if (i < numShortBlocks) block.push(0);
+        blocks.push(block.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            // Skip the padding byte that keeps short blocks aligned
+            if (i !== shortBlockLength - blockEccLength || j >= numShortBlocks) result.push(block[i]);
+        });
+    }
+    return result;
+};
+
+const alignmentPositions = (version) => {
+    if (version === 1) return [];
+    const size = version * 4 + 17;
+    const numAlign = Math.floor(version / 7) + 2;
+    const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+    const result = [6];
+    for (let pos = size - 7; result.length < numAlign; pos -= step) {
+        result.splice(1, 0, pos);
+    }
+    return result;
+};
+
+const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+    (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+    (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+class QrMatrix {
+    constructor(version) {
+        this.version = version;
+        this.size = version * 4 + 17;
+        this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    }
+
+    setFunction(x, y, dark) {
+        this.modules[y][x] = dark;
+        this.isFunction[y][x] = true;
+    }
+
+    drawFunctionPatterns() {
+        const { size } = this;
+        for (let i = 0; i < size; i++) {
+            this.setFunction(6, i, i % 2 === 0);
+            this.setFunction(i, 6, i % 2 === 0);
+        }
+
+        this.drawFinder(3, 3);
+        this.drawFinder(size - 4, 3);
+        this.drawFinder(3, size - 4);
+
+        const positions = alignmentPositions(this.version);
+        const last = positions.length - 1;
+        positions.forEach((x, i) => {
+            positions.forEach((y, j) => {
+                // The corners already hold finder patterns
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                this.drawAlignment(x, y);
+            });
+        });
+
+        this.drawFormatBits(0);
+        this.drawVersion();
+    }
+
+    drawFinder(x, y) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                const xx = x + dx;
+                const yy = y + dy;
+                if (xx >= 0 && xx < this.size && yy >= 0 && yy < this.size) {
+                    this.setFunction(xx, yy, distance !== 2 && distance !== 4);
+                }
+            }
+        }
+    }
+
+    drawAlignment(x, y) {
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                this.setFunction(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }
+    }
+
+    drawFormatBits(mask) {
+        const { size } = this;
+        const data = (ECC_FORMAT_BITS << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+
+        for (let i = 0; i <= 5; i++) this.setFunction(8, i, getBit(bits, i));
+        this.setFunction(8, 7, getBit(bits, 6));
+        this.setFunction(8, 8, getBit(bits, 7));
+        this.setFunction(7, 8, getBit(bits, 8));
+        for (let i = 9; i < 15; i++) this.setFunction(14 - i, 8, getBit(bits, i));
+
+        for (let i = 0; i < 8; i++) this.setFunction(size - 1 - i, 8, getBit(bits, i));
+        for (let i = 8; i < 15; i++) this.setFunction(8, size - 15 + i, getBit(bits, i));
+        this.setFunction(8, size - 8, true);
+    }
+
+    drawVersion() {
+        if (this.version < 7) return;
+        let remainder = this.version;
+        for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+        const bits = (this.version << 12) | remainder;
+
+        for (let i = 0; i < 18; i++) {
+            const a = this.size - 11 + (i % 3);
+            const b = Math.floor(i / 3);
+            this.setFunction(a, b, getBit(bits, i));
+            this.setFunction(b, a, getBit(bits, i));
+        }
+    }
+
+    // Fills the data modules in the zigzag order, two columns at a time from the bottom right
+    drawCodewords(codewords) {
+        const { size } = this;
+        let i = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            for (let vertical = 0; vertical < size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vertical : vertical;
+                    if (!this.isFunction[y][x] && i < codewords.length * 8) {
+                        this.modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+
+    applyMask(mask) {
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.isFunction[y][x] && MASKS[mask](x, y)) this.modules[y][x] = !this.modules[y][x];
+            }
+        }
+    }
+
+    penalty() {
+        const { size, modules } = this;
+        let result = 0;
+
+        const addHistory = (runLength, history) => {
+            history.pop();
+            history.unshift(history[0] === 0 ? runLength + size : runLength);
+        };
+        const countFinderLike = (history) => {
+            const n = history[1];
+            const core = n > 0 && history[2] === n && history[3] === n * 3 && history[4] === n && history[5] === n;
+            return (core && history[0] >= n * 4 && history[6] >= n ? 1 : 0)
+                + (core && history[6] >= n * 4 && history[0] >= n ? 1 : 0);
+        };
+
+        // Runs of five or more same-coloured modules, and finder-like patterns, along rows and columns
+        const scanLine = (get) => {
+            let runColor = false;
+            let runLength = 0;
+            const history = [0, 0, 0, 0, 0, 0, 0];
+            for (let i = 0; i < size; i++) {
+                if (get(i) === runColor) {
+                    runLength++;
+                    if (runLength === 5) result += 3;
+                    else if (runLength > 5) result++;
+                } else {
+                    addHistory(runLength, history);
+                    if (!runColor) result += countFinderLike(history) * 40;
+                    runColor = get(i);
+                    runLength = 1;
+                }
+            }
+            if (runColor) {
+                addHistory(runLength, history);
+                runLength = 0;
+            }
+            addHistory(runLength + size, history);
+            result += countFinderLike(history) * 40;
+        };
+
+        for (let y = 0; y < size; y++) scanLine((x) => modules[y][x]);
+        for (let x = 0; x < size; x++) scanLine((y) => modules[y][x]);
+
+        // 2x2 blocks of one colour
+        for (let y = 0; y < size - 1; y++) {
+            for (let x = 0; x < size - 1; x++) {
+                const color = modules[y][x];
+                if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                    result += 3;
+                }
+            }
+        }
+
+        // Balance of dark and light modules
+        const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+        const total = size * size;
+        result += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+
+        return result;
+    }
+}
+
+/**
+ * Encodes `text` as a QR code and returns its modules as rows of booleans (true = dark),
+ * without the quiet zone. Throws if the text does not fit in a version 40 symbol.
+ */
+export const encodeQrCode = (text) => {
+    const bytes = toUtf8(text);
+
+    let version = 1;
+    for (; version <= 40; version++) {
+        const countBits = version < 10 ? 8 : 16;
+        if (bytes.length < 2 ** countBits && 4 + countBits + bytes.length * 8 <= dataCodewords(version) * 8) break;
+    }
+    if (version > 40) throw new RangeError('Text is too long for a QR code');
+
+    // Byte-mode header, the data, a terminator and padding up to the version's capacity
+    const bits = [];
+    const appendBits = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    appendBits(0b0100, 4);
+    appendBits(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach((byte) => appendBits(byte, 8));
+
+    const capacityBits = dataCodewords(version) * 8;
+    appendBits(0, Math.min(4, capacityBits - bits.length));
+    appendBits(0, (8 - (bits.length % 8)) % 8);
+    for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) appendBits(pad, 8);
+
+    const data = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+
+    const qr = new QrMatrix(version);
+    qr.drawFunctionPatterns();
+    qr.drawCodewords(addErrorCorrection(data, version));
+
+    // Keep whichever mask scores the lowest penalty
+    let bestMask = 0;
+    let lowestPenalty = Infinity;
+    for (let mask = 0; mask < MASKS.length; mask++) {
+        qr.applyMask(mask);
+        qr.drawFormatBits(mask);
+        const penalty = qr.penalty();
+        if (penalty < lowestPenalty) {
+            bestMask = mask;
+            lowestPenalty = penalty;
+        }
+        qr.applyMask(mask);
+    }
+    qr.applyMask(bestMask);
+    qr.drawFormatBits(bestMask);
+
+    return qr.modules;
+};
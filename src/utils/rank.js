@@ -0,0 +1,59 @@
+// A task's `rank` orders it within its column. Ranks are strings compared character by character, so a card
+// dropped between two others gets a rank between theirs and nothing else has to be renumbered.
+// Nothing ever rebalances them either, so they only grow: appending to a column (or prepending, or dropping into
+// the same gap again and again) adds about one character per five cards, and a column of 1,000 cards added one
+// by one ends with a 200-character rank. A backend expecting columns that long should renumber them now and then.
+
+const DIGITS = '0123456789abcdefghijklmnopqrstuvwxyz';
+
+// A rank strictly between `before` ('' for the start) and `after` (null for the end); neither ends in '0'
+const midpoint = (before, after) => {
+    if (after !== null) {
+        // Keep the prefix the two share and split the difference after it
+        let shared = 0;
+        while ((before[shared] || '0') === after[shared]) shared++;
+        if (shared > 0) return after.slice(0, shared) + midpoint(before.slice(shared), after.slice(shared));
+    }
+
+    const low = before ? DIGITS.indexOf(before[0]) : 0;
+    const high = after !== null ? DIGITS.indexOf(after[0]) : DIGITS.length;
+    if (high - low > 1) return DIGITS[Math.round((low + high) / 2)];
+
+    // Adjacent digits: `after`'s first digit alone already sorts between them, otherwise go one digit deeper
+    if (after !== null && after.length > 1) return after.slice(0, 1);
+    return DIGITS[low] + midpoint(before.slice(1), null);
+};
+
+/**
+ * Rank for a card placed between the cards ranked `before` and `after`; pass null for either
+ * when the card goes first or last.
+ */
+export const rankBetween = (before = null, after = null) => {
+    // Two cards can share a rank when two people drop into the same gap at once; go just after `before`
+    if (before && after && before >= after) return midpoint(before, null);
+    return midpoint(before || '', after || null);
+};
+
+/**
+ * Ranks for the tasks of a column (sorted with compareByRank) that have none, e.g. ones created before ranks
+ * existed. They continue after the last ranked task, so the order on screen stays the same.
+ * Returns `{ [task id]: rank }`.
+ */
+export const backfillRanks = (column) => {
+    const ranks = {};
+    let previous = null;
+    column.forEach((task) => {
+        if (!task.rank) ranks[task.id] = rankBetween(previous, null);
+        previous = task.rank || ranks[task.id];
+    });
+    return ranks;
+};
+
+export const isValidRank = (rank) => typeof rank === 'string' && /^[0-9a-z]*[1-9a-z]$/.test(rank);
+
+// Sort comparator for tasks; ones never ranked go last, oldest first
+export const compareByRank = (a, b) => {
+    if (a.rank && b.rank) return a.rank < b.rank ? -1 : a.rank > b.rank ? 1 : 0;
+    if (a.rank || b.rank) return a.rank ? -1 : 1;
+    return a.id - b.id;
+};
@@ -0,0 +1,15 @@
+// Where to send the user after signing in, carried through /login as `?next=/projects/4`
+
+const DEFAULT_PATH = '/dashboard';
+
+// Only same-origin app paths are accepted so `next` cannot be used as an open redirect
+const isSafePath = (path) =>
+    typeof path === 'string' && path.startsWith('/') && !path.startsWith('//') && !path.startsWith('/login');
+
+export const buildLoginPath = (returnTo) =>
+    isSafePath(returnTo) ? `/login?next=${encodeURIComponent(returnTo)}` : '/login';
+
+export const getReturnPath = (search) => {
+    const next = new URLSearchParams(search).get('next');
+    return isSafePath(next) ? next : DEFAULT_PATH;
+};
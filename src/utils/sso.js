@@ -0,0 +1,67 @@
+// Browser half of single sign-on (OpenID Connect authorization code + PKCE). The backend publishes the
+// provider settings and trades the returned code for a session; this module builds the redirect to the
+// provider and checks that the callback answers a sign-in this tab started.
+
+import { randomToken, createCodeChallenge } from './pkce';
+import { getReturnPath } from './returnPath';
+
+export const SSO_CALLBACK_PATH = '/auth/callback';
+
+// sessionStorage: the provider sends the user back to the tab that left, and nowhere else
+const PENDING_KEY = 'sso_pending';
+const PENDING_TTL_MS = 10 * 60 * 1000;
+
+export const ssoRedirectUri = () => `${window.location.origin}${SSO_CALLBACK_PATH}`;
+
+/**
+ * Remembers a new sign-in attempt and returns the provider URL to send the user to.
+ * `config` is the backend's `{ authorization_endpoint, client_id, scope }`.
+ */
+export const createSsoAuthorizeUrl = async (config, returnTo) => {
+    const pending = {
+        state: randomToken(32),
+        nonce: randomToken(32),
+        code_verifier: randomToken(64),
+        return_to: returnTo,
+        created_at: Date.now(),
+    };
+
+    const url = new URL(config.authorization_endpoint, window.location.origin);
+    url.search = new URLSearchParams({
+        response_type: 'code',
+        client_id: config.client_id,
+        redirect_uri: ssoRedirectUri(),
+        scope: config.scope || 'openid profile email',
+        state: pending.state,
+        nonce: pending.nonce,
+        code_challenge: await createCodeChallenge(pending.code_verifier),
+        code_challenge_method: 'S256',
+    }).toString();
+
+    sessionStorage.setItem(PENDING_KEY, JSON.stringify(pending));
+    return url.toString();
+};
+
+/**
+ * Takes back the attempt matching `state` (each can be used once). Returns
+ * `{ codeVerifier, nonce, returnTo }`, or null when the callback is stale, replayed or forged.
+ */
+export const consumeSsoRequest = (state) => {
+    const stored = sessionStorage.getItem(PENDING_KEY);
+    sessionStorage.removeItem(PENDING_KEY);
+    if (!stored || !state) return null;
+
+    try {
+        const pending = JSON.parse(stored);
+        if (pending.state !== state || Date.now() - pending.created_at > PENDING_TTL_MS) return null;
+
+        return {
+            codeVerifier: pending.code_verifier,
+            nonce: pending.nonce,
+            returnTo: getReturnPath(`?next=${encodeURIComponent(pending.return_to || '')}`),
+        };
+    } catch (error) {
+        console.error('Error reading pending sign-in:', error);
+        return null;
+    }
+};
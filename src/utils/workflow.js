@@ -0,0 +1,50 @@
+// A project's workflow is the ordered list of Kanban columns its tasks move through. A task's `status` is
+// the name of the column it sits in; columns marked `done` count as finished work (calendar, sprints), and
+// `wip_limit` caps how many tasks a column should hold (null for no limit).
+
+// Projects that never customised their board use the original three columns
+export const DEFAULT_WORKFLOW = [
+    { name: 'To Do', done: false },
+    { name: 'In Progress', done: false },
+    { name: 'Done', done: true },
+];
+
+export const getWorkflow = (project) =>
+    (Array.isArray(project?.workflow) && project.workflow.length > 0 ? project.workflow : DEFAULT_WORKFLOW);
+
+export const isDoneStatus = (workflow, status) =>
+    workflow.some((column) => column.name === status && column.done);
+
+// New tasks start in the first column
+export const initialStatus = (workflow) => workflow[0].name;
+
+// What happens when a column reaches its WIP limit: the board only warns, or refuses further moves
+// into it (managers may still override)
+export const WIP_POLICIES = {
+    WARN: 'warn',
+    BLOCK: 'block',
+};
+
+export const getWipPolicy = (project) => (project?.wip_policy === WIP_POLICIES.BLOCK ? WIP_POLICIES.BLOCK : WIP_POLICIES.WARN);
+
+// Whether a column holding `count` tasks has no room for another
+export const isColumnFull = (column, count) => !!column?.wip_limit && count >= column.wip_limit;
+
+/**
+ * Problems with a workflow about to be saved, as `{ columns: message }` (empty when it is fine).
+ * Mirrors the backend's check so the editor can point at them before saving.
+ */
+export const validateWorkflow = (columns) => {
+    const names = columns.map((column) => column.name.trim());
+
+    if (names.length === 0) return { columns: 'A board needs at least one column.' };
+    if (names.some((name) => !name)) return { columns: 'Every column needs a name.' };
+
+    const duplicate = names.find((name, index) => names.findIndex((other) => other.toLowerCase() === name.toLowerCase()) !== index);
+    if (duplicate) return { columns: `There are two columns called "${duplicate}".` };
+
+    const badLimit = columns.find((column) => column.wip_limit != null && !(Number.isInteger(column.wip_limit) && column.wip_limit > 0));
+    if (badLimit) return { columns: `The WIP limit of "${badLimit.name.trim()}" must be a whole number above zero.` };
+
+    return {};
+};
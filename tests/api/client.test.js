@@ -0,0 +1,143 @@
+import { apiClient } from '../../src/api/client';
+
+// A fetch that never answers on its own and rejects like the real one when its signal aborts
+const hangingFetch = () => jest.fn((url, { signal }) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(new DOMException('The operation was aborted.', 'AbortError')));
+}));
+
+const jsonResponse = (status, body = {}) => ({
+    status,
+    statusText: '',
+    ok: status >= 200 && status < 300,
+    headers: { get: () => null },
+    json: async () => body,
+});
+
+describe('APIClient', () => {
+    const originalFetch = globalThis.fetch;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        globalThis.fetch = originalFetch;
+        console.error.mockRestore();
+    });
+
+    describe('timeouts and cancellation', () => {
+        it('turns an attempt that outlives its timeout into a TIMEOUT error', async () => {
+            globalThis.fetch = hangingFetch();
+
+            await expect(apiClient.request('/projects', { timeout: 20 }, 1)).rejects.toMatchObject({
+                name: 'ApiError',
+                code: 'TIMEOUT',
+                retryable: true,
+                message: 'Request timed out after 20ms',
+            });
+            expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+        });
+
+        it('retries a timed out attempt before giving up', async () => {
+            globalThis.fetch = jest.fn()
+                .mockImplementationOnce(hangingFetch())
+                .mockResolvedValueOnce(jsonResponse(200, { ok: true }));
+            jest.spyOn(globalThis, 'setTimeout');
+
+            const pending = apiClient.request('/projects', { timeout: 20 }, 2);
+
+            await expect(pending).resolves.toEqual({ ok: true });
+            expect(globalThis.fetch).toHaveBeenCalledTimes(2);
+            // 20ms per attempt, then a 2s backoff before the second one
+            expect(setTimeout).toHaveBeenCalledWith(expect.any(Function), 2000);
+            setTimeout.mockRestore();
+        }, 10000);
+
+        it('reports a caller abort as an AbortError, not a timeout', async () => {
+            globalThis.fetch = hangingFetch();
+            const controller = new AbortController();
+
+            const pending = apiClient.request('/projects', { signal: controller.signal, timeout: 5000 });
+            controller.abort();
+
+            await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+            expect(console.error).not.toHaveBeenCalled();
+        });
+
+        it('stops waiting out the retry backoff as soon as the caller aborts', async () => {
+            globalThis.fetch = jest.fn().mockResolvedValue(jsonResponse(503));
+            const controller = new AbortController();
+
+            const pending = apiClient.request('/projects', { signal: controller.signal });
+            await new Promise((resolve) => setTimeout(resolve, 10));
+            controller.abort();
+
+            await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+            expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('session refresh', () => {
+        const onSessionExpired = jest.fn();
+
+        // Answers 401 until the refresh endpoint has succeeded, then 200 with the path it was asked for
+        const sessionFetch = ({ refreshStatus }) => {
+            let refreshed = false;
+            return jest.fn(async (url) => {
+                if (url.endsWith('/auth/refresh')) {
+                    await new Promise((resolve) => setTimeout(resolve, 10));
+                    refreshed = refreshStatus === 200;
+                    return jsonResponse(refreshStatus);
+                }
+                return refreshed ? jsonResponse(200, { path: url.replace(apiClient.baseURL, '') }) : jsonResponse(401);
+            });
+        };
+
+        const refreshCalls = () => globalThis.fetch.mock.calls.filter(([url]) => url.endsWith('/auth/refresh'));
+
+        beforeEach(() => {
+            onSessionExpired.mockClear();
+            apiClient.setSessionExpiredHandler(onSessionExpired);
+        });
+
+        afterEach(() => {
+            apiClient.setSessionExpiredHandler(null);
+        });
+
+        it('shares one refresh between concurrent 401s and replays each request', async () => {
+            globalThis.fetch = sessionFetch({ refreshStatus: 200 });
+
+            const results = await Promise.all([
+                apiClient.get('/projects'),
+                apiClient.get('/tasks'),
+                apiClient.get('/notifications'),
+            ]);
+
+            expect(results).toEqual([{ path: '/projects' }, { path: '/tasks' }, { path: '/notifications' }]);
+            expect(refreshCalls()).toHaveLength(1);
+            expect(onSessionExpired).not.toHaveBeenCalled();
+        });
+
+        it('calls the session-expired handler once when the shared refresh fails', async () => {
+            globalThis.fetch = sessionFetch({ refreshStatus: 401 });
+
+            const results = await Promise.allSettled([
+                apiClient.get('/projects'),
+                apiClient.get('/tasks'),
+            ]);
+
+            expect(results.map((r) => r.reason?.code)).toEqual(['SESSION_EXPIRED', 'SESSION_EXPIRED']);
+            expect(refreshCalls()).toHaveLength(1);
+            expect(onSessionExpired).toHaveBeenCalledTimes(1);
+        });
+
+        it.each(['/auth/login', '/auth/change-password'])('does not refresh when %s answers 401', async (endpoint) => {
+            globalThis.fetch = jest.fn().mockResolvedValue(jsonResponse(401, { message: 'Invalid credentials' }));
+
+            await expect(apiClient.post(endpoint, {})).rejects.toMatchObject({ status: 401, message: 'Invalid credentials' });
+
+            expect(refreshCalls()).toHaveLength(0);
+            expect(onSessionExpired).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,513 @@
+import { apiClient } from '../../src/api/client';
+import { isApiError } from '../../src/api/errors';
+import { createMockServer, MOCK_2FA_CODE } from '../../src/api/mock';
+import { authAPI } from '../../src/api/auth';
+import { projectsAPI } from '../../src/api/projects';
+import { tasksAPI } from '../../src/api/tasks';
+import { membersAPI } from '../../src/api/members';
+import { notificationsApi } from '../../src/api/notifications';
+import { sprintApi } from '../../src/api/sprints';
+import { timeApi } from '../../src/api/time';
+import { attachmentApi } from '../../src/api/attachments';
+import { dashboardApi } from '../../src/api/dashboard';
+import { usersAPI } from '../../src/api/users';
+import { mockIdpAPI } from '../../src/api/mockIdp';
+import { commentApi } from '../../src/api/comments';
+import { activitiesApi } from '../../src/api/activities';
+import { queryCache, queryKeys } from '../../src/api/queryCache';
+import { randomToken, createCodeChallenge } from '../../src/utils/pkce';
+import { webcrypto, createHash } from 'crypto';
+
+// jsdom's crypto has getRandomValues but no subtle; PKCE needs SHA-256
+if (!globalThis.crypto.subtle) {
+    Object.defineProperty(globalThis.crypto, 'subtle', { value: webcrypto.subtle, configurable: true });
+}
+
+describe('Mock API', () => {
+    let server;
+
+    const signIn = (email) => authAPI.login({ email, password: 'password123' });
+
+    beforeEach(() => {
+        server = createMockServer({ storage: null, delay: 0 });
+        apiClient.useMockServer(server);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        apiClient.useMockServer(null);
+        apiClient.setSessionExpiredHandler(null);
+        console.error.mockRestore();
+    });
+
+    it('rejects requests without a session', async () => {
+        const onExpired = jest.fn();
+        apiClient.setSessionExpiredHandler(onExpired);
+
+        await expect(projectsAPI.getAll()).rejects.toMatchObject({ status: 401, code: 'SESSION_EXPIRED' });
+        expect(onExpired).toHaveBeenCalled();
+    });
+
+    it('rejects bad credentials with a 401', async () => {
+        await expect(authAPI.login({ email: 'employee@example.com', password: 'wrong' }))
+            .rejects.toMatchObject({ status: 401 });
+    });
+
+    it('requires the 2FA code for accounts that enabled it', async () => {
+        jest.spyOn(console, 'info').mockImplementation(() => {});
+
+        const login = await signIn('2fa@example.com');
+        expect(login).toMatchObject({ two_factor_enabled: true, user_id: 4 });
+
+        const verified = await authAPI.verify2FA(login.user_id, MOCK_2FA_CODE);
+        expect(verified.user.email).toBe('2fa@example.com');
+        expect(verified.user.password).toBeUndefined();
+
+        console.info.mockRestore();
+    });
+
+    it('resends email codes through their own endpoint', async () => {
+        jest.spyOn(console, 'info').mockImplementation(() => {});
+
+        const login = await signIn('2fa@example.com');
+        expect(login.two_factor_method).toBe('email');
+
+        await expect(authAPI.resend2FA(login.user_id)).resolves.toMatchObject({ message: 'Verification code sent' });
+        expect(console.info).toHaveBeenCalledTimes(2);
+        await expect(authAPI.resend2FA(1)).rejects.toMatchObject({ status: 400 });
+
+        console.info.mockRestore();
+    });
+
+    it('enrolls an authenticator app only after a first code is confirmed', async () => {
+        const login = await signIn('employee@example.com');
+
+        const setup = await authAPI.setupTotp();
+        expect(setup.secret).toMatch(/^[A-Z2-7]{32}$/);
+        expect(setup.otpauth_url).toContain(`secret=${setup.secret}`);
+        expect(setup.otpauth_url).toContain('employee%40example.com');
+
+        await expect(authAPI.confirmTotp('000000')).rejects.toMatchObject({ status: 422 });
+
+        const { backup_codes: backupCodes, user } = await authAPI.confirmTotp(MOCK_2FA_CODE);
+        expect(backupCodes).toHaveLength(8);
+        expect(user).toMatchObject({ two_factor_enabled: true, two_factor_method: 'totp' });
+        expect(user.totp_secret).toBeUndefined();
+        expect(user.backup_codes).toBeUndefined();
+
+        const challenge = await signIn('employee@example.com');
+        expect(challenge).toMatchObject({ two_factor_enabled: true, two_factor_method: 'totp', user_id: login.user.id });
+        await expect(authAPI.resend2FA(challenge.user_id)).rejects.toMatchObject({ status: 400 });
+
+        // Backup codes work once each
+        const verified = await authAPI.verify2FA(challenge.user_id, backupCodes[0].toUpperCase());
+        expect(verified.backup_codes_remaining).toBe(7);
+        await expect(authAPI.verify2FA(challenge.user_id, backupCodes[0])).rejects.toMatchObject({ status: 400 });
+    });
+
+    it('resets a password with a single-use link that expires', async () => {
+        jest.spyOn(console, 'info').mockImplementation(() => {});
+
+        const generic = await authAPI.requestPasswordReset('nobody@example.com');
+        await authAPI.requestPasswordReset('employee@example.com');
+        expect(await authAPI.requestPasswordReset('priya@example.com')).toEqual(generic);
+
+        const [mine, priyas] = server.db.all('password_resets');
+        await expect(authAPI.checkResetToken(mine.token)).resolves.toMatchObject({ email: 'employee@example.com' });
+
+        await expect(authAPI.resetPassword(mine.token, 'short')).rejects.toMatchObject({ status: 422 });
+        await authAPI.resetPassword(mine.token, 'a-new-password-42');
+        await expect(authAPI.resetPassword(mine.token, 'another-password-42')).rejects.toMatchObject({ code: 'TOKEN_INVALID' });
+
+        await expect(signIn('employee@example.com')).rejects.toMatchObject({ status: 401 });
+        await expect(authAPI.login({ email: 'employee@example.com', password: 'a-new-password-42' }))
+            .resolves.toHaveProperty('user');
+
+        server.db.update('password_resets', priyas.id, { expires_at: new Date(Date.now() - 1000).toISOString() });
+        await expect(authAPI.checkResetToken(priyas.token)).rejects.toMatchObject({ status: 410, code: 'TOKEN_EXPIRED' });
+
+        console.info.mockRestore();
+    });
+
+    it('reports duplicate registrations as field errors', async () => {
+        const error = await authAPI
+            .register({ name: 'Eli', email: 'employee@example.com', password: 'password123' })
+            .catch((err) => err);
+
+        expect(isApiError(error)).toBe(true);
+        expect(error.status).toBe(409);
+        expect(error.fieldErrors.email).toMatch(/already exists/);
+    });
+
+    it('serves projects with their members and supports task changes', async () => {
+        await signIn('employee@example.com');
+
+        const { items, total } = await projectsAPI.getAll();
+        expect(total).toBe(3);
+        const portal = items.find((project) => project.name === 'Customer Portal Redesign');
+        expect(portal.owner_name).toBe('Eli Employee');
+        expect(portal.members).toEqual([
+            expect.objectContaining({ name: 'Priya Patel', status: 'accepted' }),
+        ]);
+
+        const { task } = await tasksAPI.create({ project_id: portal.id, title: 'Write release notes', assignee_id: 3 });
+        await tasksAPI.update(task.id, { status: 'Done' });
+
+        const { items: tasks } = await tasksAPI.getByProject(portal.id);
+        expect(tasks.find((t) => t.id === task.id)).toMatchObject({ status: 'Done', assignee: { name: 'Priya Patel' } });
+
+        await authAPI.login({ email: 'priya@example.com', password: 'password123' });
+        const { items: notifications } = await notificationsApi.getNotifications();
+        expect(notifications[0].message).toBe('You were assigned to "Write release notes"');
+    });
+
+    it('delivers invitations to the invitee', async () => {
+        await signIn('manager@example.com');
+        await membersAPI.invite(3, 'priya@example.com', 'collaborator');
+
+        await signIn('priya@example.com');
+        const pending = await membersAPI.getPending();
+        expect(pending.items).toEqual([expect.objectContaining({ project_id: 3, project_name: 'Mobile Onboarding' })]);
+
+        await membersAPI.respond(3, 'accept');
+        const project = await projectsAPI.getById(3);
+        expect(project.members).toContainEqual(expect.objectContaining({ email: 'priya@example.com', status: 'accepted' }));
+    });
+
+    it('saves profile changes, passwords and notification preferences', async () => {
+        const { user } = await signIn('priya@example.com');
+
+        const { user: updated } = await usersAPI.update(user.id, {
+            name: 'Priya P.',
+            preferences: { theme: 'light', notifications: { invitations: false } },
+        });
+        expect(updated).toMatchObject({ name: 'Priya P.', preferences: { theme: 'light', notifications: { invitations: false } } });
+
+        await usersAPI.update(user.id, { preferences: { notifications: { email: true } } });
+        expect((await usersAPI.getById(user.id)).preferences)
+            .toEqual({ theme: 'light', notifications: { invitations: false, email: true } });
+
+        await expect(usersAPI.update(user.id, { email: 'employee@example.com' })).rejects.toMatchObject({ status: 409 });
+
+        await expect(authAPI.changePassword('wrong-password', 'a-new-password-42'))
+            .rejects.toMatchObject({ fieldErrors: { current_password: 'Your current password is incorrect.' } });
+        await authAPI.changePassword('password123', 'a-new-password-42');
+
+        // Invitations are switched off, so inviting Priya leaves her bell empty
+        await signIn('manager@example.com');
+        await membersAPI.invite(3, 'priya@example.com', 'collaborator');
+        await authAPI.login({ email: 'priya@example.com', password: 'a-new-password-42' });
+        const { items } = await notificationsApi.getNotifications();
+        expect(items.filter((n) => n.message.includes('invited you'))).toEqual([]);
+    });
+
+    it('lists the devices a user is signed in on and signs them out', async () => {
+        await signIn('employee@example.com');
+
+        const { items } = await authAPI.getSessions();
+        expect(items).toEqual([
+            expect.objectContaining({ current: true }),
+            expect.objectContaining({ device: 'Firefox on Windows', current: false }),
+        ]);
+
+        await authAPI.revokeSession(items[1].id);
+        expect((await authAPI.getSessions()).items).toHaveLength(1);
+
+        // Other people's sessions are not visible, and cannot be ended
+        await expect(authAPI.revokeSession(1)).rejects.toMatchObject({ status: 404 });
+
+        await expect(authAPI.logoutEverywhere()).resolves.toMatchObject({ signed_out_sessions: 1 });
+        await expect(authAPI.getSessions()).rejects.toMatchObject({ status: 401 });
+    });
+
+    describe('single sign-on', () => {
+        const redirectUri = 'http://localhost/auth/callback';
+
+        // What the login page and the stand-in provider do before the app's callback runs
+        const authorizeAs = async (sub) => {
+            const codeVerifier = randomToken(64);
+            const { code } = await mockIdpAPI.authorize({
+                client_id: 'project-tracker',
+                redirect_uri: redirectUri,
+                code_challenge: await createCodeChallenge(codeVerifier),
+                code_challenge_method: 'S256',
+                nonce: 'n-1',
+                sub,
+            });
+            return { code, codeVerifier, redirectUri, nonce: 'n-1' };
+        };
+
+        it('derives the S256 challenge as unpadded base64url SHA-256', async () => {
+            const verifier = randomToken(64);
+            expect(verifier).toMatch(/^[A-Za-z0-9\-._~]{64}$/);
+            await expect(createCodeChallenge(verifier))
+                .resolves.toBe(createHash('sha256').update(verifier).digest('base64url'));
+        });
+
+        it('signs in linked identities and provisions new ones', async () => {
+            const linked = await authAPI.completeSsoLogin(await authorizeAs('corp-4c81e5'));
+            expect(linked.user).toMatchObject({ id: 3, email: 'priya@example.com' });
+
+            const created = await authAPI.completeSsoLogin(await authorizeAs('corp-91b0de'));
+            expect(created).toMatchObject({ created: true, user: { email: 'noah@example.com', role: 'Employee' } });
+            expect(created.user).not.toHaveProperty('password');
+            await expect(projectsAPI.getAll()).resolves.toMatchObject({ items: expect.any(Array) });
+        });
+
+        it('rejects a code redeemed with the wrong verifier or a second time', async () => {
+            const request = await authorizeAs('corp-4c81e5');
+
+            await expect(authAPI.completeSsoLogin({ ...request, codeVerifier: randomToken(64) }))
+                .rejects.toMatchObject({ status: 400, code: 'SSO_INVALID_CODE' });
+            // Each code works once, even after a failed attempt
+            await expect(authAPI.completeSsoLogin(request))
+                .rejects.toMatchObject({ status: 400, code: 'SSO_INVALID_CODE' });
+        });
+
+        it('links an existing account once its password is confirmed', async () => {
+            const error = await authAPI.completeSsoLogin(await authorizeAs('corp-7f3a2c')).catch((err) => err);
+            expect(error).toMatchObject({ status: 409, code: 'ACCOUNT_LINK_REQUIRED' });
+            expect(error.data).toMatchObject({ email: 'employee@example.com', link_token: expect.any(String) });
+
+            await expect(authAPI.linkSsoAccount(error.data.link_token, 'wrong-password'))
+                .rejects.toMatchObject({ status: 422, fieldErrors: { password: 'That password is incorrect.' } });
+
+            const { user } = await authAPI.linkSsoAccount(error.data.link_token, 'password123');
+            expect(user).toMatchObject({ id: 2, sso_subject: 'corp-7f3a2c' });
+
+            // Linked now: the next sign-in goes straight through
+            await expect(authAPI.completeSsoLogin(await authorizeAs('corp-7f3a2c')))
+                .resolves.toMatchObject({ user: { id: 2 } });
+        });
+    });
+
+    it('only lets owners and managers change a project', async () => {
+        await signIn('priya@example.com');
+
+        await expect(projectsAPI.update(1, { name: 'Renamed' })).rejects.toMatchObject({ status: 403 });
+    });
+
+    it('applies each member\'s project role to what they may change', async () => {
+        // Viewer on project 3: may comment, nothing else
+        await signIn('employee@example.com');
+        await expect(commentApi.addTaskComment(7, 'Looks good')).resolves.toBeDefined();
+        await expect(tasksAPI.update(7, { status: 'In Progress' })).rejects.toMatchObject({ status: 403 });
+        await expect(tasksAPI.create({ title: 'Sneaky', project_id: 3 })).rejects.toMatchObject({ status: 403 });
+
+        // Collaborator on project 1: works on tasks but cannot delete them
+        await signIn('priya@example.com');
+        await expect(tasksAPI.update(3, { status: 'Done' })).resolves.toMatchObject({ task: { status: 'Done' } });
+        await expect(tasksAPI.delete(3)).rejects.toMatchObject({ status: 403 });
+    });
+
+    it('saves a project\'s columns and carries tasks through renames and removals', async () => {
+        await signIn('employee@example.com');
+
+        // Tasks 3 and 4 are in To Do, task 2 in In Progress
+        const { project } = await projectsAPI.updateWorkflow(1, {
+            columns: [
+                { name: 'Backlog', done: false, from: 'To Do' },
+                { name: 'Review', done: false, from: null },
+                { name: 'Done', done: true, from: 'Done' },
+            ],
+            moves: { 'In Progress': 'Review' },
+        });
+        expect(project.workflow.map((column) => column.name)).toEqual(['Backlog', 'Review', 'Done']);
+
+        const statuses = Object.fromEntries((await tasksAPI.getByProject(1)).items.map((task) => [task.id, task.status]));
+        expect(statuses).toMatchObject({ 1: 'Done', 2: 'Review', 3: 'Backlog', 4: 'Backlog' });
+
+        // New tasks land in the first column; statuses must name a column
+        const { task } = await tasksAPI.create({ title: 'Triage', project_id: 1 });
+        expect(task.status).toBe('Backlog');
+        await expect(tasksAPI.update(task.id, { status: 'To Do' })).rejects.toMatchObject({ status: 422 });
+
+        // Dropping a column that still has tasks needs somewhere to put them
+        await expect(projectsAPI.updateWorkflow(1, {
+            columns: [{ name: 'Done', done: true, from: 'Done' }],
+        })).rejects.toMatchObject({ status: 422, fieldErrors: { moves: expect.any(String) } });
+    });
+
+    it('keeps each card\'s place in its column', async () => {
+        await signIn('employee@example.com');
+
+        // Tasks 3 and 4 sit in To Do, ranked 'i' and 'r'; new tasks go last
+        const { task } = await tasksAPI.create({ title: 'Write release notes', project_id: 1 });
+        expect(task.rank > 'r').toBe(true);
+
+        await tasksAPI.move(task.id, 'To Do', { rank: 'a' });
+        const column = (await tasksAPI.getByProject(1)).items
+            .filter((t) => t.status === 'To Do')
+            .sort((x, y) => (x.rank < y.rank ? -1 : 1));
+        expect(column.map((t) => t.id)).toEqual([task.id, 3, 4]);
+
+        await expect(tasksAPI.move(3, 'To Do', { rank: 'B0' })).rejects.toMatchObject({ status: 422, fieldErrors: { rank: expect.any(String) } });
+    });
+
+    it('keeps each task\'s history and links notifications to the task', async () => {
+        await signIn('employee@example.com');
+
+        await tasksAPI.update(4, { priority: 'Low', assignee_id: 3 });
+        await tasksAPI.move(4, 'Done');
+        await commentApi.addTaskComment(4, 'Fixed on staging');
+
+        const { items } = await activitiesApi.getTaskActivities(4);
+        expect(items.map((activity) => activity.action)).toEqual([
+            'commented on "Fix login redirect loop"',
+            'moved "Fix login redirect loop" to Done',
+            'changed the priority, assignee of "Fix login redirect loop"',
+        ]);
+
+        await signIn('priya@example.com');
+        const { items: notifications } = await notificationsApi.getNotifications();
+        expect(notifications[0]).toMatchObject({ link: '/projects/1/tasks/4' });
+    });
+
+    it('refreshes an open task\'s cached copy after it is edited, moved or deleted', async () => {
+        await signIn('employee@example.com');
+        // What an open TaskDrawer holds
+        const key = queryKeys.tasks.detail(4);
+        const unsubscribe = queryCache.subscribe(key, () => {});
+        const settled = () => new Promise((resolve) => setTimeout(resolve, 0)).then(() => queryCache.getSnapshot(key));
+        await queryCache.fetch(key, (signal) => tasksAPI.getById(4, { signal }));
+
+        await tasksAPI.update(4, { priority: 'Low' });
+        expect((await settled()).data).toMatchObject({ priority: 'Low' });
+
+        await tasksAPI.move(4, 'Done');
+        expect((await settled()).data).toMatchObject({ status: 'Done' });
+
+        await tasksAPI.delete(4);
+        expect((await settled()).error).toMatchObject({ status: 404 });
+        unsubscribe();
+    });
+
+    it('applies a batch of changes task by task', async () => {
+        // Collaborator on project 1, nothing on project 3 (task 7)
+        await signIn('priya@example.com');
+
+        const results = await tasksAPI.batchUpdate([3, 4, 7, 999], { priority: 'High' });
+        expect(results).toEqual([
+            expect.objectContaining({ task_id: 3, status: 'updated' }),
+            expect.objectContaining({ task_id: 4, status: 'updated' }),
+            { task_id: 7, status: 'failed', error: expect.any(String) },
+            { task_id: 999, status: 'failed', error: 'Task not found' },
+        ]);
+        expect((await tasksAPI.getById(4)).priority).toBe('High');
+
+        // Collaborators cannot delete, so every task reports its own refusal
+        const deletions = await tasksAPI.batchDelete([3, 4]);
+        expect(deletions.map((result) => result.status)).toEqual(['failed', 'failed']);
+    });
+
+    it('applies a swimlane\'s field along with the move', async () => {
+        await signIn('employee@example.com');
+
+        await expect(tasksAPI.move(4, 'In Progress', { fields: { assignee_id: 3, labels: ['bug', ' urgent ', 'bug'] } }))
+            .resolves.toMatchObject({ task: { status: 'In Progress', assignee_id: 3, labels: ['bug', 'urgent'] } });
+        await expect(tasksAPI.update(4, { labels: 'bug' })).rejects.toMatchObject({ status: 422, fieldErrors: { labels: expect.any(String) } });
+    });
+
+    it('blocks moves into a full column unless a manager overrides the WIP limit', async () => {
+        await signIn('employee@example.com');
+        const { project } = await projectsAPI.updateWorkflow(1, {
+            columns: [
+                { name: 'To Do', done: false, from: 'To Do' },
+                { name: 'In Progress', done: false, wip_limit: 1, from: 'In Progress' },
+                { name: 'Done', done: true, from: 'Done' },
+            ],
+            wipPolicy: 'block',
+        });
+        expect(project).toMatchObject({ wip_policy: 'block', workflow: [{ wip_limit: null }, { wip_limit: 1 }, { wip_limit: null }] });
+
+        // Task 2 already fills In Progress, and only managers may override
+        await expect(tasksAPI.move(3, 'In Progress')).rejects.toMatchObject({ status: 422, code: 'WIP_LIMIT_REACHED' });
+        await expect(tasksAPI.move(3, 'In Progress', { overrideWipLimit: true })).rejects.toMatchObject({ status: 422 });
+
+        await signIn('manager@example.com');
+        await expect(tasksAPI.move(3, 'In Progress', { overrideWipLimit: true }))
+            .resolves.toMatchObject({ task: { status: 'In Progress' } });
+    });
+
+    it('refuses updates based on a stale version', async () => {
+        await signIn('employee@example.com');
+        const task = await tasksAPI.getById(3);
+
+        await tasksAPI.update(3, { title: 'Saved first' }, { version: task.version });
+        const error = await tasksAPI.update(3, { title: 'Saved second' }, { version: task.version }).catch((e) => e);
+
+        expect(error.isConflict()).toBe(true);
+        expect(error.data.current).toMatchObject({ title: 'Saved first', version: task.version + 1 });
+
+        // Unconditional writes still go through
+        await expect(tasksAPI.update(3, { title: 'Forced' })).resolves.toMatchObject({ task: { title: 'Forced' } });
+    });
+
+    it('tracks sprints, time logs and uploads', async () => {
+        await signIn('employee@example.com');
+
+        const { sprint } = await sprintApi.createSprint(1, { name: 'Sprint 4' });
+        expect(sprint.status).toBe('Planned');
+
+        await timeApi.logTime(3, { hours_spent: 1.5, description: 'Table markup', date_logged: '2026-01-05' });
+        const { items: logs, totalHours } = await timeApi.getTimeLogs(3);
+        expect(logs).toHaveLength(1);
+        expect(totalHours).toBe(1.5);
+
+        const onProgress = jest.fn();
+        const file = new File(['hello'], 'notes.txt', { type: 'text/plain' });
+        await attachmentApi.addTaskAttachment(3, file, { onProgress });
+        expect(onProgress).toHaveBeenCalledWith({ loaded: 5, total: 5 });
+
+        const { items: attachments } = await attachmentApi.getTaskAttachments(3);
+        expect(attachments[0]).toMatchObject({ file_name: 'notes.txt', uploader_name: 'Eli Employee' });
+    });
+
+    it('lets managers view the app as an employee without changing anything', async () => {
+        await signIn('employee@example.com');
+        await expect(authAPI.startImpersonation(3)).rejects.toMatchObject({ status: 403 });
+
+        await signIn('manager@example.com');
+        const { user, impersonator } = await authAPI.startImpersonation(2);
+        expect(user).toMatchObject({ id: 2, name: 'Eli Employee' });
+        expect(impersonator).toMatchObject({ role: 'Manager' });
+
+        // Reads answer as the employee; writes are refused by the backend itself
+        await expect(dashboardApi.getManagerSummary()).rejects.toMatchObject({ status: 403 });
+        const response = await server.handle('PUT', '/projects/1', JSON.stringify({ name: 'Renamed' }));
+        expect(response.status).toBe(403);
+        expect(await response.json()).toMatchObject({ code: 'VIEW_AS_READ_ONLY' });
+
+        await expect(authAPI.stopImpersonation()).resolves.toMatchObject({ user: { role: 'Manager' } });
+        const { items } = await activitiesApi.getActivities();
+        expect(items.map((activity) => activity.action)).toEqual(expect.arrayContaining([
+            'started viewing as Eli Employee',
+            'stopped viewing as Eli Employee',
+        ]));
+    });
+
+    it('limits the manager dashboard to managers', async () => {
+        await signIn('employee@example.com');
+        await expect(dashboardApi.getManagerSummary()).rejects.toMatchObject({ status: 403 });
+
+        await signIn('manager@example.com');
+        const summary = await dashboardApi.getManagerSummary();
+        expect(summary).toEqual({ totalProjects: 3, totalTasks: 7, activeSprints: 1 });
+    });
+
+    it('persists data and the session to storage', async () => {
+        const storage = window.localStorage;
+        storage.clear();
+
+        apiClient.useMockServer(createMockServer({ storage, delay: 0 }));
+        await signIn('employee@example.com');
+        await projectsAPI.create({ name: 'Saved Project' });
+
+        // A fresh server (e.g. after a page reload) picks up where the last one left off
+        apiClient.useMockServer(createMockServer({ storage, delay: 0 }));
+        const { items } = await projectsAPI.getAll();
+        expect(items.map((project) => project.name)).toContain('Saved Project');
+
+        storage.clear();
+    });
+});
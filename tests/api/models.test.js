@@ -0,0 +1,91 @@
+import { models, toPage, toEntity } from '../../src/api/models';
+import { apiClient } from '../../src/api/client';
+import { createMockServer } from '../../src/api/mock';
+import { authAPI } from '../../src/api/auth';
+import { classesAPI } from '../../src/api/classes';
+import { cohortsAPI } from '../../src/api/cohorts';
+import { dashboardApi } from '../../src/api/dashboard';
+import { activitiesApi } from '../../src/api/activities';
+import { usersAPI } from '../../src/api/users';
+
+describe('Response models', () => {
+    const toTeams = toPage(models.cohort, 'GET /cohorts');
+    const teams = [{ id: 1, name: 'Platform' }, { id: 2, name: 'Growth' }];
+
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        console.error.mockRestore();
+        console.warn.mockRestore();
+    });
+
+    it('reads every list envelope into the same page shape', () => {
+        const expected = { items: teams, total: 2, page: 1, perPage: 2, pages: 1 };
+
+        expect(toTeams(teams)).toEqual(expected);
+        expect(toTeams({ cohorts: teams })).toEqual(expected);
+        expect(toTeams({ data: teams })).toEqual(expected);
+        expect(toTeams({ items: teams, total: 12, page: 2, per_page: 2, pages: 6 }))
+            .toEqual({ items: teams, total: 12, page: 2, perPage: 2, pages: 6 });
+    });
+
+    it('unwraps single records sent bare or in an envelope', () => {
+        const toProject = toEntity(models.project, 'GET /projects/:id', 'project');
+        const project = { id: 4, name: 'Portal' };
+
+        expect(toProject({ project })).toBe(project);
+        expect(toProject(project)).toBe(project);
+    });
+
+    it('fails loudly in development when a payload does not match its model', () => {
+        expect(() => toTeams({ teams })).toThrow(expect.objectContaining({
+            code: 'SCHEMA_MISMATCH',
+            message: 'Unexpected response from GET /cohorts: expected a list of cohorts but got object',
+        }));
+        expect(() => toTeams([{ id: '1', name: 'Platform' }])).toThrow('cohorts[0].id should be number but is string');
+        expect(console.error).toHaveBeenCalled();
+    });
+
+    it('keeps what it can read in production', () => {
+        // import.meta.env.DEV is compiled to a NODE_ENV check for jest
+        const { env } = globalThis.process;
+        const nodeEnv = env.NODE_ENV;
+        env.NODE_ENV = 'production';
+
+        try {
+            expect(toTeams({ teams }).items).toEqual([]);
+            expect(toTeams([...teams, 'junk']).items).toEqual(teams);
+            expect(console.warn).toHaveBeenCalledTimes(2);
+        } finally {
+            env.NODE_ENV = nodeEnv;
+        }
+    });
+
+    describe('against the mock backend', () => {
+        beforeEach(async () => {
+            apiClient.useMockServer(createMockServer({ storage: null, delay: 0 }));
+            await authAPI.login({ email: 'manager@example.com', password: 'password123' });
+        });
+
+        afterEach(() => apiClient.useMockServer(null));
+
+        it('normalizes the lists that used to come back in different shapes', async () => {
+            const pages = await Promise.all([
+                classesAPI.getAll(),
+                cohortsAPI.getAll(),
+                usersAPI.getAll(),
+                activitiesApi.getActivities(),
+                dashboardApi.getProjectsByStatus(),
+            ]);
+
+            pages.forEach((page) => {
+                expect(page.items.length).toBeGreaterThan(0);
+                expect(page).toMatchObject({ total: page.items.length, page: 1, pages: 1 });
+            });
+            await expect(dashboardApi.getManagerSummary()).resolves.toMatchObject({ totalProjects: 3 });
+        });
+    });
+});
@@ -0,0 +1,140 @@
+import { apiClient } from '../../src/api/client';
+import { createMockServer } from '../../src/api/mock';
+import { offlineQueue } from '../../src/api/offlineQueue';
+import { authAPI } from '../../src/api/auth';
+import { commentApi } from '../../src/api/comments';
+import { tasksAPI } from '../../src/api/tasks';
+import { timeApi } from '../../src/api/time';
+
+describe('Offline mutation queue', () => {
+    let onLine;
+
+    const goOffline = () => onLine.mockReturnValue(false);
+    const goOnline = () => onLine.mockReturnValue(true);
+
+    beforeEach(async () => {
+        onLine = jest.spyOn(window.navigator, 'onLine', 'get').mockReturnValue(true);
+        apiClient.useMockServer(createMockServer({ storage: null, delay: 0 }));
+        await authAPI.login({ email: 'employee@example.com', password: 'password123' });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        await Promise.all(offlineQueue.getSnapshot().map((mutation) => offlineQueue.discard(mutation.id)));
+        apiClient.useMockServer(null);
+        onLine.mockRestore();
+        console.error.mockRestore();
+    });
+
+    it('sends mutations straight through while online', async () => {
+        const result = await commentApi.addProjectComment(1, 'Online comment');
+
+        expect(result.comment.content).toBe('Online comment');
+        expect(offlineQueue.getSnapshot()).toHaveLength(0);
+    });
+
+    it('queues mutations made offline and replays them in order', async () => {
+        goOffline();
+
+        const comment = await commentApi.addProjectComment(1, 'Written on the train');
+        await tasksAPI.move(3, 'In Progress');
+        await timeApi.logTime(3, { hours_spent: 2, description: '', date_logged: '2026-01-05' });
+
+        expect(comment).toMatchObject({ queued: true, mutation: { kind: 'comment', status: 'pending' } });
+        expect(offlineQueue.getSnapshot().map((m) => m.kind)).toEqual(['comment', 'task-move', 'time-log']);
+
+        const replayed = [];
+        const unsubscribe = offlineQueue.onReplayed((mutation) => replayed.push(mutation.kind));
+
+        goOnline();
+        await offlineQueue.replay();
+        unsubscribe();
+
+        expect(replayed).toEqual(['comment', 'task-move', 'time-log']);
+        expect(offlineQueue.getSnapshot()).toHaveLength(0);
+
+        const { items: comments } = await commentApi.getProjectComments(1);
+        expect(comments.map((c) => c.content)).toContain('Written on the train');
+        const task = await tasksAPI.getById(3);
+        expect(task.status).toBe('In Progress');
+        const { totalHours } = await timeApi.getTimeLogs(3);
+        expect(totalHours).toBe(2);
+    });
+
+    it('keeps later mutations behind earlier ones that are still waiting', async () => {
+        goOffline();
+        await tasksAPI.move(3, 'In Progress');
+
+        goOnline();
+        const result = await tasksAPI.move(3, 'Done');
+
+        expect(result.queued).toBe(true);
+
+        await offlineQueue.replay();
+        const task = await tasksAPI.getById(3);
+        expect(task.status).toBe('Done');
+    });
+
+    describe('while viewing as another user', () => {
+        const startViewingAs = async (userId) => {
+            await authAPI.startImpersonation(userId);
+            apiClient.setReadOnly(true);
+        };
+
+        const stopViewingAs = async () => {
+            await authAPI.stopImpersonation();
+            apiClient.setReadOnly(false);
+        };
+
+        beforeEach(async () => {
+            await authAPI.login({ email: 'manager@example.com', password: 'password123' });
+        });
+
+        afterEach(() => {
+            apiClient.setReadOnly(false);
+        });
+
+        it('refuses to queue a move instead of holding it for later', async () => {
+            await startViewingAs(2);
+            goOffline();
+
+            await expect(tasksAPI.move(3, 'Done')).rejects.toMatchObject({ code: 'VIEW_AS_READ_ONLY', status: 403 });
+            expect(offlineQueue.getSnapshot()).toHaveLength(0);
+
+            // Nothing is sent under the manager's session once "view as" ends either
+            goOnline();
+            await stopViewingAs();
+            await offlineQueue.replay();
+            const task = await tasksAPI.getById(3);
+            expect(task.status).not.toBe('Done');
+        });
+
+        it('holds mutations queued before it started until it ends', async () => {
+            goOffline();
+            await tasksAPI.move(3, 'Done');
+            await startViewingAs(2);
+
+            goOnline();
+            await offlineQueue.replay();
+            expect(offlineQueue.getSnapshot()).toEqual([expect.objectContaining({ kind: 'task-move', status: 'pending' })]);
+
+            await stopViewingAs();
+            await offlineQueue.replay();
+            expect(offlineQueue.getSnapshot()).toHaveLength(0);
+            const task = await tasksAPI.getById(3);
+            expect(task.status).toBe('Done');
+        });
+    });
+
+    it('marks mutations the server rejects as failed', async () => {
+        goOffline();
+        await tasksAPI.move(999, 'Done');
+
+        goOnline();
+        await offlineQueue.replay();
+
+        expect(offlineQueue.getSnapshot()).toEqual([
+            expect.objectContaining({ kind: 'task-move', status: 'failed', error: 'Task not found' }),
+        ]);
+    });
+});
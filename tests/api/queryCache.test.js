@@ -0,0 +1,135 @@
+import { queryCache, queryKeys } from '../../src/api/queryCache';
+
+// Lets the cache's promise chains (fetch, then/catch/finally) settle
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('queryCache', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('shares one request between callers and serves fresh data from the cache', async () => {
+        const fetcher = jest.fn().mockResolvedValue(['a']);
+
+        const [first, second] = await Promise.all([
+            queryCache.fetch(['projects'], fetcher),
+            queryCache.fetch(['projects'], fetcher),
+        ]);
+        const third = await queryCache.fetch(['projects'], fetcher);
+
+        expect(first).toEqual(['a']);
+        expect(second).toBe(first);
+        expect(third).toBe(first);
+        expect(fetcher).toHaveBeenCalledTimes(1);
+    });
+
+    it('fetches again once the data is older than the stale time', async () => {
+        const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+        const fetcher = jest.fn().mockResolvedValueOnce('old').mockResolvedValueOnce('new');
+
+        await queryCache.fetch(['projects'], fetcher, { staleTime: 5000 });
+
+        now.mockReturnValue(6000);
+        expect(await queryCache.fetch(['projects'], fetcher, { staleTime: 5000 })).toBe('old');
+
+        now.mockReturnValue(6001);
+        expect(await queryCache.fetch(['projects'], fetcher, { staleTime: 5000 })).toBe('new');
+        expect(fetcher).toHaveBeenCalledTimes(2);
+    });
+
+    it('invalidates every key under a prefix and refetches only the ones on screen', async () => {
+        const projectOne = jest.fn().mockResolvedValue('tasks of 1');
+        const projectTwo = jest.fn().mockResolvedValue('tasks of 2');
+        const project = jest.fn().mockResolvedValue('project 1');
+
+        await queryCache.fetch(queryKeys.tasks.byProject(1), projectOne);
+        await queryCache.fetch(queryKeys.tasks.byProject(2), projectTwo);
+        await queryCache.fetch(queryKeys.projects.detail(1), project);
+        const unsubscribe = queryCache.subscribe(queryKeys.tasks.byProject(1), () => {});
+
+        queryCache.invalidate(queryKeys.tasks.all);
+        await flush();
+
+        // Watched: refetched straight away; unwatched: refetched on its next read; other families untouched
+        expect(projectOne).toHaveBeenCalledTimes(2);
+        expect(projectTwo).toHaveBeenCalledTimes(1);
+        await queryCache.fetch(queryKeys.tasks.byProject(2), projectTwo);
+        expect(projectTwo).toHaveBeenCalledTimes(2);
+        await queryCache.fetch(queryKeys.projects.detail(1), project);
+        expect(project).toHaveBeenCalledTimes(1);
+
+        unsubscribe();
+    });
+
+    it('does not treat a key as a prefix of a longer sibling', async () => {
+        const fetcher = jest.fn().mockResolvedValue('project 12');
+        await queryCache.fetch(queryKeys.projects.detail(12), fetcher);
+
+        queryCache.invalidate(queryKeys.projects.detail(1));
+        await queryCache.fetch(queryKeys.projects.detail(12), fetcher);
+
+        expect(fetcher).toHaveBeenCalledTimes(1);
+    });
+
+    it('refetches once more when invalidated while a request is in flight', async () => {
+        let resolveFirst;
+        const fetcher = jest.fn()
+            .mockImplementationOnce(() => new Promise((resolve) => { resolveFirst = resolve; }))
+            .mockResolvedValueOnce('after the change');
+        const unsubscribe = queryCache.subscribe(['projects'], () => {});
+
+        const pending = queryCache.fetch(['projects'], fetcher);
+        queryCache.invalidate(['projects']);
+        resolveFirst('before the change');
+        await pending;
+        await flush();
+
+        expect(fetcher).toHaveBeenCalledTimes(2);
+        expect(queryCache.getSnapshot(['projects']).data).toBe('after the change');
+        unsubscribe();
+    });
+
+    it('patches every cached response under a prefix with setQueriesData', async () => {
+        await queryCache.fetch(queryKeys.tasks.byProject(1), async () => ({ items: [{ id: 1, title: 'Old' }] }));
+        await queryCache.fetch(queryKeys.tasks.byProject(2), async () => ({ items: [{ id: 2, title: 'Other' }] }));
+        queryCache.getEntry(queryKeys.tasks.byProject(3)); // never loaded
+        const listener = jest.fn();
+        const unsubscribe = queryCache.subscribe(queryKeys.tasks.byProject(1), listener);
+
+        const updater = jest.fn((data) => ({
+            items: data.items.map((task) => (task.id === 1 ? { ...task, title: 'New' } : task)),
+        }));
+        queryCache.setQueriesData(queryKeys.tasks.all, updater);
+
+        expect(updater).toHaveBeenCalledTimes(2);
+        expect(updater).toHaveBeenCalledWith(expect.anything(), queryKeys.tasks.byProject(1));
+        expect(queryCache.getSnapshot(queryKeys.tasks.byProject(1)).data.items[0].title).toBe('New');
+        expect(queryCache.getSnapshot(queryKeys.tasks.byProject(2)).data.items[0].title).toBe('Other');
+        expect(queryCache.getSnapshot(queryKeys.tasks.byProject(3)).data).toBeUndefined();
+        expect(listener).toHaveBeenCalled();
+        unsubscribe();
+    });
+
+    it('aborts the request when the last subscriber leaves', async () => {
+        let signal;
+        const fetcher = jest.fn((s) => {
+            signal = s;
+            return new Promise(() => {});
+        });
+        const first = queryCache.subscribe(['projects'], () => {});
+        const second = queryCache.subscribe(['projects'], () => {});
+
+        queryCache.fetch(['projects'], fetcher);
+        await flush();
+
+        first();
+        expect(signal.aborted).toBe(false);
+        second();
+        expect(signal.aborted).toBe(true);
+
+        // The next reader starts a new request instead of waiting on the cancelled one
+        queryCache.fetch(['projects'], fetcher);
+        await flush();
+        expect(fetcher).toHaveBeenCalledTimes(2);
+    });
+});
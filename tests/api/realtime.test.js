@@ -0,0 +1,83 @@
+import { apiClient } from '../../src/api/client';
+import { createMockServer } from '../../src/api/mock';
+import { realtime } from '../../src/api/realtime';
+import { authAPI } from '../../src/api/auth';
+import { tasksAPI, applyTaskEvent } from '../../src/api/tasks';
+import { queryCache, queryKeys } from '../../src/api/queryCache';
+
+const nextEvent = (channel) => new Promise((resolve) => {
+    const unsubscribe = realtime.subscribe(channel, {
+        onEvent: (event) => {
+            unsubscribe();
+            resolve(event);
+        },
+    });
+});
+
+describe('Realtime events', () => {
+    afterEach(() => {
+        apiClient.useMockServer(null);
+        queryCache.clear();
+    });
+
+    describe('with the mock backend', () => {
+        beforeEach(async () => {
+            apiClient.useMockServer(createMockServer({ storage: null, delay: 0 }));
+            await authAPI.login({ email: 'employee@example.com', password: 'password123' });
+        });
+
+        it('pushes task changes to the project channel', async () => {
+            const received = nextEvent('project:1');
+            await tasksAPI.update(3, { status: 'Done' });
+
+            const event = await received;
+            expect(event).toMatchObject({ type: 'task.updated', payload: { task: { id: 3, status: 'Done' } } });
+        });
+
+        it('only delivers notifications to the user they are for', async () => {
+            const received = jest.fn();
+            const unsubscribe = realtime.subscribe('notifications', { onEvent: received });
+
+            // Assigning Priya notifies Priya, not the signed-in employee
+            const pushed = nextEvent('project:1');
+            await tasksAPI.update(3, { assignee_id: 3 });
+            await pushed;
+            unsubscribe();
+
+            expect(received).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('without a stream', () => {
+        beforeEach(() => jest.useFakeTimers());
+        afterEach(() => jest.useRealTimers());
+
+        it('falls back to polling subscribers', () => {
+            const onResync = jest.fn();
+            const unsubscribe = realtime.subscribe('project:1', { onResync });
+
+            expect(realtime.status).toBe('polling');
+            jest.advanceTimersByTime(30000);
+            expect(onResync).toHaveBeenCalledTimes(1);
+
+            unsubscribe();
+            jest.advanceTimersByTime(30000);
+            expect(onResync).toHaveBeenCalledTimes(1);
+            expect(realtime.status).toBe('idle');
+        });
+    });
+
+    it('applies task events to the cached task list', () => {
+        const key = queryKeys.tasks.byProject(1);
+        queryCache.setQueryData(key, { items: [{ id: 1, title: 'Old', status: 'To Do' }, { id: 2, title: 'Other' }], total: 2 });
+
+        applyTaskEvent(1, { type: 'task.updated', payload: { task: { id: 1, title: 'New', status: 'Done' } } });
+        applyTaskEvent(1, { type: 'task.created', payload: { task: { id: 3, title: 'Added' } } });
+        applyTaskEvent(1, { type: 'task.deleted', payload: { task_id: 2 } });
+
+        expect(queryCache.getSnapshot(key).data.items).toEqual([
+            { id: 1, title: 'New', status: 'Done' },
+            { id: 3, title: 'Added' },
+        ]);
+    });
+});
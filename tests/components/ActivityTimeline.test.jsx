@@ -0,0 +1,57 @@
+import { render, screen } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import ActivityTimeline from '../../src/components/ActivityTimeline';
+import { activitiesApi } from '../../src/api/activities';
+
+jest.mock('../../src/api/activities');
+
+describe('ActivityTimeline', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        console.error.mockRestore();
+    });
+
+    test('passes an abort signal and cancels it when the task changes or the timeline unmounts', () => {
+        activitiesApi.getTaskActivities.mockReturnValue(new Promise(() => {}));
+
+        const { rerender, unmount } = render(<ActivityTimeline taskId={1} />);
+
+        expect(activitiesApi.getTaskActivities).toHaveBeenCalledWith(1, { signal: expect.any(AbortSignal) });
+        const { signal: first } = activitiesApi.getTaskActivities.mock.calls[0][1];
+
+        rerender(<ActivityTimeline taskId={2} />);
+        expect(first.aborted).toBe(true);
+        const { signal: second } = activitiesApi.getTaskActivities.mock.calls[1][1];
+        expect(second.aborted).toBe(false);
+
+        unmount();
+        expect(second.aborted).toBe(true);
+    });
+
+    test('does not report a cancelled request as a failure', async () => {
+        activitiesApi.getActivities.mockImplementation((options) => new Promise((resolve, reject) => {
+            options.signal.addEventListener('abort', () => reject(new DOMException('The operation was aborted.', 'AbortError')));
+        }));
+
+        const { unmount } = render(<ActivityTimeline projectId={1} />);
+        unmount();
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        expect(console.error).not.toHaveBeenCalled();
+    });
+
+    test('shows the task\'s history once it loads', async () => {
+        activitiesApi.getTaskActivities.mockResolvedValue({
+            items: [{ id: 1, user_name: 'Priya', action: 'Moved the task to Done', created_at: '2026-01-01T10:00:00Z' }],
+        });
+
+        render(<ActivityTimeline taskId={1} />);
+
+        expect(await screen.findByText('Moved the task to Done')).toBeInTheDocument();
+        expect(screen.getByText('Priya')).toBeInTheDocument();
+    });
+});
@@ -0,0 +1,124 @@
+import { render, screen, waitFor, fireEvent, act } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import AttachmentList from '../../src/components/AttachmentList';
+import { attachmentApi } from '../../src/api/attachments';
+import { ProjectContext } from '../../src/hooks/usePermissions';
+
+jest.mock('../../src/api/attachments');
+jest.mock('../../src/context/AuthContext', () => ({
+    useAuth: () => ({ user: { id: 1 }, isManager: () => false }),
+}));
+
+// User 1 works on project 1 as a collaborator unless a test says otherwise
+const collaboratorProject = { id: 1, owner_id: 2, members: [{ id: 1, role: 'collaborator', status: 'accepted' }] };
+
+const renderList = (project = collaboratorProject) =>
+    render(
+        <ProjectContext.Provider value={project}>
+            <AttachmentList projectId={1} />
+        </ProjectContext.Provider>
+    );
+
+describe('AttachmentList', () => {
+    const selectFiles = (files) => {
+        fireEvent.change(screen.getByTestId('attachment-input'), { target: { files } });
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        attachmentApi.getProjectAttachments.mockResolvedValue({ items: [] });
+    });
+
+    afterEach(() => {
+        console.error.mockRestore();
+    });
+
+    it('shows a progress bar for each selected file', async () => {
+        const progressHandlers = {};
+        attachmentApi.addProjectAttachment.mockImplementation((projectId, file, options) => {
+            progressHandlers[file.name] = options.onProgress;
+            return new Promise(() => {});
+        });
+
+        renderList();
+        await waitFor(() => expect(screen.getByText('No files attached yet')).toBeInTheDocument());
+
+        selectFiles([
+            new File(['a'], 'notes.txt', { type: 'text/plain' }),
+            new File(['b'], 'diagram.png', { type: 'image/png' }),
+        ]);
+
+        expect(attachmentApi.addProjectAttachment).toHaveBeenCalledTimes(2);
+
+        act(() => progressHandlers['notes.txt']({ loaded: 50, total: 200 }));
+
+        expect(screen.getByRole('progressbar', { name: 'Uploading notes.txt' })).toHaveAttribute('aria-valuenow', '25');
+        expect(screen.getByRole('progressbar', { name: 'Uploading diagram.png' })).toHaveAttribute('aria-valuenow', '0');
+    });
+
+    it('cancels an upload through its abort signal', async () => {
+        let uploadSignal;
+        attachmentApi.addProjectAttachment.mockImplementation((projectId, file, options) => {
+            uploadSignal = options.signal;
+            return new Promise(() => {});
+        });
+
+        renderList();
+        await waitFor(() => expect(screen.getByText('No files attached yet')).toBeInTheDocument());
+
+        selectFiles([new File(['a'], 'notes.txt', { type: 'text/plain' })]);
+        fireEvent.click(screen.getByTitle('Cancel upload'));
+
+        expect(uploadSignal.aborted).toBe(true);
+        expect(screen.queryByText('notes.txt')).not.toBeInTheDocument();
+    });
+
+    it('lets a failed upload be retried', async () => {
+        attachmentApi.addProjectAttachment
+            .mockRejectedValueOnce(new Error('Server error. Please try again later.'))
+            .mockResolvedValueOnce({ attachment: { id: 7 } });
+
+        renderList();
+        await waitFor(() => expect(screen.getByText('No files attached yet')).toBeInTheDocument());
+
+        selectFiles([new File(['a'], 'notes.txt', { type: 'text/plain' })]);
+
+        await waitFor(() => expect(screen.getByText('Server error. Please try again later.')).toBeInTheDocument());
+
+        fireEvent.click(screen.getByTitle('Retry upload'));
+
+        await waitFor(() => expect(screen.queryByText('notes.txt')).not.toBeInTheDocument());
+        expect(attachmentApi.addProjectAttachment).toHaveBeenCalledTimes(2);
+        expect(attachmentApi.getProjectAttachments).toHaveBeenCalledTimes(2);
+    });
+
+    it('rejects files over the size limit without uploading them', async () => {
+        renderList();
+        await waitFor(() => expect(screen.getByText('No files attached yet')).toBeInTheDocument());
+
+        const bigFile = new File(['x'], 'huge.zip');
+        Object.defineProperty(bigFile, 'size', { value: 11 * 1024 * 1024 });
+        selectFiles([bigFile]);
+
+        expect(screen.getByText('huge.zip exceeds the 10MB limit.')).toBeInTheDocument();
+        expect(attachmentApi.addProjectAttachment).not.toHaveBeenCalled();
+    });
+
+    it('lets viewers download but not upload or delete other people\'s files', async () => {
+        attachmentApi.getProjectAttachments.mockResolvedValue({
+            items: [
+                { id: 1, file_name: 'spec.pdf', file_url: '#', uploader_id: 2, uploader_name: 'Eli Employee', created_at: '2026-01-05T10:00:00Z' },
+                { id: 2, file_name: 'mine.txt', file_url: '#', uploader_id: 1, uploader_name: 'Maya', created_at: '2026-01-06T10:00:00Z' },
+            ],
+        });
+
+        renderList({ ...collaboratorProject, members: [{ id: 1, role: 'viewer', status: 'accepted' }] });
+
+        await waitFor(() => expect(screen.getByText('spec.pdf')).toBeInTheDocument());
+        expect(screen.queryByText('Upload Files')).not.toBeInTheDocument();
+        expect(screen.getAllByTitle('View/Download')).toHaveLength(2);
+        // Only their own upload can be removed
+        expect(screen.getAllByTitle('Delete file')).toHaveLength(1);
+    });
+});
@@ -0,0 +1,73 @@
+import { render, screen } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import Can from '../../src/components/Can';
+import { ProjectContext } from '../../src/hooks/usePermissions';
+import { useAuth } from '../../src/context/AuthContext';
+
+jest.mock('../../src/context/AuthContext');
+
+const project = {
+    id: 1,
+    owner_id: 1,
+    members: [
+        { id: 2, role: 'collaborator', status: 'accepted' },
+        { id: 3, role: 'viewer', status: 'accepted' },
+        { id: 4, role: 'collaborator', status: 'pending' },
+    ],
+};
+
+const people = {
+    owner: { id: 1, role: 'Employee' },
+    collaborator: { id: 2, role: 'Employee' },
+    viewer: { id: 3, role: 'Employee' },
+    invited: { id: 4, role: 'Employee' },
+    outsider: { id: 5, role: 'Employee' },
+    manager: { id: 6, role: 'Manager' },
+    admin: { id: 7, role: 'Admin' },
+};
+
+const allowed = (person, action, props = {}) => {
+    useAuth.mockReturnValue({ user: people[person] });
+    const { unmount } = render(
+        <ProjectContext.Provider value={project}>
+            <Can action={action} {...props} fallback={<span>no</span>}>
+                <span>yes</span>
+            </Can>
+        </ProjectContext.Provider>
+    );
+    const result = screen.getByText(/yes|no/).textContent === 'yes';
+    unmount();
+    return result;
+};
+
+describe('Can', () => {
+    it.each([
+        ['tasks.move', ['owner', 'collaborator', 'manager', 'admin']],
+        ['tasks.delete', ['owner', 'manager', 'admin']],
+        ['members.manage', ['owner', 'manager', 'admin']],
+        ['sprints.manage', ['owner', 'collaborator', 'manager', 'admin']],
+        ['comments.create', ['owner', 'collaborator', 'viewer', 'manager', 'admin']],
+    ])('lets only the right people %s', (action, expected) => {
+        const granted = Object.keys(people).filter((person) => allowed(person, action));
+        expect(granted).toEqual(expected);
+    });
+
+    it('lets anyone remove what they added themselves', () => {
+        expect(allowed('outsider', 'comments.delete', { createdBy: 5 })).toBe(true);
+        expect(allowed('outsider', 'comments.delete', { createdBy: 2 })).toBe(false);
+        expect(allowed('collaborator', 'attachments.delete', { createdBy: 3 })).toBe(false);
+        expect(allowed('owner', 'attachments.delete', { createdBy: 3 })).toBe(true);
+    });
+
+    it('prefers an explicit project over the surrounding one', () => {
+        useAuth.mockReturnValue({ user: people.outsider });
+        render(
+            <ProjectContext.Provider value={project}>
+                <Can action="project.edit" project={{ id: 2, owner_id: 5, members: [] }}>
+                    <span>Edit</span>
+                </Can>
+            </ProjectContext.Provider>
+        );
+        expect(screen.getByText('Edit')).toBeInTheDocument();
+    });
+});
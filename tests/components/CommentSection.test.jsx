@@ -0,0 +1,61 @@
+import { render, screen, waitFor, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import CommentSection from '../../src/components/CommentSection';
+import { commentApi } from '../../src/api/comments';
+import { offlineQueue } from '../../src/api/offlineQueue';
+
+jest.mock('../../src/api/comments');
+jest.mock('../../src/context/AuthContext', () => ({
+    useAuth: () => ({ user: { id: 2, name: 'Eli Employee' }, isManager: () => false }),
+}));
+
+describe('CommentSection', () => {
+    let onLine;
+
+    const queueComment = (content, meta = { projectId: 1 }) => offlineQueue.enqueue({
+        kind: 'comment',
+        method: 'POST',
+        endpoint: `/projects/${meta.projectId}/comments`,
+        body: { content },
+        meta,
+    });
+
+    beforeEach(async () => {
+        jest.clearAllMocks();
+        await Promise.all(offlineQueue.getSnapshot().map((mutation) => offlineQueue.discard(mutation.id)));
+        // Offline, so queued comments stay in the queue instead of being replayed
+        onLine = jest.spyOn(window.navigator, 'onLine', 'get').mockReturnValue(false);
+        commentApi.getProjectComments.mockResolvedValue({
+            items: [{ id: 1, author_id: 3, author_name: 'Priya Patel', content: 'Looks good', created_at: '2026-01-05T10:00:00Z' }],
+        });
+    });
+
+    afterEach(() => {
+        onLine.mockRestore();
+    });
+
+    it('shows comments posted offline with a pending badge', async () => {
+        await queueComment('Written on the train');
+        await queueComment('For another project', { projectId: 2 });
+
+        render(<CommentSection projectId={1} />);
+
+        await waitFor(() => expect(screen.getByText('Looks good')).toBeInTheDocument());
+        expect(screen.getByText('Written on the train')).toBeInTheDocument();
+        expect(screen.getByText('Pending sync')).toBeInTheDocument();
+        expect(screen.queryByText('For another project')).not.toBeInTheDocument();
+    });
+
+    it('offers retry and discard for comments the server rejected', async () => {
+        const mutation = await queueComment('Rejected comment');
+        await offlineQueue.storage.put({ ...mutation, status: 'failed', error: 'Project not found' });
+        await offlineQueue.load();
+
+        render(<CommentSection projectId={1} />);
+
+        await waitFor(() => expect(screen.getByText('Sync failed')).toBeInTheDocument());
+        fireEvent.click(screen.getByRole('button', { name: 'Discard' }));
+
+        await waitFor(() => expect(screen.queryByText('Rejected comment')).not.toBeInTheDocument());
+    });
+});
@@ -7,6 +7,7 @@ import { classesAPI } from '../../src/api/classes';
 import { cohortsAPI } from '../../src/api/cohorts';
 import { membersAPI } from '../../src/api/members';
 import { useAuth } from '../../src/context/AuthContext';
+import { ApiError } from '../../src/api/errors';
 
 jest.mock('../../src/api/projects');
 jest.mock('../../src/api/classes');
@@ -42,7 +43,7 @@ describe('CreateProjectModal', () => {
     beforeEach(() => {
         jest.clearAllMocks();
         useAuth.mockReturnValue({ user: mockUser });
-        classesAPI.getAll.mockResolvedValue(mockClasses);
+        classesAPI.getAll.mockResolvedValue({ items: mockClasses });
         cohortsAPI.getAll.mockResolvedValue({ items: mockCohorts });
     });
 
@@ -342,6 +343,7 @@ describe('CreateProjectModal', () => {
                 github_link: 'https://github.com/test/repo',
                 class_id: 1,
                 cohort_id: 1,
+                version: 3,
             };
             projectsAPI.update.mockResolvedValue({});
 
@@ -371,7 +373,7 @@ describe('CreateProjectModal', () => {
                     github_link: 'https://github.com/test/repo',
                     class_id: 1,
                     cohort_id: 1,
-                });
+                }, { version: 3 });
             });
 
             expect(mockOnSuccess).toHaveBeenCalled();
@@ -401,6 +403,32 @@ describe('CreateProjectModal', () => {
             });
         });
 
+        test('highlights fields rejected by the server', async () => {
+            const user = userEvent.setup();
+            projectsAPI.create.mockRejectedValue(new ApiError('Validation failed', {
+                status: 422,
+                fieldErrors: { github_link: 'Not a valid URL.' },
+            }));
+
+            render(<CreateProjectModal onClose={mockOnClose} onSuccess={mockOnSuccess} />);
+
+            await waitFor(() => {
+                expect(screen.getByLabelText(/Project Name/i)).toBeInTheDocument();
+            });
+
+            await user.type(screen.getByLabelText(/Project Name/i), 'New Project');
+            await user.selectOptions(screen.getByLabelText(/Project Category/i), '1');
+            await user.selectOptions(screen.getByLabelText(/Assigned Team/i), '1');
+
+            fireEvent.click(screen.getByRole('button', { name: /Establish Project/i }));
+
+            await waitFor(() => {
+                expect(screen.getByText('Not a valid URL.')).toBeInTheDocument();
+            });
+            expect(screen.getByLabelText(/Repository Link/i)).toHaveAttribute('aria-invalid', 'true');
+            expect(screen.getByLabelText(/Project Name/i)).toHaveAttribute('aria-invalid', 'false');
+        });
+
         test('handles error when loading classes and cohorts fails', async () => {
             const consoleError = jest.spyOn(console, 'error').mockImplementation(() => { });
             classesAPI.getAll.mockRejectedValue(new Error('Failed to load classes'));
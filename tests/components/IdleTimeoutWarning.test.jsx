@@ -0,0 +1,73 @@
+import { render, screen, act, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import IdleTimeoutWarning from '../../src/components/IdleTimeoutWarning';
+import { useAuth } from '../../src/context/AuthContext';
+
+jest.mock('../../src/context/AuthContext');
+
+describe('IdleTimeoutWarning', () => {
+    const logout = jest.fn();
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        localStorage.clear();
+        logout.mockClear();
+        useAuth.mockReturnValue({ user: { id: 2, preferences: { idle_timeout_minutes: 5 } }, logout });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    const idleFor = (ms) => act(() => {
+        jest.advanceTimersByTime(ms);
+    });
+
+    test('counts down during the last minute and then signs out', () => {
+        render(<IdleTimeoutWarning />);
+
+        idleFor(3 * 60 * 1000);
+        expect(screen.queryByRole('alertdialog')).not.toBeInTheDocument();
+
+        idleFor(60 * 1000 + 30 * 1000);
+        expect(screen.getByRole('alertdialog')).toBeInTheDocument();
+        expect(screen.getByText('0:30')).toBeInTheDocument();
+
+        // Moving the mouse doesn't silently cancel a warning that is already showing
+        fireEvent.mouseMove(window);
+        idleFor(30 * 1000);
+
+        expect(logout).toHaveBeenCalledWith({ reason: 'idle' });
+        expect(screen.queryByRole('alertdialog')).not.toBeInTheDocument();
+    });
+
+    test('stays signed in when asked', () => {
+        render(<IdleTimeoutWarning />);
+
+        idleFor(4.5 * 60 * 1000);
+        fireEvent.click(screen.getByRole('button', { name: 'Stay Signed In' }));
+        expect(screen.queryByRole('alertdialog')).not.toBeInTheDocument();
+
+        idleFor(60 * 1000);
+        expect(logout).not.toHaveBeenCalled();
+    });
+
+    test('activity in another tab keeps this one signed in', () => {
+        render(<IdleTimeoutWarning />);
+
+        idleFor(4 * 60 * 1000);
+        localStorage.setItem('last_activity_at', String(Date.now()));
+        idleFor(2 * 60 * 1000);
+
+        expect(screen.queryByRole('alertdialog')).not.toBeInTheDocument();
+        expect(logout).not.toHaveBeenCalled();
+    });
+
+    test('does nothing when the timeout is switched off', () => {
+        useAuth.mockReturnValue({ user: { id: 2, preferences: { idle_timeout_minutes: 0 } }, logout });
+        render(<IdleTimeoutWarning />);
+
+        idleFor(24 * 60 * 60 * 1000);
+        expect(logout).not.toHaveBeenCalled();
+    });
+});
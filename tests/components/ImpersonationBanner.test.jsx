@@ -0,0 +1,76 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import ImpersonationBanner from '../../src/components/ImpersonationBanner';
+import { AuthProvider, useAuth } from '../../src/context/AuthContext';
+import { authAPI } from '../../src/api/auth';
+import { apiClient } from '../../src/api/client';
+
+jest.mock('../../src/api/auth');
+jest.mock('../../src/api/client');
+jest.mock('../../src/api/queryCache');
+
+const manager = { id: 1, name: 'Maya Manager', email: 'manager@example.com', role: 'Manager' };
+const employee = { id: 2, name: 'Eli Employee', email: 'employee@example.com', role: 'Employee' };
+
+const Dashboard = () => {
+    const { user, startImpersonation } = useAuth();
+    if (!user) return null;
+
+    return (
+        <div>
+            <p>Dashboard for {user.name}</p>
+            <button onClick={() => startImpersonation(employee.id)}>View As Eli</button>
+        </div>
+    );
+};
+
+const renderApp = () =>
+    render(
+        <MemoryRouter initialEntries={['/dashboard']}>
+            <AuthProvider>
+                <ImpersonationBanner />
+                <Routes>
+                    <Route path="/dashboard" element={<Dashboard />} />
+                </Routes>
+            </AuthProvider>
+        </MemoryRouter>
+    );
+
+describe('ImpersonationBanner', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        localStorage.clear();
+        localStorage.setItem('user', JSON.stringify(manager));
+        authAPI.startImpersonation.mockResolvedValue({ user: employee, impersonator: manager });
+        authAPI.stopImpersonation.mockResolvedValue({ user: manager });
+    });
+
+    it('shows the app as the employee, read-only, until the manager stops', async () => {
+        renderApp();
+        expect(screen.queryByRole('status')).not.toBeInTheDocument();
+
+        fireEvent.click(screen.getByRole('button', { name: 'View As Eli' }));
+
+        expect(await screen.findByText('Dashboard for Eli Employee')).toBeInTheDocument();
+        expect(screen.getByRole('status')).toHaveTextContent('Signed in as Maya Manager');
+        expect(apiClient.setReadOnly).toHaveBeenLastCalledWith(true);
+
+        fireEvent.click(screen.getByRole('button', { name: 'Stop Viewing' }));
+
+        expect(await screen.findByText('Dashboard for Maya Manager')).toBeInTheDocument();
+        expect(screen.queryByRole('status')).not.toBeInTheDocument();
+        expect(apiClient.setReadOnly).toHaveBeenLastCalledWith(false);
+        expect(localStorage.getItem('impersonator')).toBeNull();
+    });
+
+    it('stays in the view after a reload', () => {
+        localStorage.setItem('user', JSON.stringify(employee));
+        localStorage.setItem('impersonator', JSON.stringify(manager));
+
+        renderApp();
+
+        expect(screen.getByRole('status')).toHaveTextContent('Viewing as Eli Employee');
+        expect(apiClient.setReadOnly).toHaveBeenCalledWith(true);
+    });
+});
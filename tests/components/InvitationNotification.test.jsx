@@ -2,6 +2,7 @@ import { render, screen, waitFor, fireEvent } from '@testing-library/react';
 import '@testing-library/jest-dom';
 import InvitationNotification from '../../src/components/InvitationNotification';
 import { membersAPI } from '../../src/api/members';
+import { ApiError } from '../../src/api/errors';
 
 jest.mock('../../src/api/members');
 jest.mock('lucide-react', () => ({
@@ -34,7 +35,7 @@ describe('InvitationNotification', () => {
 
     describe('Bell Icon and Badge', () => {
         test('renders bell icon', async () => {
-            membersAPI.getPending.mockResolvedValue([]);
+            membersAPI.getPending.mockResolvedValue({ items: [] });
 
             render(<InvitationNotification />);
 
@@ -44,7 +45,7 @@ describe('InvitationNotification', () => {
         });
 
         test('shows badge with invitation count when there are invitations', async () => {
-            membersAPI.getPending.mockResolvedValue(mockInvitations);
+            membersAPI.getPending.mockResolvedValue({ items: mockInvitations });
 
             render(<InvitationNotification />);
 
@@ -54,7 +55,7 @@ describe('InvitationNotification', () => {
         });
 
         test('does not show badge when there are no invitations', async () => {
-            membersAPI.getPending.mockResolvedValue([]);
+            membersAPI.getPending.mockResolvedValue({ items: [] });
 
             const { container } = render(<InvitationNotification />);
 
@@ -69,7 +70,7 @@ describe('InvitationNotification', () => {
 
     describe('Dropdown Toggle', () => {
         test('toggles dropdown when bell icon is clicked', async () => {
-            membersAPI.getPending.mockResolvedValue(mockInvitations);
+            membersAPI.getPending.mockResolvedValue({ items: mockInvitations });
 
             render(<InvitationNotification />);
 
@@ -92,7 +93,7 @@ describe('InvitationNotification', () => {
         });
 
         test('closes dropdown when clicking outside', async () => {
-            membersAPI.getPending.mockResolvedValue(mockInvitations);
+            membersAPI.getPending.mockResolvedValue({ items: mockInvitations });
 
             render(<InvitationNotification />);
 
@@ -128,7 +129,7 @@ describe('InvitationNotification', () => {
         });
 
         test('shows empty state when no invitations', async () => {
-            membersAPI.getPending.mockResolvedValue([]);
+            membersAPI.getPending.mockResolvedValue({ items: [] });
 
             render(<InvitationNotification />);
 
@@ -145,7 +146,7 @@ describe('InvitationNotification', () => {
         });
 
         test('displays invitations in dropdown', async () => {
-            membersAPI.getPending.mockResolvedValue(mockInvitations);
+            membersAPI.getPending.mockResolvedValue({ items: mockInvitations });
 
             render(<InvitationNotification />);
 
@@ -165,7 +166,7 @@ describe('InvitationNotification', () => {
         });
 
         test('displays invited by information', async () => {
-            membersAPI.getPending.mockResolvedValue(mockInvitations);
+            membersAPI.getPending.mockResolvedValue({ items: mockInvitations });
 
             render(<InvitationNotification />);
 
@@ -185,7 +186,7 @@ describe('InvitationNotification', () => {
 
     describe('Accept Invitation', () => {
         test('accepts invitation and removes it from list', async () => {
-            membersAPI.getPending.mockResolvedValue(mockInvitations);
+            membersAPI.getPending.mockResolvedValue({ items: mockInvitations });
             membersAPI.respond.mockResolvedValue({});
 
             render(<InvitationNotification />);
@@ -214,7 +215,7 @@ describe('InvitationNotification', () => {
         });
 
         test('shows processing state when accepting', async () => {
-            membersAPI.getPending.mockResolvedValue(mockInvitations);
+            membersAPI.getPending.mockResolvedValue({ items: mockInvitations });
             membersAPI.respond.mockImplementation(() => new Promise(resolve => setTimeout(resolve, 100)));
 
             render(<InvitationNotification />);
@@ -239,7 +240,7 @@ describe('InvitationNotification', () => {
         });
 
         test('closes dropdown when last invitation is accepted', async () => {
-            membersAPI.getPending.mockResolvedValue([mockInvitations[0]]);
+            membersAPI.getPending.mockResolvedValue({ items: [mockInvitations[0]] });
             membersAPI.respond.mockResolvedValue({});
 
             render(<InvitationNotification />);
@@ -266,7 +267,7 @@ describe('InvitationNotification', () => {
 
     describe('Decline Invitation', () => {
         test('declines invitation and removes it from list', async () => {
-            membersAPI.getPending.mockResolvedValue(mockInvitations);
+            membersAPI.getPending.mockResolvedValue({ items: mockInvitations });
             membersAPI.respond.mockResolvedValue({});
 
             render(<InvitationNotification />);
@@ -320,7 +321,7 @@ describe('InvitationNotification', () => {
             const consoleError = jest.spyOn(console, 'error').mockImplementation(() => { });
             const alertSpy = jest.spyOn(window, 'alert').mockImplementation(() => { });
 
-            membersAPI.getPending.mockResolvedValue(mockInvitations);
+            membersAPI.getPending.mockResolvedValue({ items: mockInvitations });
             membersAPI.respond.mockRejectedValue({
                 response: { data: { message: 'Server error' } }
             });
@@ -351,8 +352,10 @@ describe('InvitationNotification', () => {
     });
 
     describe('Array Handling', () => {
-        test('handles non-array response from API', async () => {
-            membersAPI.getPending.mockResolvedValue({ data: 'not an array' });
+        test('handles a response that does not match the invitation schema', async () => {
+            membersAPI.getPending.mockRejectedValue(
+                new ApiError('Unexpected response from GET /members/invitations/pending', { code: 'SCHEMA_MISMATCH' })
+            );
 
             render(<InvitationNotification />);
 
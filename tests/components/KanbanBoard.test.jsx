@@ -1,19 +1,30 @@
-import { render, screen, waitFor, fireEvent } from '@testing-library/react';
+import { render, screen, waitFor, fireEvent, act } from '@testing-library/react';
 import '@testing-library/jest-dom';
 import userEvent from '@testing-library/user-event';
 import KanbanBoard from '../../src/components/KanbanBoard';
 import { tasksAPI } from '../../src/api/tasks';
+import { ApiError } from '../../src/api/errors';
+import { ProjectContext } from '../../src/hooks/usePermissions';
 
 jest.mock('../../src/api/tasks');
+jest.mock('../../src/components/TimeTracker', () => () => null);
 jest.mock('lucide-react', () => ({
     Plus: () => <div data-testid="plus-icon">Plus</div>,
     Trash2: () => <div data-testid="trash-icon">Trash</div>,
     Edit2: () => <div data-testid="edit-icon">Edit</div>,
     X: () => <div data-testid="x-icon">X</div>,
+    ChevronDown: () => null,
+    ChevronRight: () => null,
 }));
 
+// The latest DndContext props, so tests can play out a drag through its handlers
+let mockDnd = {};
+
 jest.mock('@dnd-kit/core', () => ({
-    DndContext: ({ children }) => <div>{children}</div>,
+    DndContext: (props) => {
+        mockDnd = props;
+        return <div>{props.children}</div>;
+    },
     DragOverlay: ({ children }) => <div>{children}</div>,
     closestCorners: jest.fn(),
     KeyboardSensor: jest.fn(),
@@ -78,7 +89,7 @@ describe('KanbanBoard', () => {
 
     describe('Board Rendering', () => {
         test('renders all three columns', async () => {
-            tasksAPI.getByProject.mockResolvedValue({ tasks: [] });
+            tasksAPI.getByProject.mockResolvedValue({ items: [] });
 
             render(<KanbanBoard projectId={1} />);
 
@@ -89,8 +100,41 @@ describe('KanbanBoard', () => {
             });
         });
 
+        test('uses the project\'s own columns and starts new tasks in the first', async () => {
+            const user = userEvent.setup();
+            const project = {
+                id: 1,
+                workflow: [
+                    { name: 'Backlog', done: false },
+                    { name: 'Review', done: false },
+                    { name: 'Shipped', done: true },
+                ],
+            };
+            tasksAPI.getByProject.mockResolvedValue({ items: [{ id: 9, title: 'Needs eyes', status: 'Review' }] });
+            tasksAPI.create.mockResolvedValue({});
+
+            const { container } = render(
+                <ProjectContext.Provider value={project}>
+                    <KanbanBoard projectId={1} />
+                </ProjectContext.Provider>
+            );
+
+            expect(await screen.findByText('Needs eyes')).toBeInTheDocument();
+            const columnIds = [...container.querySelectorAll('[data-column-id]')].map((el) => el.dataset.columnId);
+            expect(columnIds).toEqual(['Backlog', 'Review', 'Shipped']);
+            expect(screen.queryByText('To Do')).not.toBeInTheDocument();
+
+            fireEvent.click(screen.getByTestId('plus-icon'));
+            await user.type(screen.getByPlaceholderText('Enter task title'), 'Groom backlog');
+            fireEvent.click(screen.getByRole('button', { name: /Add Task/i }));
+
+            await waitFor(() => {
+                expect(tasksAPI.create).toHaveBeenCalledWith(expect.objectContaining({ status: 'Backlog' }));
+            });
+        });
+
         test('fetches and displays tasks correctly', async () => {
-            tasksAPI.getByProject.mockResolvedValue({ tasks: mockTasks });
+            tasksAPI.getByProject.mockResolvedValue({ items: mockTasks });
 
             render(<KanbanBoard projectId={1} />);
 
@@ -102,7 +146,7 @@ describe('KanbanBoard', () => {
         });
 
         test('displays task descriptions when available', async () => {
-            tasksAPI.getByProject.mockResolvedValue({ tasks: mockTasks });
+            tasksAPI.getByProject.mockResolvedValue({ items: mockTasks });
 
             render(<KanbanBoard projectId={1} />);
 
@@ -113,7 +157,7 @@ describe('KanbanBoard', () => {
         });
 
         test('displays assignee information when available', async () => {
-            tasksAPI.getByProject.mockResolvedValue({ tasks: mockTasks });
+            tasksAPI.getByProject.mockResolvedValue({ items: mockTasks });
 
             render(<KanbanBoard projectId={1} />);
 
@@ -124,9 +168,43 @@ describe('KanbanBoard', () => {
         });
     });
 
+    describe('Request Cancellation', () => {
+        test('passes an abort signal and cancels it on unmount', async () => {
+            tasksAPI.getByProject.mockReturnValue(new Promise(() => {}));
+
+            const { unmount } = render(<KanbanBoard projectId={1} />);
+
+            expect(tasksAPI.getByProject).toHaveBeenCalledWith(1, { signal: expect.any(AbortSignal) });
+            const { signal } = tasksAPI.getByProject.mock.calls[0][1];
+            expect(signal.aborted).toBe(false);
+
+            unmount();
+
+            expect(signal.aborted).toBe(true);
+        });
+    });
+
+    describe('Query Cache', () => {
+        test('shares one request between boards showing the same project', async () => {
+            tasksAPI.getByProject.mockResolvedValue({ items: mockTasks });
+
+            render(
+                <>
+                    <KanbanBoard projectId={1} />
+                    <KanbanBoard projectId={1} />
+                </>
+            );
+
+            await waitFor(() => {
+                expect(screen.getAllByText('Task 1')).toHaveLength(2);
+            });
+            expect(tasksAPI.getByProject).toHaveBeenCalledTimes(1);
+        });
+    });
+
     describe('Read-Only Mode', () => {
         test('hides edit and delete buttons in read-only mode', async () => {
-            tasksAPI.getByProject.mockResolvedValue({ tasks: mockTasks });
+            tasksAPI.getByProject.mockResolvedValue({ items: mockTasks });
 
             render(<KanbanBoard projectId={1} isReadOnly={true} />);
 
@@ -142,7 +220,7 @@ describe('KanbanBoard', () => {
         });
 
         test('hides add task button in read-only mode', async () => {
-            tasksAPI.getByProject.mockResolvedValue({ tasks: [] });
+            tasksAPI.getByProject.mockResolvedValue({ items: [] });
 
             const { container } = render(<KanbanBoard projectId={1} isReadOnly={true} />);
 
@@ -156,9 +234,363 @@ describe('KanbanBoard', () => {
         });
     });
 
+    describe('Card Order', () => {
+        const column = [
+            { id: 11, title: 'Second', status: 'To Do', priority: 'High', rank: 'r' },
+            { id: 12, title: 'Third', status: 'To Do', priority: 'Low', rank: 'x' },
+            { id: 10, title: 'First', status: 'To Do', priority: 'Low', rank: 'i' },
+        ];
+        const titles = () => screen.getAllByRole('heading', { level: 4 }).map((el) => el.textContent);
+
+        test('shows cards in rank order, with or without filters', async () => {
+            tasksAPI.getByProject.mockResolvedValue({ items: column });
+
+            render(<KanbanBoard projectId={1} />);
+
+            await waitFor(() => expect(titles()).toEqual(['First', 'Second', 'Third']));
+
+            fireEvent.change(screen.getByDisplayValue('All Priorities'), { target: { value: 'Low' } });
+            expect(titles()).toEqual(['First', 'Third']);
+        });
+
+        test('saves a rank between the new neighbours when a card is moved within its column', async () => {
+            tasksAPI.getByProject.mockResolvedValue({ items: column });
+            tasksAPI.move.mockResolvedValue({});
+
+            render(<KanbanBoard projectId={1} />);
+            await waitFor(() => expect(titles()).toEqual(['First', 'Second', 'Third']));
+
+            // Third dropped onto Second takes its place
+            const drag = { active: { id: 12 }, over: { id: 11 } };
+            act(() => mockDnd.onDragStart(drag));
+            await act(() => mockDnd.onDragEnd(drag));
+
+            expect(tasksAPI.move).toHaveBeenCalledWith(12, 'To Do', { rank: expect.any(String), fields: {}, overrideWipLimit: false });
+            const { rank } = tasksAPI.move.mock.calls[0][2];
+            expect(rank > 'i' && rank < 'r').toBe(true);
+            expect(titles()).toEqual(['First', 'Third', 'Second']);
+        });
+
+        test('ranks cards the backend never ranked before placing a card between them', async () => {
+            const unranked = column.map((task) => ({ ...task, rank: undefined }));
+            tasksAPI.getByProject.mockResolvedValue({ items: unranked });
+            tasksAPI.move.mockResolvedValue({});
+
+            render(<KanbanBoard projectId={1} />);
+            // Unranked cards keep the order they were created in
+            await waitFor(() => expect(titles()).toEqual(['First', 'Second', 'Third']));
+
+            const drag = { active: { id: 12 }, over: { id: 11 } };
+            act(() => mockDnd.onDragStart(drag));
+            await act(() => mockDnd.onDragEnd(drag));
+
+            const rankOf = (id) => tasksAPI.move.mock.calls.find(([taskId]) => taskId === id)[2].rank;
+            expect(tasksAPI.move).toHaveBeenCalledTimes(3);
+            expect(tasksAPI.move).toHaveBeenCalledWith(10, 'To Do', { rank: expect.any(String) });
+            expect(tasksAPI.move).toHaveBeenCalledWith(11, 'To Do', { rank: expect.any(String) });
+            expect(rankOf(10) < rankOf(12) && rankOf(12) < rankOf(11)).toBe(true);
+            expect(titles()).toEqual(['First', 'Third', 'Second']);
+        });
+
+        test('ranks only the unranked cards up to the drop point', async () => {
+            const long = [1, 2, 3, 4, 5].map((id) => ({ id, title: `Card ${id}`, status: 'To Do' }));
+            tasksAPI.getByProject.mockResolvedValue({ items: long });
+            tasksAPI.move.mockResolvedValue({});
+
+            render(<KanbanBoard projectId={1} />);
+            await waitFor(() => expect(titles()).toEqual(['Card 1', 'Card 2', 'Card 3', 'Card 4', 'Card 5']));
+
+            const drag = { active: { id: 5 }, over: { id: 2 } };
+            act(() => mockDnd.onDragStart(drag));
+            await act(() => mockDnd.onDragEnd(drag));
+
+            expect(tasksAPI.move.mock.calls.map(([taskId]) => taskId).sort()).toEqual([1, 2, 5]);
+            expect(titles()).toEqual(['Card 1', 'Card 5', 'Card 2', 'Card 3', 'Card 4']);
+        });
+
+        test('drops a card dragged onto a card whose status has no column into the column it shows in', async () => {
+            tasksAPI.getByProject.mockResolvedValue({
+                items: [
+                    { id: 1, title: 'Stray', status: 'Backlog', rank: 'i' },
+                    { id: 2, title: 'Moving', status: 'In Progress', rank: 'i' },
+                ],
+            });
+            tasksAPI.move.mockResolvedValue({});
+
+            render(<KanbanBoard projectId={1} />);
+            await screen.findByText('Stray');
+
+            const drag = { active: { id: 2 }, over: { id: 1 } };
+            act(() => mockDnd.onDragStart(drag));
+            act(() => mockDnd.onDragOver(drag));
+            await act(() => mockDnd.onDragEnd(drag));
+
+            expect(tasksAPI.move).toHaveBeenCalledTimes(1);
+            expect(tasksAPI.move).toHaveBeenCalledWith(2, 'To Do', { rank: expect.any(String), fields: {}, overrideWipLimit: false });
+            expect(tasksAPI.move.mock.calls[0][2].rank < 'i').toBe(true);
+        });
+    });
+
+    describe('Task Details', () => {
+        test('opens a card\'s details on a plain click', async () => {
+            tasksAPI.getByProject.mockResolvedValue({ items: mockTasks });
+            const onOpenTask = jest.fn();
+
+            render(<KanbanBoard projectId={1} onOpenTask={onOpenTask} />);
+            fireEvent.click(await screen.findByText('Task 2'));
+
+            expect(onOpenTask).toHaveBeenCalledWith(mockTasks[1]);
+            expect(screen.queryByText(/selected$/)).not.toBeInTheDocument();
+        });
+    });
+
+    describe('Batch Actions', () => {
+        test('applies one change to the Ctrl-clicked cards and reports each task\'s result', async () => {
+            tasksAPI.getByProject.mockResolvedValue({ items: mockTasks });
+            tasksAPI.batchUpdate.mockResolvedValue([
+                { task_id: 1, status: 'updated' },
+                { task_id: 2, status: 'failed', error: '"Done" is at its WIP limit of 1.' },
+            ]);
+
+            render(<KanbanBoard projectId={1} projectMembers={mockProjectMembers} />);
+
+            fireEvent.click(await screen.findByText('Task 1'), { ctrlKey: true });
+            fireEvent.click(screen.getByText('Task 2'), { metaKey: true });
+            expect(screen.getByText('2 selected')).toBeInTheDocument();
+
+            fireEvent.change(screen.getByLabelText('Move selected to'), { target: { value: 'Done' } });
+
+            await waitFor(() => expect(tasksAPI.batchUpdate).toHaveBeenCalledWith([1, 2], { status: 'Done' }));
+            const summary = await screen.findByRole('status');
+            expect(summary).toHaveTextContent('1 task updated, 1 failed (still selected):');
+            expect(summary).toHaveTextContent('Task 2: "Done" is at its WIP limit of 1.');
+            expect(screen.getByText('1 selected')).toBeInTheDocument();
+        });
+
+        test('Shift-click selects the cards in between', async () => {
+            const column = [1, 2, 3].map((id) => ({ id, title: `Card ${id}`, status: 'To Do', rank: `${id}` }));
+            tasksAPI.getByProject.mockResolvedValue({ items: column });
+            tasksAPI.batchDelete.mockResolvedValue(column.map((task) => ({ task_id: task.id, status: 'deleted' })));
+
+            render(<KanbanBoard projectId={1} />);
+
+            fireEvent.click(await screen.findByText('Card 1'), { ctrlKey: true });
+            fireEvent.click(screen.getByText('Card 3'), { shiftKey: true });
+            expect(screen.getByText('3 selected')).toBeInTheDocument();
+
+            fireEvent.click(screen.getByRole('button', { name: /Delete Selected/ }));
+
+            expect(window.confirm).toHaveBeenCalledWith('Are you sure you want to delete these 3 tasks?');
+            await waitFor(() => expect(tasksAPI.batchDelete).toHaveBeenCalledWith([1, 2, 3]));
+            expect(await screen.findByRole('status')).toHaveTextContent('3 tasks deleted');
+            expect(screen.queryByText(/selected$/)).not.toBeInTheDocument();
+        });
+
+        test('asks about "this task" when deleting a selection of one', async () => {
+            tasksAPI.getByProject.mockResolvedValue({ items: mockTasks });
+            window.confirm.mockReturnValueOnce(false);
+
+            render(<KanbanBoard projectId={1} />);
+
+            fireEvent.click(await screen.findByText('Task 1'), { ctrlKey: true });
+            fireEvent.click(screen.getByRole('button', { name: /Delete Selected/ }));
+
+            expect(window.confirm).toHaveBeenCalledWith('Are you sure you want to delete this task?');
+            expect(tasksAPI.batchDelete).not.toHaveBeenCalled();
+        });
+
+        test('drops the selection when filters or swimlanes change what is on screen', async () => {
+            tasksAPI.getByProject.mockResolvedValue({ items: mockTasks });
+
+            render(<KanbanBoard projectId={1} projectMembers={mockProjectMembers} />);
+
+            fireEvent.click(await screen.findByText('Task 1'), { ctrlKey: true });
+            fireEvent.click(screen.getByText('Task 2'), { ctrlKey: true });
+            expect(screen.getByText('2 selected')).toBeInTheDocument();
+
+            fireEvent.change(screen.getByDisplayValue('All Priorities'), { target: { value: 'Low' } });
+            expect(screen.queryByText(/selected$/)).not.toBeInTheDocument();
+            fireEvent.click(screen.getByRole('button', { name: 'Clear Filters' }));
+
+            fireEvent.click(screen.getByText('Task 1'), { ctrlKey: true });
+            fireEvent.change(screen.getByLabelText('Swimlanes'), { target: { value: 'assignee' } });
+            expect(screen.queryByText(/selected$/)).not.toBeInTheDocument();
+
+            // Folding a lane away deselects only the cards in it
+            fireEvent.click(screen.getByText('Task 1'), { ctrlKey: true });
+            fireEvent.click(screen.getByText('Task 2'), { ctrlKey: true });
+            fireEvent.click(screen.getByRole('button', { name: /John Doe \(1\)/ }));
+            expect(screen.getByText('1 selected')).toBeInTheDocument();
+        });
+    });
+
+    describe('Swimlanes', () => {
+        test('groups cards into collapsible lanes with counts', async () => {
+            tasksAPI.getByProject.mockResolvedValue({ items: mockTasks });
+
+            render(<KanbanBoard projectId={1} projectMembers={mockProjectMembers} />);
+            await screen.findByText('Task 1');
+
+            fireEvent.change(screen.getByLabelText('Swimlanes'), { target: { value: 'assignee' } });
+
+            expect(screen.getByRole('button', { name: /John Doe \(1\)/ })).toBeInTheDocument();
+            expect(screen.getByRole('button', { name: /Jane Smith \(1\)/ })).toBeInTheDocument();
+            const unassigned = screen.getByRole('button', { name: /Unassigned \(1\)/ });
+
+            fireEvent.click(unassigned);
+            expect(unassigned).toHaveAttribute('aria-expanded', 'false');
+            expect(screen.queryByText('Task 3')).not.toBeInTheDocument();
+            expect(screen.getByText('Task 1')).toBeInTheDocument();
+        });
+
+        test('reassigns a card dragged into another assignee\'s lane', async () => {
+            tasksAPI.getByProject.mockResolvedValue({ items: mockTasks });
+            tasksAPI.move.mockResolvedValue({});
+
+            const { container } = render(<KanbanBoard projectId={1} projectMembers={mockProjectMembers} />);
+            await screen.findByText('Task 1');
+            fireEvent.change(screen.getByLabelText('Swimlanes'), { target: { value: 'assignee' } });
+
+            // Task 1 (John, To Do) onto Jane's In Progress cell
+            const cell = [...container.querySelectorAll('[data-column-id]')]
+                .map((el) => el.dataset.columnId)
+                .find((id) => id.endsWith(':2:In Progress'));
+            const drag = { active: { id: 1 }, over: { id: cell } };
+            act(() => mockDnd.onDragStart(drag));
+            act(() => mockDnd.onDragOver(drag));
+            await act(() => mockDnd.onDragEnd(drag));
+
+            expect(tasksAPI.move).toHaveBeenCalledWith(1, 'In Progress', {
+                rank: expect.any(String),
+                fields: { assignee_id: 2 },
+                overrideWipLimit: false,
+            });
+            expect(screen.getByRole('button', { name: /Jane Smith \(2\)/ })).toBeInTheDocument();
+        });
+
+        describe('by label', () => {
+            const labelled = [
+                { id: 1, title: 'Fix login', status: 'To Do', labels: ['bug', 'auth'] },
+                { id: 2, title: 'New header', status: 'To Do', labels: ['ui'] },
+            ];
+
+            const dragToLane = async (container, taskId, lane) => {
+                const cell = [...container.querySelectorAll('[data-column-id]')]
+                    .map((el) => el.dataset.columnId)
+                    .find((id) => id === `lane:label:${lane}:To Do`);
+                const drag = { active: { id: taskId }, over: { id: cell } };
+                act(() => mockDnd.onDragStart(drag));
+                act(() => mockDnd.onDragOver(drag));
+                await act(() => mockDnd.onDragEnd(drag));
+            };
+
+            beforeEach(() => {
+                tasksAPI.getByProject.mockResolvedValue({ items: labelled });
+                tasksAPI.move.mockResolvedValue({});
+            });
+
+            afterEach(() => {
+                window.confirm.mockRestore?.();
+            });
+
+            test('adds the new lane\'s label and keeps the card\'s other labels', async () => {
+                const { container } = render(<KanbanBoard projectId={1} />);
+                await screen.findByText('Fix login');
+                fireEvent.change(screen.getByLabelText('Swimlanes'), { target: { value: 'label' } });
+
+                await dragToLane(container, 1, 'ui');
+
+                expect(tasksAPI.move).toHaveBeenCalledWith(1, 'To Do', expect.objectContaining({
+                    fields: { labels: ['ui', 'bug', 'auth'] },
+                }));
+            });
+
+            test('asks before a drop into "No label" removes the card\'s labels', async () => {
+                jest.spyOn(window, 'confirm').mockReturnValue(false);
+                const { container } = render(<KanbanBoard projectId={1} />);
+                await screen.findByText('Fix login');
+                fireEvent.change(screen.getByLabelText('Swimlanes'), { target: { value: 'label' } });
+
+                await dragToLane(container, 1, '');
+
+                expect(window.confirm).toHaveBeenCalledWith('Remove the labels bug, auth from "Fix login"?');
+                expect(tasksAPI.move).not.toHaveBeenCalled();
+                expect(screen.getByRole('button', { name: /bug \(1\)/ })).toBeInTheDocument();
+
+                window.confirm.mockReturnValue(true);
+                await dragToLane(container, 1, '');
+
+                expect(tasksAPI.move).toHaveBeenCalledWith(1, 'To Do', expect.objectContaining({ fields: { labels: [] } }));
+            });
+        });
+    });
+
+    describe('WIP Limits', () => {
+        const project = {
+            id: 1,
+            wip_policy: 'block',
+            workflow: [
+                { name: 'To Do', done: false },
+                { name: 'In Progress', done: false, wip_limit: 1 },
+                { name: 'Done', done: true },
+            ],
+        };
+
+        const renderBoard = (props = {}) =>
+            render(
+                <ProjectContext.Provider value={project}>
+                    <KanbanBoard projectId={1} {...props} />
+                </ProjectContext.Provider>
+            );
+
+        // Drags task 1 from To Do onto the In Progress column
+        const dragIntoInProgress = async () => {
+            const drag = { active: { id: 1 }, over: { id: 'In Progress' } };
+            act(() => mockDnd.onDragStart(drag));
+            act(() => mockDnd.onDragOver(drag));
+            await act(() => mockDnd.onDragEnd(drag));
+        };
+
+        test('shows each limited column\'s count against its limit', async () => {
+            tasksAPI.getByProject.mockResolvedValue({ items: [...mockTasks, { id: 4, title: 'Task 4', status: 'In Progress' }] });
+
+            renderBoard();
+
+            expect(await screen.findByText('(2/1)')).toHaveAttribute('title', 'Over its WIP limit of 1');
+            expect(screen.getAllByText('(1)')).toHaveLength(2);
+        });
+
+        test('puts the card back when it is dropped into a full column', async () => {
+            tasksAPI.getByProject.mockResolvedValue({ items: mockTasks });
+
+            renderBoard();
+            await screen.findByText('(1/1)');
+
+            await dragIntoInProgress();
+
+            expect(window.alert).toHaveBeenCalledWith('"In Progress" is at its WIP limit of 1.');
+            expect(tasksAPI.move).not.toHaveBeenCalled();
+            expect(screen.getByText('(1/1)')).toBeInTheDocument();
+        });
+
+        test('lets a manager override the limit after confirming', async () => {
+            tasksAPI.getByProject.mockResolvedValue({ items: mockTasks });
+            tasksAPI.move.mockResolvedValue({});
+
+            renderBoard({ canOverrideWip: true });
+            await screen.findByText('(1/1)');
+
+            await dragIntoInProgress();
+
+            expect(window.confirm).toHaveBeenCalledWith('"In Progress" is at its WIP limit of 1. Move the task there anyway?');
+            expect(tasksAPI.move).toHaveBeenCalledWith(1, 'In Progress', { rank: expect.any(String), fields: {}, overrideWipLimit: true });
+            expect(screen.getByText('(2/1)')).toBeInTheDocument();
+        });
+    });
+
     describe('Task Creation', () => {
         test('opens modal when add button is clicked', async () => {
-            tasksAPI.getByProject.mockResolvedValue({ tasks: [] });
+            tasksAPI.getByProject.mockResolvedValue({ items: [] });
 
             render(<KanbanBoard projectId={1} isReadOnly={false} />);
 
@@ -176,7 +608,7 @@ describe('KanbanBoard', () => {
 
         test('creates task successfully', async () => {
             const user = userEvent.setup();
-            tasksAPI.getByProject.mockResolvedValue({ tasks: [] });
+            tasksAPI.getByProject.mockResolvedValue({ items: [] });
             tasksAPI.create.mockResolvedValue({ id: 4, title: 'New Task', status: 'To Do' });
 
             render(<KanbanBoard projectId={1} projectMembers={mockProjectMembers} />);
@@ -210,4 +642,71 @@ describe('KanbanBoard', () => {
             });
         });
     });
+
+    describe('Edit Conflicts', () => {
+        test('asks how to merge when someone else saved the task first', async () => {
+            const user = userEvent.setup();
+            const task = { ...mockTasks[0], priority: 'Medium', version: 1 };
+            const theirs = { ...task, title: 'Their title', description: 'Their note', version: 2 };
+            tasksAPI.getByProject.mockResolvedValue({ items: [task] });
+            tasksAPI.update
+                .mockRejectedValueOnce(new ApiError('This task was changed by someone else', {
+                    status: 412,
+                    code: 'VERSION_CONFLICT',
+                    data: { current: theirs },
+                }))
+                .mockResolvedValueOnce({ task: theirs });
+
+            render(<KanbanBoard projectId={1} projectMembers={mockProjectMembers} />);
+
+            await waitFor(() => expect(screen.getByText('Task 1')).toBeInTheDocument());
+            fireEvent.click(screen.getByTestId('edit-icon'));
+
+            const titleInput = screen.getByPlaceholderText('Enter task title');
+            await user.clear(titleInput);
+            await user.type(titleInput, 'My title');
+            fireEvent.click(screen.getByRole('button', { name: 'Save Changes' }));
+
+            await waitFor(() => expect(screen.getByRole('dialog')).toBeInTheDocument());
+            expect(tasksAPI.update).toHaveBeenCalledWith(1, expect.objectContaining({ title: 'My title' }), { version: 1 });
+
+            // Both changed the title, so ours is preselected; only they changed the note, so theirs is
+            expect(screen.getByLabelText('Keep your title')).toBeChecked();
+            expect(screen.getByLabelText('Keep their note')).toBeChecked();
+
+            fireEvent.click(screen.getByRole('button', { name: 'Save Merged' }));
+
+            await waitFor(() => {
+                expect(tasksAPI.update).toHaveBeenLastCalledWith(
+                    1,
+                    expect.objectContaining({ title: 'My title', description: 'Their note' }),
+                    { version: 2 }
+                );
+            });
+            await waitFor(() => expect(screen.queryByRole('dialog')).not.toBeInTheDocument());
+        });
+
+        test('saves again once on a harmless conflict, then asks instead of retrying forever', async () => {
+            const task = { ...mockTasks[0], priority: 'Medium', version: 1 };
+            // Someone keeps bumping the version without touching anything the form changes
+            tasksAPI.getByProject.mockResolvedValue({ items: [task] });
+            tasksAPI.update.mockImplementation((id, data, { version }) => Promise.reject(
+                new ApiError('This task was changed by someone else', {
+                    status: 412,
+                    code: 'VERSION_CONFLICT',
+                    data: { current: { ...task, version: version + 1 } },
+                })
+            ));
+
+            render(<KanbanBoard projectId={1} projectMembers={mockProjectMembers} />);
+
+            await waitFor(() => expect(screen.getByText('Task 1')).toBeInTheDocument());
+            fireEvent.click(screen.getByTestId('edit-icon'));
+            fireEvent.click(screen.getByRole('button', { name: 'Save Changes' }));
+
+            await waitFor(() => expect(screen.getByRole('dialog')).toBeInTheDocument());
+            expect(tasksAPI.update).toHaveBeenCalledTimes(2);
+            expect(tasksAPI.update).toHaveBeenLastCalledWith(1, expect.any(Object), { version: 2 });
+        });
+    });
 });
\ No newline at end of file
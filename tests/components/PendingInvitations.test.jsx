@@ -41,7 +41,7 @@ describe('PendingInvitations', () => {
 
     describe('Empty State', () => {
         test('renders nothing when there are no invitations', async () => {
-            membersAPI.getPending.mockResolvedValue({ data: [] });
+            membersAPI.getPending.mockResolvedValue({ items: [] });
 
             const { container } = render(<PendingInvitations />);
 
@@ -59,7 +59,7 @@ describe('PendingInvitations', () => {
 
     describe('Display Invitations', () => {
         test('displays invitations correctly', async () => {
-            membersAPI.getPending.mockResolvedValue({ data: mockInvitations });
+            membersAPI.getPending.mockResolvedValue({ items: mockInvitations });
 
             render(<PendingInvitations />);
 
@@ -73,7 +73,7 @@ describe('PendingInvitations', () => {
         });
 
         test('displays invitation metadata correctly', async () => {
-            membersAPI.getPending.mockResolvedValue({ data: mockInvitations });
+            membersAPI.getPending.mockResolvedValue({ items: mockInvitations });
 
             render(<PendingInvitations />);
 
@@ -87,7 +87,7 @@ describe('PendingInvitations', () => {
         });
 
         test('does not display description when it is null', async () => {
-            membersAPI.getPending.mockResolvedValue({ data: [mockInvitations[1]] });
+            membersAPI.getPending.mockResolvedValue({ items: [mockInvitations[1]] });
 
             render(<PendingInvitations />);
 
@@ -101,7 +101,7 @@ describe('PendingInvitations', () => {
 
     describe('Accept Invitation', () => {
         test('calls API and removes invitation when accept is clicked', async () => {
-            membersAPI.getPending.mockResolvedValue({ data: mockInvitations });
+            membersAPI.getPending.mockResolvedValue({ items: mockInvitations });
             membersAPI.respond.mockResolvedValue({});
 
             render(<PendingInvitations />);
@@ -123,7 +123,7 @@ describe('PendingInvitations', () => {
         });
 
         test('shows processing state when accepting invitation', async () => {
-            membersAPI.getPending.mockResolvedValue({ data: mockInvitations });
+            membersAPI.getPending.mockResolvedValue({ items: mockInvitations });
             membersAPI.respond.mockImplementation(() => new Promise(resolve => setTimeout(resolve, 100)));
 
             render(<PendingInvitations />);
@@ -141,7 +141,7 @@ describe('PendingInvitations', () => {
         });
 
         test('disables buttons during processing', async () => {
-            membersAPI.getPending.mockResolvedValue({ data: mockInvitations });
+            membersAPI.getPending.mockResolvedValue({ items: mockInvitations });
             membersAPI.respond.mockImplementation(() => new Promise(resolve => setTimeout(resolve, 100)));
 
             render(<PendingInvitations />);
@@ -164,7 +164,7 @@ describe('PendingInvitations', () => {
 
     describe('Decline Invitation', () => {
         test('calls API and removes invitation when decline is clicked', async () => {
-            membersAPI.getPending.mockResolvedValue({ data: mockInvitations });
+            membersAPI.getPending.mockResolvedValue({ items: mockInvitations });
             membersAPI.respond.mockResolvedValue({});
 
             render(<PendingInvitations />);
@@ -202,7 +202,7 @@ describe('PendingInvitations', () => {
 
         test('displays error when responding to invitation fails', async () => {
             const consoleError = jest.spyOn(console, 'error').mockImplementation(() => { });
-            membersAPI.getPending.mockResolvedValue({ data: mockInvitations });
+            membersAPI.getPending.mockResolvedValue({ items: mockInvitations });
             membersAPI.respond.mockRejectedValue({
                 response: { data: { message: 'Failed to process invitation' } }
             });
@@ -225,7 +225,7 @@ describe('PendingInvitations', () => {
 
         test('displays generic error message when API error has no message', async () => {
             const consoleError = jest.spyOn(console, 'error').mockImplementation(() => { });
-            membersAPI.getPending.mockResolvedValue({ data: mockInvitations });
+            membersAPI.getPending.mockResolvedValue({ items: mockInvitations });
             membersAPI.respond.mockRejectedValue(new Error('Unknown error'));
 
             render(<PendingInvitations />);
@@ -3,6 +3,7 @@ import '@testing-library/jest-dom';
 import { BrowserRouter, Routes, Route } from 'react-router-dom';
 import ProtectedRoute from '../../src/components/ProtectedRoute';
 import { useAuth } from '../../src/context/AuthContext';
+import { menuItems, routeAccess } from '../../src/navigation';
 
 jest.mock('../../src/context/AuthContext');
 
@@ -62,6 +63,23 @@ describe('ProtectedRoute', () => {
             expect(screen.getByText('Login Page')).toBeInTheDocument();
             expect(screen.queryByText('Protected Content')).not.toBeInTheDocument();
         });
+
+        test('remembers the requested route for after sign-in', () => {
+            useAuth.mockReturnValue({
+                user: null,
+                loading: false,
+            });
+
+            renderWithRouter(
+                <ProtectedRoute>
+                    <TestComponent />
+                </ProtectedRoute>,
+                { route: '/?tab=members' }
+            );
+
+            expect(screen.getByText('Login Page')).toBeInTheDocument();
+            expect(window.location.search).toBe(`?next=${encodeURIComponent('/?tab=members')}`);
+        });
     });
 
     describe('Authenticated Access', () => {
@@ -113,7 +131,7 @@ describe('ProtectedRoute', () => {
             expect(screen.getByText('Protected Content')).toBeInTheDocument();
         });
 
-        test('redirects non-admin user to dashboard when accessing admin routes', () => {
+        test('shows the forbidden page to non-admin users on admin routes', () => {
             useAuth.mockReturnValue({
                 user: { id: 2, name: 'Regular User', role: 'User' },
                 loading: false,
@@ -125,7 +143,7 @@ describe('ProtectedRoute', () => {
                 </ProtectedRoute>
             );
 
-            expect(screen.getByText('Dashboard Page')).toBeInTheDocument();
+            expect(screen.getByText('Access Denied')).toBeInTheDocument();
             expect(screen.queryByText('Protected Content')).not.toBeInTheDocument();
         });
 
@@ -145,6 +163,67 @@ describe('ProtectedRoute', () => {
         });
     });
 
+    describe('Roles and Permissions', () => {
+        test('lets users with an allowed role through', () => {
+            useAuth.mockReturnValue({
+                user: { id: 1, name: 'Maya Manager', role: 'Manager' },
+                loading: false,
+            });
+
+            renderWithRouter(
+                <ProtectedRoute roles={['Manager']} permission="teams.manage">
+                    <TestComponent />
+                </ProtectedRoute>
+            );
+
+            expect(screen.getByText('Protected Content')).toBeInTheDocument();
+        });
+
+        test('answers 403 when the role lacks the route permission', () => {
+            useAuth.mockReturnValue({
+                user: { id: 2, name: 'Eli Employee', role: 'Employee' },
+                loading: false,
+            });
+
+            renderWithRouter(
+                <ProtectedRoute permission="teams.manage">
+                    <TestComponent />
+                </ProtectedRoute>,
+                { route: '/' }
+            );
+
+            expect(screen.getByText('Access Denied')).toBeInTheDocument();
+            expect(screen.getByRole('link', { name: 'Back to Dashboard' })).toHaveAttribute('href', '/dashboard');
+            expect(window.location.pathname).toBe('/');
+        });
+    });
+
+    describe('Navigation Rules', () => {
+        test('guards project pages with the project rule', () => {
+            const { permission } = routeAccess.project;
+            useAuth.mockReturnValue({ user: { id: 2, name: 'Eli Employee', role: 'Employee' }, loading: false });
+            const { unmount } = renderWithRouter(
+                <ProtectedRoute permission={permission}>
+                    <TestComponent />
+                </ProtectedRoute>
+            );
+            expect(screen.getByText('Protected Content')).toBeInTheDocument();
+            unmount();
+
+            useAuth.mockReturnValue({ user: { id: 9, name: 'Guest', role: 'Guest' }, loading: false });
+            renderWithRouter(
+                <ProtectedRoute permission={permission}>
+                    <TestComponent />
+                </ProtectedRoute>
+            );
+            expect(screen.getByText('Access Denied')).toBeInTheDocument();
+        });
+
+        test('only links the menu to top-level pages that have a route', () => {
+            expect(menuItems.map((item) => item.path)).toEqual(['/dashboard', '/manager', '/settings']);
+        });
+    });
+
     describe('Edge Cases', () => {
         test('handles missing role in user object', () => {
             useAuth.mockReturnValue({
@@ -158,7 +237,7 @@ describe('ProtectedRoute', () => {
                 </ProtectedRoute>
             );
 
-            expect(screen.getByText('Dashboard Page')).toBeInTheDocument();
+            expect(screen.getByText('Access Denied')).toBeInTheDocument();
             expect(screen.queryByText('Protected Content')).not.toBeInTheDocument();
         });
 
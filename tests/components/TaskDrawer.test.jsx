@@ -0,0 +1,75 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import TaskDrawer from '../../src/components/TaskDrawer';
+import { tasksAPI } from '../../src/api/tasks';
+
+jest.mock('../../src/api/tasks');
+jest.mock('../../src/components/TimeTracker', () => ({ taskId }) => <div>Time for task {taskId}</div>);
+jest.mock('../../src/components/CommentSection', () => ({ taskId }) => <div>Comments for task {taskId}</div>);
+jest.mock('../../src/components/AttachmentList', () => ({ taskId }) => <div>Files for task {taskId}</div>);
+jest.mock('../../src/components/ActivityTimeline', () => ({ taskId }) => <div>History for task {taskId}</div>);
+
+describe('TaskDrawer', () => {
+    const onClose = jest.fn();
+    const members = [{ id: 2, name: 'Jane Smith' }];
+    const sprints = [{ id: 4, name: 'Sprint 4' }];
+
+    const renderDrawer = (path) =>
+        render(
+            <MemoryRouter initialEntries={[path]}>
+                <Routes>
+                    <Route
+                        path="/projects/:id/tasks/:taskId"
+                        element={<TaskDrawer projectId="1" projectMembers={members} sprints={sprints} onClose={onClose} />}
+                    />
+                </Routes>
+            </MemoryRouter>
+        );
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('shows the linked task with its comments, files, time and history', async () => {
+        tasksAPI.getById.mockResolvedValue({
+            id: 5,
+            project_id: 1,
+            title: 'Fix login redirect loop',
+            status: 'In Progress',
+            priority: 'Urgent',
+            assignee_id: 2,
+            sprint_id: 4,
+            labels: ['bug'],
+            description: 'Happens after SSO.',
+        });
+
+        renderDrawer('/projects/1/tasks/5');
+
+        const drawer = await screen.findByRole('dialog', { name: 'Fix login redirect loop' });
+        expect(tasksAPI.getById).toHaveBeenCalledWith('5', { signal: expect.any(AbortSignal) });
+        expect(drawer).toHaveTextContent('In Progress');
+        expect(drawer).toHaveTextContent('Jane Smith');
+        expect(drawer).toHaveTextContent('Sprint 4');
+        expect(drawer).toHaveTextContent('bug');
+        expect(screen.getByText('Comments for task 5')).toBeInTheDocument();
+        expect(screen.getByText('Files for task 5')).toBeInTheDocument();
+        expect(screen.getByText('Time for task 5')).toBeInTheDocument();
+        expect(screen.getByText('History for task 5')).toBeInTheDocument();
+
+        fireEvent.keyDown(document, { key: 'Escape' });
+        expect(onClose).toHaveBeenCalled();
+    });
+
+    it('says so when the link points at a task of another project', async () => {
+        tasksAPI.getById.mockResolvedValue({ id: 7, project_id: 3, title: 'Elsewhere', status: 'Done' });
+
+        renderDrawer('/projects/1/tasks/7');
+
+        expect(await screen.findByText('This task does not exist or was deleted.')).toBeInTheDocument();
+        expect(screen.queryByText('Comments for task 7')).not.toBeInTheDocument();
+
+        fireEvent.click(screen.getByRole('button', { name: 'Close' }));
+        expect(onClose).toHaveBeenCalled();
+    });
+});
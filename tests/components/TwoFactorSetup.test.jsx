@@ -0,0 +1,52 @@
+import { render, screen, waitFor, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import TwoFactorSetup from '../../src/components/TwoFactorSetup';
+import { authAPI } from '../../src/api/auth';
+
+jest.mock('../../src/api/auth');
+
+describe('TwoFactorSetup', () => {
+    const setup = {
+        secret: 'JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP',
+        otpauth_url: 'otpauth://totp/Project%20Tracker:eli%40example.com?secret=JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP&issuer=Project%20Tracker',
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        authAPI.setupTotp.mockResolvedValue(setup);
+    });
+
+    test('shows the secret as a QR code and as a key to type in', async () => {
+        render(<TwoFactorSetup onClose={jest.fn()} />);
+
+        expect(await screen.findByRole('img', { name: 'Authenticator setup QR code' })).toBeInTheDocument();
+        expect(screen.getByText('JBSW Y3DP EHPK 3PXP JBSW Y3DP EHPK 3PXP')).toBeInTheDocument();
+    });
+
+    test('enables 2FA only after the first code is confirmed, then shows the backup codes', async () => {
+        const onEnabled = jest.fn();
+        const user = { id: 2, two_factor_enabled: true, two_factor_method: 'totp' };
+        authAPI.confirmTotp
+            .mockRejectedValueOnce({ message: 'Invalid verification code', fieldErrors: { code: 'That code did not match.' } })
+            .mockResolvedValueOnce({ backup_codes: ['abcd-efgh', 'jkmn-pqrs'], user });
+
+        render(<TwoFactorSetup onClose={jest.fn()} onEnabled={onEnabled} />);
+        await screen.findByRole('img', { name: 'Authenticator setup QR code' });
+
+        const submit = screen.getByRole('button', { name: 'Verify and Enable' });
+        expect(submit).toBeDisabled();
+
+        fireEvent.change(screen.getByLabelText('Code from the app'), { target: { value: '000000' } });
+        fireEvent.click(submit);
+        expect(await screen.findByText('That code did not match.')).toBeInTheDocument();
+        expect(onEnabled).not.toHaveBeenCalled();
+
+        fireEvent.change(screen.getByLabelText('Code from the app'), { target: { value: '123456' } });
+        fireEvent.click(submit);
+
+        await waitFor(() => expect(onEnabled).toHaveBeenCalledWith(user));
+        expect(authAPI.confirmTotp).toHaveBeenLastCalledWith('123456');
+        expect(screen.getByText('abcd-efgh')).toBeInTheDocument();
+        expect(screen.getByText('jkmn-pqrs')).toBeInTheDocument();
+    });
+});
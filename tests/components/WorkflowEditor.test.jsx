@@ -0,0 +1,95 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import WorkflowEditor from '../../src/components/WorkflowEditor';
+import { projectsAPI } from '../../src/api/projects';
+import { tasksAPI } from '../../src/api/tasks';
+
+jest.mock('../../src/api/projects');
+jest.mock('../../src/api/tasks');
+
+describe('WorkflowEditor', () => {
+    const project = { id: 7 };
+    const onSaved = jest.fn();
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        tasksAPI.getByProject.mockResolvedValue({
+            items: [
+                { id: 1, title: 'A', status: 'In Progress' },
+                { id: 2, title: 'B', status: 'In Progress' },
+            ],
+        });
+    });
+
+    afterEach(() => {
+        console.error.mockRestore();
+    });
+
+    it('saves renames, new columns, order and where removed columns\' tasks go', async () => {
+        projectsAPI.updateWorkflow.mockResolvedValue({ project: { id: 7, workflow: [] } });
+        render(<WorkflowEditor project={project} onClose={jest.fn()} onSaved={onSaved} />);
+        await waitFor(() => expect(tasksAPI.getByProject).toHaveBeenCalled());
+
+        fireEvent.change(screen.getByLabelText('Column 1 name'), { target: { value: 'Backlog' } });
+        fireEvent.click(screen.getByRole('button', { name: 'Add Column' }));
+        fireEvent.change(screen.getByLabelText('Column 4 name'), { target: { value: 'Review' } });
+        fireEvent.click(screen.getByRole('button', { name: 'Move Review left' }));
+
+        fireEvent.click(screen.getByRole('button', { name: 'Remove In Progress' }));
+        expect(await screen.findByText(/2 in “In Progress” move to/)).toBeInTheDocument();
+        fireEvent.change(screen.getByLabelText('Review WIP limit'), { target: { value: '3' } });
+        fireEvent.change(screen.getByRole('combobox', { name: /move to/ }), {
+            target: { value: screen.getByRole('option', { name: 'Review' }).value },
+        });
+
+        fireEvent.click(screen.getByRole('button', { name: 'Save Columns' }));
+
+        await waitFor(() => expect(onSaved).toHaveBeenCalledWith({ id: 7, workflow: [] }));
+        expect(projectsAPI.updateWorkflow).toHaveBeenCalledWith(7, {
+            columns: [
+                { name: 'Backlog', done: false, wip_limit: null, from: 'To Do' },
+                { name: 'Review', done: false, wip_limit: 3, from: null },
+                { name: 'Done', done: true, wip_limit: null, from: 'Done' },
+            ],
+            moves: { 'In Progress': 'Review' },
+            wipPolicy: 'warn',
+        });
+    });
+
+    it('asks where tasks go even for a column the cached tasks show as empty', async () => {
+        projectsAPI.updateWorkflow.mockResolvedValue({ project: { id: 7, workflow: [] } });
+        render(<WorkflowEditor project={project} onClose={jest.fn()} onSaved={onSaved} />);
+        await waitFor(() => expect(tasksAPI.getByProject).toHaveBeenCalled());
+
+        fireEvent.click(screen.getByRole('button', { name: 'Remove To Do' }));
+        expect(screen.getByText(/Any in “To Do” move to/)).toBeInTheDocument();
+
+        fireEvent.click(screen.getByRole('button', { name: 'Save Columns' }));
+
+        await waitFor(() => expect(onSaved).toHaveBeenCalled());
+        expect(projectsAPI.updateWorkflow).toHaveBeenCalledWith(7, expect.objectContaining({
+            moves: { 'To Do': 'In Progress' },
+        }));
+    });
+
+    it('points out duplicate names before saving', () => {
+        render(<WorkflowEditor project={project} onClose={jest.fn()} onSaved={onSaved} />);
+
+        fireEvent.change(screen.getByLabelText('Column 2 name'), { target: { value: 'done' } });
+        fireEvent.click(screen.getByRole('button', { name: 'Save Columns' }));
+
+        expect(screen.getByRole('alert')).toHaveTextContent('There are two columns called "Done".');
+        expect(projectsAPI.updateWorkflow).not.toHaveBeenCalled();
+    });
+
+    it('rejects a WIP limit that is not a whole number above zero', () => {
+        render(<WorkflowEditor project={project} onClose={jest.fn()} onSaved={onSaved} />);
+
+        fireEvent.change(screen.getByLabelText('In Progress WIP limit'), { target: { value: '0' } });
+        fireEvent.click(screen.getByRole('button', { name: 'Save Columns' }));
+
+        expect(screen.getByRole('alert')).toHaveTextContent('The WIP limit of "In Progress" must be a whole number above zero.');
+        expect(projectsAPI.updateWorkflow).not.toHaveBeenCalled();
+    });
+});
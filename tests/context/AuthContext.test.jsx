@@ -0,0 +1,117 @@
+import { useState } from 'react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import { BrowserRouter, Routes, Route } from 'react-router-dom';
+import { AuthProvider, useAuth } from '../../src/context/AuthContext';
+import { queryCache } from '../../src/api/queryCache';
+
+jest.mock('../../src/api/auth');
+jest.mock('../../src/api/client');
+jest.mock('../../src/api/queryCache');
+
+const manager = { id: 1, name: 'Maya Manager', role: 'Manager' };
+const employee = { id: 2, name: 'Eli Employee', role: 'Employee' };
+
+// Stands in for any page with a modal open when another tab changes the session
+const Dashboard = () => {
+    const { user, updateUser } = useAuth();
+    const [modalOpen, setModalOpen] = useState(false);
+
+    if (!user) return <div>Signed out</div>;
+
+    return (
+        <div>
+            <p>Hello {user.name}</p>
+            <button onClick={() => setModalOpen(true)}>Open Modal</button>
+            <button onClick={() => updateUser({ name: 'Maya M.' })}>Rename</button>
+            {modalOpen && <div role="dialog">Edit Task</div>}
+        </div>
+    );
+};
+
+const renderApp = (route = '/dashboard') => {
+    window.history.pushState({}, 'Test page', route);
+    return render(
+        <BrowserRouter>
+            <AuthProvider>
+                <Routes>
+                    <Route path="/login" element={<div>Login Page</div>} />
+                    <Route path="/dashboard" element={<Dashboard />} />
+                </Routes>
+            </AuthProvider>
+        </BrowserRouter>
+    );
+};
+
+// jsdom has no BroadcastChannel, so the other tab's message arrives as a storage event
+const receiveFromOtherTab = (message) => {
+    act(() => {
+        window.dispatchEvent(new StorageEvent('storage', {
+            key: 'auth_event',
+            newValue: JSON.stringify({ tabId: 'other-tab', ...message }),
+        }));
+    });
+};
+
+describe('AuthProvider cross-tab sync', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        localStorage.clear();
+        localStorage.setItem('user', JSON.stringify(manager));
+    });
+
+    test('signs out and redirects when another tab logs out', () => {
+        renderApp();
+        fireEvent.click(screen.getByRole('button', { name: 'Open Modal' }));
+        expect(screen.getByRole('dialog')).toBeInTheDocument();
+
+        receiveFromOtherTab({ type: 'logout' });
+
+        expect(screen.getByText('Login Page')).toBeInTheDocument();
+        expect(window.location.search).toBe(`?next=${encodeURIComponent('/dashboard')}`);
+        expect(queryCache.clear).toHaveBeenCalled();
+    });
+
+    test('switches to the new user and closes open modals when another tab signs in as someone else', () => {
+        renderApp();
+        fireEvent.click(screen.getByRole('button', { name: 'Open Modal' }));
+
+        receiveFromOtherTab({ type: 'login', user: employee });
+
+        expect(screen.getByText('Hello Eli Employee')).toBeInTheDocument();
+        expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+        expect(queryCache.clear).toHaveBeenCalled();
+    });
+
+    test('applies profile changes for the same user without closing anything', () => {
+        renderApp();
+        fireEvent.click(screen.getByRole('button', { name: 'Open Modal' }));
+
+        receiveFromOtherTab({ type: 'user-updated', user: { ...manager, name: 'Maya M.' } });
+        receiveFromOtherTab({ type: 'user-updated', user: { ...employee, name: 'Someone Else' } });
+
+        expect(screen.getByText('Hello Maya M.')).toBeInTheDocument();
+        expect(screen.getByRole('dialog')).toBeInTheDocument();
+        expect(queryCache.clear).not.toHaveBeenCalled();
+    });
+
+    test('moves a signed-out tab off the login page when another tab signs in', () => {
+        localStorage.removeItem('user');
+        renderApp('/login?next=/dashboard');
+
+        receiveFromOtherTab({ type: 'login', user: employee });
+
+        expect(screen.getByText('Hello Eli Employee')).toBeInTheDocument();
+    });
+
+    test('broadcasts profile changes made in this tab', () => {
+        const setItem = jest.spyOn(Storage.prototype, 'setItem');
+        renderApp();
+
+        fireEvent.click(screen.getByRole('button', { name: 'Rename' }));
+
+        const sent = setItem.mock.calls.find(([key]) => key === 'auth_event');
+        expect(JSON.parse(sent[1])).toMatchObject({ type: 'user-updated', user: { id: 1, name: 'Maya M.' } });
+        setItem.mockRestore();
+    });
+});
@@ -0,0 +1,82 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import ProjectDetails from '../../src/pages/ProjectDetails';
+import { useAuth } from '../../src/context/AuthContext';
+import { projectsAPI } from '../../src/api/projects';
+import { sprintApi } from '../../src/api/sprints';
+import { membersAPI } from '../../src/api/members';
+
+// Counts how often the board mounts, so a test can tell a re-render from the page swapping it out
+let mockBoardMounts = 0;
+
+jest.mock('../../src/context/AuthContext');
+jest.mock('../../src/api/projects');
+jest.mock('../../src/api/sprints');
+jest.mock('../../src/api/members');
+jest.mock('../../src/components/KanbanBoard', () => ({ onOpenTask }) => {
+    jest.requireActual('react').useEffect(() => {
+        mockBoardMounts++;
+    }, []);
+    return <button onClick={() => onOpenTask({ id: 5 })}>Open task 5</button>;
+});
+jest.mock('../../src/components/TaskDrawer', () => ({ onClose }) => <button onClick={onClose}>Close drawer</button>);
+jest.mock('../../src/components/CalendarView', () => () => null);
+jest.mock('../../src/components/SprintPlanner', () => () => null);
+jest.mock('../../src/components/AttachmentList', () => () => null);
+jest.mock('../../src/components/ActivityTimeline', () => () => null);
+jest.mock('../../src/components/CommentSection', () => () => null);
+jest.mock('../../src/components/NotificationDropdown', () => () => null);
+
+describe('ProjectDetails', () => {
+    const owner = { id: 1, name: 'John Doe', email: 'john@example.com' };
+    const project = { id: 1, name: 'Apollo', owner_id: 1, owner, members: [{ ...owner, role: 'owner' }] };
+
+    const renderAt = (path) => render(
+        <MemoryRouter initialEntries={[path]}>
+            <Routes>
+                <Route path="/projects/:id/*" element={<ProjectDetails />} />
+            </Routes>
+        </MemoryRouter>
+    );
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockBoardMounts = 0;
+        window.confirm = jest.fn(() => true);
+        window.alert = jest.fn();
+        useAuth.mockReturnValue({ user: { id: 1, name: 'John Doe', role: 'Admin' } });
+        projectsAPI.getById.mockResolvedValue(project);
+        sprintApi.getSprints.mockResolvedValue({ items: [] });
+    });
+
+    test('opens and closes a task\'s drawer without refetching the project or remounting the board', async () => {
+        renderAt('/projects/1');
+
+        fireEvent.click(await screen.findByText('Open task 5'));
+        fireEvent.click(await screen.findByText('Close drawer'));
+        await waitFor(() => expect(screen.queryByText('Close drawer')).not.toBeInTheDocument());
+
+        expect(projectsAPI.getById).toHaveBeenCalledTimes(1);
+        expect(mockBoardMounts).toBe(1);
+    });
+
+    test('keeps the page on screen while the project reloads after an invitation', async () => {
+        membersAPI.invite.mockResolvedValue({});
+        renderAt('/projects/1');
+        fireEvent.click(await screen.findByRole('button', { name: 'Members [1]' }));
+
+        let finishReload;
+        projectsAPI.getById.mockReturnValueOnce(new Promise((resolve) => { finishReload = resolve; }));
+        fireEvent.click(screen.getByRole('button', { name: /Invite Team Member/ }));
+        fireEvent.change(screen.getByPlaceholderText('email@example.com'), { target: { value: 'new@example.com' } });
+        fireEvent.submit(screen.getByPlaceholderText('email@example.com').closest('form'));
+
+        await waitFor(() => expect(projectsAPI.getById).toHaveBeenCalledTimes(2));
+        expect(screen.getByRole('button', { name: 'Members [1]' })).toBeInTheDocument();
+        expect(screen.queryByText(/Synchronizing/)).not.toBeInTheDocument();
+
+        finishReload({ ...project, members: [...project.members, { id: 2, name: 'New Member', role: 'collaborator' }] });
+        expect(await screen.findByRole('button', { name: 'Members [2]' })).toBeInTheDocument();
+    });
+});
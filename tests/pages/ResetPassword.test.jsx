@@ -0,0 +1,63 @@
+import { render, screen, waitFor, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import ResetPassword from '../../src/pages/ResetPassword';
+import { authAPI } from '../../src/api/auth';
+
+jest.mock('../../src/api/auth');
+
+const renderPage = () => render(
+    <MemoryRouter initialEntries={['/reset-password/abc123']}>
+        <Routes>
+            <Route path="/reset-password/:token" element={<ResetPassword />} />
+        </Routes>
+    </MemoryRouter>
+);
+
+const inAnHour = () => new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+describe('ResetPassword', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('offers a new link when the token has expired', async () => {
+        authAPI.checkResetToken.mockRejectedValue({ status: 410, code: 'TOKEN_EXPIRED', message: 'This reset link has expired' });
+
+        renderPage();
+
+        expect(await screen.findByText(/This reset link has expired/)).toBeInTheDocument();
+        expect(screen.getByRole('link', { name: 'Request a New Link' })).toHaveAttribute('href', '/forgot-password');
+    });
+
+    test('rejects weak passwords before calling the server', async () => {
+        authAPI.checkResetToken.mockResolvedValue({ email: 'eli@example.com', expires_at: inAnHour() });
+
+        renderPage();
+
+        fireEvent.change(await screen.findByLabelText('New Password'), { target: { value: 'password' } });
+        fireEvent.change(screen.getByLabelText('Confirm Password'), { target: { value: 'password' } });
+        expect(screen.getByText('Password strength: Too weak')).toBeInTheDocument();
+
+        fireEvent.click(screen.getByRole('button', { name: 'Set New Password' }));
+
+        expect(await screen.findByText('Choose a stronger password.')).toBeInTheDocument();
+        expect(authAPI.resetPassword).not.toHaveBeenCalled();
+    });
+
+    test('confirms the reset and that other sessions were signed out', async () => {
+        authAPI.checkResetToken.mockResolvedValue({ email: 'eli@example.com', expires_at: inAnHour() });
+        authAPI.resetPassword.mockResolvedValue({ message: 'Your password has been reset', signed_out_sessions: 2 });
+
+        renderPage();
+
+        expect(await screen.findByText('eli@example.com')).toBeInTheDocument();
+        fireEvent.change(screen.getByLabelText('New Password'), { target: { value: 'Correct-Horse-9' } });
+        fireEvent.change(screen.getByLabelText('Confirm Password'), { target: { value: 'Correct-Horse-9' } });
+        fireEvent.click(screen.getByRole('button', { name: 'Set New Password' }));
+
+        await waitFor(() => expect(screen.getByText('Your password has been changed.')).toBeInTheDocument());
+        expect(authAPI.resetPassword).toHaveBeenCalledWith('abc123', 'Correct-Horse-9', { signOutOtherSessions: true });
+        expect(screen.getByText('We signed you out of 2 other sessions.')).toBeInTheDocument();
+    });
+});
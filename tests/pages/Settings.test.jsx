@@ -0,0 +1,108 @@
+import { render, screen, waitFor, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import Settings from '../../src/pages/Settings';
+import { useAuth } from '../../src/context/AuthContext';
+import { usersAPI } from '../../src/api/users';
+import { authAPI } from '../../src/api/auth';
+import { ApiError } from '../../src/api/errors';
+
+jest.mock('../../src/context/AuthContext');
+jest.mock('../../src/api/users');
+jest.mock('../../src/api/auth');
+
+describe('Settings', () => {
+    const updateUser = jest.fn();
+    const user = {
+        id: 2,
+        name: 'Eli Employee',
+        email: 'employee@example.com',
+        two_factor_enabled: true,
+        two_factor_method: 'email',
+        preferences: { theme: 'dark', notifications: { invitations: false } },
+    };
+
+    const logout = jest.fn();
+    const sessions = [
+        { id: 7, device: 'Chrome on macOS', ip_address: '127.0.0.1', last_active_at: '2026-10-19T09:00:00Z', current: true },
+        { id: 2, device: 'Firefox on Windows', ip_address: '198.51.100.7', last_active_at: '2026-10-17T09:00:00Z', current: false },
+    ];
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        useAuth.mockReturnValue({ user, updateUser, logout });
+        authAPI.getSessions.mockResolvedValue({ items: sessions });
+    });
+
+    test('saves the profile through usersAPI.update', async () => {
+        const saved = { ...user, name: 'Eli E.' };
+        usersAPI.update.mockResolvedValue({ user: saved });
+
+        render(<Settings />);
+
+        fireEvent.change(screen.getByLabelText('Full Name'), { target: { value: 'Eli E.' } });
+        fireEvent.click(screen.getByRole('button', { name: 'Save Profile' }));
+
+        expect(await screen.findByText('Profile saved')).toBeInTheDocument();
+        expect(usersAPI.update).toHaveBeenCalledWith(2, { name: 'Eli E.', email: 'employee@example.com' });
+        expect(updateUser).toHaveBeenCalledWith(saved);
+    });
+
+    test('shows the server field error when the current password is wrong', async () => {
+        authAPI.changePassword.mockRejectedValue(new ApiError('Validation failed', {
+            status: 422,
+            fieldErrors: { current_password: 'Your current password is incorrect.' },
+        }));
+
+        render(<Settings />);
+
+        fireEvent.change(screen.getByLabelText('Current Password'), { target: { value: 'nope' } });
+        fireEvent.change(screen.getByLabelText('New Password'), { target: { value: 'Correct-Horse-9' } });
+        fireEvent.change(screen.getByLabelText('Confirm New Password'), { target: { value: 'Correct-Horse-9' } });
+        fireEvent.click(screen.getByRole('button', { name: 'Change Password' }));
+
+        await waitFor(() => expect(authAPI.changePassword).toHaveBeenCalledWith('nope', 'Correct-Horse-9'));
+        expect(await screen.findByText('Your current password is incorrect.')).toBeInTheDocument();
+    });
+
+    test('saves a notification preference as soon as it is toggled', async () => {
+        usersAPI.update.mockResolvedValue({ user: { ...user, preferences: { notifications: { invitations: true } } } });
+
+        render(<Settings />);
+
+        const invitations = screen.getByRole('checkbox', { name: /Project invitations/ });
+        expect(invitations).not.toBeChecked();
+        expect(screen.getByRole('checkbox', { name: /Task assignments/ })).toBeChecked();
+
+        fireEvent.click(invitations);
+
+        await waitFor(() => expect(usersAPI.update).toHaveBeenCalledWith(2, { preferences: { notifications: { invitations: true } } }));
+        expect(updateUser).toHaveBeenCalledWith({
+            preferences: expect.objectContaining({ notifications: expect.objectContaining({ invitations: true }) }),
+        });
+    });
+
+    test('manages 2FA here instead of on the dashboards', () => {
+        render(<Settings />);
+
+        expect(screen.getByText('On: codes sent to your email')).toBeInTheDocument();
+        expect(screen.getByRole('button', { name: 'Switch to Authenticator App' })).toBeInTheDocument();
+        expect(screen.getByRole('button', { name: 'Turn Off' })).toBeInTheDocument();
+    });
+
+    test('signs out another device, or every device including this one', async () => {
+        authAPI.revokeSession.mockResolvedValue({ signed_out_sessions: 1 });
+        jest.spyOn(window, 'confirm').mockReturnValue(true);
+
+        render(<Settings />);
+
+        fireEvent.click(await screen.findByRole('button', { name: 'Sign out Firefox on Windows' }));
+        await waitFor(() => expect(screen.queryByText('Firefox on Windows')).not.toBeInTheDocument());
+        expect(authAPI.revokeSession).toHaveBeenCalledWith(2);
+        expect(screen.getByText('This device')).toBeInTheDocument();
+
+        fireEvent.click(screen.getByRole('button', { name: 'Sign Out Everywhere' }));
+        await waitFor(() => expect(logout).toHaveBeenCalledWith({ everywhere: true }));
+
+        window.confirm.mockRestore();
+    });
+});
@@ -0,0 +1,97 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import SsoCallback from '../../src/pages/SsoCallback';
+import { useAuth } from '../../src/context/AuthContext';
+import { authAPI } from '../../src/api/auth';
+import { ApiError } from '../../src/api/errors';
+
+jest.mock('../../src/context/AuthContext');
+jest.mock('../../src/api/auth');
+
+const renderCallback = (search) =>
+    render(
+        <MemoryRouter initialEntries={[`/auth/callback${search}`]}>
+            <Routes>
+                <Route path="/auth/callback" element={<SsoCallback />} />
+                <Route path="/projects/4" element={<div>Project Page</div>} />
+            </Routes>
+        </MemoryRouter>
+    );
+
+describe('SsoCallback', () => {
+    const completeLogin = jest.fn();
+    const user = { id: 2, name: 'Eli Employee', email: 'employee@example.com' };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        useAuth.mockReturnValue({ completeLogin });
+        sessionStorage.setItem('sso_pending', JSON.stringify({
+            state: 'state-1',
+            nonce: 'nonce-1',
+            code_verifier: 'verifier-1',
+            return_to: '/projects/4',
+            created_at: Date.now(),
+        }));
+    });
+
+    test('redeems the code with the stored verifier and returns to where sign-in started', async () => {
+        authAPI.completeSsoLogin.mockResolvedValue({ user });
+
+        renderCallback('?code=abc&state=state-1');
+
+        expect(await screen.findByText('Project Page')).toBeInTheDocument();
+        expect(authAPI.completeSsoLogin).toHaveBeenCalledWith({
+            code: 'abc',
+            codeVerifier: 'verifier-1',
+            redirectUri: 'http://localhost/auth/callback',
+            nonce: 'nonce-1',
+        });
+        expect(completeLogin).toHaveBeenCalledWith(user);
+        expect(sessionStorage.getItem('sso_pending')).toBeNull();
+    });
+
+    test('refuses a callback whose state does not match this tab\'s sign-in', () => {
+        renderCallback('?code=abc&state=forged');
+
+        expect(screen.getByRole('alert')).toHaveTextContent('expired or was started in another browser');
+        expect(authAPI.completeSsoLogin).not.toHaveBeenCalled();
+    });
+
+    test('reports a cancelled sign-in from the provider', () => {
+        renderCallback('?error=access_denied&state=state-1');
+
+        expect(screen.getByRole('alert')).toHaveTextContent('Sign-in was cancelled.');
+    });
+
+    test('links an existing account after its password is confirmed', async () => {
+        authAPI.completeSsoLogin.mockRejectedValue(new ApiError('An account with this email already exists', {
+            status: 409,
+            code: 'ACCOUNT_LINK_REQUIRED',
+            data: { link_token: 'link-1', email: 'employee@example.com', provider_name: 'Company SSO' },
+        }));
+        authAPI.linkSsoAccount
+            .mockRejectedValueOnce(new ApiError('Validation failed', {
+                status: 422,
+                fieldErrors: { password: 'That password is incorrect.' },
+            }))
+            .mockResolvedValueOnce({ user });
+
+        renderCallback('?code=abc&state=state-1');
+
+        const password = await screen.findByLabelText('Account Password');
+        expect(screen.getByText('employee@example.com')).toBeInTheDocument();
+
+        fireEvent.change(password, { target: { value: 'nope' } });
+        fireEvent.click(screen.getByRole('button', { name: 'Link Account' }));
+        expect(await screen.findByText('That password is incorrect.')).toBeInTheDocument();
+        expect(completeLogin).not.toHaveBeenCalled();
+
+        fireEvent.change(password, { target: { value: 'password123' } });
+        fireEvent.click(screen.getByRole('button', { name: 'Link Account' }));
+
+        expect(await screen.findByText('Project Page')).toBeInTheDocument();
+        expect(authAPI.linkSsoAccount).toHaveBeenLastCalledWith('link-1', 'password123');
+        expect(completeLogin).toHaveBeenCalledWith(user);
+    });
+});
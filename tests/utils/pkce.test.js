@@ -0,0 +1,23 @@
+import { randomToken } from '../../src/utils/pkce';
+
+describe('randomToken', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('draws again for bytes that would skew the alphabet instead of wrapping them', () => {
+        // 198 and up would wrap onto 'A'..'Z' and make them likelier than the rest
+        const draws = [[0, 198, 65, 255], [67, 200], [131]];
+        const getRandomValues = jest.spyOn(crypto, 'getRandomValues').mockImplementation((array) => {
+            array.set(draws.shift().slice(0, array.length));
+            return array;
+        });
+
+        expect(randomToken(4)).toBe('A~B~');
+        expect(getRandomValues.mock.calls.map(([array]) => array.length)).toEqual([4, 2, 1]);
+    });
+
+    it('returns a verifier of the requested length from the RFC 7636 alphabet', () => {
+        expect(randomToken(128)).toMatch(/^[A-Za-z0-9\-._~]{128}$/);
+    });
+});
@@ -0,0 +1,71 @@
+import jsQR from 'jsqr';
+import { encodeQrCode } from '../../src/utils/qrcode';
+
+// Draws the modules with a 4-module quiet zone, `scale` pixels per module, and reads the code back
+const decode = (modules, scale = 4) => {
+    const size = (modules.length + 8) * scale;
+    const pixels = new Uint8ClampedArray(size * size * 4).fill(255);
+    modules.forEach((row, y) => row.forEach((dark, x) => {
+        if (!dark) return;
+        for (let dy = 0; dy < scale; dy++) {
+            for (let dx = 0; dx < scale; dx++) {
+                const offset = (((y + 4) * scale + dy) * size + (x + 4) * scale + dx) * 4;
+                pixels.fill(0, offset, offset + 3);
+            }
+        }
+    }));
+    return jsQR(pixels, size, size)?.data;
+};
+
+describe('encodeQrCode', () => {
+    it('matches a reference encoding for a fixed input', () => {
+        // Version 2-M, byte mode, mask 6; the same symbol the `qrcode` package draws for this text
+        const expected = [
+            '#######.#####.###.#######',
+            '#.....#.#...#...#.#.....#',
+            '#.###.#.#..#....#.#.###.#',
+            '#.###.#...#.......#.###.#',
+            '#.###.#.##....#...#.###.#',
+            '#.....#...##....#.#.....#',
+            '#######.#.#.#.#.#.#######',
+            '.........#...#.#.........',
+            '#..######..###.#.#..#.###',
+            '#.####.####.##.###.###...',
+            '..#.###.##..##.#####.#..#',
+            '.#.##....#..##..##.####.#',
+            '.###..###..###.#..##.#..#',
+            '##.###..###..###....###..',
+            '##..#.###..###.###..#####',
+            '#.###..#..##....#.#####.#',
+            '#.#####..#....##########.',
+            '........##.####.#...##.##',
+            '#######.#..#....#.#.#...#',
+            '#.....#.#...#.#.#...#..##',
+            '#.###.#.#...##########..#',
+            '#.###.#.###...######.#.##',
+            '#.###.#..#..#.##.#.###.##',
+            '#.....#...#...#...#...###',
+            '#######.###..#########..#',
+        ];
+
+        const modules = encodeQrCode('Hello, world! 123');
+
+        expect(modules.map((row) => row.map((dark) => (dark ? '#' : '.')).join(''))).toEqual(expected);
+    });
+
+    it.each([
+        ['an authenticator enrollment link', 'otpauth://totp/Project%20Tracker:jane@example.com?secret=JBSWY3DPEHPK3PXP&issuer=Project%20Tracker', 41],
+        ['text spread over several error correction blocks', 'x'.repeat(300), 69],
+        ['non-ASCII text as UTF-8', 'héllo wörld ✓', 25],
+    ])('round-trips %s through a decoder', (_, text, size) => {
+        const modules = encodeQrCode(text);
+
+        expect(modules).toHaveLength(size);
+        expect(decode(modules)).toBe(text);
+    });
+
+    it('refuses text that does not fit in the largest symbol', () => {
+        expect(() => encodeQrCode('x'.repeat(2332))).toThrow(RangeError);
+        expect(encodeQrCode('x'.repeat(2331))).toHaveLength(177);
+    });
+});
@@ -0,0 +1,88 @@
+import { backfillRanks, compareByRank, isValidRank, rankBetween } from '../../src/utils/rank';
+
+describe('rank', () => {
+    describe('rankBetween', () => {
+        it('starts an empty column with a valid rank', () => {
+            expect(isValidRank(rankBetween(null, null))).toBe(true);
+        });
+
+        it('goes strictly between two ranks, however close they are', () => {
+            [['a', 'b'], ['a', 'a1'], ['i', 'r'], ['z', 'z01'], ['1', '2'], ['az', 'b']].forEach(([before, after]) => {
+                const rank = rankBetween(before, after);
+                expect(isValidRank(rank)).toBe(true);
+                expect(before < rank && rank < after).toBe(true);
+            });
+        });
+
+        it('prepends and appends', () => {
+            let first = rankBetween(null, null);
+            let last = first;
+            for (let i = 0; i < 200; i++) {
+                const before = rankBetween(null, first);
+                const after = rankBetween(last, null);
+                expect(before < first && last < after).toBe(true);
+                expect(isValidRank(before) && isValidRank(after)).toBe(true);
+                first = before;
+                last = after;
+            }
+        });
+
+        it('keeps a column in order over many drops at scattered places', () => {
+            const column = [];
+            for (let i = 0; i < 500; i++) {
+                const at = (i * 7919) % (column.length + 1);
+                column.splice(at, 0, rankBetween(column[at - 1] ?? null, column[at] ?? null));
+            }
+
+            expect([...column].sort()).toEqual(column);
+            expect(new Set(column).size).toBe(column.length);
+            expect(column.every(isValidRank)).toBe(true);
+        });
+
+        it('goes just after `before` when two cards ended up with the same rank', () => {
+            const rank = rankBetween('m', 'm');
+
+            expect(isValidRank(rank)).toBe(true);
+            expect(rank > 'm').toBe(true);
+            expect(rankBetween('m', rank) > 'm').toBe(true);
+        });
+
+        it('goes after `before` when the neighbours are out of order', () => {
+            expect(rankBetween('t', 'c') > 't').toBe(true);
+        });
+    });
+
+    describe('compareByRank', () => {
+        it('puts ranked tasks first in rank order, then unranked ones oldest first', () => {
+            const tasks = [
+                { id: 4 },
+                { id: 1, rank: 'r' },
+                { id: 2 },
+                { id: 3, rank: 'c' },
+            ];
+
+            expect(tasks.sort(compareByRank).map((task) => task.id)).toEqual([3, 1, 2, 4]);
+        });
+    });
+
+    describe('backfillRanks', () => {
+        it('ranks unranked tasks after the ranked ones, keeping their order', () => {
+            const column = [{ id: 1, rank: 'c' }, { id: 5, rank: 'r' }, { id: 2 }, { id: 3 }];
+
+            const ranks = backfillRanks(column);
+
+            expect(Object.keys(ranks)).toEqual(['2', '3']);
+            expect('r' < ranks[2] && ranks[2] < ranks[3]).toBe(true);
+        });
+
+        it('ranks a column that has no ranks at all', () => {
+            const ranks = backfillRanks([{ id: 1 }, { id: 2 }, { id: 3 }]);
+
+            expect(ranks[1] < ranks[2] && ranks[2] < ranks[3]).toBe(true);
+        });
+
+        it('returns nothing when every task is ranked', () => {
+            expect(backfillRanks([{ id: 1, rank: 'c' }])).toEqual({});
+        });
+    });
+});